@@ -0,0 +1,254 @@
+// --- Bot Client ---
+// Small Node library for external AI players: connects to the game server over the same Socket.IO protocol as
+// the browser client (src/App.js), decodes the snapshots and runs a tick loop, so a bot is just a function
+// from the current state to an input. External bots show up marked as such in the game and on the leaderboard.
+//
+//   const { createBotClient } = require('./bots/botClient');
+//   const bot = createBotClient({
+//       url: 'http://localhost:4000', name: 'MyBot', botKey: process.env.BOT_KEY,
+//       onTick(state) { return state.self ? { angle: Math.atan2(...), boost: false } : null; },
+//   });
+//   bot.start();
+//
+// Protocol, for writing a client in another language:
+//   1. Connect with the query bot=1 (plus botKey=<key> when the server sets BOT_KEY, room=<code> for a private room).
+//   2. 'welcome' { playerId, worldSize, rules, protocolVersion, encodings, worldEvents, map, round, zone } -> answer 'clientHello' { protocolVersion,
+//      encoding: 'json' | 'binary' } and optionally 'setPlayerName' (name) and 'setViewport' { width, height, zoom }.
+//   3. 'gameState' every tick: keyframes and deltas (src/shared/snapshotProtocol.js), binary ones encoded with
+//      src/shared/binaryCodec.js. On a gap, send 'requestResync' and wait for the next keyframe.
+//   4. Steer with 'playerInput' { angle, isSpeedBoosting }. After 'gameOver' { score, death }, send 'respawn'.
+//   'rules' { tickRateMs, powerUpDurationMs, speedBoostFactor, magnetRadiusMultiplier, collisionRules } is sent again
+//   whenever the server's rules change. 'worldEvent' { phase: 'start' | 'end', event: WorldEvent } announces world
+//   events. In battle royale mode 'round' (Round) comes whenever the round phase or the number of worms alive
+//   changes and 'zone' (Zone | null) whenever the safe zone starts holding or shrinking; respawns are refused while
+//   a round runs. Connections with a wrong key get 'roomError' { message } and are disconnected.
+//
+// TickState (what onTick receives):
+//   { tick, playerId, worldSize: { width, height }, rules (as in 'welcome'), self: Worm | null (null while dead), worms: [Worm] (everyone
+//     else in view), food: [Food], leaderboard: [LeaderboardEntry], eatenFood: [{ id, eaterId, type }],
+//     worldEvents: [WorldEvent] (running ones), map: Map | null (null: an open world),
+//     entities: [{ id, x, y, angle }] (where the map's moving blades and hazards are now, empty without any),
+//     round: Round | null (null: classic mode), zone: Zone & { circle: { x, y, radius } } | null (circle: the safe
+//     area now, worms outside it shrink and die) }
+//   Worm: { id, name, isBot, isExternalBot?, segments: [{ x, y }] (head first), angle, score, radius, isSprinting,
+//     powerUps: { [powerUpId]: remainingMs } (see src/shared/powerUps.js), ... }
+//   Food: { id, x, y, radius, type, value, color } - value: growth and score it's worth (see FOOD_TIERS in src/shared/gameRules.js)
+//   WorldEvent: { id, type, label, region: { x, y, radius } | null (everywhere), modifiers, durationMs, remainingMs }
+//     (see src/shared/worldEvents.js), remainingMs is counted down locally between messages
+//   Map: { name, width, height, walls: [{ type: 'circle', x, y, radius } | { type: 'polygon', points: [[x, y]] }], entities } -
+//     worms die on the walls (see src/shared/worldMap.js, its closestWallPoint() and touchesWall() work on it after
+//     parseMap()). entities are the portals, blades, hazards and slow zones, see src/shared/mapEntities.js
+//   Round: { phase: 'lobby' | 'countdown' | 'running' | 'results', round, remainingMs, alive, participants, results }
+//     (see server/rounds.js), Zone: see src/shared/battleRoyale.js. remainingMs is counted down locally in both
+
+const { io } = require("socket.io-client");
+const { PROTOCOL_VERSION, MESSAGE_KEYFRAME, createNetState, applySnapshotMessage, toGameState } = require("../src/shared/snapshotProtocol");
+const { decodeMessage } = require("../src/shared/binaryCodec");
+const { zoneCircleAt } = require("../src/shared/battleRoyale");
+
+const DEFAULT_SERVER_URL = "http://localhost:4000";
+const DEFAULT_RESPAWN_DELAY_MS = 1000;
+const ANGLE_EPSILON = 1e-4; // Angle changes smaller than this aren't sent again
+
+/**
+ * Creates an external bot client. Nothing connects until start() is called.
+ * @param {object} options
+ * @param {function(object): ({angle?: number, boost?: boolean}|null)} options.onTick - Called for every game state
+ *        (see TickState above). Return the input for this tick, or null to keep the last one.
+ * @param {string} [options.url="http://localhost:4000"] - Game server address.
+ * @param {string} [options.name] - Display name (the server cuts it to 16 characters).
+ * @param {string} [options.botKey] - Shared key, required when the server sets BOT_KEY.
+ * @param {string} [options.room] - Private room join code.
+ * @param {string} [options.encoding="binary"] - 'binary' or 'json' snapshots.
+ * @param {object} [options.viewport] - { width, height, zoom } to see more (or less) than the default area.
+ * @param {boolean} [options.autoRespawn=true] - Respawn automatically after dying.
+ * @param {number} [options.respawnDelayMs=1000] - Wait this long before respawning.
+ * @param {function(object)} [options.onGameOver] - Called with { score, death } when the bot's worm dies.
+ * @param {object} [options.logger=console] - Receives log()/warn() calls.
+ * @returns {object} { start(), stop(), getPlayerId() }
+ */
+function createBotClient(options) {
+    if (typeof options?.onTick !== 'function') throw new Error('createBotClient needs an onTick function.');
+    const logger = options.logger || console;
+    const encoding = options.encoding === 'json' ? 'json' : 'binary';
+    const autoRespawn = options.autoRespawn ?? true;
+    const respawnDelayMs = options.respawnDelayMs ?? DEFAULT_RESPAWN_DELAY_MS;
+
+    let socket = null;
+    let playerId = null;
+    let worldSize = null;
+    let map = null;
+    let rules = null;
+    let netState = null; // null until the server agreed on the snapshot protocol
+    let awaitingResync = false;
+    let respawnTimer = null;
+    let lastInput = { angle: null, boost: false }; // What the server was last told
+    let worldEvents = []; // Running world events, each with the local time it ends (endsAt)
+    let round = null; // The last 'round' and 'zone', each with the local time it arrived (receivedAt)
+    let zone = null;
+
+    function trackWorldEvent(event) {
+        return { ...event, endsAt: Date.now() + event.remainingMs };
+    }
+
+    function handleWorldEvent(data) {
+        if (!data?.event) return;
+        worldEvents = worldEvents.filter(event => event.id !== data.event.id);
+        if (data.phase === 'start') worldEvents.push(trackWorldEvent(data.event));
+    }
+
+    function received(data) {
+        return data ? { ...data, receivedAt: Date.now() } : null;
+    }
+
+    // A received round or zone as of now
+    function countedDown({ receivedAt, ...data }) {
+        const elapsedMs = Date.now() - receivedAt;
+        return { ...data, remainingMs: data.remainingMs === null ? null : Math.max(0, data.remainingMs - elapsedMs) };
+    }
+
+    function currentZone() {
+        if (!zone) return null;
+        return { ...countedDown(zone), circle: zoneCircleAt(zone, Date.now() - zone.receivedAt) };
+    }
+
+    function handleWelcome(data) {
+        playerId = data.playerId;
+        worldSize = data.worldSize;
+        map = data.map || null;
+        rules = data.rules || null;
+        worldEvents = (data.worldEvents || []).map(trackWorldEvent);
+        round = received(data.round);
+        zone = received(data.zone);
+        lastInput = { angle: null, boost: false };
+        netState = null;
+        if (data.protocolVersion === PROTOCOL_VERSION) {
+            netState = createNetState();
+            socket.emit('clientHello', {
+                protocolVersion: PROTOCOL_VERSION,
+                encoding: data.encodings?.includes(encoding) ? encoding : 'json',
+            });
+        }
+        if (options.name) socket.emit('setPlayerName', options.name);
+        if (options.viewport) socket.emit('setViewport', options.viewport);
+        logger.log(`Bot ${options.name || playerId} joined arena ${data.arenaId} as ${playerId}`);
+    }
+
+    // Turns a received gameState into the full state, or null if it has to be skipped
+    function readGameState(data) {
+        let message = data;
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            try {
+                message = decodeMessage(data);
+            } catch (err) {
+                logger.warn(`Failed to decode gameState, requesting resync: ${err.message}`);
+                awaitingResync = true;
+                socket.emit('requestResync');
+                return null;
+            }
+        }
+        if (message.v === undefined || !netState) return message; // Full snapshot
+        if (awaitingResync && message.type !== MESSAGE_KEYFRAME) return null;
+        if (!applySnapshotMessage(netState, message)) {
+            awaitingResync = true;
+            socket.emit('requestResync');
+            return null;
+        }
+        awaitingResync = false;
+        return toGameState(netState, message);
+    }
+
+    function handleGameState(data) {
+        if (!playerId || !data) return;
+        const gameState = readGameState(data);
+        if (!gameState) return;
+
+        const own = gameState.worms[playerId];
+        const state = {
+            tick: gameState.tick ?? null,
+            playerId,
+            worldSize,
+            map,
+            rules,
+            self: own && !own.isGameOver && own.segments.length > 0 ? own : null,
+            worms: Object.values(gameState.worms).filter(w => w.id !== playerId && !w.isGameOver),
+            food: gameState.food || [],
+            leaderboard: gameState.leaderboard || [],
+            eatenFood: gameState.eatenFood || [],
+            entities: gameState.entities || [],
+            worldEvents: worldEvents.map(({ endsAt, ...event }) => ({ ...event, remainingMs: Math.max(0, endsAt - Date.now()) })),
+            round: round && countedDown(round),
+            zone: currentZone(),
+        };
+
+        let input = null;
+        try {
+            input = options.onTick(state);
+        } catch (err) {
+            logger.warn(`Bot onTick failed: ${err.stack || err.message}`);
+        }
+        if (input && state.self) sendInput(input);
+    }
+
+    function sendInput(input) {
+        const data = {};
+        if (typeof input.angle === 'number' && isFinite(input.angle) &&
+            (lastInput.angle === null || Math.abs(input.angle - lastInput.angle) > ANGLE_EPSILON)) {
+            data.angle = input.angle;
+            lastInput.angle = input.angle;
+        }
+        const boost = Boolean(input.boost);
+        if (boost !== lastInput.boost) {
+            data.isSpeedBoosting = boost;
+            lastInput.boost = boost;
+        }
+        if (Object.keys(data).length > 0) socket.emit('playerInput', data);
+    }
+
+    function handleGameOver(data) {
+        lastInput = { angle: null, boost: false }; // A respawned worm starts without input
+        options.onGameOver?.(data);
+        if (!autoRespawn) return;
+        clearTimeout(respawnTimer);
+        respawnTimer = setTimeout(() => socket?.emit('respawn'), respawnDelayMs);
+    }
+
+    /**
+     * Connects to the server. The bot plays until stop() is called, reconnecting when the connection drops.
+     */
+    function start() {
+        if (socket) return;
+        const query = { bot: '1' };
+        if (options.botKey) query.botKey = options.botKey;
+        if (options.room) query.room = options.room;
+        socket = io(options.url || DEFAULT_SERVER_URL, { transports: ['websocket'], query });
+
+        socket.on('welcome', handleWelcome);
+        socket.on('gameState', handleGameState);
+        socket.on('gameOver', handleGameOver);
+        socket.on('rules', data => { rules = data || rules; });
+        socket.on('worldEvent', handleWorldEvent);
+        socket.on('round', data => { round = received(data); });
+        socket.on('zone', data => { zone = received(data); });
+        socket.on('roomError', data => logger.warn(`Bot rejected: ${data?.message}`));
+        socket.on('connect_error', err => logger.warn(`Bot connection failed: ${err.message}`));
+        socket.on('disconnect', reason => {
+            playerId = null;
+            logger.log(`Bot disconnected: ${reason}`);
+        });
+    }
+
+    /**
+     * Disconnects and stops the bot.
+     */
+    function stop() {
+        clearTimeout(respawnTimer);
+        socket?.disconnect();
+        socket = null;
+        playerId = null;
+    }
+
+    return { start, stop, getPlayerId: () => playerId };
+}
+
+module.exports = { createBotClient };
@@ -0,0 +1,50 @@
+// --- Example External Bot ---
+// Starts one or more bots that chase the nearest food and turn back from the walls, as a starting point for
+// your own. Usage:
+//   node bots/exampleBot.js [serverUrl] [botCount]
+// Set BOT_KEY when the server requires one, BOT_ROOM to join a private room.
+
+const { createBotClient } = require("./botClient");
+
+const WALL_MARGIN = 150; // Head back to the middle when this close to a wall
+
+/**
+ * Input for one tick: towards the closest food, or away from a wall that is too close.
+ * @param {object} state - TickState (see botClient.js).
+ * @returns {{angle: number, boost: boolean}|null}
+ */
+function chaseFood(state) {
+    const { self, worldSize, food } = state;
+    if (!self) return null;
+    const head = self.segments[0];
+
+    if (head.x < WALL_MARGIN || head.x > worldSize.width - WALL_MARGIN ||
+        head.y < WALL_MARGIN || head.y > worldSize.height - WALL_MARGIN) {
+        return { angle: Math.atan2(worldSize.height / 2 - head.y, worldSize.width / 2 - head.x), boost: false };
+    }
+
+    let closest = null;
+    let closestDistSq = Infinity;
+    food.forEach(f => {
+        const distSq = (f.x - head.x) ** 2 + (f.y - head.y) ** 2;
+        if (distSq < closestDistSq) {
+            closest = f;
+            closestDistSq = distSq;
+        }
+    });
+    if (!closest) return null;
+    return { angle: Math.atan2(closest.y - head.y, closest.x - head.x), boost: false };
+}
+
+const url = process.argv[2] || "http://localhost:4000";
+const count = Math.max(1, parseInt(process.argv[3], 10) || 1);
+for (let i = 0; i < count; i++) {
+    createBotClient({
+        url,
+        name: `Chaser ${i + 1}`,
+        botKey: process.env.BOT_KEY,
+        room: process.env.BOT_ROOM,
+        onTick: chaseFood,
+        onGameOver: ({ score }) => console.log(`Chaser ${i + 1} died with ${score} points`),
+    }).start();
+}
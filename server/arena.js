@@ -0,0 +1,706 @@
+// --- Arena ---
+// One game world plus the people watching it: wraps a simulation (src/shared/simulation.js) with the
+// socket.io side - its room, per-client snapshots, the private match host controls and the battle royale rounds.
+// See server/arenaManager.js for placement.
+const { PROTOCOL_VERSION, createClientView, encodeSnapshot, requestKeyframe } = require("../src/shared/snapshotProtocol");
+const { encodeMessage } = require("../src/shared/binaryCodec");
+const { createSimulation, describeDeath, WORLD_GROUND_Z, DEFAULT_SETTINGS } = require("../src/shared/simulation");
+const { TICK_RATE_MS, clientRules } = require("../src/shared/gameRules");
+const { REPLAY_EVENT_DEATH } = require("../src/shared/replay");
+const { normalizeCollisionRules } = require("../src/shared/collisionRules");
+const { clientMap } = require("../src/shared/worldMap");
+const { GAME_MODE_BATTLE_ROYALE } = require("../src/shared/battleRoyale");
+const { createRoundController } = require("./rounds");
+
+// Area of Interest (per-client snapshot filtering)
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080, zoom: 1 }; // Used until the client reports its viewport
+const MAX_VIEWPORT_DIMENSION = 3840; // Clamp client-reported viewport sizes
+const MIN_VIEWPORT_ZOOM = 0.5; // Clamp client-reported zoom (smaller zoom = larger visible area)
+const AOI_MARGIN = 200; // Extra world units around the viewport so worms don't pop in at the screen edge
+const MINIMAP_UPDATE_INTERVAL_TICKS = 15; // Minimap summary is low detail, refresh it ~5 times per second
+const MINIMAP_MAX_FOOD_DOTS = 100; // Max food positions included in the minimap summary
+
+// Snapshot Protocol (keyframes + per-tick deltas)
+const KEYFRAME_INTERVAL_TICKS = 375; // Send a full keyframe every ~5 seconds even without a resync request
+const ENCODING_JSON = 'json';
+const ENCODING_BINARY = 'binary'; // See src/shared/binaryCodec.js
+const SUPPORTED_ENCODINGS = [ENCODING_JSON, ENCODING_BINARY];
+
+// Replays (see server/replayRecorder.js)
+const REPLAY_COORDINATE_PRECISION = 10; // Recorded positions are rounded to 1/10 unit, plenty for playback and much smaller
+
+// --- Private Match Settings (host controls) ---
+const MATCH_STATE_WAITING = 'waiting'; // Private arena created, world frozen until the host starts the match
+const MATCH_STATE_RUNNING = 'running';
+const MAX_MATCH_BOTS = 30;
+const MIN_MATCH_WORLD_SIZE = 2000; // Smaller worlds leave no room for the spawn margin of a full-length worm
+const MAX_MATCH_WORLD_SIZE = 6000; // Keeps coordinates well inside the binary codec's quantized range
+const MIN_FOOD_DENSITY = 0.25; // Multiplier of the default food amount per world area
+const MAX_FOOD_DENSITY = 4;
+// Settings the host of a private arena picks, server config reloads leave them alone there
+const HOST_SETTINGS = ['botCount', 'worldWidth', 'worldHeight', 'foodDensity', 'collisionRules'];
+
+// --- Utility Functions ---
+function clamp(value, min, max) { return Math.min(max, Math.max(min, value)); }
+
+/**
+ * Validates host-submitted match settings, keeping the current value for anything missing or invalid.
+ * @param {object} current - The current settings.
+ * @param {object} data - { botCount?, worldSize?: { width, height }, foodDensity?, collisionRules? } from the client.
+ * @returns {object} The new settings.
+ */
+function sanitizeMatchSettings(current, data) {
+    const next = { ...current };
+    const isNumber = v => typeof v === 'number' && isFinite(v);
+    if (isNumber(data.botCount)) next.botCount = clamp(Math.round(data.botCount), 0, MAX_MATCH_BOTS);
+    if (isNumber(data.worldSize?.width)) next.worldWidth = clamp(Math.round(data.worldSize.width), MIN_MATCH_WORLD_SIZE, MAX_MATCH_WORLD_SIZE);
+    if (isNumber(data.worldSize?.height)) next.worldHeight = clamp(Math.round(data.worldSize.height), MIN_MATCH_WORLD_SIZE, MAX_MATCH_WORLD_SIZE);
+    if (isNumber(data.foodDensity)) next.foodDensity = clamp(data.foodDensity, MIN_FOOD_DENSITY, MAX_FOOD_DENSITY);
+    if (data.collisionRules && typeof data.collisionRules === 'object') {
+        next.collisionRules = normalizeCollisionRules({ ...current.collisionRules, ...data.collisionRules });
+    }
+    return next;
+}
+
+// --- Arena Factory ---
+
+/**
+ * Creates an arena. Each arena is ticked by the arena manager and only talks to the sockets in its room.
+ * Private arenas have a join code and a host who picks the match settings and starts/restarts the match;
+ * public arenas always run with the default settings. In battle royale mode the arena plays rounds (see
+ * server/rounds.js), which public arenas start by themselves and private ones when the host starts the match.
+ * @param {import('socket.io').Server} io - The Socket.IO server.
+ * @param {string} id - Unique arena ID, also used to name its socket.io room.
+ * @param {object} [options] - { code, hostKey } for a private arena, { seed } to reproduce a world,
+ *                             { settings } to start from instead of DEFAULT_SETTINGS, { tickRateMs } it's ticked at,
+ *                             { map } to play on (a parsed map, see src/shared/worldMap.js, it fixes the world size),
+ *                             { replayStore } to record replays while humans are playing, { botMix } for bot difficulties,
+ *                             { brainMix } for bot brains, { mode } GAME_MODE_CLASSIC (the default) or
+ *                             GAME_MODE_BATTLE_ROYALE (see src/shared/battleRoyale.js).
+ * @returns {object} The arena: { id, room, code, isPrivate, seed, tick, addPlayer, removePlayer, getHumanCount,
+ *                   getStats, getSettings, updateDefaultSettings, setBotMixes, close }.
+ */
+function createArena(io, id, options = {}) {
+    const room = `arena:${id}`;
+    const code = options.code || null;
+    const isPrivate = Boolean(code);
+    const seed = options.seed ?? Math.floor(Math.random() * 0x100000000);
+    const tickRateMs = options.tickRateMs ?? TICK_RATE_MS;
+
+    // --- Match State ---
+    // nextSettings: what the host picked for the next (re)start (the running ones are sim.settings)
+    let nextSettings = { ...DEFAULT_SETTINGS, ...options.settings };
+    let matchState = isPrivate ? MATCH_STATE_WAITING : MATCH_STATE_RUNNING;
+    let matchNumber = 0; // Increments on every (re)start so clients can tell a restart happened
+    let hostId = null; // Socket ID of the current host (private arenas only)
+    const hostKey = options.hostKey || null; // Secret that lets the host reclaim the role after reconnecting
+
+    // --- Game State ---
+    // The world itself. Player objects also carry the server-only fields viewport?, lastViewCenter? and
+    // isExternalBot? (an AI connected over the socket protocol, see bots/botClient.js; the simulation treats it as human)
+    const sim = createSimulation({
+        seed,
+        tickRateMs,
+        settings: nextSettings,
+        map: options.map,
+        scaleBotsWithPlayers: !isPrivate, // Public arenas keep at least two bots per human
+        botMix: options.botMix,
+        brainMix: options.brainMix,
+        onPlayerDied: handlePlayerDied,
+        onWorldEvent: handleWorldEvent,
+        onZoneChange: (zone) => io.to(room).emit('zone', zone),
+    });
+    // Battle royale rounds, null in classic mode
+    const rounds = options.mode === GAME_MODE_BATTLE_ROYALE
+        ? createRoundController({
+            sim,
+            tickRateMs,
+            autoStart: !isPrivate,
+            rebuildWorld,
+            onChange: (info) => io.to(room).emit('round', info),
+        })
+        : null;
+
+    let tickCount = 0; // Number of game loop ticks run so far (keeps counting while a private match is waiting)
+    // clientViews: { socketId: { view: ClientView, encoding } } - What each delta-protocol client currently knows
+    // (see src/shared/snapshotProtocol.js) and how its messages are encoded.
+    // Clients that never announce the protocol version keep receiving full snapshots.
+    const clientViews = new Map();
+
+    // --- Replay Recording ---
+    const replayStore = options.replayStore || null;
+    let recorder = null; // Current replay file, only open while a match with humans in it is running
+
+    /**
+     * Announces a world event starting or ending to the arena, clients show a banner and mark its region.
+     * @param {string} phase - WORLD_EVENT_START or WORLD_EVENT_END (see src/shared/worldEvents.js).
+     * @param {object} event - The serialized event.
+     */
+    function handleWorldEvent(phase, event) {
+        io.to(room).emit('worldEvent', { phase, event });
+    }
+
+    /**
+     * Records the death in the replay, announces it to the arena (kill feed) and notifies the victim of game over.
+     * @param {object} player - The player whose worm died.
+     * @param {object} death - The simulation's death event (victim, cause, killer).
+     */
+    function handlePlayerDied(player, death) {
+        recorder?.recordEvent(tickCount, {
+            kind: REPLAY_EVENT_DEATH,
+            playerId: player.id,
+            name: player.name,
+            reason: describeDeath(death),
+            cause: death.cause,
+            killerId: death.killerId,
+            killerName: death.killerName,
+            length: death.victimLength,
+        });
+        io.to(room).emit('playerKilled', death);
+        rounds?.handlePlayerDied(player);
+        if (player.isBot) return;
+        const socket = io.sockets.sockets.get(player.id);
+        if (socket) {
+            socket.emit('gameOver', { score: player.worm.score, death });
+            console.log(`Sent gameOver to player ${player.name}`);
+        }
+    }
+
+    /**
+     * Generates the leaderboard data.
+     * @returns {Array<LeaderboardEntry>} Sorted list of leaderboard entries.
+     */
+    function getLeaderboard() {
+        // Map player objects to leaderboard entries and sort by score
+        return Object.values(sim.players)
+            .filter(player => player.worm) // Only include players with worm data
+            .map(p => ({
+                id: p.id,
+                name: p.name || `${p.isBot ? 'Bot' : 'Worm'} ${p.id.substring(0, 4)}`, // Use name if available
+                score: p.worm.score ?? 0, // Use worm's score
+                kills: p.worm.kills ?? 0,
+                 color: p.worm.color, // Include color
+                isExternalBot: p.isExternalBot || undefined, // Only sent for external bots
+            }))
+            .sort((a, b) => b.score - a.score) // Sort descending by score
+            .slice(0, 10); // Take top 10
+    }
+
+    /**
+     * Serializes a single worm for the client.
+     * @param {object} p - The player object.
+     * @returns {object} The worm data sent to clients.
+     */
+    function serializeWorm(p) {
+        return {
+            id: p.id,
+            name: p.name, // Send name for potential display
+            isBot: p.isBot, // Let client know if it's a bot
+            isExternalBot: p.isExternalBot || undefined, // AI player connected from outside, only sent when true
+            // Send a copy of segments to avoid modifying the original array during serialization
+            segments: p.worm.segments.map(s => ({ x: s.x, y: s.y, z: s.z ?? WORLD_GROUND_Z })),
+            color: p.worm.color,
+            angle: p.worm.angle,
+            score: p.worm.score,
+            isGameOver: !p.worm.isAlive, // Indicate if this specific worm is dead
+            spawnId: p.worm.spawnId,
+            headSeq: p.worm.headSeq,
+            // Send relevant state for client-side effects (e.g., visual cues)
+            powerUps: sim.getPowerUpTimers(p.worm), // { [powerUpId]: remainingMs } for the HUD and effects
+            isSprinting: p.worm.isSprinting || false,
+            radius: p.worm.radius, // Draw thickness, the same one collisions use
+        };
+    }
+
+    /**
+     * Serializes a single food item for the client.
+     * @param {object} f - The food item.
+     * @returns {object} The food data sent to clients.
+     */
+    function serializeFood(f) {
+        // Ensure the 'type' property is included in the food sent to the client
+        return {
+            id: f.id,
+            x: f.x,
+            y: f.y,
+            z: f.z ?? WORLD_GROUND_Z, // Ensure Z is included
+            color: f.color,
+            radius: f.radius,
+            type: f.type, // <-- Include the type here
+            value: f.value, // Drawn bigger and brighter the more it's worth (see FOOD_TIERS in gameRules.js)
+        };
+    }
+
+    /**
+     * Calculates the area of interest (the region a client can see) for a player.
+     * The radius covers the client's viewport (scaled by its zoom) plus a margin.
+     * @param {object} player - The player object.
+     * @returns {{x: number, y: number, radius: number}} Center and radius in world units.
+     */
+    function getAreaOfInterest(player) {
+        const head = player.worm?.segments?.[0];
+        if (head) {
+            // Remember the last head position so dead players keep seeing where they died
+            player.lastViewCenter = { x: head.x, y: head.y };
+        }
+        const center = player.lastViewCenter || { x: sim.settings.worldWidth / 2, y: sim.settings.worldHeight / 2 };
+        const viewport = player.viewport || DEFAULT_VIEWPORT;
+        const halfWidth = viewport.width / 2 / viewport.zoom;
+        const halfHeight = viewport.height / 2 / viewport.zoom;
+        return {
+            x: center.x,
+            y: center.y,
+            radius: Math.sqrt(halfWidth * halfWidth + halfHeight * halfHeight) + AOI_MARGIN
+        };
+    }
+
+    /**
+     * Builds the low-detail minimap summary shared by all clients:
+     * every worm's head position and a sample of food positions (rounded to whole units).
+     * @returns {{worms: Array<{id: string, x: number, y: number}>, food: Array<number>}} food is a flat [x0, y0, x1, y1, ...] array.
+     */
+    function prepareMinimapSummary() {
+        const worms = [];
+        Object.values(sim.players).forEach(p => {
+            const head = p.worm?.isAlive && p.worm.segments[0];
+            if (head) worms.push({ id: p.id, x: Math.round(head.x), y: Math.round(head.y) });
+        });
+        const food = sim.food;
+        const foodDots = [];
+        const foodStep = Math.max(1, Math.floor(food.length / MINIMAP_MAX_FOOD_DOTS));
+        for (let i = 0; i < food.length; i += foodStep) {
+            foodDots.push(Math.round(food[i].x), Math.round(food[i].y));
+        }
+        return { worms, food: foodDots };
+    }
+
+    /**
+     * Prepares the game state object to be sent to one client, filtered to that player's area of interest.
+     * @param {object} viewer - The player the snapshot is for.
+     * @param {Array<LeaderboardEntry>} leaderboard - Leaderboard computed once per tick.
+     * @param {object} [minimap] - Minimap summary, only included on ticks where it was refreshed.
+     * @param {Map<string, object>} serializedWorms - Per-tick cache so worms seen by several clients are serialized once.
+     * @param {Array<object>} [entities] - Where the map's moving entities are, on maps that have them (not filtered,
+     *                                     there are only a few).
+     * @returns {object} The game state snapshot.
+     */
+    function prepareGameState(viewer, leaderboard, minimap, serializedWorms, entities) {
+        const aoi = getAreaOfInterest(viewer);
+        const aoiRadiusSq = aoi.radius * aoi.radius;
+
+        // Living worms with at least one segment inside the area of interest
+        const visiblePlayers = new Set();
+        sim.segmentGrid.query(aoi.x, aoi.y, aoi.radius, (entry) => {
+            if (entry.item.worm?.isAlive) visiblePlayers.add(entry.item);
+        });
+        // The grid only holds living worms; dead worms are still sent (flagged isGameOver) when their head is in view
+        Object.values(sim.players).forEach(p => {
+            const head = p.worm?.segments?.[0];
+            if (p.worm && !p.worm.isAlive && head) {
+                const dx = head.x - aoi.x;
+                const dy = head.y - aoi.y;
+                if (dx * dx + dy * dy < aoiRadiusSq) visiblePlayers.add(p);
+            }
+        });
+        // The viewer always receives its own worm
+        if (viewer.worm) visiblePlayers.add(viewer);
+
+        const wormsForClient = {};
+        visiblePlayers.forEach(p => {
+            if (!serializedWorms.has(p.id)) serializedWorms.set(p.id, serializeWorm(p));
+            wormsForClient[p.id] = serializedWorms.get(p.id);
+        });
+
+        const foodForClient = [];
+        sim.foodGrid.query(aoi.x, aoi.y, aoi.radius, (entry) => {
+            foodForClient.push(serializeFood(entry.item));
+        });
+
+        const gameState = {
+            worms: wormsForClient,
+            food: foodForClient,
+            leaderboard, // Include leaderboard
+            // Include eaten food with type for client power-up activation (only for worms this client can see)
+            eatenFood: sim.eatenFood.filter(e => wormsForClient[e.eaterId])
+        };
+        if (minimap) gameState.minimap = minimap;
+        if (entities) gameState.entities = entities;
+        return gameState;
+    }
+
+    // --- Main Game Loop ---
+    /**
+     * Advances this arena by one tick and sends each member its snapshot. Called by the arena manager.
+     */
+    function tick() {
+        tickCount++;
+        if (matchState === MATCH_STATE_RUNNING) {
+            if (!rounds?.isWorldFrozen()) {
+                updateRecording();
+                sim.step();
+            }
+            rounds?.update();
+        }
+        sendSnapshots();
+        recorder?.record(tickCount, prepareReplaySnapshot);
+    }
+
+    /**
+     * Sends each member of this arena its snapshot for the current tick.
+     */
+    function sendSnapshots() {
+        // 4. Prepare the parts of the state shared by every client
+        const leaderboard = getLeaderboard();
+        const minimap = tickCount % MINIMAP_UPDATE_INTERVAL_TICKS === 0 ? prepareMinimapSummary() : undefined;
+        const serializedWorms = new Map();
+        const entities = movingEntityStates();
+
+        // 5. Emit a snapshot filtered to each member's area of interest (only sockets in this arena's room)
+        const memberIds = io.sockets.adapter.rooms.get(room);
+        if (!memberIds) return;
+        memberIds.forEach(socketId => {
+            const socket = io.sockets.sockets.get(socketId);
+            const player = sim.players[socketId];
+            if (!socket || !player) return;
+            const snapshot = prepareGameState(player, leaderboard, minimap, serializedWorms, entities);
+            const client = clientViews.get(socketId);
+            if (!client) {
+                socket.emit('gameState', snapshot); // Client doesn't speak the delta protocol, send the full snapshot
+                return;
+            }
+            const message = encodeSnapshot(client.view, tickCount, snapshot);
+            socket.emit('gameState', client.encoding === ENCODING_BINARY ? encodeMessage(message) : message);
+        });
+    }
+
+    /**
+     * @returns {Array<object>|undefined} Where the map's moving blades and hazards are this tick, undefined if it has none.
+     */
+    function movingEntityStates() {
+        const entities = sim.getEntityStates();
+        return entities.length > 0 ? entities : undefined;
+    }
+
+    // --- Replays ---
+    /**
+     * Opens a replay file when humans are playing and closes it when the last one leaves.
+     * Long sessions are split into several files.
+     */
+    function updateRecording() {
+        if (!replayStore) return;
+        const hasHumans = sim.getHumanCount() > 0;
+        if (recorder && (!hasHumans || recorder.isExpired())) stopRecording();
+        if (!recorder && hasHumans) {
+            recorder = replayStore.startRecording({
+                arenaId: id,
+                code,
+                seed,
+                settings: sim.settings,
+                map: clientMap(sim.map),
+                tickRateMs,
+            });
+            console.log(`Arena ${id} recording replay ${recorder.name}`);
+        }
+    }
+
+    function stopRecording() {
+        if (!recorder) return;
+        recorder.close();
+        recorder = null;
+    }
+
+    /**
+     * Prepares the whole-world snapshot recorded in replays (every worm and food item, positions rounded).
+     * @returns {object} The snapshot, same shape as prepareGameState().
+     */
+    function prepareReplaySnapshot() {
+        const round = v => Math.round(v * REPLAY_COORDINATE_PRECISION) / REPLAY_COORDINATE_PRECISION;
+        const worms = {};
+        Object.values(sim.players).forEach(p => {
+            if (!p.worm) return;
+            const worm = serializeWorm(p);
+            worm.segments = worm.segments.map(s => ({ x: round(s.x), y: round(s.y), z: s.z }));
+            worms[p.id] = worm;
+        });
+        const snapshot = {
+            worms,
+            food: sim.food.map(serializeFood),
+            leaderboard: getLeaderboard(),
+            eatenFood: [],
+        };
+        const entities = movingEntityStates();
+        if (entities) snapshot.entities = entities;
+        return snapshot;
+    }
+
+    // --- Socket.IO Event Handlers ---
+    /**
+     * Adds a connected human player to this arena: joins its room, spawns a worm and binds the socket's game events.
+     * @param {import('socket.io').Socket} socket - The player's socket.
+     * @param {object} [joinOptions] - { hostKey } sent by a client that created this private arena,
+     *                                 { isExternalBot } for AI players connecting with the bot client.
+     */
+    function addPlayer(socket, joinOptions = {}) {
+        console.log(`${joinOptions.isExternalBot ? 'External bot' : 'User'} ${socket.id} joined arena ${id}`);
+        socket.join(room);
+
+        // Player Initialization
+        const playerName = `${joinOptions.isExternalBot ? 'Bot' : 'Worm'}_${socket.id.substring(0, 4)}`;
+        const player = sim.addHuman(socket.id, playerName); // Spawns the player's worm
+        if (joinOptions.isExternalBot) player.isExternalBot = true;
+
+        // The first player in a private arena becomes host; the creator reclaims the role with its host key
+        if (isPrivate && (!hostId || (hostKey && joinOptions.hostKey === hostKey))) {
+            hostId = socket.id;
+        }
+
+        // Send welcome data to the new client
+        socket.emit('welcome', {
+            playerId: socket.id,
+            worldSize: { width: sim.settings.worldWidth, height: sim.settings.worldHeight },
+            protocolVersion: PROTOCOL_VERSION, // Clients that speak it answer with 'clientHello' to get keyframes + deltas
+            encodings: SUPPORTED_ENCODINGS, // Encodings the client may pick in 'clientHello'
+            arenaId: id,
+            rules: getClientRules(),
+            worldEvents: sim.getWorldEvents(), // Running events, later ones arrive as 'worldEvent'
+            map: clientMap(sim.map), // Walls to draw, null for an open world
+            round: rounds?.getInfo() ?? null, // Battle royale round, later changes arrive as 'round' (null in classic mode)
+            zone: sim.getZone(), // The battle royale zone, later changes arrive as 'zone' (null while there's none)
+        });
+        if (isPrivate) broadcastMatchInfo();
+
+        // Handle protocol negotiation: switch this client from full snapshots to keyframes + deltas
+        socket.on('clientHello', (data) => {
+            if (data?.protocolVersion === PROTOCOL_VERSION && !clientViews.has(socket.id)) {
+                const encoding = SUPPORTED_ENCODINGS.includes(data.encoding) ? data.encoding : ENCODING_JSON;
+                clientViews.set(socket.id, { view: createClientView(KEYFRAME_INTERVAL_TICKS), encoding });
+            }
+        });
+
+        // Handle resync request (client detected a gap in the tick sequence)
+        socket.on('requestResync', () => {
+            const client = clientViews.get(socket.id);
+            if (client) requestKeyframe(client.view);
+        });
+
+        // Handle player input (angle and whether the sprint input is held)
+        socket.on('playerInput', (data) => {
+            // The simulation validates the angle and ignores input for dead worms
+            if (data) {
+                // Update the player's target angle based on client input (may be omitted when only the sprint changed)
+                sim.setTargetAngle(socket.id, data.angle);
+                // isSpeedBoosting is what the client *wants*; the simulation decides whether the worm
+                // can afford to sprint and takes the length it costs
+                if (data.isSpeedBoosting !== undefined) sim.setSprinting(socket.id, data.isSpeedBoosting === true);
+            }
+        });
+
+        // Handle viewport updates from client (canvas size and zoom), used to size the area of interest
+        socket.on('setViewport', (data) => {
+            const player = sim.players[socket.id];
+            if (!player || !data) return;
+            const { width, height, zoom } = data;
+            if (![width, height, zoom].every(v => typeof v === 'number' && isFinite(v) && v > 0)) return;
+            player.viewport = {
+                width: Math.min(width, MAX_VIEWPORT_DIMENSION),
+                height: Math.min(height, MAX_VIEWPORT_DIMENSION),
+                zoom: Math.max(zoom, MIN_VIEWPORT_ZOOM),
+            };
+        });
+
+        // Handle player respawn request from client
+        socket.on('respawn', () => {
+            // Only respawns if the player exists and is currently dead
+            if (sim.respawnPlayer(socket.id)) {
+                console.log(`Player ${sim.players[socket.id].name} requested respawn.`);
+                // Server will include the respawned worm in the next gameState update
+            }
+        });
+
+        // Handle disconnection
+        socket.on('disconnect', (reason) => {
+            const player = sim.players[socket.id];
+            const name = player ? player.name : `User ${socket.id.substring(0,4)}`;
+            console.log(`${name} disconnected. Reason: ${reason}`);
+            removePlayer(socket.id);
+        });
+
+        // Handle name change request from client
+         socket.on('setPlayerName', (name) => {
+             const player = sim.players[socket.id];
+             if (player && typeof name === 'string') {
+                 const sanitizedName = name.trim().substring(0, 16); // Limit name length
+                 if (sanitizedName) {
+                      player.name = sanitizedName; // Update player's name
+                      console.log(`Player ${socket.id} set name to ${sanitizedName}`);
+                 }
+             }
+         });
+
+        // --- Host Controls (private arenas only, ignored for everyone but the host) ---
+        // Settings are staged and take effect when the host (re)starts the match
+        socket.on('hostUpdateSettings', (data) => {
+            if (!isPrivate || socket.id !== hostId || !data || typeof data !== 'object') return;
+            nextSettings = sanitizeMatchSettings(nextSettings, data);
+            broadcastMatchInfo();
+        });
+
+        socket.on('hostStartMatch', () => {
+            if (!isPrivate || socket.id !== hostId) return;
+            startMatch();
+        });
+    }
+
+    /**
+     * Removes a human player from this arena (socket.io leaves the room by itself on disconnect).
+     * @param {string} socketId - The player's socket ID.
+     */
+    function removePlayer(socketId) {
+        // Optionally kill the player's worm on disconnect
+        // killPlayer(socketId, "disconnected"); // This would drop food etc.
+        // Or simply remove the player entry
+        sim.removePlayer(socketId); // Remove player from state
+        clientViews.delete(socketId);
+
+        // Hand the host role to the longest-connected remaining human
+        if (isPrivate && socketId === hostId) {
+            const nextHost = Object.values(sim.players).find(p => !p.isBot);
+            hostId = nextHost ? nextHost.id : null;
+            broadcastMatchInfo();
+        }
+    }
+
+    // --- Match Control ---
+    /**
+     * Rebuilds the world with the staged settings and respawns every human with a fresh worm.
+     */
+    function rebuildWorld() {
+        stopRecording(); // Every match (and round) gets its own replay
+        sim.reset(nextSettings);
+        Object.values(sim.players).forEach(player => { player.lastViewCenter = null; });
+        // Everything changed, so every delta-protocol client starts over from a keyframe
+        clientViews.forEach(client => requestKeyframe(client.view));
+    }
+
+    /**
+     * Starts or restarts a private match: applies the staged settings, rebuilds the world
+     * and respawns every human with a fresh worm. In battle royale mode that's the countdown to a round.
+     */
+    function startMatch() {
+        if (rounds) rounds.startRound();
+        else rebuildWorld();
+
+        matchState = MATCH_STATE_RUNNING;
+        matchNumber++;
+        console.log(`Arena ${id} (${code}) started match #${matchNumber}: ${JSON.stringify(sim.settings)}`);
+        broadcastMatchInfo();
+        io.to(room).emit('rules', getClientRules());
+    }
+
+    /**
+     * Sends the private match info to every member. Only the host's copy carries the host key.
+     */
+    function broadcastMatchInfo() {
+        const info = {
+            code,
+            hostId,
+            state: matchState,
+            matchNumber,
+            worldSize: { width: sim.settings.worldWidth, height: sim.settings.worldHeight },
+            settings: {
+                botCount: nextSettings.botCount,
+                worldSize: { width: nextSettings.worldWidth, height: nextSettings.worldHeight },
+                foodDensity: nextSettings.foodDensity,
+                collisionRules: nextSettings.collisionRules,
+            },
+        };
+        io.sockets.adapter.rooms.get(room)?.forEach(socketId => {
+            const socket = io.sockets.sockets.get(socketId);
+            if (!socket) return;
+            socket.emit('matchInfo', socketId === hostId ? { ...info, hostKey } : info);
+        });
+    }
+
+    // --- Rules & Settings ---
+    /**
+     * The rules clients need to match what the simulation does (see clientRules() in src/shared/gameRules.js).
+     * Sent in 'welcome' and again as 'rules' whenever they change.
+     * @returns {object} The rules.
+     */
+    function getClientRules() {
+        return clientRules(sim.settings, tickRateMs);
+    }
+
+    /**
+     * Takes new default settings (e.g. from a server config reload). The running world picks up what can change
+     * live, the rest applies from the next (re)start. Private arenas keep the settings their host picked.
+     * @param {object} defaults - World settings, see src/shared/simulation.js.
+     */
+    function updateDefaultSettings(defaults) {
+        const changes = { ...defaults };
+        if (isPrivate) HOST_SETTINGS.forEach(key => delete changes[key]);
+        nextSettings = { ...nextSettings, ...changes };
+        sim.updateSettings(changes);
+        io.to(room).emit('rules', getClientRules());
+        if (isPrivate) broadcastMatchInfo();
+    }
+
+    /**
+     * Changes the bot difficulty and brain mixes for bots added from now on.
+     */
+    function setBotMixes(botMix, brainMix) {
+        sim.setBotMixes(botMix, brainMix);
+    }
+
+    /**
+     * @returns {number} Number of human players currently in this arena (bots don't count towards the cap).
+     */
+    function getHumanCount() {
+        return sim.getHumanCount();
+    }
+
+    /**
+     * @returns {object} { id, isPrivate, map (its name), humans, worms (living), food, worldEvents, round } - food is the food
+     *                   ecosystem's stats (see src/shared/foodEcosystem.js), worldEvents the running world events
+     *                   (src/shared/worldEvents.js), round { phase, round } in battle royale mode (null otherwise).
+     *                   Private arenas' join codes are left out.
+     */
+    function getStats() {
+        return {
+            id,
+            isPrivate,
+            map: sim.map?.name ?? null,
+            humans: sim.getHumanCount(),
+            worms: Object.values(sim.players).filter(p => p.worm?.isAlive).length,
+            food: sim.getFoodStats(),
+            worldEvents: sim.getWorldEvents(),
+            round: rounds ? { phase: rounds.getPhase(), round: rounds.getInfo().round } : null,
+        };
+    }
+
+    /**
+     * Releases the arena's resources when the manager closes it (finishes an open replay).
+     */
+    function close() {
+        stopRecording();
+    }
+
+    return {
+        id,
+        room,
+        code,
+        isPrivate,
+        seed,
+        tick,
+        addPlayer,
+        removePlayer,
+        getHumanCount,
+        getStats,
+        getSettings: () => ({ ...nextSettings }), // What the next (re)built world gets
+        updateDefaultSettings,
+        setBotMixes,
+        close,
+    };
+}
+
+module.exports = { createArena };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// --- Arena Manager ---
+// Owns every arena in the process, places new connections into the least-full public arena
+// (or the private arena named by their join code) and ticks all arenas from a single game loop interval.
+const crypto = require("crypto");
+const { createArena } = require("./arena");
+
+// --- Arena Constants ---
+const MAX_PLAYERS_PER_ARENA = 10; // Default human players per arena, bots don't count. A new arena is opened when all are full
+const EMPTY_ARENA_TIMEOUT_MS = 60000; // Arenas without humans for this long are closed (one public arena always stays)
+const JOIN_CODE_LENGTH = 4;
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // No I/O, they are easily confused with 1/0
+const NEW_PRIVATE_ROOM = "new"; // ?room=new creates a private arena instead of joining one
+const EXTERNAL_BOT_QUERY_VALUE = "1"; // ?bot=1 joins as an external bot (see bots/botClient.js)
+
+/**
+ * Creates the arena manager.
+ * @param {import('socket.io').Server} io - The Socket.IO server.
+ * @param {object} [options] - { replayStore } to record replays (see server/replayRecorder.js),
+ *                             { settings } world settings for new arenas (see src/shared/simulation.js),
+ *                             { tickRateMs } the game loop interval the arenas are ticked at,
+ *                             { map } the map every arena is played on (see src/shared/worldMap.js),
+ *                             { maxPlayersPerArena } the player cap (MAX_PLAYERS_PER_ARENA by default),
+ *                             { botMix } for the bot difficulty shares in every arena (see src/shared/botAI.js),
+ *                             { brainMix } for the bot brain shares (see src/shared/botBrain.js),
+ *                             { botKey } to only let external bots in that present this key,
+ *                             { mode } the game mode of every arena (see src/shared/battleRoyale.js).
+ *                             All but replayStore, tickRateMs, map and mode can be changed later with updateOptions().
+ * @returns {object} The manager: { placePlayer, tick, getArenaCount, getStats, updateOptions }.
+ */
+function createArenaManager(io, options = {}) {
+    options = { maxPlayersPerArena: MAX_PLAYERS_PER_ARENA, ...options };
+    // arenas: Array of { arena, emptySince } in creation order. emptySince is null while humans are present
+    const arenas = [];
+    // privateArenas: { joinCode: Arena }
+    const privateArenas = new Map();
+    let nextArenaId = 0;
+
+    function openArena(arenaOptions = {}) {
+        const arena = createArena(io, `${nextArenaId++}`, {
+            ...arenaOptions, replayStore: options.replayStore, settings: options.settings, tickRateMs: options.tickRateMs,
+            map: options.map, botMix: options.botMix, brainMix: options.brainMix, mode: options.mode,
+        });
+        arenas.push({ arena, emptySince: null });
+        if (arena.isPrivate) privateArenas.set(arena.code, arena);
+        console.log(`Opened ${arena.isPrivate ? `private arena ${arena.id} (${arena.code})` : `arena ${arena.id}`} (${arenas.length} running)`);
+        return arena;
+    }
+
+    function generateJoinCode() {
+        let code;
+        do {
+            code = "";
+            for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+                code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)];
+            }
+        } while (privateArenas.has(code));
+        return code;
+    }
+
+    /**
+     * Picks the public arena with the fewest human players that still has room, opening a new one if all are full.
+     * @returns {object} The arena.
+     */
+    function findArenaForNewPlayer() {
+        let best = null;
+        let bestCount = Infinity;
+        for (const { arena } of arenas) {
+            if (arena.isPrivate) continue;
+            const count = arena.getHumanCount();
+            if (count < options.maxPlayersPerArena && count < bestCount) {
+                best = arena;
+                bestCount = count;
+            }
+        }
+        return best || openArena();
+    }
+
+    /**
+     * Turns a connection away with a 'roomError' (e.g. unknown or full private room).
+     */
+    function rejectPlayer(socket, message) {
+        console.log(`Rejected ${socket.id}: ${message}`);
+        socket.emit('roomError', { message });
+        socket.disconnect(true);
+        return null;
+    }
+
+    /**
+     * @param {*} key - The key an external bot sent.
+     * @returns {boolean} True if external bots need no key or the key matches.
+     */
+    function isValidBotKey(key) {
+        if (!options.botKey) return true;
+        if (typeof key !== 'string') return false;
+        const expected = Buffer.from(options.botKey);
+        const received = Buffer.from(key);
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    /**
+     * Places a newly connected socket into an arena. The handshake query may carry `room`
+     * (a join code, or "new" to create a private arena), `hostKey` (to reclaim the host role)
+     * and `bot=1` with `botKey` to join as an external bot. External bots take a player slot like humans.
+     * @param {import('socket.io').Socket} socket - The new connection.
+     * @returns {object|null} The arena the player joined, or null if the connection was rejected.
+     */
+    function placePlayer(socket) {
+        const { room, hostKey, bot, botKey } = socket.handshake.query || {};
+        const isExternalBot = bot === EXTERNAL_BOT_QUERY_VALUE;
+        if (isExternalBot && !isValidBotKey(botKey)) return rejectPlayer(socket, 'Invalid bot key.');
+
+        if (typeof room !== 'string' || !room) {
+            const arena = findArenaForNewPlayer();
+            arena.addPlayer(socket, { isExternalBot });
+            return arena;
+        }
+
+        if (room.toLowerCase() === NEW_PRIVATE_ROOM) {
+            const arena = openArena({ code: generateJoinCode(), hostKey: crypto.randomBytes(12).toString('hex') });
+            arena.addPlayer(socket, { isExternalBot });
+            return arena;
+        }
+
+        const code = room.toUpperCase();
+        const arena = privateArenas.get(code);
+        if (!arena) return rejectPlayer(socket, `Room ${code} not found.`);
+        if (arena.getHumanCount() >= options.maxPlayersPerArena) return rejectPlayer(socket, `Room ${code} is full.`);
+        arena.addPlayer(socket, { hostKey: typeof hostKey === 'string' ? hostKey : undefined, isExternalBot });
+        return arena;
+    }
+
+    /**
+     * Ticks every arena once and closes extra arenas that have been empty for too long.
+     */
+    function tick() {
+        const now = Date.now();
+        for (let i = arenas.length - 1; i >= 0; i--) {
+            const entry = arenas[i];
+            entry.arena.tick();
+
+            if (entry.arena.getHumanCount() > 0) {
+                entry.emptySince = null;
+            } else if (entry.emptySince === null) {
+                entry.emptySince = now;
+            } else if (now - entry.emptySince > EMPTY_ARENA_TIMEOUT_MS && !isLastPublicArena(entry.arena)) {
+                arenas.splice(i, 1);
+                entry.arena.close();
+                if (entry.arena.isPrivate) privateArenas.delete(entry.arena.code);
+                console.log(`Closed empty arena ${entry.arena.id} (${arenas.length} running)`);
+            }
+        }
+    }
+
+    function isLastPublicArena(arena) {
+        return !arena.isPrivate && arenas.filter(entry => !entry.arena.isPrivate).length === 1;
+    }
+
+    /**
+     * Changes options for the running server (e.g. after a config reload). New settings apply to every running
+     * arena (private ones keep what their host picked), the rest to new connections and new bots.
+     * @param {object} changes - Any of { settings, maxPlayersPerArena, botMix, brainMix, botKey }.
+     */
+    function updateOptions(changes) {
+        options = { ...options, ...changes };
+        arenas.forEach(({ arena }) => {
+            if (changes.settings) arena.updateDefaultSettings(changes.settings);
+            if (changes.botMix || changes.brainMix) arena.setBotMixes(changes.botMix, changes.brainMix);
+        });
+    }
+
+    openArena(); // One public arena is always running so bots are already playing when someone joins
+
+    return {
+        placePlayer,
+        tick,
+        getArenaCount: () => arenas.length,
+        getStats: () => arenas.map(({ arena }) => arena.getStats()), // One entry per arena, see arena.getStats()
+        updateOptions,
+    };
+}
+
+module.exports = { createArenaManager, MAX_PLAYERS_PER_ARENA };
@@ -0,0 +1,59 @@
+// --- Greedy Bot Brain ---
+// Example of a pluggable bot brain (the interface is documented in src/shared/botBrain.js). It only cares
+// about food: it heads for the biggest pile in sight, sprints when the food is far, and swerves from walls
+// and bodies right in front of it. It never hunts and never flees.
+//
+// Run it next to the standard bots with:
+//   BOT_BRAIN_MODULES=server/brains/greedy.js BOT_BRAINS="standard:3,greedy:1" node server.js
+
+const WALL_MARGIN = 80; // Turn back when the head gets this close to a wall
+const LOOK_AHEAD = 60; // Bodies within this distance in front of the head are avoided
+const SPRINT_DISTANCE = 300; // Sprint for food further away than this
+const CLUSTER_RADIUS = 80; // Food this close together counts as one pile
+
+module.exports = {
+    name: 'greedy',
+    namePrefix: 'Greedy',
+    think(view) {
+        const { self, walls } = view;
+
+        // Walls first: head back towards the middle
+        if (self.x < WALL_MARGIN || self.x > walls.width - WALL_MARGIN ||
+            self.y < WALL_MARGIN || self.y > walls.height - WALL_MARGIN) {
+            return { angle: Math.atan2(walls.height / 2 - self.y, walls.width / 2 - self.x), boost: false };
+        }
+        // Outside the battle royale zone (or about to leave it): back towards its middle
+        const zone = view.safeZone;
+        if (zone && Math.hypot(self.x - zone.x, self.y - zone.y) > zone.radius - WALL_MARGIN) {
+            return { angle: Math.atan2(zone.y - self.y, zone.x - self.x), boost: false };
+        }
+
+        // A map wall, a hazard or a body (its own too, where it curls back) right in front: turn a quarter away from it
+        const aheadX = self.x + Math.cos(self.angle) * LOOK_AHEAD;
+        const aheadY = self.y + Math.sin(self.angle) * LOOK_AHEAD;
+        const blocker = view.wallNear(aheadX, aheadY, self.radius * 3) || view.hazardNear(aheadX, aheadY, self.radius * 3) ||
+            view.bodiesNear(aheadX, aheadY, self.radius * 3)[0] || view.ownBodyNear(aheadX, aheadY, self.radius * 3)[0];
+        if (blocker) {
+            const toBlocker = Math.atan2(blocker.y - self.y, blocker.x - self.x);
+            const side = Math.sin(toBlocker - self.angle) > 0 ? 1 : -1;
+            return { angle: self.angle - side * Math.PI / 2, boost: false };
+        }
+
+        // The piece of food with the most food around it (the first 30 in sight, closest first)
+        const candidates = view.food.slice(0, 30);
+        let best = null;
+        let bestScore = -Infinity;
+        candidates.forEach(f => {
+            const neighbours = candidates.filter(o => Math.hypot(o.x - f.x, o.y - f.y) < CLUSTER_RADIUS).length;
+            const score = neighbours - f.distance / 200;
+            if (score > bestScore) {
+                best = f;
+                bestScore = score;
+            }
+        });
+        best = best || view.nearestFood();
+        if (!best) return null;
+
+        return { angle: Math.atan2(best.y - self.y, best.x - self.x), boost: best.distance > SPRINT_DISTANCE };
+    },
+};
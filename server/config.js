@@ -0,0 +1,258 @@
+// --- Server Config ---
+// The server's settings: defaults, overridden by a JSON config file, overridden by environment variables.
+// The file is CONFIG_FILE, or game.config.json in the working directory when that exists (see
+// game.config.example.json). Every value is validated; a bad value stops the server at startup, and on a
+// reload (SIGHUP) the whole new config is rejected and the running one kept.
+//
+// Fields marked `live` take effect on a reload: world settings apply to the running public arenas (private
+// arenas keep what their host picked), the rest to new connections and new bots. Changes to the others are
+// reported and need a restart.
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_SETTINGS } = require("../src/shared/simulation");
+const { TICK_RATE_MS } = require("../src/shared/gameRules");
+const { DEFAULT_COLLISION_RULES, HEAD_ON_BOTH_DIE, HEAD_ON_LARGER_WINS, HEAD_ON_BOUNCE } = require("../src/shared/collisionRules");
+const { DEFAULT_BOT_MIX, parseBotMix } = require("../src/shared/botAI");
+const { DEFAULT_BRAIN_MIX } = require("../src/shared/botBrain");
+const { parseMix } = require("../src/shared/weightedMix");
+const { GAME_MODE_CLASSIC, GAME_MODES } = require("../src/shared/battleRoyale");
+const { MAX_PLAYERS_PER_ARENA } = require("./arenaManager");
+
+const DEFAULT_CONFIG_FILE = "game.config.json";
+
+// --- Value Parsers ---
+// Each takes a value from the file (any JSON) or the environment (a string) and returns the parsed value,
+// or throws with what's wrong.
+
+function numberParser(min, max, { integer = false } = {}) {
+    return value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number)) throw new Error('must be a number');
+        if (integer && !Number.isInteger(number)) throw new Error('must be a whole number');
+        if (number < min || number > max) throw new Error(`must be between ${min} and ${max}`);
+        return number;
+    };
+}
+
+function optionalString(value) {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string') throw new Error('must be a string');
+    return value;
+}
+
+// true/false, or "true"/"false"/"1"/"0"/"on"/"off" from the environment
+function boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+    if (['true', '1', 'on'].includes(text)) return true;
+    if (['false', '0', 'off'].includes(text)) return false;
+    throw new Error('must be true or false');
+}
+
+function oneOf(values) {
+    return value => {
+        if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}`);
+        return value;
+    };
+}
+
+// "a, b" or ["a", "b"]
+function stringList(value) {
+    const list = typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) throw new Error('must be a list of strings');
+    return list;
+}
+
+// "name:weight,..." or { name: weight }
+function mixText(value) {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.entries(value).map(([name, weight]) => `${name}:${weight}`).join(',');
+    }
+    throw new Error('must be a "name:weight,..." string or an object');
+}
+
+// Brain names aren't known until the brain modules are loaded, so any name is accepted here
+function brainMix(value) {
+    const text = mixText(value);
+    const names = text.split(',').map(part => part.split(':')[0].trim()).filter(Boolean);
+    return parseMix(text, names, 'bot brain');
+}
+
+// --- Fields ---
+// key: path in the config object and file ("a.b" for nested), env: environment variable, live: see above
+const CONFIG_FIELDS = [
+    // Server
+    { key: 'port', env: 'PORT', parse: numberParser(1, 65535, { integer: true }), default: 4000 },
+    { key: 'tickRateMs', env: 'TICK_RATE_MS', parse: numberParser(5, 100), default: TICK_RATE_MS },
+    { key: 'maxPlayersPerArena', env: 'MAX_PLAYERS_PER_ARENA', parse: numberParser(1, 100, { integer: true }), default: MAX_PLAYERS_PER_ARENA, live: true },
+    { key: 'replayDir', env: 'REPLAY_DIR', parse: optionalString, default: null },
+    // A bundled map's name or a map file (see server/mapLoader.js), null: an open world of world.width x world.height
+    { key: 'map', env: 'MAP', parse: optionalString, default: null },
+    // classic: endless free-for-all, battleRoyale: rounds in a shrinking zone (see src/shared/battleRoyale.js)
+    { key: 'mode', env: 'GAME_MODE', parse: oneOf(GAME_MODES), default: GAME_MODE_CLASSIC },
+    // Bots
+    { key: 'botMix', env: 'BOT_MIX', parse: value => parseBotMix(mixText(value)), default: DEFAULT_BOT_MIX, live: true },
+    { key: 'botBrains', env: 'BOT_BRAINS', parse: brainMix, default: DEFAULT_BRAIN_MIX, live: true },
+    { key: 'botBrainModules', env: 'BOT_BRAIN_MODULES', parse: stringList, default: [] },
+    { key: 'botKey', env: 'BOT_KEY', parse: optionalString, default: null, live: true, secret: true },
+    // World settings (defaults for every arena, see DEFAULT_SETTINGS in src/shared/simulation.js)
+    { key: 'world.width', env: 'WORLD_WIDTH', parse: numberParser(2000, 6000, { integer: true }), default: DEFAULT_SETTINGS.worldWidth },
+    { key: 'world.height', env: 'WORLD_HEIGHT', parse: numberParser(2000, 6000, { integer: true }), default: DEFAULT_SETTINGS.worldHeight },
+    { key: 'world.botCount', env: 'BOT_COUNT', parse: numberParser(0, 100, { integer: true }), default: DEFAULT_SETTINGS.botCount, live: true },
+    { key: 'world.foodDensity', env: 'FOOD_DENSITY', parse: numberParser(0.25, 4), default: DEFAULT_SETTINGS.foodDensity, live: true },
+    { key: 'world.maxFood', env: 'MAX_FOOD', parse: numberParser(1, 5000, { integer: true }), default: DEFAULT_SETTINGS.maxFood, live: true },
+    { key: 'world.foodPerWorm', env: 'FOOD_PER_WORM', parse: numberParser(0, 100), default: DEFAULT_SETTINGS.foodPerWorm, live: true },
+    { key: 'world.powerUpDurationMs', env: 'POWER_UP_DURATION_MS', parse: numberParser(0, 120000), default: DEFAULT_SETTINGS.powerUpDurationMs, live: true },
+    { key: 'world.speedBoostFactor', env: 'SPEED_BOOST_FACTOR', parse: numberParser(1, 4), default: DEFAULT_SETTINGS.speedBoostFactor, live: true },
+    { key: 'world.magnetRadiusMultiplier', env: 'MAGNET_RADIUS_MULTIPLIER', parse: numberParser(1, 20), default: DEFAULT_SETTINGS.magnetRadiusMultiplier, live: true },
+    { key: 'world.worldEvents', env: 'WORLD_EVENTS', parse: boolean, default: DEFAULT_SETTINGS.worldEvents, live: true },
+    // Collision rules (see src/shared/collisionRules.js)
+    { key: 'collisionRules.headOn', env: 'COLLISION_HEAD_ON', parse: oneOf([HEAD_ON_BOTH_DIE, HEAD_ON_LARGER_WINS, HEAD_ON_BOUNCE]), default: DEFAULT_COLLISION_RULES.headOn, live: true },
+    { key: 'collisionRules.passUnderRatio', env: 'COLLISION_PASS_UNDER_RATIO', parse: numberParser(0, 0.5), default: DEFAULT_COLLISION_RULES.passUnderRatio, live: true },
+];
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+    parent[last] = value;
+}
+
+// Keys in the file that no field reads, most likely typos
+function findUnknownKeys(fileConfig, prefix = '') {
+    const unknown = [];
+    Object.keys(fileConfig).forEach(name => {
+        const key = prefix + name;
+        const value = fileConfig[name];
+        if (CONFIG_FIELDS.some(field => field.key === key)) return;
+        if (value && typeof value === 'object' && !Array.isArray(value) && CONFIG_FIELDS.some(field => field.key.startsWith(`${key}.`))) {
+            unknown.push(...findUnknownKeys(value, `${key}.`));
+        } else {
+            unknown.push(key);
+        }
+    });
+    return unknown;
+}
+
+/**
+ * Loads and validates the config.
+ * @param {object} [options] - { env } to read instead of process.env, { cwd } to look for the file in.
+ * @returns {{config: object, sources: object, file: string|null}} The config (nested like the file), where each
+ *          field came from ({ key: 'default' | 'file' | 'env' }) and the file that was read.
+ * @throws {Error} Listing every invalid value (and unreadable file or unknown key).
+ */
+function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+    const errors = [];
+    let file = null;
+    let fileConfig = {};
+    const explicitFile = env.CONFIG_FILE;
+    const candidate = path.resolve(cwd, explicitFile || DEFAULT_CONFIG_FILE);
+    if (explicitFile || fs.existsSync(candidate)) {
+        file = candidate;
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(candidate, "utf8"));
+            if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) throw new Error('must hold a JSON object');
+            findUnknownKeys(fileConfig).forEach(key => errors.push(`${key}: unknown setting`));
+        } catch (err) {
+            errors.push(`${candidate}: ${err.message}`);
+            fileConfig = {};
+        }
+    }
+
+    const config = {};
+    const sources = {};
+    CONFIG_FIELDS.forEach(field => {
+        let value = field.default;
+        let source = 'default';
+        const fileValue = getPath(fileConfig, field.key);
+        if (fileValue !== undefined) {
+            value = fileValue;
+            source = 'file';
+        }
+        if (env[field.env] !== undefined && env[field.env] !== '') {
+            value = env[field.env];
+            source = 'env';
+        }
+        if (source !== 'default') {
+            try {
+                value = field.parse(value);
+            } catch (err) {
+                errors.push(`${field.key} (${source === 'env' ? field.env : 'file'}): ${err.message}`);
+                value = field.default;
+            }
+        }
+        setPath(config, field.key, value);
+        sources[field.key] = source;
+    });
+
+    if (errors.length > 0) throw new Error(`Invalid config:\n  ${errors.join('\n  ')}`);
+    return { config, sources, file };
+}
+
+/**
+ * World settings for the simulation (see DEFAULT_SETTINGS in src/shared/simulation.js) from a config.
+ * @param {object} config - From loadConfig().
+ * @returns {object} Settings.
+ */
+function worldSettingsFromConfig(config) {
+    const { width, height, ...world } = config.world;
+    return { ...world, worldWidth: width, worldHeight: height, collisionRules: { ...config.collisionRules } };
+}
+
+/**
+ * Compares two configs.
+ * @param {object} previous - The running config.
+ * @param {object} next - The reloaded config.
+ * @returns {{live: Array<string>, restart: Array<string>}} Keys of changed fields that take effect now / need a restart.
+ */
+function diffConfig(previous, next) {
+    const changed = CONFIG_FIELDS.filter(field => JSON.stringify(getPath(previous, field.key)) !== JSON.stringify(getPath(next, field.key)));
+    return {
+        live: changed.filter(field => field.live).map(field => field.key),
+        restart: changed.filter(field => !field.live).map(field => field.key),
+    };
+}
+
+/**
+ * The config a running server goes on with after a reload: the reloaded values of the live fields, and the
+ * running values of the fields that need a restart.
+ * @param {object} previous - The running config.
+ * @param {object} next - The reloaded config.
+ * @returns {object} The config to apply and keep.
+ */
+function applyReload(previous, next) {
+    const applied = { ...next };
+    diffConfig(previous, next).restart.forEach(key => {
+        const [section, name] = key.split(".");
+        if (name) applied[section] = { ...applied[section], [name]: previous[section][name] };
+        else applied[section] = previous[section];
+    });
+    return applied;
+}
+
+/**
+ * Describes the effective config for the startup log, one "key = value (source)" line per field. Secrets are masked.
+ * @param {object} config - From loadConfig().
+ * @param {object} sources - From loadConfig().
+ * @returns {Array<string>} The lines.
+ */
+function describeConfig(config, sources) {
+    const format = value => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.entries(value).map(([name, weight]) => `${name}:${weight}`).join(', ');
+        }
+        return Array.isArray(value) ? value.join(', ') || '(none)' : String(value);
+    };
+    return CONFIG_FIELDS.map(field => {
+        const value = getPath(config, field.key);
+        const shown = field.secret && value ? '(set)' : format(value);
+        return `${field.key} = ${shown} (${sources[field.key]}${field.live ? '' : ', restart to change'})`;
+    });
+}
+
+module.exports = { CONFIG_FIELDS, loadConfig, worldSettingsFromConfig, diffConfig, applyReload, describeConfig };
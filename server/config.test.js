@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, worldSettingsFromConfig, diffConfig, applyReload, describeConfig } = require("./config");
+const { createArena } = require("./arena");
+
+// Enough of a Socket.IO server for an arena nobody has joined
+const io = {
+    to: () => ({ emit() {} }),
+    sockets: { sockets: new Map(), adapter: { rooms: new Map() } },
+};
+
+// Each test gets an empty working directory, so a game.config.json next to the tests can't leak in
+let cwd;
+beforeEach(() => { cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'server-config-')); });
+afterEach(() => { fs.rmSync(cwd, { recursive: true }); });
+
+function writeConfigFile(contents) {
+    fs.writeFileSync(path.join(cwd, 'game.config.json'), JSON.stringify(contents));
+}
+
+function loadError(env) {
+    try {
+        loadConfig({ env, cwd });
+    } catch (err) {
+        return err.message;
+    }
+    return null;
+}
+
+test('the environment overrides the file, which overrides the defaults', () => {
+    writeConfigFile({ port: 5000, world: { botCount: 3, maxFood: 200 } });
+    const { config, sources, file } = loadConfig({ env: { PORT: '6000' }, cwd });
+    expect(file).toBe(path.join(cwd, 'game.config.json'));
+    expect(config.port).toBe(6000);
+    expect(config.world).toMatchObject({ botCount: 3, maxFood: 200 });
+    expect(sources).toMatchObject({ port: 'env', 'world.botCount': 'file', 'world.width': 'default' });
+});
+
+test('every invalid value is listed before the server gives up', () => {
+    const message = loadError({ PORT: 'abc', BOT_COUNT: '500', GAME_MODE: 'tag' });
+    expect(message).toMatch(/^Invalid config:/);
+    expect(message).toContain('port (PORT): must be a number');
+    expect(message).toMatch(/world\.botCount \(BOT_COUNT\): /);
+    expect(message).toMatch(/mode \(GAME_MODE\): /);
+
+    writeConfigFile({ port: 70000 });
+    expect(loadError({})).toMatch(/port \(file\): /);
+});
+
+test('keys in the file that no setting reads are reported as unknown', () => {
+    writeConfigFile({ prot: 4000, world: { botCont: 5, botCount: 5 }, collisionRules: { headOn: 'bounce' } });
+    const message = loadError({});
+    expect(message).toContain('prot: unknown setting');
+    expect(message).toContain('world.botCont: unknown setting');
+    expect(message).not.toContain('world.botCount');
+    expect(message).not.toContain('collisionRules');
+});
+
+test('the startup description masks secrets', () => {
+    const { config, sources } = loadConfig({ env: { BOT_KEY: 'hunter2' }, cwd });
+    const lines = describeConfig(config, sources);
+    expect(lines.join('\n')).not.toContain('hunter2');
+    expect(lines).toContain('botKey = (set) (env)');
+    expect(lines).toContain('port = 4000 (default, restart to change)');
+
+    const unset = loadConfig({ env: {}, cwd });
+    expect(describeConfig(unset.config, unset.sources)).toContain('botKey = null (default)');
+});
+
+test('a reload applies the live world settings to the arenas but keeps the restart-only world size', () => {
+    const { config } = loadConfig({ env: { WORLD_WIDTH: '3000', BOT_COUNT: '0' }, cwd });
+    const { config: next } = loadConfig({ env: { WORLD_WIDTH: '5000', BOT_COUNT: '4' }, cwd });
+    const arena = createArena(io, 'test', { seed: 1, settings: worldSettingsFromConfig(config) });
+
+    expect(diffConfig(config, next)).toEqual({ live: ['world.botCount'], restart: ['world.width'] });
+    const applied = applyReload(config, next);
+    expect(applied.world).toMatchObject({ width: 3000, botCount: 4 });
+
+    arena.updateDefaultSettings(worldSettingsFromConfig(applied));
+    expect(arena.getSettings()).toMatchObject({ worldWidth: 3000, botCount: 4 });
+    arena.close();
+});
@@ -0,0 +1,43 @@
+// --- Map Loader ---
+// Reads the map the server runs its arenas on (the `map` config field): a bundled map by name ("pillars", see
+// server/maps/) or the path of a JSON map file. The format and its checks are in src/shared/worldMap.js.
+const fs = require("fs");
+const path = require("path");
+const { parseMap } = require("../src/shared/worldMap");
+
+const BUNDLED_MAP_DIR = path.join(__dirname, "maps");
+const MAP_FILE_EXTENSION = ".json";
+
+/**
+ * @returns {Array<string>} Names of the bundled maps.
+ */
+function listBundledMaps() {
+    return fs.readdirSync(BUNDLED_MAP_DIR)
+        .filter(file => file.endsWith(MAP_FILE_EXTENSION))
+        .map(file => path.basename(file, MAP_FILE_EXTENSION))
+        .sort();
+}
+
+/**
+ * Loads and checks a map.
+ * @param {string|null} nameOrPath - A bundled map's name, a path (relative to the working directory), or null.
+ * @returns {object|null} The parsed map, or null for an open world.
+ * @throws {Error} If the map can't be found or read, or is invalid.
+ */
+function loadMap(nameOrPath) {
+    if (!nameOrPath) return null;
+    const isBundledName = !nameOrPath.includes("/") && !nameOrPath.includes("\\") && !nameOrPath.endsWith(MAP_FILE_EXTENSION);
+    const file = isBundledName ? path.join(BUNDLED_MAP_DIR, nameOrPath + MAP_FILE_EXTENSION) : path.resolve(nameOrPath);
+    if (isBundledName && !fs.existsSync(file)) {
+        throw new Error(`Unknown map "${nameOrPath}", the bundled maps are: ${listBundledMaps().join(", ")}.`);
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        throw new Error(`Could not read map ${file}: ${err.message}`);
+    }
+    return parseMap(data);
+}
+
+module.exports = { BUNDLED_MAP_DIR, listBundledMaps, loadMap };
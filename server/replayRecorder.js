@@ -0,0 +1,153 @@
+// --- Replay Recorder ---
+// Writes arena recordings to disk in the replay format described in src/shared/replay.js and keeps the
+// directory from growing without bound. Files are written as "<name>.part" and renamed once complete,
+// so the HTTP route only ever lists and serves finished replays.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { createClientView, encodeSnapshot } = require("../src/shared/snapshotProtocol");
+const { REPLAY_FORMAT_VERSION, REPLAY_LINE_HEADER, REPLAY_LINE_EVENT, REPLAY_FILE_EXTENSION } = require("../src/shared/replay");
+
+// --- Recording Constants ---
+const REPLAY_RECORD_INTERVAL_TICKS = 3; // Record every 3rd tick (~25 frames per second at 75 ticks/s)
+const REPLAY_KEYFRAME_INTERVAL_FRAMES = 100; // A keyframe every ~4 seconds, so seeking never applies more than 100 deltas
+const REPLAY_MAX_DURATION_MS = 10 * 60 * 1000; // Long sessions are split into 10 minute files
+const REPLAY_MAX_FILES = 50; // Oldest finished replays are deleted beyond this
+const PARTIAL_SUFFIX = ".part";
+const REPLAY_NAME_PATTERN = /^[\w-]+\.ndjson\.gz$/; // Names the HTTP route accepts (no paths)
+
+/**
+ * Creates the replay store for one directory.
+ * @param {object} options - { dir, maxFiles? }.
+ * @returns {object} The store: { startRecording, list, resolve }.
+ */
+function createReplayStore({ dir, maxFiles = REPLAY_MAX_FILES }) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Recordings cut short by a previous shutdown can't be played, drop them
+    fs.readdirSync(dir).filter(name => name.endsWith(PARTIAL_SUFFIX)).forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+    let nextFileNumber = 0; // Keeps names unique when several recordings start within the same second
+
+    /**
+     * Deletes the oldest finished replays beyond maxFiles.
+     */
+    function prune() {
+        fs.promises.readdir(dir).then(async (names) => {
+            const replays = names.filter(name => REPLAY_NAME_PATTERN.test(name));
+            if (replays.length <= maxFiles) return;
+            const stats = await Promise.all(replays.map(async name => ({ name, mtimeMs: (await fs.promises.stat(path.join(dir, name))).mtimeMs })));
+            stats.sort((a, b) => a.mtimeMs - b.mtimeMs);
+            await Promise.all(stats.slice(0, stats.length - maxFiles).map(({ name }) => fs.promises.unlink(path.join(dir, name))));
+        }).catch(err => console.error("Error pruning replays:", err));
+    }
+
+    /**
+     * Starts a new replay file.
+     * @param {object} info - Header fields: { arenaId, code, seed, settings, map, tickRateMs }.
+     * @returns {object} The recorder: { record, recordEvent, isExpired, close }.
+     */
+    function startRecording(info) {
+        const startedAt = new Date();
+        const stamp = startedAt.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+        const name = `arena${info.arenaId}-${stamp}-${nextFileNumber++}${REPLAY_FILE_EXTENSION}`;
+        const finalPath = path.join(dir, name);
+        const partialPath = finalPath + PARTIAL_SUFFIX;
+
+        const gzip = zlib.createGzip();
+        const file = fs.createWriteStream(partialPath);
+        gzip.pipe(file);
+        let failed = false;
+        file.on("error", (err) => {
+            failed = true;
+            console.error(`Error writing replay ${name}:`, err);
+        });
+
+        const view = createClientView(REPLAY_KEYFRAME_INTERVAL_FRAMES);
+        let frameCount = 0;
+        let closed = false;
+
+        function writeLine(entry) {
+            if (!failed && !closed) gzip.write(JSON.stringify(entry) + "\n");
+        }
+
+        writeLine({ type: REPLAY_LINE_HEADER, version: REPLAY_FORMAT_VERSION, ...info, startedAt: startedAt.toISOString() });
+
+        /**
+         * Records a frame on every REPLAY_RECORD_INTERVAL_TICKS-th tick.
+         * @param {number} tick - The arena tick.
+         * @param {function(): object} getSnapshot - Builds the full-world snapshot, only called when a frame is due.
+         */
+        function record(tick, getSnapshot) {
+            if (tick % REPLAY_RECORD_INTERVAL_TICKS !== 0) return;
+            writeLine(encodeSnapshot(view, tick, getSnapshot()));
+            frameCount++;
+        }
+
+        /**
+         * Records an event (e.g. a death and its reason) at a tick.
+         */
+        function recordEvent(tick, event) {
+            writeLine({ type: REPLAY_LINE_EVENT, tick, ...event });
+        }
+
+        /**
+         * Finishes the file. Recordings without a single frame are discarded.
+         */
+        function close() {
+            if (closed) return;
+            closed = true;
+            file.on("finish", () => {
+                if (failed) return;
+                if (frameCount === 0) {
+                    fs.unlink(partialPath, () => {});
+                    return;
+                }
+                fs.rename(partialPath, finalPath, (err) => {
+                    if (err) {
+                        console.error(`Error finishing replay ${name}:`, err);
+                        return;
+                    }
+                    console.log(`Saved replay ${name} (${frameCount} frames)`);
+                    prune();
+                });
+            });
+            gzip.end();
+        }
+
+        return {
+            name,
+            record,
+            recordEvent,
+            isExpired: () => Date.now() - startedAt.getTime() > REPLAY_MAX_DURATION_MS,
+            close,
+        };
+    }
+
+    /**
+     * Lists the finished replays, newest first.
+     * @returns {Promise<Array<{name: string, size: number, createdAt: string}>>}
+     */
+    async function list() {
+        const names = (await fs.promises.readdir(dir)).filter(name => REPLAY_NAME_PATTERN.test(name));
+        const replays = await Promise.all(names.map(async (name) => {
+            const stat = await fs.promises.stat(path.join(dir, name));
+            return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+        }));
+        return replays.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Maps a replay name from a request to its file.
+     * @param {string} name - The requested name.
+     * @returns {string|null} Absolute path of the finished replay, or null if the name is invalid or unknown.
+     */
+    function resolve(name) {
+        if (typeof name !== "string" || !REPLAY_NAME_PATTERN.test(name)) return null;
+        const filePath = path.join(dir, name);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    return { startRecording, list, resolve };
+}
+
+module.exports = { createReplayStore };
@@ -0,0 +1,169 @@
+// --- Battle Royale Rounds ---
+// The round phases of an arena in battle royale mode (see src/shared/battleRoyale.js): a lobby of free play
+// while people gather, a countdown in a fresh and frozen world, the running round with the shrinking zone and
+// no respawns, then the results before the next lobby. Public arenas start a round once the lobby time is up
+// and a human is there to play it, private arenas when their host starts the match.
+const {
+    ROUND_PHASE_LOBBY, ROUND_PHASE_COUNTDOWN, ROUND_PHASE_RUNNING, ROUND_PHASE_RESULTS,
+} = require("../src/shared/battleRoyale");
+
+const LOBBY_MS = 15000;
+const COUNTDOWN_MS = 5000;
+const RESULTS_MS = 10000;
+const RESULTS_MAX_STANDINGS = 10; // Standings sent with the results, the winner first
+
+/**
+ * Creates the round controller for one arena.
+ * @param {object} options - { sim } the arena's simulation, { tickRateMs } the arena's tick length,
+ *                           { autoStart } start rounds when the lobby time is up (public arenas),
+ *                           { rebuildWorld() } gives everyone a fresh world and worm for the countdown,
+ *                           { onChange(info) } called with getInfo() whenever the phase or the number of worms
+ *                           alive changes, { logger } for the round log lines.
+ * @returns {object} { update, startRound, isWorldFrozen, handlePlayerDied, getInfo, getPhase }
+ */
+function createRoundController({ sim, tickRateMs, autoStart, rebuildWorld, onChange, logger = console }) {
+    const ticks = (ms) => Math.max(1, Math.round(ms / tickRateMs));
+
+    let phase = ROUND_PHASE_LOBBY;
+    let phaseTicks = 0; // Ticks spent in the current phase
+    let phaseEndTick = null; // phaseTicks value the phase ends at, null while it waits (lobby without humans or host)
+    let roundNumber = 0;
+    // The running round: how many worms it started with, who's out (in the order they went) and who's waiting
+    // for their place (everyone who died this tick shares one)
+    let participantCount = 0;
+    let eliminated = []; // [{ id, name, isBot, color, score, kills, place }]
+    let pendingEliminations = [];
+    let results = null; // { winner: Standing | null, standings: [Standing] } once the round is over
+
+    function livingPlayers() {
+        return Object.values(sim.players).filter(player => player.worm?.isAlive);
+    }
+
+    function standing(player, place) {
+        return {
+            id: player.id, name: player.name, isBot: player.isBot, color: player.worm.color,
+            score: player.worm.score ?? 0, kills: player.worm.kills ?? 0, place,
+        };
+    }
+
+    /**
+     * What clients get for the round.
+     * @returns {object} { phase, round, remainingMs (null while waiting), alive, participants, results (null until
+     *                   the results phase) }
+     */
+    function getInfo() {
+        return {
+            phase,
+            round: roundNumber,
+            remainingMs: phaseEndTick === null ? null : Math.max(0, (phaseEndTick - phaseTicks) * tickRateMs),
+            alive: phase === ROUND_PHASE_RUNNING ? livingPlayers().length : null,
+            participants: participantCount,
+            results: phase === ROUND_PHASE_RESULTS ? results : null,
+        };
+    }
+
+    function enter(nextPhase, durationMs) {
+        phase = nextPhase;
+        phaseTicks = 0;
+        phaseEndTick = durationMs === null ? null : ticks(durationMs);
+        onChange(getInfo());
+    }
+
+    function enterLobby() {
+        sim.setRespawnsLocked(false);
+        // Everyone out of the last round gets back in for the free play
+        Object.values(sim.players).forEach(player => {
+            if (!player.isBot) sim.respawnPlayer(player.id);
+        });
+        enter(ROUND_PHASE_LOBBY, autoStart && sim.getHumanCount() > 0 ? LOBBY_MS : null);
+    }
+
+    /**
+     * Starts the countdown to a new round in a rebuilt world (the host's start in private arenas).
+     */
+    function startRound() {
+        sim.setRespawnsLocked(false);
+        rebuildWorld();
+        roundNumber++;
+        enter(ROUND_PHASE_COUNTDOWN, COUNTDOWN_MS);
+    }
+
+    function startRunning() {
+        participantCount = livingPlayers().length;
+        eliminated = [];
+        pendingEliminations = [];
+        results = null;
+        sim.setRespawnsLocked(true);
+        sim.startZone();
+        logger.log(`Round ${roundNumber} started with ${participantCount} worms`);
+        enter(ROUND_PHASE_RUNNING, null);
+    }
+
+    function finish() {
+        const [survivor] = livingPlayers();
+        const winner = survivor ? standing(survivor, 1) : null;
+        const standings = [...(winner ? [winner] : []), ...[...eliminated].reverse()].slice(0, RESULTS_MAX_STANDINGS);
+        results = { winner, standings };
+        sim.stopZone();
+        logger.log(`Round ${roundNumber} won by ${winner ? winner.name : 'nobody (the last worms went out together)'}`);
+        enter(ROUND_PHASE_RESULTS, RESULTS_MS);
+    }
+
+    /**
+     * Notes a death during the running round, its place is given out at the end of the tick.
+     * @param {object} player - The player whose worm died.
+     */
+    function handlePlayerDied(player) {
+        if (phase === ROUND_PHASE_RUNNING) pendingEliminations.push(player);
+    }
+
+    /**
+     * Runs one arena tick, after the simulation's step: places this tick's deaths and moves on to the next phase
+     * when it's time.
+     */
+    function update() {
+        phaseTicks++;
+        switch (phase) {
+            case ROUND_PHASE_LOBBY: {
+                const canStart = autoStart && sim.getHumanCount() > 0;
+                if (!canStart && phaseEndTick !== null) {
+                    enter(ROUND_PHASE_LOBBY, null); // Everyone left, wait for the next human
+                } else if (canStart && phaseEndTick === null) {
+                    enter(ROUND_PHASE_LOBBY, LOBBY_MS);
+                } else if (canStart && phaseTicks >= phaseEndTick) {
+                    startRound();
+                }
+                break;
+            }
+            case ROUND_PHASE_COUNTDOWN:
+                if (phaseTicks >= phaseEndTick) startRunning();
+                break;
+            case ROUND_PHASE_RUNNING: {
+                const alive = livingPlayers().length;
+                const hadEliminations = pendingEliminations.length > 0;
+                pendingEliminations.forEach(player => eliminated.push(standing(player, alive + 1)));
+                pendingEliminations = [];
+                // A round that started with a single worm runs until the zone gets it
+                if (alive === 0 || (alive === 1 && participantCount > 1)) finish();
+                else if (hadEliminations) onChange(getInfo());
+                break;
+            }
+            case ROUND_PHASE_RESULTS:
+                if (phaseTicks >= phaseEndTick) enterLobby();
+                break;
+            default:
+                break;
+        }
+    }
+
+    return {
+        update,
+        startRound,
+        isWorldFrozen: () => phase === ROUND_PHASE_COUNTDOWN, // Worms wait in place for the start
+        handlePlayerDied,
+        getInfo,
+        getPhase: () => phase,
+    };
+}
+
+module.exports = { createRoundController, LOBBY_MS, COUNTDOWN_MS, RESULTS_MS };
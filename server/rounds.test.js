@@ -0,0 +1,111 @@
+const { createRoundController, LOBBY_MS, COUNTDOWN_MS, RESULTS_MS } = require("./rounds");
+const { ROUND_PHASE_LOBBY, ROUND_PHASE_COUNTDOWN, ROUND_PHASE_RUNNING, ROUND_PHASE_RESULTS } = require("../src/shared/battleRoyale");
+const { makeSim, silentLogger } = require("../src/shared/testWorld");
+
+// One tick per second keeps the phases a few ticks long
+const TICK_RATE_MS = 1000;
+
+// A simulation and its round controller wired up the way server/arena.js does it
+function makeRounds({ botCount = 0, autoStart = true } = {}) {
+    const changes = [];
+    let rounds = null;
+    const sim = makeSim({
+        seed: 11, tickRateMs: TICK_RATE_MS, settings: { botCount, worldEvents: false },
+        onPlayerDied: player => rounds.handlePlayerDied(player),
+    });
+    rounds = createRoundController({
+        sim, tickRateMs: TICK_RATE_MS, autoStart, logger: silentLogger,
+        rebuildWorld: () => sim.reset(sim.settings),
+        onChange: info => changes.push(info),
+    });
+    const tick = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            if (!rounds.isWorldFrozen()) sim.step();
+            rounds.update();
+        }
+    };
+    return { sim, rounds, changes, tick };
+}
+
+test('a public arena waits for a human, then goes from lobby to countdown to the round to the results and back', () => {
+    const { sim, rounds, changes, tick } = makeRounds({ botCount: 2 });
+    tick(LOBBY_MS / TICK_RATE_MS + 5);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_LOBBY, round: 0, remainingMs: null });
+
+    const alice = sim.addHuman('a', 'Alice');
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_LOBBY, remainingMs: LOBBY_MS });
+    tick(LOBBY_MS / TICK_RATE_MS);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_COUNTDOWN, round: 1, remainingMs: COUNTDOWN_MS });
+    expect(rounds.isWorldFrozen()).toBe(true);
+    const head = { ...alice.worm.segments[0] };
+    tick(COUNTDOWN_MS / TICK_RATE_MS - 1);
+    expect(alice.worm.segments[0]).toEqual(head); // Nobody moves before the start
+
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RUNNING, alive: 3, participants: 3 });
+    expect(rounds.isWorldFrozen()).toBe(false);
+    expect(sim.getZone()).not.toBeNull();
+
+    sim.killPlayer('a', 'test');
+    expect(sim.respawnPlayer('a')).toBe(false); // No respawns while the round runs
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RUNNING, alive: 2 });
+    sim.killPlayer(Object.values(sim.players).find(p => p.isBot && p.worm.isAlive).id, 'test');
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RESULTS, remainingMs: RESULTS_MS });
+    expect(sim.getZone()).toBeNull();
+
+    tick(RESULTS_MS / TICK_RATE_MS);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_LOBBY, remainingMs: LOBBY_MS, results: null });
+    expect(alice.worm.isAlive).toBe(true); // Back in for the free play
+    expect(changes.map(info => info.phase)).toEqual([
+        ROUND_PHASE_LOBBY, ROUND_PHASE_COUNTDOWN, ROUND_PHASE_RUNNING, ROUND_PHASE_RUNNING, ROUND_PHASE_RESULTS, ROUND_PHASE_LOBBY,
+    ]);
+
+    sim.removePlayer('a');
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_LOBBY, remainingMs: null }); // Everyone left
+});
+
+test('a private arena only starts a round when the host does', () => {
+    const { sim, rounds, tick } = makeRounds({ autoStart: false });
+    sim.addHuman('a', 'Alice');
+    tick(LOBBY_MS / TICK_RATE_MS + 5);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_LOBBY, remainingMs: null });
+
+    rounds.startRound();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_COUNTDOWN, round: 1 });
+});
+
+test('worms that go out in the same tick share a place', () => {
+    const { sim, rounds, tick } = makeRounds({ autoStart: false });
+    ['a', 'b', 'c', 'd'].forEach(id => sim.addHuman(id, id.toUpperCase()));
+    rounds.startRound();
+    tick(COUNTDOWN_MS / TICK_RATE_MS);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RUNNING, participants: 4 });
+
+    sim.killPlayer('b', 'test');
+    sim.killPlayer('c', 'test');
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RUNNING, alive: 2 });
+    sim.killPlayer('a', 'test');
+    tick();
+
+    const { winner, standings } = rounds.getInfo().results;
+    expect(winner).toMatchObject({ id: 'd', place: 1 });
+    expect(standings.map(s => [s.id, s.place])).toEqual([['d', 1], ['a', 2], ['c', 3], ['b', 3]]);
+});
+
+test('a round with a single worm runs until it goes out and has no winner', () => {
+    const { sim, rounds, tick } = makeRounds({ autoStart: false });
+    sim.addHuman('a', 'Alice');
+    rounds.startRound();
+    tick(COUNTDOWN_MS / TICK_RATE_MS + 20);
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RUNNING, alive: 1, participants: 1 });
+
+    sim.killPlayer('a', 'test');
+    tick();
+    expect(rounds.getInfo()).toMatchObject({ phase: ROUND_PHASE_RESULTS });
+    expect(rounds.getInfo().results).toEqual({ winner: null, standings: [expect.objectContaining({ id: 'a', place: 1 })] });
+});
@@ -1,15 +1,26 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
+import { PROTOCOL_VERSION, MESSAGE_KEYFRAME, createNetState, applySnapshotMessage, toGameState } from './shared/snapshotProtocol';
+import { decodeMessage } from './shared/binaryCodec';
+import { parseReplay, createReplayPlayer } from './shared/replay';
+import { DEFAULT_COLLISION_RULES, HEAD_ON_BOTH_DIE, HEAD_ON_LARGER_WINS, HEAD_ON_BOUNCE } from './shared/collisionRules';
+import {
+    WORLD_WIDTH, WORLD_HEIGHT, WORM_INITIAL_LENGTH, WORM_BASE_SEGMENT_RADIUS, FOOD_IMAGE_TYPES, FOOD_TIER_GOLDEN,
+    DEATH_CAUSE_WALL, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_HAZARD, DEATH_CAUSE_ZONE, DEATH_CAUSE_SELF, DEATH_CAUSE_PLAYER,
+    wormRadiusForLength, foodReach, foodTierForValue, normalizeClientRules,
+} from './shared/gameRules';
+import {
+    POWER_UP_SPEED, POWER_UP_ZOOM, POWER_UP_MAGNET, POWER_UP_SHIELD, POWER_UP_SHIELD_GRACE, POWER_UP_GHOST,
+    POWER_UP_REVERSE, POWER_UP_FREEZE, POWER_UP_FROZEN, FREEZE_RADIUS, getPowerUp,
+} from './shared/powerUps';
+import { WORLD_EVENT_FOOD_RAIN, WORLD_EVENT_DOUBLE_SCORE, WORLD_EVENT_GOLDEN_FEAST, WORLD_EVENT_POWER_UP_FRENZY } from './shared/worldEvents';
+import { MAP_ENTITY_PORTAL, MAP_ENTITY_BLADE, MAP_ENTITY_HAZARD, MAP_ENTITY_SLOW_ZONE, ENTITY_EFFECT_SHRINK } from './shared/mapEntities';
+import { zoneCircleAt, ROUND_PHASE_LOBBY, ROUND_PHASE_COUNTDOWN, ROUND_PHASE_RUNNING, ROUND_PHASE_RESULTS } from './shared/battleRoyale';
 import { color } from 'three/tsl';
 
 // --- Game Settings (Constants) ---
-const WORM_INITIAL_LENGTH = 10;
-const WORM_BASE_SEGMENT_RADIUS = 5.5; // Slightly larger base radius
-const WORM_RADIUS_GROWTH_FACTOR = 0.04; // Slightly slower growth
-const WORM_MAX_SEGMENT_RADIUS = 16;
-const FOOD_RADIUS = 7; // Default fallback radius for glowing orbs
-const WORLD_WIDTH = 700;
-const WORLD_HEIGHT = 700;
+// Game rules (world size, radii, food types, power-ups) come from src/shared/gameRules.js, and the server's
+// actual values from the 'welcome' and 'rules' events
 const WORM_WIGGLE_SPEED = 0.3;
 const WORM_WIGGLE_MAGNITUDE = 0.5;
 const WORM_BLINK_INTERVAL = 3000;
@@ -22,19 +33,79 @@ const BACKGROUND_GRID_SIZE = 60; // Size of background grid squares - No longer
 // IMPORTANT: Replace with your actual server URL if different
 const SERVER_URL = 'https://server-975113276602.asia-south1.run.app';
 
-// Assuming you have food images named 1.png, 2.png, ..., 36.png in a 'public/food' directory
-const FOOD_IMAGE_TYPES = 36;
-
-// --- Special Food Types (Matching image filenames) ---
-const FOOD_TYPE_POWER = 15; // Corresponds to 15.png for speed boost
-const FOOD_TYPE_ZOOM = 12; // Corresponds to 12.png for zoom out
-const FOOD_TYPE_MAGNET = 7; // Corresponds to 7.png for magnet effect
-
-// --- Power Up Settings ---
-const POWER_UP_DURATION = 10000; // 10 seconds in milliseconds
-const SPEED_BOOST_FACTOR = 1.5; // 50% speed increase
+// --- Private Matches ---
+const ROOM_QUERY_PARAM = 'room'; // ?room=ABCD joins a private arena, ?room=new creates one
+const NEW_PRIVATE_ROOM = 'new';
+const HOST_KEY_STORAGE_PREFIX = 'hostKey:'; // sessionStorage key per join code, lets the host reclaim the role after reconnecting
+const PASS_UNDER_OPTIONS = [ // Host's choices for collisionRules.passUnderRatio (small worm's length / large worm's length)
+    { ratio: 0, label: 'Never' },
+    { ratio: 0.1, label: 'At 1/10 the size' },
+    { ratio: 0.25, label: 'At 1/4 the size' },
+];
+
+// --- Replay Viewer ---
+const REPLAY_QUERY_PARAM = 'replay'; // ?replay=<file name> plays a recorded match from the server instead of joining one
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const REPLAY_MIN_ZOOM = 0.2;
+const REPLAY_MAX_ZOOM = 2;
+const REPLAY_WHEEL_ZOOM_STEP = 1.1;
+const REPLAY_UI_UPDATE_INTERVAL = 100; // ms between refreshes of the seek bar and clock
+const REPLAY_EVENT_LEAD_MS = 3000; // Jumping to a death starts playback this long before it
+
+// --- Power Up Settings (durations, speed and magnet reach are the server's rules) ---
 const ZOOM_OUT_FACTOR = 0.7; // TEMPORARILY MORE AGGRESSIVE ZOOM for testing (was 0.7)
-const MAGNET_RADIUS_MULTIPLIER = 3; // Magnet picks up food from 3x the normal distance
+// HUD icon per power-up id (see src/shared/powerUps.js), in the order they're drawn. onlyWhenActive icons
+// are for effects the player doesn't pick up (being frozen) and only show up while they last.
+const POWER_UP_ICONS = [
+    { id: POWER_UP_SPEED, color: 'rgba(0, 220, 0, 0.7)', border: '#00FF00', text: 'S', textColor: '#000000' }, // Speed (Green)
+    { id: POWER_UP_ZOOM, color: 'rgba(255, 165, 0, 0.7)', border: '#FFA500', text: 'Z', textColor: '#000000' }, // Zoom (Orange)
+    { id: POWER_UP_MAGNET, color: 'rgba(0, 100, 255, 0.7)', border: '#0064FF', text: 'M', textColor: '#FFFFFF' }, // Magnet (Blue)
+    { id: POWER_UP_SHIELD, color: 'rgba(0, 220, 255, 0.7)', border: '#00E6FF', text: 'Sh', textColor: '#000000' }, // Shield (Cyan)
+    { id: POWER_UP_GHOST, color: 'rgba(230, 230, 255, 0.6)', border: '#FFFFFF', text: 'G', textColor: '#000000' }, // Ghost (Pale)
+    { id: POWER_UP_REVERSE, color: 'rgba(255, 60, 220, 0.7)', border: '#FF3CDC', text: 'R', textColor: '#FFFFFF' }, // Reverse (Magenta)
+    { id: POWER_UP_FREEZE, color: 'rgba(120, 200, 255, 0.7)', border: '#AAE6FF', text: 'F', textColor: '#000000' }, // Freeze (Ice)
+    { id: POWER_UP_FROZEN, color: 'rgba(200, 240, 255, 0.8)', border: '#DCFAFF', text: 'Fz', textColor: '#003050', onlyWhenActive: true }, // Frozen
+];
+
+// --- World Events (see src/shared/worldEvents.js) ---
+// Banner and marker color per event type, unknown types (newer servers) get the default
+const WORLD_EVENT_COLORS = {
+    [WORLD_EVENT_FOOD_RAIN]: '#4FC3F7',
+    [WORLD_EVENT_DOUBLE_SCORE]: '#FF7043',
+    [WORLD_EVENT_GOLDEN_FEAST]: '#FFD54F',
+    [WORLD_EVENT_POWER_UP_FRENZY]: '#BA68C8',
+};
+const WORLD_EVENT_DEFAULT_COLOR = '#FFFFFF';
+const WORLD_EVENT_END_GRACE_MS = 1000; // Events whose 'end' never arrived are dropped this long after their countdown
+
+// --- Map Walls (see src/shared/worldMap.js) ---
+const WALL_FILL = '#3E3A4F';
+const WALL_EDGE = 'rgba(230, 220, 255, 0.55)';
+const MINIMAP_WALL_FILL = 'rgba(210, 200, 240, 0.7)';
+
+// --- Map Entities (see src/shared/mapEntities.js) ---
+const HAZARD_KILL_COLOR = '255, 70, 70'; // RGB, alpha varies
+const HAZARD_SHRINK_COLOR = '190, 90, 255';
+const SLOW_ZONE_COLOR = '90, 200, 190';
+const BLADE_TRAIL_STEPS = 4; // Fading copies drawn behind a spinning blade
+const BLADE_TRAIL_SPACING = 0.06; // Radians between them
+
+// --- Battle Royale (see src/shared/battleRoyale.js) ---
+const ZONE_EDGE_COLOR = '255, 80, 60'; // RGB, alpha varies
+const ZONE_OUTSIDE_FILL = 'rgba(150, 20, 20, 0.28)'; // Shade over everything outside the safe zone
+const ZONE_NEXT_COLOR = 'rgba(255, 255, 255, 0.6)'; // Where the coming shrink takes the zone
+
+// --- Kill Feed ---
+const KILL_FEED_MAX_ENTRIES = 5;
+const KILL_FEED_DURATION_MS = 6000; // How long an entry stays up
+const KILL_FEED_FADE_MS = 1500; // The last part of that is a fade out
+
+// --- Sprint (hold Space/Shift, a second finger or the on-screen button; the server takes length for it) ---
+const SPRINT_KEYS = ['Space', 'ShiftLeft', 'ShiftRight'];
+const SPRINT_SOURCE_KEYBOARD = 'keyboard';
+const SPRINT_SOURCE_TOUCH = 'touch'; // Second finger while the joystick finger is down
+const SPRINT_SOURCE_BUTTON = 'button';
+const SPRINT_TRAIL_LENGTH = 8; // Fading dots drawn behind a sprinting worm's tail
 
 
 // --- Connection Status Enum ---
@@ -83,7 +154,9 @@ class Worm {
         this.primaryColor = this.color;
         this.shadowColor = adjustHSL(this.color, -20); // Darker shade
         this.highlightColor = adjustHSL(this.color, 15); // Lighter shade
-        this.speedBoostEndTime = 0; // Timestamp when speed boost ends
+        this.powerUps = {}; // Set from the server's snapshot: { [powerUpId]: remainingMs } of the active power-ups
+        this.isSprinting = false; // Set from the server's snapshot, draws the sprint trail
+        this.radius = null; // Set from the server's snapshot, the radius collisions use
     }
 
     // Update color and derived shades
@@ -96,19 +169,53 @@ class Worm {
          }
     }
 
-    applySpeedBoost() {
-        this.speedBoostEndTime = Date.now() + POWER_UP_DURATION;
+    hasPowerUp(id) {
+        return this.powerUps[id] > 0;
     }
 
-    isSpeedBoostActive() {
-        return Date.now() < this.speedBoostEndTime;
-    }
 
+    /**
+     * Draws the sprint effect under the worm: a glow along the body and fading dots streaming off the tail.
+     * @param {CanvasRenderingContext2D} ctx - The drawing context.
+     * @param {number} time - Current time in seconds for animations.
+     * @param {number} currentZoomFactor - The current zoom factor to apply manually.
+     */
+    drawSprintTrail(ctx, time, currentZoomFactor) {
+        const radius = this.getCurrentRadius();
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = this.highlightColor;
+        ctx.shadowColor = this.highlightColor;
+        ctx.shadowBlur = 12 * currentZoomFactor;
+        for (let i = 0; i < this.segments.length; i += 3) {
+            const seg = this.segments[i];
+            ctx.beginPath();
+            ctx.arc(seg.x * currentZoomFactor, seg.y * currentZoomFactor, radius * 1.4 * currentZoomFactor, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Continue the tail's direction with shrinking, fading dots
+        const tail = this.segments[this.segments.length - 1];
+        const beforeTail = this.segments[this.segments.length - 2] || tail;
+        const tailAngle = Math.atan2(tail.y - beforeTail.y, tail.x - beforeTail.x);
+        for (let i = 1; i <= SPRINT_TRAIL_LENGTH; i++) {
+            const fade = 1 - i / (SPRINT_TRAIL_LENGTH + 1);
+            const distance = i * radius * 0.9;
+            const jitter = Math.sin(time * 20 + i) * radius * 0.3;
+            const x = tail.x + Math.cos(tailAngle) * distance - Math.sin(tailAngle) * jitter;
+            const y = tail.y + Math.sin(tailAngle) * distance + Math.cos(tailAngle) * jitter;
+            ctx.globalAlpha = 0.5 * fade;
+            ctx.beginPath();
+            ctx.arc(x * currentZoomFactor, y * currentZoomFactor, radius * 0.6 * fade * currentZoomFactor, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
 
     getCurrentRadius() {
-        const length = this.segments?.length || WORM_INITIAL_LENGTH;
-        const calculatedRadius = WORM_BASE_SEGMENT_RADIUS + (length * WORM_RADIUS_GROWTH_FACTOR);
-        return Math.min(calculatedRadius, WORM_MAX_SEGMENT_RADIUS);
+        if (this.radius) return this.radius;
+        // Older servers and replays don't send it, fall back to the same formula
+        return wormRadiusForLength(this.segments?.length || WORM_INITIAL_LENGTH);
     }
 
     /**
@@ -126,9 +233,88 @@ class Worm {
      * @param {number} time - Current time in seconds for animations.
      * @param {number} currentZoomFactor - The current zoom factor to apply manually.
      */
-    // Added currentZoomFactor parameter
     draw(ctx, isPlayerControlled = false, lookAngle, time, currentZoomFactor) {
         if (!this.segments || this.segments.length === 0) return;
+        // Intangible worms (ghost, or a shield that just broke) are see-through
+        const isIntangible = this.hasPowerUp(POWER_UP_GHOST) || this.hasPowerUp(POWER_UP_SHIELD_GRACE);
+        ctx.save();
+        if (isIntangible) ctx.globalAlpha = 0.35 + Math.sin(time * 8) * 0.1;
+        this.drawBody(ctx, isPlayerControlled, lookAngle, time, currentZoomFactor);
+        ctx.restore();
+        this.drawPowerUpEffects(ctx, time, currentZoomFactor);
+    }
+
+    /**
+     * Draws what other players need to see of the worm's power-ups: the shield bubble, frost while frozen,
+     * the freeze pulse and the flash of a reverse.
+     * @param {CanvasRenderingContext2D} ctx - The drawing context.
+     * @param {number} time - Current time in seconds for animations.
+     * @param {number} currentZoomFactor - The current zoom factor to apply manually.
+     */
+    drawPowerUpEffects(ctx, time, currentZoomFactor) {
+        const head = this.segments[0];
+        const radius = this.getCurrentRadius();
+        const headX = head.x * currentZoomFactor;
+        const headY = head.y * currentZoomFactor;
+        ctx.save();
+
+        if (this.hasPowerUp(POWER_UP_SHIELD)) {
+            const bubbleRadius = (radius * 2.2 + Math.sin(time * 4) * 2) * currentZoomFactor;
+            const bubble = ctx.createRadialGradient(headX, headY, bubbleRadius * 0.6, headX, headY, bubbleRadius);
+            bubble.addColorStop(0, 'rgba(0, 230, 255, 0)');
+            bubble.addColorStop(1, 'rgba(0, 230, 255, 0.35)');
+            ctx.fillStyle = bubble;
+            ctx.strokeStyle = 'rgba(150, 250, 255, 0.9)';
+            ctx.lineWidth = 2 * currentZoomFactor;
+            ctx.beginPath();
+            ctx.arc(headX, headY, bubbleRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        if (this.hasPowerUp(POWER_UP_FROZEN)) {
+            // Frost over every few segments and a ring around the head
+            ctx.fillStyle = 'rgba(200, 240, 255, 0.45)';
+            for (let i = 0; i < this.segments.length; i += 4) {
+                const seg = this.segments[i];
+                ctx.beginPath();
+                ctx.arc(seg.x * currentZoomFactor, seg.y * currentZoomFactor, radius * 1.1 * currentZoomFactor, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.strokeStyle = 'rgba(220, 250, 255, 0.9)';
+            ctx.lineWidth = 2 * currentZoomFactor;
+            ctx.setLineDash([4 * currentZoomFactor, 3 * currentZoomFactor]);
+            ctx.beginPath();
+            ctx.arc(headX, headY, radius * 1.8 * currentZoomFactor, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Freeze and reverse act at once, their short timers play the effect out
+        if (this.hasPowerUp(POWER_UP_FREEZE)) {
+            const progress = 1 - this.powerUps[POWER_UP_FREEZE] / getPowerUp(POWER_UP_FREEZE).durationMs;
+            ctx.strokeStyle = `rgba(170, 230, 255, ${0.8 * (1 - progress)})`;
+            ctx.lineWidth = 6 * currentZoomFactor;
+            ctx.beginPath();
+            ctx.arc(headX, headY, Math.max(radius, FREEZE_RADIUS * progress) * currentZoomFactor, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        if (this.hasPowerUp(POWER_UP_REVERSE)) {
+            const fade = this.powerUps[POWER_UP_REVERSE] / getPowerUp(POWER_UP_REVERSE).durationMs;
+            ctx.fillStyle = `rgba(255, 60, 220, ${0.5 * fade})`;
+            ctx.beginPath();
+            ctx.arc(headX, headY, radius * (4 - fade * 2) * currentZoomFactor, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draws the worm itself, see draw().
+     */
+    drawBody(ctx, isPlayerControlled, lookAngle, time, currentZoomFactor) {
+
+        if (this.isSprinting) this.drawSprintTrail(ctx, time, currentZoomFactor);
 
         const currentSegmentRadius = this.getCurrentRadius();
         const currentHeadRadius = currentSegmentRadius + 3; // Head slightly larger than in previous version, closer to image
@@ -393,7 +579,10 @@ const VirtualJoystick = ({
             const clientY = e.touches ? e.touches[0].clientY : e.clientY;
             handleInteractionMove(clientX, clientY);
         };
-        const endHandler = () => handleInteractionEnd();
+        const endHandler = (e) => {
+            if (e.touches && e.touches.length > 0) return; // Only the sprint finger was lifted
+            handleInteractionEnd();
+        };
         if (isDragging) {
             window.addEventListener('mousemove', moveHandler);
             window.addEventListener('touchmove', moveHandler, { passive: false });
@@ -461,9 +650,19 @@ function App() {
     const playerWormRef = useRef(null);
     const otherWormsRef = useRef(new Map());
     const foodRef = useRef([]);
+    const minimapRef = useRef({ worms: [], food: [] }); // Low-detail summary of the whole world from the server
+    const worldEventsRef = useRef([]); // Running world events from the server, each with the local time it ends (endsAt)
+    const mapRef = useRef(null); // The map's walls and entities from 'welcome' (or the replay header), null for an open world
+    const entityStatesRef = useRef(new Map()); // Moving map entity id -> { x, y, angle, receivedAt } from the last snapshot
+    const zoneRef = useRef(null); // The battle royale zone from 'welcome' and 'zone', with the local time it arrived (receivedAt)
+    const roundRef = useRef(null); // The battle royale round, like zoneRef
+    const netStateRef = useRef(createNetState()); // State rebuilt from keyframes + deltas
+    const awaitingResyncRef = useRef(false); // True after we asked for a keyframe, until one arrives
+    const roomErrorRef = useRef(null); // Reason the server gave for turning us away from a private room
     const cameraOffsetRef = useRef({ x: 0, y: 0 }); // Still used for minimap
     const animationFrameIdRef = useRef(null);
     const worldSizeRef = useRef({ width: WORLD_WIDTH, height: WORLD_HEIGHT });
+    const serverRulesRef = useRef(normalizeClientRules()); // Rules the server runs with (power-up duration, magnet reach, ...), from 'welcome' and 'rules'
     const connectionAttemptTimer = useRef(null);
     const scoreRef = useRef(0);
     const leaderboardRef = useRef([]);
@@ -483,8 +682,12 @@ function App() {
     // --- Power Up State/Refs ---
     const [isZoomActive, setIsZoomActive] = useState(false);
     const isZoomActiveRef = useRef(isZoomActive);
-    const zoomEndTimeRef = useRef(0);
     const isMagnetActiveRef = useRef(false); // Using ref for magnet as it affects game logic directly
+    const sprintSourcesRef = useRef(new Set()); // Sprint inputs currently held (keyboard, touch, button)
+    const [isSprintHeld, setIsSprintHeld] = useState(false);
+    const [killFeed, setKillFeed] = useState([]); // Recent deaths in this arena: { key, death, time }
+    const nextKillFeedKeyRef = useRef(0);
+    const [lastDeath, setLastDeath] = useState(null); // How our own worm died, shown on the game over screen
 
 
     // --- State ---
@@ -496,14 +699,36 @@ function App() {
     const [playerId, setPlayerId] = useState(null);
     const [canvasSize, setCanvasSize] = useState({ width: window.innerWidth, height: window.innerHeight });
     const connectionStatusRef = useRef(connectionStatus);
+    const isGameOverRef = useRef(isGameOver);
+    const canvasSizeRef = useRef(canvasSize);
     const [showJoystick, setShowJoystick] = useState(false);
     const [joystickPosition, setJoystickPosition] = useState({ x: 0, y: 0 });
+    const [matchInfo, setMatchInfo] = useState(null); // Private arena info ({ code, hostId, state, settings, ... }), null in public arenas
+    const [round, setRound] = useState(null); // Battle royale round ({ phase, round, alive, results, ... }), null in classic mode
+
+    // Replay viewer state (only used when the page was opened with ?replay=...)
+    const [replayName] = useState(() => new URLSearchParams(window.location.search).get(REPLAY_QUERY_PARAM));
+    const replayRef = useRef(null); // { replay, player } once the file is loaded
+    const replayTickRef = useRef(0); // Playback position in (fractional) ticks
+    const replayCameraRef = useRef({ x: 0, y: 0, zoom: 1 }); // Free camera: world point shown at the screen center
+    const replayDragRef = useRef(null); // Last pointer position while panning the camera
+    const [replayInfo, setReplayInfo] = useState(null); // { startTick, endTick, tickRateMs, events } once loaded
+    const [replayError, setReplayError] = useState(null);
+    const [replayTick, setReplayTick] = useState(0); // Playback position shown by the controls
+    const [replayPaused, setReplayPaused] = useState(false);
+    const replayPausedRef = useRef(replayPaused);
+    const [replaySpeed, setReplaySpeed] = useState(1);
+    const replaySpeedRef = useRef(replaySpeed);
 
     // --- Update Refs when State Changes ---
     useEffect(() => { scoreRef.current = score; }, [score]);
     useEffect(() => { leaderboardRef.current = leaderboard; }, [leaderboard]);
     useEffect(() => { playerIdRef.current = playerId; }, [playerId]);
     useEffect(() => { connectionStatusRef.current = connectionStatus; }, [connectionStatus]);
+    useEffect(() => { isGameOverRef.current = isGameOver; }, [isGameOver]);
+    useEffect(() => { canvasSizeRef.current = canvasSize; }, [canvasSize]);
+    useEffect(() => { replayPausedRef.current = replayPaused; }, [replayPaused]);
+    useEffect(() => { replaySpeedRef.current = replaySpeed; }, [replaySpeed]);
 
     // --- Reset Game State ---
     const resetGameState = useCallback((keepConnectionStatus = false) => {
@@ -512,7 +737,18 @@ function App() {
         playerWormRef.current = null;
         otherWormsRef.current.clear();
         foodRef.current = [];
+        minimapRef.current = { worms: [], food: [] };
+        worldEventsRef.current = [];
+        entityStatesRef.current = new Map();
+        zoneRef.current = null;
+        roundRef.current = null;
+        setRound(null);
+        netStateRef.current = createNetState();
+        awaitingResyncRef.current = false;
         setLeaderboard([]);
+        setMatchInfo(null);
+        setKillFeed([]);
+        setLastDeath(null);
         // Reset camera offset but don't immediately center on world origin
         cameraOffsetRef.current = { x: 0, y: 0 }; // Reset to 0,0
         initialCameraSetRef.current = false; // Reset initial camera flag
@@ -521,8 +757,9 @@ function App() {
         setShowJoystick(false);
         interactionActive.current = false;
         setIsZoomActive(false); // Reset zoom state
-        zoomEndTimeRef.current = 0;
         isMagnetActiveRef.current = false; // Reset magnet state
+        sprintSourcesRef.current.clear();
+        setIsSprintHeld(false);
 
         if (animationFrameIdRef.current) {
             cancelAnimationFrame(animationFrameIdRef.current);
@@ -536,12 +773,16 @@ function App() {
 
 
     // --- Connect to Server ---
+    // The handlers read game over and the canvas size through refs. If this callback changed with them, the
+    // connect effect below would drop the socket and reconnect on every death or resize; reconnecting is left
+    // to handleRestart.
     const connectToServer = useCallback(() => {
         if (socketRef.current?.connected || connectionStatusRef.current === ConnectionStatus.CONNECTING) {
               return;
         }
         console.log("Attempting to connect to server:", SERVER_URL);
         setConnectionErrorMsg('');
+        roomErrorRef.current = null;
         clearTimeout(connectionAttemptTimer.current);
         setConnectionStatus(ConnectionStatus.CONNECTING);
         resetGameState(true); // Reset state on connection attempt
@@ -551,12 +792,22 @@ function App() {
             socketRef.current = null;
         }
 
+        // Join (or create) a private arena when the page URL names one
+        const room = new URLSearchParams(window.location.search).get(ROOM_QUERY_PARAM);
+        const query = {};
+        if (room) {
+            query.room = room;
+            const hostKey = sessionStorage.getItem(HOST_KEY_STORAGE_PREFIX + room.toUpperCase());
+            if (hostKey) query.hostKey = hostKey;
+        }
+
         socketRef.current = io(SERVER_URL, {
             reconnection: true,
             reconnectionAttempts: 5,
             reconnectionDelay: 1000,
             reconnectionDelayMax: 5000,
-            timeout: 10000
+            timeout: 10000,
+            query
         });
 
         const socket = socketRef.current;
@@ -572,7 +823,7 @@ function App() {
             console.warn('Disconnected:', reason);
             const wasConnected = connectionStatusRef.current === ConnectionStatus.CONNECTED;
             if (reason === 'io server disconnect') {
-                setConnectionErrorMsg('Disconnected by server.');
+                setConnectionErrorMsg(roomErrorRef.current || 'Disconnected by server.');
                 setConnectionStatus(ConnectionStatus.DISCONNECTED);
             } else if (reason === 'io client disconnect') {
                 setConnectionErrorMsg('');
@@ -625,16 +876,107 @@ function App() {
             setPlayerId(data.playerId);
             playerIdRef.current = data.playerId;
             worldSizeRef.current = data.worldSize || { width: WORLD_WIDTH, height: WORLD_HEIGHT };
+            mapRef.current = data.map || null;
+            serverRulesRef.current = normalizeClientRules(data.rules);
+            worldEventsRef.current = (data.worldEvents || []).map(event => ({ ...event, endsAt: Date.now() + event.remainingMs }));
+            zoneRef.current = data.zone ? { ...data.zone, receivedAt: Date.now() } : null;
+            roundRef.current = data.round ? { ...data.round, receivedAt: Date.now() } : null;
+            setRound(roundRef.current);
+            // Ask for keyframes + deltas if the server speaks our protocol version, otherwise keep full snapshots.
+            // Prefer the binary encoding when the server offers it.
+            if (data.protocolVersion === PROTOCOL_VERSION) {
+                netStateRef.current = createNetState();
+                const encoding = data.encodings?.includes('binary') ? 'binary' : 'json';
+                socket.emit('clientHello', { protocolVersion: PROTOCOL_VERSION, encoding });
+            }
          });
 
-        socket.on('gameState', (state) => {
-            if (!playerIdRef.current || connectionStatusRef.current !== ConnectionStatus.CONNECTED || isGameOver) return;
-            if (!state) {
+        // The server's rules changed (config reload or a private match restart)
+        socket.on('rules', (rules) => {
+            if (rules) serverRulesRef.current = normalizeClientRules(rules);
+        });
+
+        // A world event started or ended: { phase: 'start' | 'end', event }
+        socket.on('worldEvent', (data) => {
+            if (!data?.event) return;
+            const others = worldEventsRef.current.filter(event => event.id !== data.event.id);
+            worldEventsRef.current = data.phase === 'start'
+                ? [...others, { ...data.event, endsAt: Date.now() + data.event.remainingMs }]
+                : others;
+        });
+
+        // Battle royale: the safe zone started holding or shrinking (null: gone)
+        socket.on('zone', (zone) => {
+            zoneRef.current = zone ? { ...zone, receivedAt: Date.now() } : null;
+        });
+
+        // Battle royale: the round phase or the number of worms alive changed
+        socket.on('round', (data) => {
+            if (!data?.phase) return;
+            const previousPhase = roundRef.current?.phase;
+            roundRef.current = { ...data, receivedAt: Date.now() };
+            setRound(roundRef.current);
+            // The lobby respawns everyone out of the last round and the countdown gives everyone a fresh worm
+            if (data.phase !== previousPhase && (data.phase === ROUND_PHASE_LOBBY || data.phase === ROUND_PHASE_COUNTDOWN)) {
+                setIsGameOver(false);
+                setLastDeath(null);
+            }
+        });
+
+        // Private arena state: join code, host, match state and the settings for the next (re)start
+        socket.on('matchInfo', (data) => {
+            if (!data?.code) return;
+            setMatchInfo(data);
+            if (data.worldSize) worldSizeRef.current = data.worldSize;
+            if (data.hostKey) sessionStorage.setItem(HOST_KEY_STORAGE_PREFIX + data.code, data.hostKey);
+            // Replace ?room=new with the real code so the address bar holds a shareable link
+            const params = new URLSearchParams(window.location.search);
+            if (params.get(ROOM_QUERY_PARAM) !== data.code) {
+                params.set(ROOM_QUERY_PARAM, data.code);
+                window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+            }
+        });
+
+        // Sent right before the server drops the connection (unknown or full private room)
+        socket.on('roomError', (data) => {
+            console.warn('Room error:', data?.message);
+            roomErrorRef.current = data?.message || 'Could not join the room.';
+        });
+
+        socket.on('gameState', (data) => {
+            if (!playerIdRef.current || connectionStatusRef.current !== ConnectionStatus.CONNECTED || isGameOverRef.current) return;
+            if (!data) {
                 console.warn("Empty gameState received. Skipping update.");
                 return;
             }
 
-            // Process food updates and check for power-ups
+            let message = data;
+            if (data instanceof ArrayBuffer) {
+                try {
+                    message = decodeMessage(data);
+                } catch (e) {
+                    console.error("Failed to decode binary gameState, requesting resync:", e);
+                    awaitingResyncRef.current = true;
+                    socket.emit('requestResync');
+                    return;
+                }
+            }
+
+            // Rebuild the full state from keyframes + deltas (full snapshots from older servers are used as-is)
+            let state = message;
+            if (message.v !== undefined) {
+                if (awaitingResyncRef.current && message.type !== MESSAGE_KEYFRAME) return; // Wait for the keyframe
+                if (!applySnapshotMessage(netStateRef.current, message)) {
+                    console.warn(`Missed gameState before tick ${message.tick}, requesting resync.`);
+                    awaitingResyncRef.current = true;
+                    socket.emit('requestResync');
+                    return;
+                }
+                awaitingResyncRef.current = false;
+                state = toGameState(netStateRef.current, message);
+            }
+
+            // Process food updates (power-ups are the server's, their timers come with the player's worm below)
             const updatedFood = Array.isArray(state.food) ? state.food : [];
           
             const eatenFoodIds = new Set(); // Keep track of food eaten this frame
@@ -644,24 +986,6 @@ function App() {
                 state.eatenFood.forEach(foodItem => {
                     if (foodItem.eaterId === playerIdRef.current) {
                         eatenFoodIds.add(foodItem.id);
-                        // Check for special food types
-                        if (foodItem.type === FOOD_TYPE_POWER) {
-                            playerWormRef.current.applySpeedBoost();
-                           
-                        } else if (foodItem.type === FOOD_TYPE_ZOOM) {
-                            setIsZoomActive(true); // <-- This sets the state
-                            zoomEndTimeRef.current = Date.now() + POWER_UP_DURATION;
-                            // Added logging for expiry time
-                          
-                        } else if (foodItem.type === FOOD_TYPE_MAGNET) {
-                             isMagnetActiveRef.current = true;
-                             // Magnet effect duration is tied to the power-up duration
-                             setTimeout(() => {
-                                 isMagnetActiveRef.current = false;
-                               
-                             }, POWER_UP_DURATION);
-                           
-                        }
                     }
                 });
             }
@@ -692,6 +1016,13 @@ function App() {
                             // Use the updateColor method to handle derived colors
                             playerWormRef.current.updateColor(wormData.color);
                         }
+                        playerWormRef.current.isSprinting = Boolean(wormData.isSprinting);
+                        playerWormRef.current.radius = wormData.radius ?? null;
+                        // Power-up effects follow the server's timers
+                        playerWormRef.current.powerUps = wormData.powerUps || {};
+                        const zoomActive = playerWormRef.current.hasPowerUp(POWER_UP_ZOOM);
+                        if (zoomActive !== isZoomActiveRef.current) setIsZoomActive(zoomActive);
+                        isMagnetActiveRef.current = playerWormRef.current.hasPowerUp(POWER_UP_MAGNET);
                         const serverScore = wormData.score ?? 0;
                         if (scoreRef.current !== serverScore) {
                             setScore(serverScore);
@@ -701,8 +1032,8 @@ function App() {
                         if (!initialCameraSetRef.current && playerWormRef.current.segments.length > 0) {
                              const playerHead = playerWormRef.current.segments[0];
                              cameraOffsetRef.current = {
-                                 x: canvasSize.width / 2 - playerHead.x,
-                                 y: canvasSize.height / 2 - playerHead.y
+                                 x: canvasSizeRef.current.width / 2 - playerHead.x,
+                                 y: canvasSizeRef.current.height / 2 - playerHead.y
                              };
                              initialCameraSetRef.current = true;
                             
@@ -721,6 +1052,9 @@ function App() {
                             otherWorm.updateColor(wormData.color);
                             
                         }
+                        otherWorm.isSprinting = Boolean(wormData.isSprinting);
+                        otherWorm.radius = wormData.radius ?? null;
+                        otherWorm.powerUps = wormData.powerUps || {}; // Everyone sees shields, ghosts and frost
                     }
                 }
             } else {
@@ -734,6 +1068,16 @@ function App() {
                 }
             });
 
+            // The server only sends worms and food near us, plus a periodic low-detail summary for the minimap
+            if (state.minimap) {
+                minimapRef.current = state.minimap;
+            }
+            // Where the map's blades and hazards are, blades keep spinning from there until the next snapshot
+            if (state.entities) {
+                const receivedAt = performance.now();
+                entityStatesRef.current = new Map(state.entities.map(entity => [entity.id, { ...entity, receivedAt }]));
+            }
+
             if (Array.isArray(state.leaderboard)) {
                 if (JSON.stringify(leaderboardRef.current) !== JSON.stringify(state.leaderboard)) {
                    
@@ -745,9 +1089,18 @@ function App() {
         });
 
 
+        // Every death in the arena, for the kill feed: { victimId, victimName, cause, killerId, killerName, ... }
+        socket.on('playerKilled', (death) => {
+            if (!death?.victimId) return;
+            const entry = { key: nextKillFeedKeyRef.current++, death, time: Date.now() };
+            setKillFeed(feed => [...feed, entry].slice(-KILL_FEED_MAX_ENTRIES));
+        });
+
         socket.on('gameOver', (data) => {
-            if (!isGameOver) {
+            if (!isGameOverRef.current) {
+                isGameOverRef.current = true; // A second gameOver can arrive before the next render
                 setIsGameOver(true);
+                setLastDeath(data?.death || null);
                 interactionActive.current = false;
                 setShowJoystick(false);
              
@@ -766,7 +1119,7 @@ function App() {
             }
         });
 
-    }, [resetGameState, isGameOver, canvasSize.width, canvasSize.height]); // Added canvasSize to dependencies
+    }, [resetGameState]);
 
     useEffect(() => {
         isZoomActiveRef.current = isZoomActive;
@@ -775,6 +1128,7 @@ function App() {
 
     // --- Effect for Initial Connection & Cleanup ---
     useEffect(() => {
+        if (replayName) return; // Watching a replay, no game to join
         connectToServer();
         return () => {
             clearTimeout(connectionAttemptTimer.current);
@@ -788,7 +1142,7 @@ function App() {
                 animationFrameIdRef.current = null;
             }
         };
-    }, [connectToServer]);
+    }, [connectToServer, replayName]);
 
 
     // --- Effect for Loading Food Images ---
@@ -829,25 +1183,87 @@ function App() {
         }
         const now = performance.now();
         if (now - lastJoystickSendTimeRef.current > JOYSTICK_SEND_INTERVAL) {
-            // Include speed boost status in input if needed by server
-            const isSpeedBoosting = playerWormRef.current?.isSpeedBoostActive() || false;
-            socketRef.current.emit('playerInput', { angle: joystickAngleRef.current, isSpeedBoosting });
+            // isSpeedBoosting: whether the sprint input is held, the server decides if the worm can afford it
+            socketRef.current.emit('playerInput', { angle: joystickAngleRef.current, isSpeedBoosting: sprintSourcesRef.current.size > 0 });
             lastJoystickSendTimeRef.current = now;
         }
     }, [isGameOver]);
 
+    // --- Sprint Input ---
+    // Any held source (key, second finger, button) sprints. Changes are sent right away instead of
+    // waiting for the next joystick update, which only happens while the joystick is used.
+    const setSprintSource = useCallback((source, isHeld) => {
+        const sources = sprintSourcesRef.current;
+        const wasSprinting = sources.size > 0;
+        if (isHeld) sources.add(source); else sources.delete(source);
+        const isSprinting = sources.size > 0;
+        if (isSprinting === wasSprinting) return;
+        setIsSprintHeld(isSprinting);
+        if (socketRef.current && connectionStatusRef.current === ConnectionStatus.CONNECTED) {
+            socketRef.current.emit('playerInput', { angle: joystickAngleRef.current ?? undefined, isSpeedBoosting: isSprinting });
+        }
+    }, []);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (!SPRINT_KEYS.includes(e.code) || e.repeat) return;
+            if (e.target instanceof HTMLInputElement) return; // Typing in the match settings
+            e.preventDefault();
+            setSprintSource(SPRINT_SOURCE_KEYBOARD, e.type === 'keydown');
+        };
+        const handleBlur = () => setSprintSource(SPRINT_SOURCE_KEYBOARD, false);
+        window.addEventListener('keydown', handleKey);
+        window.addEventListener('keyup', handleKey);
+        window.addEventListener('blur', handleBlur);
+        return () => {
+            window.removeEventListener('keydown', handleKey);
+            window.removeEventListener('keyup', handleKey);
+            window.removeEventListener('blur', handleBlur);
+        };
+    }, [setSprintSource]);
+
     // Draws food items - Enhanced fallback style and magnet effect visualization
+    // Pellets are as big as the server says and glow more the more they're worth (see FOOD_TIERS)
     // Added currentZoomFactor parameter
     const drawFood = useCallback((ctx, time, currentZoomFactor) => {
         const loadedImages = foodImagesRef.current;
         foodRef.current.forEach((f) => {
             if (!f) return;
-            const foodRadius = f.radius || FOOD_RADIUS;
+            const tier = foodTierForValue(f.value);
+            const foodRadius = f.radius || tier.radius;
             const scaledFoodX = f.x * currentZoomFactor;
             const scaledFoodY = f.y * currentZoomFactor;
             const scaledFoodRadius = foodRadius * currentZoomFactor;
-            
-            const pulse = 1 + Math.sin(time * 5 + f.x) * 0.1;
+
+            const pulse = 1 + Math.sin(time * 5 + f.x) * 0.1 * tier.glow;
+
+            // Valuable pellets get a halo, golden ones with sparkles circling them
+            if (tier.glow > 1) {
+                const haloRadius = scaledFoodRadius * (1.2 + 0.4 * tier.glow) * pulse;
+                const halo = ctx.createRadialGradient(scaledFoodX, scaledFoodY, scaledFoodRadius * 0.5, scaledFoodX, scaledFoodY, haloRadius);
+                halo.addColorStop(0, tier.color || f.color || '#FFFF00');
+                halo.addColorStop(1, 'transparent');
+                ctx.save();
+                ctx.globalAlpha = 0.35;
+                ctx.fillStyle = halo;
+                ctx.beginPath();
+                ctx.arc(scaledFoodX, scaledFoodY, haloRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+            }
+            if (tier.name === FOOD_TIER_GOLDEN) {
+                ctx.save();
+                ctx.fillStyle = '#FFF6C0';
+                for (let i = 0; i < 3; i++) {
+                    const sparkleAngle = time * 2 + i * Math.PI * 2 / 3;
+                    const sparkleX = scaledFoodX + Math.cos(sparkleAngle) * scaledFoodRadius * 1.5;
+                    const sparkleY = scaledFoodY + Math.sin(sparkleAngle) * scaledFoodRadius * 1.5;
+                    ctx.beginPath();
+                    ctx.arc(sparkleX, sparkleY, 2 * currentZoomFactor, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                ctx.restore();
+            }
             const scaledImageSize = scaledFoodRadius * 2 * pulse;
             const scaledDrawX = scaledFoodX - scaledImageSize / 2;
             const scaledDrawY = scaledFoodY - scaledImageSize / 2;
@@ -856,7 +1272,7 @@ function App() {
             if (imageStatus && imageStatus.loaded && !imageStatus.error) {
                 ctx.save();
                 ctx.shadowColor = f.color || '#FFFF00';
-                ctx.shadowBlur = 15 * currentZoomFactor * pulse;
+                ctx.shadowBlur = 15 * tier.glow * currentZoomFactor * pulse;
                 ctx.drawImage(imageStatus.image, scaledDrawX, scaledDrawY, scaledImageSize, scaledImageSize);
                 ctx.restore();
             } else {
@@ -917,7 +1333,6 @@ function App() {
         const color = backgroundRef.current;
        const canvas = canvasRef.current;
         const time = currentTime / 1000;
-        const now = Date.now();
 
         if (!canvas || connectionStatusRef.current !== ConnectionStatus.CONNECTED || isGameOver) {
             animationFrameIdRef.current = null;
@@ -929,13 +1344,6 @@ function App() {
             return;
         }
 
-        // Check for power-up expiry
-        // Read from ref here
-        if (isZoomActiveRef.current && now > zoomEndTimeRef.current) {
-            setIsZoomActive(false);
-       }
-        // Magnet effect is handled by a timeout when activated
-
         sendPlayerInput();
 
         const playerHead = playerWormRef.current?.segments?.[0];
@@ -968,8 +1376,16 @@ function App() {
 
         // Draw game elements (these use world coordinates, drawing functions will apply manual scale)
         drawBackground(ctx, worldSizeRef.current.width, worldSizeRef.current.height,color, currentZoomFactor); // Pass zoom factor
+        worldEventsRef.current = worldEventsRef.current.filter(event => event.endsAt + WORLD_EVENT_END_GRACE_MS > Date.now());
+        drawWorldEventRegions(ctx, worldEventsRef.current, time, currentZoomFactor);
+        drawWalls(ctx, mapRef.current, currentZoomFactor);
+        drawMapZones(ctx, mapRef.current, time, currentZoomFactor);
         drawFood(ctx, time, currentZoomFactor); // Pass zoom factor
         drawWorms(ctx, time, currentZoomFactor); // Pass zoom factor
+        drawMapHazards(ctx, mapRef.current, entityStatesRef.current, currentTime, time, currentZoomFactor);
+        const zone = zoneRef.current;
+        const zoneCircle = zone && zoneCircleAt(zone, Date.now() - zone.receivedAt);
+        drawSafeZone(ctx, zone, zoneCircle, worldSizeRef.current, time, currentZoomFactor);
 
         ctx.restore(); // Restore to the original canvas transformation state
 
@@ -980,7 +1396,8 @@ function App() {
         // This part doesn't need manual scaling applied to the food positions themselves,
         // as they are world coordinates updated by the server.
         if (isMagnetActiveRef.current && playerHead) {
-            const magnetRadius = playerWormRef.current.getCurrentRadius() * MAGNET_RADIUS_MULTIPLIER;
+            // Same reach the server eats food in
+            const magnetRadius = foodReach(playerWormRef.current.getCurrentRadius(), serverRulesRef.current.magnetRadiusMultiplier);
             foodRef.current.forEach(foodItem => {
                 const distToFood = Math.sqrt(Math.pow(foodItem.x - playerHead.x, 2) + Math.pow(foodItem.y - playerHead.y, 2));
                 if (distToFood < magnetRadius) {
@@ -1009,21 +1426,22 @@ function App() {
                      y: canvas.height / 2 - playerHead.y * currentZoomFactor
                  };
              }
-            drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, cameraOffsetRef, canvas, currentZoomFactor); // Pass zoom factor to minimap
+            drawMinimap(ctx, playerWormRef, minimapRef, worldSizeRef, cameraOffsetRef, canvas, currentZoomFactor, worldEventsRef.current, mapRef.current, entityStatesRef.current, zoneCircle); // Pass zoom factor to minimap
         }
         if (leaderboardRef.current.length > 0) {
             drawLeaderboard(ctx, leaderboardRef.current, canvas, playerIdRef.current);
         }
         drawScore(ctx, scoreRef.current, canvas);
+        const roundStatusHeight = drawRoundStatus(ctx, canvas, roundRef.current, zone);
+        drawWorldEventBanners(ctx, canvas, worldEventsRef.current, roundStatusHeight);
 
-        // Draw Power Up Icons
-        // Pass the state value here, as the UI drawing is tied to the render cycle
-        drawPowerUpIcons(ctx, canvas, playerWormRef.current?.isSpeedBoostActive(), isZoomActive, isMagnetActiveRef.current);
+        // Draw Power Up Icons with the time left on each
+        drawPowerUpIcons(ctx, canvas, playerWormRef.current?.powerUps || {}, serverRulesRef.current.powerUpDurationMs);
         
 
         animationFrameIdRef.current = requestAnimationFrame(gameLoop);
 
-    }, [isGameOver, sendPlayerInput, drawBackground, drawFood, drawWorms, isZoomActive, canvasSize.width, canvasSize.height]); // isZoomActive is still a dependency for useCallback
+    }, [isGameOver, sendPlayerInput, drawBackground, drawFood, drawWorms, canvasSize.width, canvasSize.height]);
 
     // --- Game Initialization ---
     // This function now primarily starts the game loop and resets UI state
@@ -1036,7 +1454,6 @@ function App() {
         setShowJoystick(false);
         interactionActive.current = false;
         setIsZoomActive(false); // Reset zoom state on init
-        zoomEndTimeRef.current = 0;
         isMagnetActiveRef.current = false; // Reset magnet state on init
         // Initial camera position is now set in the gameState handler
 
@@ -1101,6 +1518,18 @@ function App() {
     }, [playerId, connectionStatus, isGameOver, initGame]);
 
 
+    // --- Effect for Reporting Viewport to Server ---
+    // The server sizes the area it sends us from the canvas size and zoom
+    useEffect(() => {
+        if (!socketRef.current || connectionStatus !== ConnectionStatus.CONNECTED || !playerId) return;
+        socketRef.current.emit('setViewport', {
+            width: canvasSize.width,
+            height: canvasSize.height,
+            zoom: isZoomActive ? ZOOM_OUT_FACTOR : 1.0,
+        });
+    }, [playerId, connectionStatus, canvasSize.width, canvasSize.height, isZoomActive]);
+
+
     // --- Effect for Window Resize ---
     useEffect(() => {
         const handleResize = () => {
@@ -1146,9 +1575,23 @@ function App() {
     }, [connectToServer, isGameOver]);
 
 
+    // --- Host Controls (private arenas) ---
+    // Sends the chosen settings, then (re)starts the match with them
+    const handleStartMatch = useCallback((settings) => {
+        if (!socketRef.current || connectionStatusRef.current !== ConnectionStatus.CONNECTED) return;
+        socketRef.current.emit('hostUpdateSettings', settings);
+        socketRef.current.emit('hostStartMatch');
+    }, []);
+
+
     // --- Interaction Start Handler (for dynamic joystick) ---
     const handleInteractionStart = useCallback((e) => {
-        if (connectionStatusRef.current !== ConnectionStatus.CONNECTED || isGameOver || interactionActive.current) {
+        if (connectionStatusRef.current !== ConnectionStatus.CONNECTED || isGameOver) {
+            return;
+        }
+        if (interactionActive.current) {
+            // A second finger while steering with the joystick sprints
+            if (e.touches && e.touches.length > 1) setSprintSource(SPRINT_SOURCE_TOUCH, true);
             return;
         }
         e.preventDefault();
@@ -1162,9 +1605,10 @@ function App() {
          // Check if over power-up icons (adjust coordinates based on drawPowerUpIcons)
         const iconSize = 40;
         const padding = 15;
-        const startX = canvasSize.width / 2 - (iconSize * 1.5 + padding);
+        const iconCount = POWER_UP_ICONS.filter(icon => !icon.onlyWhenActive).length;
+        const iconAreaWidth = (iconSize + padding) * iconCount - padding;
+        const startX = canvasSize.width / 2 - iconAreaWidth / 2;
         const startY = canvasSize.height - iconSize - padding;
-        const iconAreaWidth = (iconSize + padding) * 3 - padding;
         const iconAreaHeight = iconSize;
         const isOverIcons = clientX > startX && clientX < startX + iconAreaWidth &&
                            clientY > startY && clientY < startY + iconAreaHeight;
@@ -1177,12 +1621,14 @@ function App() {
         interactionActive.current = true;
         setJoystickPosition({ x: clientX, y: clientY });
         setShowJoystick(true);
-    }, [isGameOver, canvasSize.width, canvasSize.height]);
+    }, [isGameOver, canvasSize.width, canvasSize.height, setSprintSource]);
 
   
     // --- Interaction End Handler (for dynamic joystick) ---
     useEffect(() => {
         const handleGlobalInteractionEnd = (e) => {
+            setSprintSource(SPRINT_SOURCE_TOUCH, false);
+            if (e.touches && e.touches.length > 0) return; // The joystick finger is still down
             if (interactionActive.current) {
                 interactionActive.current = false;
                 setShowJoystick(false);
@@ -1199,19 +1645,207 @@ function App() {
             window.removeEventListener('touchend', handleGlobalInteractionEnd);
             window.removeEventListener('touchcancel', handleGlobalInteractionEnd);
         };
-    }, [handleJoystickStop]);
+    }, [handleJoystickStop, setSprintSource]);
+
+
+    // --- Replay Viewer ---
+    // Loads the replay named in the URL, then plays it back on the same renderer as the live game
+    // with its own clock (pause, seek, speed) and a free camera (drag to pan, wheel to zoom).
+    useEffect(() => {
+        if (!replayName) return;
+        let cancelled = false;
+        fetch(`${SERVER_URL}/replays/${encodeURIComponent(replayName)}`)
+            .then(res => {
+                if (!res.ok) throw new Error(`Replay "${replayName}" could not be loaded (${res.status}).`);
+                return res.text();
+            })
+            .then(text => {
+                if (cancelled) return;
+                const replay = parseReplay(text);
+                const player = createReplayPlayer(replay);
+                replayRef.current = { replay, player };
+                replayTickRef.current = replay.startTick;
+                const { settings } = replay.header;
+                worldSizeRef.current = { width: settings.worldWidth, height: settings.worldHeight };
+                mapRef.current = replay.header.map || null;
+
+                // Start on the first human worm, or the middle of the world if only bots were around
+                const firstState = player.seek(replay.startTick);
+                const human = Object.values(firstState.worms).find(w => !w.isBot && w.segments.length > 0);
+                const center = human ? human.segments[0] : { x: settings.worldWidth / 2, y: settings.worldHeight / 2 };
+                replayCameraRef.current = { x: center.x, y: center.y, zoom: 1 };
+
+                setReplayTick(replay.startTick);
+                setReplayInfo({
+                    startTick: replay.startTick,
+                    endTick: replay.endTick,
+                    tickRateMs: replay.header.tickRateMs,
+                    events: replay.events,
+                });
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.error("Failed to load replay:", err);
+                setReplayError(err.message);
+            });
+        return () => { cancelled = true; };
+    }, [replayName]);
+
+    // Copies one replay frame into the refs the renderer draws from. Every worm is drawn as an "other" worm.
+    const applyReplayState = useCallback((state) => {
+        foodRef.current = state.food;
+        const currentWorms = otherWormsRef.current;
+        for (const id in state.worms) {
+            const wormData = state.worms[id];
+            let worm = currentWorms.get(id);
+            if (!worm) {
+                worm = new Worm(id, wormData.segments, wormData.color, wormData.angle);
+                currentWorms.set(id, worm);
+            } else {
+                worm.segments = wormData.segments;
+                worm.angle = wormData.angle;
+                worm.updateColor(wormData.color);
+            }
+            worm.isSprinting = Boolean(wormData.isSprinting);
+            worm.radius = wormData.radius ?? null;
+            worm.powerUps = wormData.powerUps || {};
+        }
+        currentWorms.forEach((worm, id) => {
+            if (!state.worms[id]) currentWorms.delete(id);
+        });
+        // Recorded positions are drawn as they are (receivedAt null), so paused blades stand still
+        entityStatesRef.current = new Map((state.entities || []).map(entity => [entity.id, { ...entity, receivedAt: null }]));
+        if (JSON.stringify(leaderboardRef.current) !== JSON.stringify(state.leaderboard)) {
+            setLeaderboard(state.leaderboard);
+        }
+    }, []);
+
+    // Replay loop: advances the playback clock and draws the frame at the current tick
+    useEffect(() => {
+        if (!replayInfo) return;
+        let frameId = null;
+        let lastTime = performance.now();
+        let lastUiUpdate = 0;
+
+        const replayLoop = (currentTime) => {
+            const canvas = canvasRef.current;
+            const ctx = canvas?.getContext('2d');
+            const { replay, player } = replayRef.current;
+
+            if (!replayPausedRef.current) {
+                replayTickRef.current += (currentTime - lastTime) / replay.header.tickRateMs * replaySpeedRef.current;
+                if (replayTickRef.current >= replay.endTick) {
+                    replayTickRef.current = replay.endTick;
+                    replayPausedRef.current = true;
+                    setReplayPaused(true);
+                }
+            }
+            lastTime = currentTime;
+
+            const state = player.seek(Math.floor(replayTickRef.current));
+            if (state) applyReplayState(state);
+
+            if (ctx) {
+                const camera = replayCameraRef.current;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                ctx.save();
+                ctx.translate(canvas.width / 2 - camera.x * camera.zoom, canvas.height / 2 - camera.y * camera.zoom);
+                drawBackground(ctx, worldSizeRef.current.width, worldSizeRef.current.height, backgroundRef.current, camera.zoom);
+                drawWalls(ctx, mapRef.current, camera.zoom);
+                drawMapZones(ctx, mapRef.current, currentTime / 1000, camera.zoom);
+                drawFood(ctx, currentTime / 1000, camera.zoom);
+                drawWorms(ctx, currentTime / 1000, camera.zoom);
+                drawMapHazards(ctx, mapRef.current, entityStatesRef.current, currentTime, currentTime / 1000, camera.zoom);
+                ctx.restore();
+                if (leaderboardRef.current.length > 0) {
+                    drawLeaderboard(ctx, leaderboardRef.current, canvas, null);
+                }
+            }
+
+            if (currentTime - lastUiUpdate > REPLAY_UI_UPDATE_INTERVAL) {
+                setReplayTick(replayTickRef.current);
+                lastUiUpdate = currentTime;
+            }
+            frameId = requestAnimationFrame(replayLoop);
+        };
+        frameId = requestAnimationFrame(replayLoop);
+        return () => cancelAnimationFrame(frameId);
+    }, [replayInfo, applyReplayState, drawBackground, drawFood, drawWorms]);
+
+    const handleReplaySeek = useCallback((tick) => {
+        replayTickRef.current = tick;
+        setReplayTick(tick);
+    }, []);
+
+    const handleReplayTogglePause = useCallback(() => {
+        const replay = replayRef.current?.replay;
+        if (!replay) return;
+        if (replayPausedRef.current && replayTickRef.current >= replay.endTick) {
+            handleReplaySeek(replay.startTick); // Play again from the start
+        }
+        setReplayPaused(paused => !paused);
+    }, [handleReplaySeek]);
+
+    // Jumps to shortly before an event and points the camera at the worm it happened to
+    const handleReplayEvent = useCallback((event) => {
+        const { replay, player } = replayRef.current;
+        const head = player.seek(event.tick)?.worms[event.playerId]?.segments[0];
+        if (head) {
+            replayCameraRef.current = { ...replayCameraRef.current, x: head.x, y: head.y };
+        }
+        const leadTicks = Math.round(REPLAY_EVENT_LEAD_MS / replay.header.tickRateMs);
+        handleReplaySeek(Math.max(replay.startTick, event.tick - leadTicks));
+    }, [handleReplaySeek]);
+
+    const handleReplayPanStart = useCallback((e) => {
+        const point = e.touches ? e.touches[0] : e;
+        replayDragRef.current = { x: point.clientX, y: point.clientY };
+    }, []);
+
+    const handleReplayWheel = useCallback((e) => {
+        const camera = replayCameraRef.current;
+        const zoom = e.deltaY < 0 ? camera.zoom * REPLAY_WHEEL_ZOOM_STEP : camera.zoom / REPLAY_WHEEL_ZOOM_STEP;
+        camera.zoom = Math.min(REPLAY_MAX_ZOOM, Math.max(REPLAY_MIN_ZOOM, zoom));
+    }, []);
+
+    // Panning follows the pointer anywhere on the page until it is released
+    useEffect(() => {
+        if (!replayName) return;
+        const handlePanMove = (e) => {
+            const drag = replayDragRef.current;
+            if (!drag) return;
+            const point = e.touches ? e.touches[0] : e;
+            const camera = replayCameraRef.current;
+            camera.x -= (point.clientX - drag.x) / camera.zoom;
+            camera.y -= (point.clientY - drag.y) / camera.zoom;
+            replayDragRef.current = { x: point.clientX, y: point.clientY };
+        };
+        const handlePanEnd = () => { replayDragRef.current = null; };
+        window.addEventListener('mousemove', handlePanMove);
+        window.addEventListener('touchmove', handlePanMove);
+        window.addEventListener('mouseup', handlePanEnd);
+        window.addEventListener('touchend', handlePanEnd);
+        return () => {
+            window.removeEventListener('mousemove', handlePanMove);
+            window.removeEventListener('touchmove', handlePanMove);
+            window.removeEventListener('mouseup', handlePanEnd);
+            window.removeEventListener('touchend', handlePanEnd);
+        };
+    }, [replayName]);
 
 
     // --- Render Overlays ---
-   
+    // Battle royale: the results for everyone, or the running round for the eliminated (no respawns until it's over)
+    const showRoundOverlay = Boolean(round) && (round.phase === ROUND_PHASE_RESULTS || (isGameOver && round.phase === ROUND_PHASE_RUNNING));
 
     // --- Main App Render ---
     return (
         <div
             className="flex items-center justify-center min-h-screen m-0 overflow-hidden font-poppins bg-[#100f1f] relative select-none" // Updated background to match pattern base
             style={{ overscrollBehavior: 'none', touchAction: 'none' }}
-            onMouseDown={handleInteractionStart}
-            onTouchStart={handleInteractionStart}
+            onMouseDown={replayName ? handleReplayPanStart : handleInteractionStart}
+            onTouchStart={replayName ? handleReplayPanStart : handleInteractionStart}
+            onWheel={replayName ? handleReplayWheel : undefined}
         >
             <div className="relative overflow-hidden" style={{ width: canvasSize.width, height: canvasSize.height }}>
                 <canvas
@@ -1236,19 +1870,59 @@ function App() {
                 />
             )}
 
+            {/* Kill feed: recent deaths in this arena, fading out */}
+            {connectionStatus === ConnectionStatus.CONNECTED && killFeed.length > 0 && (
+                <KillFeed entries={killFeed} playerId={playerId} />
+            )}
+
+            {/* Hold-to-sprint button (touch devices have no keyboard; a second finger works too) */}
+            {connectionStatus === ConnectionStatus.CONNECTED && !isGameOver && !replayName && (
+                <SprintButton isHeld={isSprintHeld} onHoldChange={(isHeld) => setSprintSource(SPRINT_SOURCE_BUTTON, isHeld)} />
+            )}
+
+            {/* Private match panel (join code, host controls) or the button to create one */}
+            {connectionStatus === ConnectionStatus.CONNECTED && !isGameOver && (
+                <MatchPanel
+                    matchInfo={matchInfo}
+                    isHost={Boolean(matchInfo && matchInfo.hostId === playerId)}
+                    onStartMatch={handleStartMatch}
+                />
+            )}
+
+            {/* Battle royale round results, or the round going on without us */}
+            {showRoundOverlay && (
+                <RoundOverlay round={round} death={isGameOver ? lastDeath : null} playerId={playerId} />
+            )}
+
                      {/* Game Over Overlay: Render directly based on isGameOver state */}
-            {isGameOver && (
+            {isGameOver && !showRoundOverlay && (
                 <GameOverOverlay
                     // Pass score using the ref's current value for the final display
                     score={scoreRef.current}
-                    
+                    death={lastDeath}
                     connectionStatus={connectionStatus} // Pass current connection status
                     onRestart={handleRestart} // Pass the restart handler
                 />
             )}
 
-            {/* Connection Status Overlay: Render based on status, but NOT if game is over */}
-            {!isGameOver && (
+            {/* Replay controls (pause, seek, speed, deaths) when watching a replay */}
+            {replayName && (
+                <ReplayControls
+                    replayName={replayName}
+                    info={replayInfo}
+                    error={replayError}
+                    tick={replayTick}
+                    paused={replayPaused}
+                    speed={replaySpeed}
+                    onTogglePause={handleReplayTogglePause}
+                    onSeek={handleReplaySeek}
+                    onSpeedChange={setReplaySpeed}
+                    onSelectEvent={handleReplayEvent}
+                />
+            )}
+
+            {/* Connection Status Overlay: Render based on status, but NOT if game is over (or in the replay viewer) */}
+            {!isGameOver && !replayName && (
                 <ConnectionOverlay
                     connectionStatus={connectionStatus}
                     connectionErrorMsg={connectionErrorMsg}
@@ -1359,8 +2033,9 @@ function drawLeaderboard(ctx, leaderboard, canvas, currentPlayerId) {
     sortedPlayers.forEach((player, index) => {
         const rowY = y + titleHeight + index * rowHeight;
         const isPlayer = player.id === currentPlayerId;
-        const name = player.name || `Worm ${player.id?.substring(0, 4) || '????'}`;
+        const name = `${player.isExternalBot ? '🤖 ' : ''}${player.name || `Worm ${player.id?.substring(0, 4) || '????'}`}`;
         const scoreText = (player.score ?? 0).toLocaleString(); // Format score with commas
+        const killsText = player.kills > 0 ? `⚔ ${player.kills}` : '';
 
         if (isPlayer) {
             ctx.fillStyle = player.color; // Slightly stronger highlight
@@ -1386,12 +2061,385 @@ function drawLeaderboard(ctx, leaderboard, canvas, currentPlayerId) {
         ctx.textAlign = 'right';
         ctx.font = '11px "Poppins", georgia'; // Bold score
         ctx.fillText(scoreText, x + width - padding, rowY + rowHeight / 2);
+        // Kills, left of the score
+        if (killsText) ctx.fillText(killsText, x + width - padding - 42, rowY + rowHeight / 2);
         ctx.font = '11px "Poppins", georgia'; // Reset font weight for next name
     });
 }
 
+/**
+ * Outlines the regions of running world events in the world: a pulsing dashed ring in the event's color.
+ * Call inside the camera translation, like the other world drawing.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {Array<object>} events - The running world events.
+ * @param {number} time - Animation time in seconds.
+ * @param {number} zoomFactor - The camera zoom.
+ */
+function drawWorldEventRegions(ctx, events, time, zoomFactor) {
+    events.forEach(event => {
+        if (!event.region) return; // World-wide events have no region to mark
+        const color = WORLD_EVENT_COLORS[event.type] || WORLD_EVENT_DEFAULT_COLOR;
+        const x = event.region.x * zoomFactor;
+        const y = event.region.y * zoomFactor;
+        const radius = event.region.radius * zoomFactor;
+        ctx.save();
+        ctx.globalAlpha = 0.1;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 0.55 + Math.sin(time * 3) * 0.25;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4 * zoomFactor;
+        ctx.setLineDash([24 * zoomFactor, 16 * zoomFactor]);
+        ctx.lineDashOffset = -time * 40 * zoomFactor; // The dashes slowly circle the region
+        ctx.stroke();
+        ctx.restore();
+    });
+}
+
+/**
+ * Draws a banner per running world event at the top center: its label and a countdown.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {HTMLCanvasElement} canvas - The game canvas.
+ * @param {Array<object>} events - The running world events, with endsAt.
+ * @param {number} [top=20] - Where the first banner goes (below the battle royale status, see drawRoundStatus()).
+ */
+function drawWorldEventBanners(ctx, canvas, events, top = 20) {
+    if (events.length === 0) return;
+    ctx.save();
+    ctx.resetTransform();
+    const fontSize = 16;
+    const paddingX = 16;
+    const boxHeight = 32;
+    ctx.font = `600 ${fontSize}px "Poppins", georgia`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    events.forEach((event, index) => {
+        const color = WORLD_EVENT_COLORS[event.type] || WORLD_EVENT_DEFAULT_COLOR;
+        const secondsLeft = Math.max(0, Math.ceil((event.endsAt - Date.now()) / 1000));
+        const text = `${event.label} · ${secondsLeft}s`;
+        const boxWidth = ctx.measureText(text).width + paddingX * 2;
+        const x = canvas.width / 2 - boxWidth / 2;
+        const y = top + index * (boxHeight + 8);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(x, y, boxWidth, boxHeight, 8);
+        } else {
+            ctx.rect(x, y, boxWidth, boxHeight);
+        }
+        ctx.fill();
+        ctx.stroke();
+
+        // Time left: a bar along the bottom edge that shrinks towards the end
+        const remainingFraction = event.durationMs > 0 ? Math.min(1, Math.max(0, (event.endsAt - Date.now()) / event.durationMs)) : 0;
+        ctx.fillStyle = color;
+        ctx.fillRect(x + 8, y + boxHeight - 5, (boxWidth - 16) * remainingFraction, 2);
+
+        ctx.fillStyle = color;
+        ctx.fillText(text, canvas.width / 2, y + boxHeight / 2 - 1);
+    });
+    ctx.restore();
+}
+
+// Whole seconds left of a round or zone from the server, counted down since it arrived (null: no end yet)
+function secondsLeft(data) {
+    if (data.remainingMs === null || data.remainingMs === undefined) return null;
+    return Math.max(0, Math.ceil((data.remainingMs - (Date.now() - data.receivedAt)) / 1000));
+}
+
+/**
+ * Draws the battle royale status at the top center: when the round starts, or while it runs when the zone
+ * shrinks next and how many worms are left. The countdown to the start also gets a big number mid-screen.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {HTMLCanvasElement} canvas - The game canvas.
+ * @param {object|null} round - The round from the server with receivedAt, null in classic mode.
+ * @param {object|null} zone - The zone from the server with receivedAt, null while there's none.
+ * @returns {number} Where the next banner below it can go.
+ */
+function drawRoundStatus(ctx, canvas, round, zone) {
+    const top = 20;
+    if (!round || round.phase === ROUND_PHASE_RESULTS) return top; // The results have their own overlay
+
+    let text;
+    const seconds = secondsLeft(round);
+    if (round.phase === ROUND_PHASE_LOBBY) {
+        text = seconds === null ? 'Battle royale · Waiting for players' : `Round ${round.round + 1} starts in ${seconds}s`;
+    } else if (round.phase === ROUND_PHASE_COUNTDOWN) {
+        text = `Round ${round.round} · Get ready`;
+    } else {
+        const zoneSeconds = zone && secondsLeft(zone);
+        let zoneText = 'Zone closed';
+        if (zone && zone.next && zone.shrinking) zoneText = `Zone closing · ${zoneSeconds}s`;
+        else if (zone && zone.next) zoneText = `Zone shrinks in ${zoneSeconds}s`;
+        text = `${zoneText} · ${round.alive} alive`;
+    }
+
+    ctx.save();
+    ctx.resetTransform();
+    const fontSize = 16;
+    const paddingX = 16;
+    const boxHeight = 32;
+    ctx.font = `600 ${fontSize}px "Poppins", georgia`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const boxWidth = ctx.measureText(text).width + paddingX * 2;
+    const x = canvas.width / 2 - boxWidth / 2;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.strokeStyle = `rgb(${ZONE_EDGE_COLOR})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (ctx.roundRect) {
+        ctx.roundRect(x, top, boxWidth, boxHeight, 8);
+    } else {
+        ctx.rect(x, top, boxWidth, boxHeight);
+    }
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = 'white';
+    ctx.fillText(text, canvas.width / 2, top + boxHeight / 2 - 1);
+
+    if (round.phase === ROUND_PHASE_COUNTDOWN && seconds !== null) {
+        ctx.font = `700 96px "Poppins", georgia`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 6;
+        const label = seconds > 0 ? `${seconds}` : 'Go!';
+        ctx.strokeText(label, canvas.width / 2, canvas.height / 2 - 120);
+        ctx.fillText(label, canvas.width / 2, canvas.height / 2 - 120);
+    }
+    ctx.restore();
+    return top + boxHeight + 8;
+}
+
+/**
+ * Adds a map wall's outline to the current path, in world coordinates times the scale.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {object} wall - { type: 'circle', x, y, radius } or { type: 'polygon', points: [[x, y]] }.
+ * @param {number} scale - World units to pixels.
+ * @param {number} [offsetX=0] - Added to every x after scaling (the minimap's corner).
+ * @param {number} [offsetY=0] - Added to every y after scaling.
+ */
+function traceWall(ctx, wall, scale, offsetX = 0, offsetY = 0) {
+    if (wall.type === 'circle') {
+        ctx.moveTo(offsetX + (wall.x + wall.radius) * scale, offsetY + wall.y * scale);
+        ctx.arc(offsetX + wall.x * scale, offsetY + wall.y * scale, wall.radius * scale, 0, Math.PI * 2);
+    } else if (wall.type === 'polygon') {
+        wall.points.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(offsetX + x * scale, offsetY + y * scale);
+            else ctx.lineTo(offsetX + x * scale, offsetY + y * scale);
+        });
+        ctx.closePath();
+    }
+}
+
+/**
+ * Draws the map's walls. Call inside the camera translation, like the other world drawing.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {object|null} map - The map from 'welcome', null for an open world.
+ * @param {number} zoomFactor - The camera zoom.
+ */
+function drawWalls(ctx, map, zoomFactor) {
+    if (!map?.walls?.length) return;
+    ctx.save();
+    ctx.beginPath();
+    map.walls.forEach(wall => traceWall(ctx, wall, zoomFactor));
+    ctx.fillStyle = WALL_FILL;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 12 * zoomFactor;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.strokeStyle = WALL_EDGE;
+    ctx.lineWidth = 3 * zoomFactor;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draws the map's slow zones and portals (under food and worms), animated with the time.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {object|null} map - The map from 'welcome', null for an open world.
+ * @param {number} time - Seconds, for the animations.
+ * @param {number} zoomFactor - The camera zoom.
+ */
+function drawMapZones(ctx, map, time, zoomFactor) {
+    if (!map?.entities?.length) return;
+    ctx.save();
+    map.entities.forEach(entity => {
+        if (entity.type === MAP_ENTITY_SLOW_ZONE) {
+            const x = entity.x * zoomFactor;
+            const y = entity.y * zoomFactor;
+            const radius = entity.radius * zoomFactor;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = `rgba(${SLOW_ZONE_COLOR}, 0.12)`;
+            ctx.fill();
+            // Slow ripples spreading out from the middle
+            ctx.lineWidth = 2 * zoomFactor;
+            for (let i = 0; i < 3; i++) {
+                const phase = (time * 0.25 + i / 3) % 1;
+                ctx.beginPath();
+                ctx.arc(x, y, radius * phase, 0, Math.PI * 2);
+                ctx.strokeStyle = `rgba(${SLOW_ZONE_COLOR}, ${0.35 * (1 - phase)})`;
+                ctx.stroke();
+            }
+        } else if (entity.type === MAP_ENTITY_PORTAL) {
+            // Both ends swirl in the pair's own color, turning opposite ways
+            const hue = (entity.id * 137) % 360;
+            [entity.a, entity.b].forEach(([px, py], end) => {
+                const x = px * zoomFactor;
+                const y = py * zoomFactor;
+                const radius = entity.radius * zoomFactor;
+                const glow = ctx.createRadialGradient(x, y, radius * 0.1, x, y, radius);
+                glow.addColorStop(0, `hsla(${hue}, 90%, 75%, 0.9)`);
+                glow.addColorStop(0.6, `hsla(${hue}, 90%, 50%, 0.45)`);
+                glow.addColorStop(1, `hsla(${hue}, 90%, 40%, 0)`);
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fillStyle = glow;
+                ctx.fill();
+                const spin = time * 2.5 * (end === 0 ? 1 : -1);
+                ctx.lineWidth = 3 * zoomFactor;
+                ctx.strokeStyle = `hsla(${hue}, 100%, 85%, 0.8)`;
+                for (let arm = 0; arm < 3; arm++) {
+                    const start = spin + arm * Math.PI * 2 / 3;
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius * (0.55 + 0.15 * arm), start, start + Math.PI / 2);
+                    ctx.stroke();
+                }
+            });
+        }
+    });
+    ctx.restore();
+}
+
+/**
+ * Draws the map's blades and drifting hazards (over the worms) where the last snapshot put them. Blades keep
+ * spinning at their own speed from there until the next one arrives.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {object|null} map - The map from 'welcome', null for an open world.
+ * @param {Map<number, object>} states - Moving entity id -> { x, y, angle, receivedAt } (receivedAt null: don't extrapolate).
+ * @param {number} now - performance.now() of this frame.
+ * @param {number} time - Seconds, for the animations.
+ * @param {number} zoomFactor - The camera zoom.
+ */
+function drawMapHazards(ctx, map, states, now, time, zoomFactor) {
+    if (!map?.entities?.length) return;
+    ctx.save();
+    map.entities.forEach(entity => {
+        if (entity.type !== MAP_ENTITY_BLADE && entity.type !== MAP_ENTITY_HAZARD) return;
+        const color = entity.effect === ENTITY_EFFECT_SHRINK ? HAZARD_SHRINK_COLOR : HAZARD_KILL_COLOR;
+        const state = states.get(entity.id);
+
+        if (entity.type === MAP_ENTITY_HAZARD) {
+            const [startX, startY] = entity.path[0];
+            const x = (state?.x ?? startX) * zoomFactor;
+            const y = (state?.y ?? startY) * zoomFactor;
+            const pulse = 1 + Math.sin(time * 4) * 0.04;
+            const radius = entity.radius * zoomFactor * pulse;
+            const fill = ctx.createRadialGradient(x, y, radius * 0.2, x, y, radius);
+            fill.addColorStop(0, `rgba(${color}, 0.15)`);
+            fill.addColorStop(1, `rgba(${color}, 0.45)`);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = fill;
+            ctx.fill();
+            ctx.setLineDash([12 * zoomFactor, 8 * zoomFactor]);
+            ctx.lineDashOffset = -time * 30 * zoomFactor; // The dashes crawl around the edge
+            ctx.lineWidth = 3 * zoomFactor;
+            ctx.strokeStyle = `rgba(${color}, 0.9)`;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            return;
+        }
+
+        // Blade: a bar spinning around its hub, with a fading trail behind it
+        const elapsedSeconds = state?.receivedAt != null ? (now - state.receivedAt) / 1000 : 0;
+        const angle = (state?.angle ?? entity.angle) + entity.speed * elapsedSeconds;
+        const x = entity.x * zoomFactor;
+        const y = entity.y * zoomFactor;
+        const halfLength = entity.length / 2 * zoomFactor;
+        ctx.lineCap = 'round';
+        for (let step = BLADE_TRAIL_STEPS; step >= 0; step--) {
+            const trailAngle = angle - Math.sign(entity.speed) * step * BLADE_TRAIL_SPACING;
+            const dx = Math.cos(trailAngle) * halfLength;
+            const dy = Math.sin(trailAngle) * halfLength;
+            ctx.beginPath();
+            ctx.moveTo(x - dx, y - dy);
+            ctx.lineTo(x + dx, y + dy);
+            ctx.lineWidth = entity.width * zoomFactor;
+            ctx.strokeStyle = step === 0 ? '#D8DCE6' : `rgba(${color}, ${0.25 * (1 - step / (BLADE_TRAIL_STEPS + 1))})`;
+            ctx.stroke();
+        }
+        // Red edges on the bar itself
+        const dx = Math.cos(angle) * halfLength;
+        const dy = Math.sin(angle) * halfLength;
+        ctx.beginPath();
+        ctx.moveTo(x - dx, y - dy);
+        ctx.lineTo(x + dx, y + dy);
+        ctx.lineWidth = entity.width * zoomFactor * 0.35;
+        ctx.strokeStyle = `rgba(${color}, 0.9)`;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, entity.width * 0.9 * zoomFactor, 0, Math.PI * 2);
+        ctx.fillStyle = '#55596A';
+        ctx.fill();
+    });
+    ctx.restore();
+}
+
+/**
+ * Shades the world outside the battle royale zone and rings its edge, with a dashed ring where the coming shrink
+ * takes it. Call inside the camera translation, like the other world drawing.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {object|null} zone - The zone from the server (for the next circle), null while there's none.
+ * @param {object|null} circle - The safe circle now, see zoneCircleAt().
+ * @param {object} worldSize - { width, height }.
+ * @param {number} time - Seconds, for the animations.
+ * @param {number} zoomFactor - The camera zoom.
+ */
+function drawSafeZone(ctx, zone, circle, worldSize, time, zoomFactor) {
+    if (!zone || !circle) return;
+    const x = circle.x * zoomFactor;
+    const y = circle.y * zoomFactor;
+    const radius = circle.radius * zoomFactor;
+    ctx.save();
+
+    // The world with the circle cut out, kept to the world so the shade doesn't spill past its edge
+    ctx.beginPath();
+    ctx.rect(0, 0, worldSize.width * zoomFactor, worldSize.height * zoomFactor);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.rect(0, 0, worldSize.width * zoomFactor, worldSize.height * zoomFactor);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = ZONE_OUTSIDE_FILL;
+    ctx.fill('evenodd');
+
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = `rgba(${ZONE_EDGE_COLOR}, ${0.75 + Math.sin(time * 4) * 0.2})`;
+    ctx.lineWidth = 6 * zoomFactor;
+    ctx.stroke();
+
+    if (zone.next && zone.next.radius > 0) {
+        ctx.beginPath();
+        ctx.arc(zone.next.x * zoomFactor, zone.next.y * zoomFactor, zone.next.radius * zoomFactor, 0, Math.PI * 2);
+        ctx.strokeStyle = ZONE_NEXT_COLOR;
+        ctx.lineWidth = 3 * zoomFactor;
+        ctx.setLineDash([20 * zoomFactor, 14 * zoomFactor]);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
 // Draws minimap (Wormszone style)
-function drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, cameraOffsetRef, canvas, currentZoomFactor) {
+function drawMinimap(ctx, playerWormRef, minimapRef, worldSizeRef, cameraOffsetRef, canvas, currentZoomFactor, worldEvents = [], map = null, entityStates = null, zoneCircle = null) {
     ctx.save();
     ctx.resetTransform(); // Ignore camera offset for UI elements
 
@@ -1444,16 +2492,13 @@ function drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, c
 
     // Draw food dots (optional, consider performance impact)
     // Limit the number of food dots drawn for performance
-    const maxFoodDots = 100;
+    // The server already samples the food down to a manageable number of dots (flat [x0, y0, x1, y1, ...])
     ctx.fillStyle = '#FFEB3B'; // Yellow for food
     ctx.globalAlpha = 0.6; // Make food slightly transparent
-    const food = foodRef.current || [];
-    const foodStep = Math.max(1, Math.floor(food.length / maxFoodDots)); // Draw roughly maxFoodDots
-    for (let i = 0; i < food.length; i += foodStep) {
-        const f = food[i];
-        if (!f || typeof f.x !== 'number' || typeof f.y !== 'number') continue;
-        const fx = minimapX + f.x * scaleX;
-        const fy = minimapY + f.y * scaleY;
+    const foodDots = minimapRef.current?.food || [];
+    for (let i = 0; i + 1 < foodDots.length; i += 2) {
+        const fx = minimapX + foodDots[i] * scaleX;
+        const fy = minimapY + foodDots[i + 1] * scaleY;
         // Basic culling (already handled by clipping)
         ctx.beginPath();
         ctx.arc(fx, fy, foodDotRadius, 0, Math.PI * 2);
@@ -1461,13 +2506,61 @@ function drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, c
     }
     ctx.globalAlpha = 1.0; // Reset alpha
 
+    // Map walls
+    if (map?.walls?.length) {
+        ctx.fillStyle = MINIMAP_WALL_FILL;
+        ctx.beginPath();
+        map.walls.forEach(wall => traceWall(ctx, wall, scaleX, minimapX, minimapY)); // The minimap is square, like the world
+        ctx.fill();
+    }
+
+    // Portals in their pair's color, blades and hazards where they are now
+    (map?.entities || []).forEach(entity => {
+        let dots = [];
+        if (entity.type === MAP_ENTITY_PORTAL) {
+            ctx.fillStyle = `hsl(${(entity.id * 137) % 360}, 90%, 65%)`;
+            dots = [entity.a, entity.b];
+        } else if (entity.type === MAP_ENTITY_BLADE || entity.type === MAP_ENTITY_HAZARD) {
+            ctx.fillStyle = `rgb(${entity.effect === ENTITY_EFFECT_SHRINK ? HAZARD_SHRINK_COLOR : HAZARD_KILL_COLOR})`;
+            const state = entityStates?.get(entity.id);
+            dots = [entity.type === MAP_ENTITY_BLADE ? [entity.x, entity.y] : [state?.x ?? entity.path[0][0], state?.y ?? entity.path[0][1]]];
+        }
+        dots.forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(minimapX + x * scaleX, minimapY + y * scaleY, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+
+    // Mark the regions of running world events
+    worldEvents.forEach(event => {
+        if (!event.region) return;
+        ctx.strokeStyle = WORLD_EVENT_COLORS[event.type] || WORLD_EVENT_DEFAULT_COLOR;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(minimapX + event.region.x * scaleX, minimapY + event.region.y * scaleY, Math.max(4, event.region.radius * scaleX), 0, Math.PI * 2);
+        ctx.globalAlpha = 0.25;
+        ctx.fill();
+        ctx.globalAlpha = 1.0;
+        ctx.stroke();
+    });
+
+    // The battle royale zone's edge
+    if (zoneCircle) {
+        ctx.strokeStyle = `rgb(${ZONE_EDGE_COLOR})`;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(minimapX + zoneCircle.x * scaleX, minimapY + zoneCircle.y * scaleY, zoneCircle.radius * scaleX, 0, Math.PI * 2);
+        ctx.stroke();
+    }
 
     // Draw other player dots
     ctx.fillStyle = '#B0BEC5'; // Light grey for other players
-    const otherWorms = Array.from(otherWormsRef.current.values());
-    for (let worm of otherWorms) {
-        if (worm?.segments?.[0]) { // Check if worm and head segment exist
-            const head = worm.segments[0];
+    const playerWorm = playerWormRef.current;
+    const otherHeads = minimapRef.current?.worms || [];
+    for (let head of otherHeads) {
+        if (head && head.id !== playerWorm?.id) { // The player's own dot is drawn separately below
             const x = minimapX + head.x * scaleX;
             const y = minimapY + head.y * scaleY;
             ctx.beginPath();
@@ -1477,7 +2570,6 @@ function drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, c
     }
 
     // Draw player dot (on top)
-    const playerWorm = playerWormRef.current;
     if (playerWorm?.segments?.[0]) {
         const head = playerWorm.segments[0];
         const x = minimapX + head.x * scaleX;
@@ -1523,20 +2615,28 @@ function drawMinimap(ctx, playerWormRef, otherWormsRef, foodRef, worldSizeRef, c
 
 
 
-function drawPowerUpIcons(ctx, canvas, isSpeedBoostActive, isZoomActive, isMagnetActive) {
+/**
+ * Draws the power-up icons at the bottom of the screen, lit up with a ring for the time left while active.
+ * @param {CanvasRenderingContext2D} ctx - The drawing context.
+ * @param {HTMLCanvasElement} canvas - The game canvas.
+ * @param {object} timers - The player's active power-ups from the server: { [powerUpId]: remainingMs }.
+ * @param {number} durationMs - The server's power-up duration, a full ring (power-ups with their own duration use that).
+ */
+function drawPowerUpIcons(ctx, canvas, timers, durationMs) {
     ctx.save();
     ctx.resetTransform(); // Draw relative to canvas, not world
 
+    const icons = POWER_UP_ICONS.filter(icon => !icon.onlyWhenActive || timers[icon.id] > 0);
     const iconSize = 36; // Slightly smaller icons
     const padding = 12; // Padding between icons
     const bottomPadding = 20; // Padding from bottom edge
-    const numIcons = 3;
+    const numIcons = icons.length;
     const totalWidth = (iconSize * numIcons) + (padding * (numIcons - 1));
     const startX = canvas.width / 2 - totalWidth / 2; // Center the group horizontally
     const startY = canvas.height - iconSize - bottomPadding; // Position from bottom
 
     // Helper to draw a single icon with background and text/symbol
-    const drawIcon = (x, y, bgColor, borderColor, isActive, iconText, textColor = '#FFFFFF') => {
+    const drawIcon = (x, y, bgColor, borderColor, isActive, iconText, textColor = '#FFFFFF', remainingFraction = 0) => {
         // Background circle
         ctx.fillStyle = isActive ? bgColor : 'rgba(50, 50, 50, 0.5)'; // Active color or dark grey
         ctx.strokeStyle = isActive ? borderColor : 'rgba(150, 150, 150, 0.5)'; // Active border or light grey
@@ -1546,6 +2646,15 @@ function drawPowerUpIcons(ctx, canvas, isSpeedBoostActive, isZoomActive, isMagne
         ctx.fill();
         ctx.stroke();
 
+        // Time left: a ring that empties clockwise from the top
+        if (isActive && remainingFraction > 0) {
+            ctx.strokeStyle = borderColor;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(x + iconSize / 2, y + iconSize / 2, iconSize / 2 + 4, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * remainingFraction);
+            ctx.stroke();
+        }
+
         // Draw icon text/symbol
         ctx.fillStyle = isActive ? textColor : 'rgba(200, 200, 200, 0.8)'; // White/light text when active, dimmer when inactive
         ctx.font = `bold ${iconSize * 0.5}px "Poppins", sans-serif`; // Scale font size with icon size
@@ -1554,17 +2663,13 @@ function drawPowerUpIcons(ctx, canvas, isSpeedBoostActive, isZoomActive, isMagne
         ctx.fillText(iconText, x + iconSize / 2, y + iconSize / 2 + 1); // Slight offset for better centering
     };
 
-    // Define icon properties
-    const icons = [
-        { active: isSpeedBoostActive, color: 'rgba(0, 220, 0, 0.7)', border: '#00FF00', text: 'S', textColor: '#000000' }, // Speed (Green)
-        { active: isZoomActive, color: 'rgba(255, 165, 0, 0.7)', border: '#FFA500', text: 'Z', textColor: '#000000' }, // Zoom (Orange)
-        { active: isMagnetActive, color: 'rgba(0, 100, 255, 0.7)', border: '#0064FF', text: 'M', textColor: '#FFFFFF' }, // Magnet (Blue)
-    ];
-
-    // Draw each icon
+    // Draw each icon (extended power-ups can have more than one duration left, the ring stays full then)
     icons.forEach((icon, index) => {
         const currentX = startX + index * (iconSize + padding);
-        drawIcon(currentX, startY, icon.color, icon.border, icon.active, icon.text, icon.textColor);
+        const remainingMs = timers[icon.id] || 0;
+        const fullMs = getPowerUp(icon.id)?.durationMs ?? durationMs;
+        const remainingFraction = fullMs > 0 ? Math.min(1, remainingMs / fullMs) : 0;
+        drawIcon(currentX, startY, icon.color, icon.border, remainingMs > 0, icon.text, icon.textColor, remainingFraction);
     });
 
     ctx.restore();
@@ -1577,7 +2682,7 @@ function drawPowerUpIcons(ctx, canvas, isSpeedBoostActive, isZoomActive, isMagne
 // Draws power up icons
 
 
-function GameOverOverlay({ score, connectionStatus, onRestart }) {
+function GameOverOverlay({ score, death, connectionStatus, onRestart }) {
     // Add a log inside the component function itself
     console.log("Rendering GameOverOverlay component. Score:", score, "Status:", connectionStatus);
 
@@ -1597,6 +2702,9 @@ function GameOverOverlay({ score, connectionStatus, onRestart }) {
             <h1 className="text-6xl font-bold text-red-500 mb-4" style={{ textShadow: '2px 2px 4px rgba(0,0,0,0.7)' }}>
                 Game Over!
             </h1>
+            {death && (
+                <p className="text-xl mb-3 text-gray-200">{describeOwnDeath(death)}</p>
+            )}
             <p className="text-3xl mb-8">
                 Final Score: <span className="font-semibold text-cyan-300">{score.toLocaleString()}</span>
             </p>
@@ -1610,6 +2718,309 @@ function GameOverOverlay({ score, connectionStatus, onRestart }) {
     );
 }
 
+// How our own worm died, in words for the game over screen
+function describeOwnDeath(death) {
+    switch (death.cause) {
+        case DEATH_CAUSE_PLAYER: return `Killed by ${death.killerName}`;
+        case DEATH_CAUSE_WALL: return 'You hit the edge of the world';
+        case DEATH_CAUSE_OBSTACLE: return 'You crashed into a wall';
+        case DEATH_CAUSE_HAZARD: return 'A hazard got you';
+        case DEATH_CAUSE_SELF: return 'You ran into yourself';
+        case DEATH_CAUSE_ZONE: return 'The zone closed in on you';
+        default: return null;
+    }
+}
+
+// RoundOverlay: The battle royale results (the winner and the standings, ours highlighted), or while the round
+// goes on without us, how we went out and how many worms are left.
+function RoundOverlay({ round, death, playerId }) {
+    const results = round.results;
+    return (
+        <div className="absolute inset-0 bg-black bg-opacity-70 flex flex-col justify-center items-center text-white z-30 backdrop-blur-sm font-poppins">
+            {results ? (
+                <>
+                    <h1 className="text-5xl font-bold text-yellow-300 mb-3" style={{ textShadow: '2px 2px 4px rgba(0,0,0,0.7)' }}>
+                        {results.winner && results.winner.id === playerId ? 'Victory!' : `Round ${round.round} over`}
+                    </h1>
+                    <p className="text-xl mb-6 text-gray-200">
+                        {results.winner ? `${results.winner.name} is the last worm standing` : 'The last worms went out together'}
+                    </p>
+                    <ol className="w-80 mb-6">
+                        {results.standings.map(entry => (
+                            <li key={entry.id} className={`flex justify-between px-3 py-1 rounded ${entry.id === playerId ? 'bg-cyan-700 bg-opacity-60 font-semibold' : ''}`}>
+                                <span>#{entry.place} {entry.name}</span>
+                                <span className="text-gray-300">{entry.kills} kills · {entry.score.toLocaleString()}</span>
+                            </li>
+                        ))}
+                    </ol>
+                    <p className="text-gray-300">The lobby opens in a few seconds</p>
+                </>
+            ) : (
+                <>
+                    <h1 className="text-5xl font-bold text-red-500 mb-4" style={{ textShadow: '2px 2px 4px rgba(0,0,0,0.7)' }}>
+                        Eliminated
+                    </h1>
+                    {death && (
+                        <p className="text-xl mb-3 text-gray-200">{describeOwnDeath(death)}</p>
+                    )}
+                    <p className="text-2xl mb-2">{round.alive} {round.alive === 1 ? 'worm' : 'worms'} left</p>
+                    <p className="text-gray-300">You're back in once the round is over</p>
+                </>
+            )}
+        </div>
+    );
+}
+
+// KillFeed: The last few deaths in the arena. Entries fade out on their own; the feed re-renders a few
+// times per second for that and stops once everything has faded.
+function KillFeed({ entries, playerId }) {
+    const [now, setNow] = useState(Date.now());
+    const newestTime = entries[entries.length - 1].time;
+
+    useEffect(() => {
+        const interval = setInterval(() => {
+            const time = Date.now();
+            setNow(time);
+            if (time - newestTime > KILL_FEED_DURATION_MS) clearInterval(interval);
+        }, 200);
+        return () => clearInterval(interval);
+    }, [newestTime]);
+
+    const visible = entries.filter(entry => now - entry.time < KILL_FEED_DURATION_MS);
+    if (visible.length === 0) return null;
+
+    return (
+        <div className="absolute top-20 left-4 z-10 flex flex-col gap-1 text-sm font-poppins pointer-events-none">
+            {visible.map(({ key, death, time }) => {
+                const fadeStart = KILL_FEED_DURATION_MS - KILL_FEED_FADE_MS;
+                const opacity = Math.min(1, 1 - (now - time - fadeStart) / KILL_FEED_FADE_MS);
+                const nameClass = id => id === playerId ? 'font-semibold text-cyan-300' : 'font-semibold';
+                let text;
+                if (death.cause === DEATH_CAUSE_PLAYER) {
+                    text = <><span className={nameClass(death.killerId)}>{death.killerName}</span> killed <span className={nameClass(death.victimId)}>{death.victimName}</span></>;
+                } else if (death.cause === DEATH_CAUSE_WALL || death.cause === DEATH_CAUSE_OBSTACLE) {
+                    text = <><span className={nameClass(death.victimId)}>{death.victimName}</span> hit the wall</>;
+                } else if (death.cause === DEATH_CAUSE_SELF) {
+                    text = <><span className={nameClass(death.victimId)}>{death.victimName}</span> ran into themselves</>;
+                } else if (death.cause === DEATH_CAUSE_HAZARD) {
+                    text = <><span className={nameClass(death.victimId)}>{death.victimName}</span> was caught by a hazard</>;
+                } else if (death.cause === DEATH_CAUSE_ZONE) {
+                    text = <><span className={nameClass(death.victimId)}>{death.victimName}</span> was caught outside the zone</>;
+                } else {
+                    text = <><span className={nameClass(death.victimId)}>{death.victimName}</span> died</>;
+                }
+                return (
+                    <div key={key} className="px-3 py-1 rounded bg-black bg-opacity-40 text-white" style={{ opacity }}>
+                        {text} <span className="text-gray-300 text-xs">({death.victimLength})</span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// SprintButton: Sprints while pressed. Stops propagation so pressing it doesn't start the joystick.
+function SprintButton({ isHeld, onHoldChange }) {
+    const press = (e) => {
+        e.stopPropagation();
+        onHoldChange(true);
+    };
+    const release = () => onHoldChange(false);
+    return (
+        <button
+            onMouseDown={press}
+            onTouchStart={press}
+            onMouseUp={release}
+            onMouseLeave={release}
+            onTouchEnd={release}
+            onTouchCancel={release}
+            className={`absolute bottom-8 right-8 z-10 w-20 h-20 rounded-full font-poppins font-semibold text-white shadow-lg focus:outline-none select-none transition-transform ${isHeld ? 'bg-orange-500 scale-95' : 'bg-gray-800 bg-opacity-60'}`}
+            title="Sprint (Space / Shift). Costs length."
+        >
+            Sprint
+        </button>
+    );
+}
+
+// MatchPanel: Join code and share link for private arenas, plus settings and start/restart for the host.
+// In public arenas it only offers to create a private match.
+function MatchPanel({ matchInfo, isHost, onStartMatch }) {
+    const [botCount, setBotCount] = useState(matchInfo?.settings.botCount ?? 0);
+    const [worldWidth, setWorldWidth] = useState(matchInfo?.settings.worldSize.width ?? 0);
+    const [worldHeight, setWorldHeight] = useState(matchInfo?.settings.worldSize.height ?? 0);
+    const [foodDensity, setFoodDensity] = useState(matchInfo?.settings.foodDensity ?? 1);
+    const [collisionRules, setCollisionRules] = useState(matchInfo?.settings.collisionRules ?? DEFAULT_COLLISION_RULES);
+    const [copied, setCopied] = useState(false);
+
+    // Follow the server's (validated) settings whenever they change
+    const settings = matchInfo?.settings;
+    useEffect(() => {
+        if (!settings) return;
+        setBotCount(settings.botCount);
+        setWorldWidth(settings.worldSize.width);
+        setWorldHeight(settings.worldSize.height);
+        setFoodDensity(settings.foodDensity);
+        if (settings.collisionRules) setCollisionRules(settings.collisionRules);
+    }, [settings]);
+
+    // Keep clicks on the panel from starting the joystick
+    const stopPropagation = (e) => e.stopPropagation();
+
+    if (!matchInfo) {
+        return (
+            <div className="absolute top-4 left-1/2 -translate-x-1/2 z-10 font-poppins" onMouseDown={stopPropagation} onTouchStart={stopPropagation}>
+                <button
+                    onClick={() => { window.location.search = `?${ROOM_QUERY_PARAM}=${NEW_PRIVATE_ROOM}`; }}
+                    className="py-1 px-4 text-sm font-semibold text-white bg-gray-800 bg-opacity-60 rounded-full cursor-pointer shadow-md hover:bg-opacity-80 focus:outline-none"
+                >
+                    Create private match
+                </button>
+            </div>
+        );
+    }
+
+    const shareLink = `${window.location.origin}${window.location.pathname}?${ROOM_QUERY_PARAM}=${matchInfo.code}`;
+    const handleCopy = () => {
+        navigator.clipboard?.writeText(shareLink).then(() => {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        }).catch(() => {});
+    };
+    const handleStart = () => {
+        onStartMatch({
+            botCount: Number(botCount),
+            worldSize: { width: Number(worldWidth), height: Number(worldHeight) },
+            foodDensity: Number(foodDensity),
+            collisionRules,
+        });
+    };
+    const inputClass = "w-20 px-2 py-0.5 rounded bg-gray-900 bg-opacity-70 text-white text-sm focus:outline-none focus:ring-1 focus:ring-cyan-400";
+
+    return (
+        <div
+            className="absolute top-4 left-1/2 -translate-x-1/2 z-10 p-3 bg-gray-800 bg-opacity-70 rounded-lg shadow-xl text-white text-sm font-poppins text-center"
+            onMouseDown={stopPropagation}
+            onTouchStart={stopPropagation}
+        >
+            <p className="mb-1">
+                Private match <span className="font-bold tracking-widest text-cyan-300">{matchInfo.code}</span>
+                <button onClick={handleCopy} className="ml-3 underline text-gray-300 hover:text-white focus:outline-none">
+                    {copied ? 'Copied!' : 'Copy link'}
+                </button>
+            </p>
+            {matchInfo.state === 'waiting' && (
+                <p className="text-gray-300">{isHost ? 'Pick the settings and start when everyone is in.' : 'Waiting for the host to start the match...'}</p>
+            )}
+            {isHost && (
+                <div className="mt-2 flex flex-col items-center gap-1">
+                    <label>Bots <input type="number" min="0" value={botCount} onChange={e => setBotCount(e.target.value)} className={inputClass} /></label>
+                    <label>
+                        World <input type="number" step="500" value={worldWidth} onChange={e => setWorldWidth(e.target.value)} className={inputClass} />
+                        {' x '}<input type="number" step="500" value={worldHeight} onChange={e => setWorldHeight(e.target.value)} className={inputClass} />
+                    </label>
+                    <label>Food density <input type="number" step="0.25" min="0.25" value={foodDensity} onChange={e => setFoodDensity(e.target.value)} className={inputClass} /></label>
+                    <label>
+                        Head-on{' '}
+                        <select value={collisionRules.headOn} onChange={e => setCollisionRules({ ...collisionRules, headOn: e.target.value })} className={`${inputClass} w-auto`}>
+                            <option value={HEAD_ON_LARGER_WINS}>Larger wins</option>
+                            <option value={HEAD_ON_BOTH_DIE}>Both die</option>
+                            <option value={HEAD_ON_BOUNCE}>Bounce</option>
+                        </select>
+                    </label>
+                    <label>
+                        Small worms pass under{' '}
+                        <select value={collisionRules.passUnderRatio} onChange={e => setCollisionRules({ ...collisionRules, passUnderRatio: Number(e.target.value) })} className={`${inputClass} w-auto`}>
+                            {PASS_UNDER_OPTIONS.map(({ ratio, label }) => <option key={ratio} value={ratio}>{label}</option>)}
+                        </select>
+                    </label>
+                    <button
+                        onClick={handleStart}
+                        className="mt-1 py-1 px-5 font-semibold text-white bg-gradient-to-br from-green-500 to-green-700 rounded-lg cursor-pointer shadow-md hover:shadow-lg focus:outline-none"
+                    >
+                        {matchInfo.state === 'waiting' ? 'Start match' : 'Restart match'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Formats a tick count as m:ss playback time
+function formatReplayTime(ticks, tickRateMs) {
+    const totalSeconds = Math.max(0, Math.floor(ticks * tickRateMs / 1000));
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// ReplayControls: Play/pause, seek bar with death markers, speed and the camera hint for the replay viewer
+function ReplayControls({ replayName, info, error, tick, paused, speed, onTogglePause, onSeek, onSpeedChange, onSelectEvent }) {
+    // Keep clicks on the controls from panning the camera
+    const stopPropagation = (e) => e.stopPropagation();
+
+    if (!info) {
+        return (
+            <div className="absolute inset-0 flex flex-col justify-center items-center text-white z-20 font-poppins pointer-events-none">
+                <p className={error ? 'text-red-400 font-semibold text-lg' : 'text-lg text-gray-300'}>{error || `Loading replay ${replayName}...`}</p>
+            </div>
+        );
+    }
+
+    const duration = info.endTick - info.startTick;
+    const markerPosition = (eventTick) => `${(eventTick - info.startTick) / Math.max(1, duration) * 100}%`;
+
+    return (
+        <div
+            className="absolute bottom-4 left-1/2 -translate-x-1/2 z-10 w-[min(90vw,640px)] p-3 bg-gray-800 bg-opacity-70 rounded-lg shadow-xl text-white text-sm font-poppins"
+            onMouseDown={stopPropagation}
+            onTouchStart={stopPropagation}
+            onWheel={stopPropagation}
+        >
+            <div className="relative h-5">
+                <input
+                    type="range"
+                    min={info.startTick}
+                    max={info.endTick}
+                    step="1"
+                    value={Math.min(tick, info.endTick)}
+                    onChange={e => onSeek(Number(e.target.value))}
+                    className="absolute inset-0 w-full cursor-pointer"
+                />
+                {info.events.map((event, i) => (
+                    <button
+                        key={i}
+                        title={`${event.name}: ${event.reason}`}
+                        onClick={() => onSelectEvent(event)}
+                        className="absolute top-0 w-1 h-2 -ml-0.5 bg-red-500 rounded-sm focus:outline-none"
+                        style={{ left: markerPosition(event.tick) }}
+                    />
+                ))}
+            </div>
+            <div className="mt-2 flex items-center gap-3">
+                <button
+                    onClick={onTogglePause}
+                    className="py-0.5 px-4 font-semibold text-white bg-gradient-to-br from-green-500 to-green-700 rounded-lg cursor-pointer shadow-md focus:outline-none"
+                >
+                    {paused ? 'Play' : 'Pause'}
+                </button>
+                <span className="tabular-nums">
+                    {formatReplayTime(tick - info.startTick, info.tickRateMs)} / {formatReplayTime(duration, info.tickRateMs)}
+                </span>
+                <span className="ml-auto flex gap-1">
+                    {REPLAY_SPEEDS.map(s => (
+                        <button
+                            key={s}
+                            onClick={() => onSpeedChange(s)}
+                            className={`px-2 rounded focus:outline-none ${s === speed ? 'bg-cyan-600' : 'bg-gray-900 bg-opacity-70 hover:bg-opacity-100'}`}
+                        >
+                            {s}x
+                        </button>
+                    ))}
+                </span>
+            </div>
+            <p className="mt-1 text-xs text-gray-300">Drag to move the camera, scroll to zoom. Red marks are deaths, click one to jump there.</p>
+        </div>
+    );
+}
+
 // ConnectionOverlay: Displays connection status messages (Connecting, Failed, etc.)
 function ConnectionOverlay({ connectionStatus, connectionErrorMsg, onRetry }) {
      // Add a log inside the component function
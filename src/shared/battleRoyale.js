@@ -0,0 +1,200 @@
+// --- Battle Royale ---
+// A round-based mode: the playable area is a circle (the safe zone) that shrinks on a schedule, worms with
+// their head outside it are worn down and die once they're down to SHRINK_MIN_LENGTH, the dead stay dead until
+// the round is over and the last worm alive wins. The zone lives in the simulation (seeded rng, tick timers),
+// the round phases (lobby, countdown, running, results) in the server's arenas (see server/rounds.js).
+//
+// The zone starts out covering the whole world. Each stage of ZONE_STAGES holds the current circle for holdMs,
+// then shrinks it over shrinkMs to a smaller circle that lies inside it, placed at random (radius is a share of
+// half the world's shorter side). The last stage closes the zone completely, so every round ends.
+//
+// Zone (sent in 'welcome' and as 'zone' whenever a hold or a shrink starts):
+//   { stage, stageCount, x, y, radius, next: { x, y, radius } | null, shrinking, durationMs, remainingMs }
+//   stage counts the shrinks started so far. While holding, the circle is (x, y, radius) and next is where the
+//   coming shrink takes it, remainingMs from now. While shrinking it moves from (x, y, radius) to next over
+//   durationMs, see zoneCircleAt(). Once closed next is null and remainingMs null.
+
+const GAME_MODE_CLASSIC = "classic";
+const GAME_MODE_BATTLE_ROYALE = "battleRoyale";
+const GAME_MODES = [GAME_MODE_CLASSIC, GAME_MODE_BATTLE_ROYALE];
+
+const ROUND_PHASE_LOBBY = "lobby"; // Free play while players gather, the round starts when the lobby time is up
+const ROUND_PHASE_COUNTDOWN = "countdown"; // Fresh world, frozen until the round starts
+const ROUND_PHASE_RUNNING = "running"; // The zone shrinks, no respawns
+const ROUND_PHASE_RESULTS = "results"; // The winner and standings, then back to the lobby
+
+const ZONE_STAGES = [
+    { holdMs: 30000, shrinkMs: 30000, radius: 0.75 },
+    { holdMs: 25000, shrinkMs: 25000, radius: 0.5 },
+    { holdMs: 20000, shrinkMs: 20000, radius: 0.3 },
+    { holdMs: 15000, shrinkMs: 15000, radius: 0.15 },
+    { holdMs: 15000, shrinkMs: 20000, radius: 0 },
+];
+const ZONE_SHRINK_PER_SECOND = 30; // Segments a worm with its head outside the zone loses per second
+const PLACEMENT_ATTEMPTS = 5; // Tries for a next circle whose center isn't inside a map wall
+const ZONE_TIMER_STEP_MS = 100; // Remaining times sent to clients are rounded up to this
+
+/**
+ * Where a zone's circle is some time after it was sent.
+ * @param {object} zone - A serialized zone (see above).
+ * @param {number} [elapsedMs=0] - Time since the zone was sent.
+ * @returns {{x: number, y: number, radius: number}} The safe circle.
+ */
+function zoneCircleAt(zone, elapsedMs = 0) {
+    if (!zone.shrinking || !zone.next) return { x: zone.x, y: zone.y, radius: zone.radius };
+    const done = zone.durationMs > 0 ? (zone.durationMs - zone.remainingMs + elapsedMs) / zone.durationMs : 1;
+    const t = Math.min(1, Math.max(0, done));
+    return {
+        x: zone.x + (zone.next.x - zone.x) * t,
+        y: zone.y + (zone.next.y - zone.y) * t,
+        radius: zone.radius + (zone.next.radius - zone.radius) * t,
+    };
+}
+
+/**
+ * Creates the shrinking safe zone for one simulation. It does nothing until start() is called.
+ * @param {object} world - What the zone needs from the simulation: { rng, tickRateMs, tick, settings (worldWidth
+ *                         and worldHeight), isOpen(x, y) - not inside a map wall, onChange(zone) - called with the
+ *                         serialized zone when it starts, stops (null), or a hold or shrink starts }. tick and
+ *                         settings are read on every call, so getters work.
+ * @returns {object} { start, stop, update, isActive, current, contains, getState }
+ */
+function createSafeZone(world) {
+    const { rng } = world;
+    const ticks = (ms) => Math.max(1, Math.round(ms / world.tickRateMs));
+
+    // from: the circle the current phase starts at, to: where the coming (or running) shrink takes it
+    let from = null;
+    let to = null;
+    let stage = 0; // Shrinks started so far
+    let shrinking = false;
+    let phaseStartTick = 0;
+    let phaseEndTick = null; // null once the zone is closed
+
+    /**
+     * A random circle of the given radius inside `outer`, kept inside the world.
+     */
+    function pickCircle(outer, radius) {
+        const { worldWidth, worldHeight } = world.settings;
+        const clamp = (value, size) => Math.min(Math.max(value, Math.min(radius, size / 2)), Math.max(size - radius, size / 2));
+        let circle = null;
+        for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS && !circle; attempt++) {
+            const angle = rng() * Math.PI * 2;
+            const distance = Math.sqrt(rng()) * Math.max(0, outer.radius - radius);
+            const x = clamp(outer.x + Math.cos(angle) * distance, worldWidth);
+            const y = clamp(outer.y + Math.sin(angle) * distance, worldHeight);
+            if (world.isOpen(x, y)) circle = { x, y, radius };
+        }
+        return circle || { x: clamp(outer.x, worldWidth), y: clamp(outer.y, worldHeight), radius };
+    }
+
+    // The circle the given stage shrinks to
+    function stageCircle(index, outer) {
+        const { worldWidth, worldHeight } = world.settings;
+        return pickCircle(outer, ZONE_STAGES[index].radius * Math.min(worldWidth, worldHeight) / 2);
+    }
+
+    /**
+     * The zone as sent to clients.
+     * @returns {object|null} See above, null while there's no zone.
+     */
+    function getState() {
+        if (!from) return null;
+        const round = value => Math.round(value);
+        const circle = { x: round(from.x), y: round(from.y), radius: round(from.radius) };
+        const remainingMs = phaseEndTick === null ? null : Math.max(0, (phaseEndTick - world.tick) * world.tickRateMs);
+        return {
+            stage,
+            stageCount: ZONE_STAGES.length,
+            ...circle,
+            next: to && { x: round(to.x), y: round(to.y), radius: round(to.radius) },
+            shrinking,
+            durationMs: phaseEndTick === null ? null : (phaseEndTick - phaseStartTick) * world.tickRateMs,
+            remainingMs: remainingMs === null ? null : Math.ceil(remainingMs / ZONE_TIMER_STEP_MS) * ZONE_TIMER_STEP_MS,
+        };
+    }
+
+    function beginHold(circle) {
+        from = circle;
+        shrinking = false;
+        phaseStartTick = world.tick;
+        if (stage < ZONE_STAGES.length) {
+            to = stageCircle(stage, circle);
+            phaseEndTick = world.tick + ticks(ZONE_STAGES[stage].holdMs);
+        } else {
+            to = null; // Closed
+            phaseEndTick = null;
+        }
+        world.onChange(getState());
+    }
+
+    function beginShrink() {
+        shrinking = true;
+        phaseStartTick = world.tick;
+        phaseEndTick = world.tick + ticks(ZONE_STAGES[stage].shrinkMs);
+        stage++;
+        world.onChange(getState());
+    }
+
+    /**
+     * Starts the schedule from its first stage, with the zone covering the whole world.
+     */
+    function start() {
+        const { worldWidth, worldHeight } = world.settings;
+        stage = 0;
+        beginHold({ x: worldWidth / 2, y: worldHeight / 2, radius: Math.hypot(worldWidth, worldHeight) / 2 });
+    }
+
+    /**
+     * Removes the zone, the whole world is safe again.
+     */
+    function stop() {
+        if (!from) return;
+        from = null;
+        to = null;
+        world.onChange(null);
+    }
+
+    /**
+     * Runs one tick: starts the next shrink when a hold is over and the next hold when a shrink is.
+     */
+    function update() {
+        if (!from || phaseEndTick === null || world.tick < phaseEndTick) return;
+        if (shrinking) beginHold(to);
+        else beginShrink();
+    }
+
+    /**
+     * @returns {{x: number, y: number, radius: number}|null} The safe circle this tick, null while there's no zone.
+     */
+    function current() {
+        if (!from) return null;
+        if (!shrinking) return from;
+        const t = Math.min(1, (world.tick - phaseStartTick) / (phaseEndTick - phaseStartTick));
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, radius: from.radius + (to.radius - from.radius) * t };
+    }
+
+    /**
+     * @returns {boolean} True if the point is safe: inside the zone, or there's no zone.
+     */
+    function contains(x, y) {
+        const circle = current();
+        return !circle || (x - circle.x) ** 2 + (y - circle.y) ** 2 <= circle.radius ** 2;
+    }
+
+    return { start, stop, update, isActive: () => from !== null, current, contains, getState };
+}
+
+module.exports = {
+    GAME_MODE_CLASSIC,
+    GAME_MODE_BATTLE_ROYALE,
+    GAME_MODES,
+    ROUND_PHASE_LOBBY,
+    ROUND_PHASE_COUNTDOWN,
+    ROUND_PHASE_RUNNING,
+    ROUND_PHASE_RESULTS,
+    ZONE_STAGES,
+    ZONE_SHRINK_PER_SECOND,
+    zoneCircleAt,
+    createSafeZone,
+};
@@ -0,0 +1,94 @@
+import { ZONE_STAGES, zoneCircleAt } from './battleRoyale';
+import { WORM_INITIAL_LENGTH, SHRINK_MIN_LENGTH, DEATH_CAUSE_ZONE, describeDeath } from './simulation';
+import { POWER_UP_SHIELD } from './powerUps';
+import { makeSim, placeWorm } from './testWorld';
+
+test('the zone covers the world, then shrinks stage by stage into circles inside each other until it closes', () => {
+    const changes = [];
+    const sim = makeSim({
+        seed: 3, tickRateMs: 100, settings: { botCount: 0, worldEvents: false },
+        onZoneChange: zone => changes.push(zone),
+    });
+    expect(sim.getZone()).toBeNull();
+    sim.startZone();
+    expect(sim.getZone()).toMatchObject({ stage: 0, stageCount: ZONE_STAGES.length, x: 1500, y: 1500, radius: 2121, shrinking: false });
+    expect(sim.getZone().remainingMs).toBe(ZONE_STAGES[0].holdMs);
+
+    const totalTicks = ZONE_STAGES.reduce((sum, stage) => sum + (stage.holdMs + stage.shrinkMs) / 100, 0);
+    for (let i = 0; i < totalTicks + 10; i++) {
+        sim.step();
+        const zone = sim.getZone();
+        // Clients work out the same circle from the last zone they were sent
+        const circle = sim.getZoneCircle();
+        const fromClient = zoneCircleAt(zone);
+        expect(Math.abs(fromClient.radius - circle.radius)).toBeLessThan(1);
+        expect(Math.hypot(fromClient.x - circle.x, fromClient.y - circle.y)).toBeLessThan(1);
+    }
+
+    expect(changes).toHaveLength(1 + 2 * ZONE_STAGES.length); // The start, then a shrink and a hold per stage
+    const holds = changes.filter(zone => !zone.shrinking);
+    holds.slice(0, -1).forEach((zone, i) => {
+        const next = zone.next;
+        expect(next.radius).toBe(Math.round(ZONE_STAGES[i].radius * 1500));
+        expect(Math.hypot(next.x - zone.x, next.y - zone.y) + next.radius).toBeLessThanOrEqual(Math.max(zone.radius, 1500 * Math.SQRT2) + 1);
+        expect(holds[i + 1]).toMatchObject({ x: next.x, y: next.y, radius: next.radius });
+    });
+    expect(sim.getZone()).toMatchObject({ stage: ZONE_STAGES.length, radius: 0, next: null, remainingMs: null });
+
+    sim.stopZone();
+    expect(sim.getZone()).toBeNull();
+    expect(changes[changes.length - 1]).toBeNull();
+});
+
+// At the real tick rate, where a worm outside loses less than a segment per tick
+test('worms outside the zone wear down without regrowing and die at the minimum length, shield or not', () => {
+    const deaths = [];
+    const sim = makeSim({
+        seed: 3, settings: { botCount: 0, worldEvents: false },
+        onPlayerDied: (player, death) => deaths.push({ id: player.id, ...death }),
+    });
+    const inside = sim.addHuman('in', 'Inside');
+    const outside = sim.addHuman('out', 'Outside');
+    outside.worm.powerUps[POWER_UP_SHIELD] = Infinity;
+    sim.startZone();
+
+    // Once the first shrink is over the corner is outside wherever the zone went
+    const lengths = [];
+    for (let i = 0; i < 10000 && deaths.length === 0; i++) {
+        const circle = sim.getZoneCircle();
+        placeWorm(inside, circle.x, circle.y, 0);
+        placeWorm(outside, 150, 150, -Math.PI * 3 / 4);
+        outside.worm.pendingGrowth = 0;
+        sim.step();
+        if (Math.hypot(150 - circle.x, 150 - circle.y) > circle.radius) lengths.push(outside.worm.segments.length);
+    }
+    expect(lengths[0]).toBeLessThanOrEqual(WORM_INITIAL_LENGTH);
+    expect(lengths.every((length, i) => i === 0 || length <= lengths[i - 1])).toBe(true);
+    expect(lengths.length).toBeLessThan((WORM_INITIAL_LENGTH - SHRINK_MIN_LENGTH) * 4); // About 2.7s at 75 ticks a second
+    expect(deaths).toEqual([expect.objectContaining({ id: 'out', cause: DEATH_CAUSE_ZONE })]);
+    expect(describeDeath(deaths[0])).toBe('caught outside the zone');
+    expect(inside.worm.isAlive).toBe(true);
+});
+
+test('locked respawns keep the dead out until unlocked', () => {
+    const sim = makeSim({ seed: 3, tickRateMs: 100, settings: { botCount: 2, worldEvents: false } });
+    const alice = sim.addHuman('a', 'Alice');
+    sim.setRespawnsLocked(true);
+    const bob = sim.addHuman('b', 'Bob');
+    expect(bob.worm.isAlive).toBe(false);
+
+    const bot = Object.values(sim.players).find(player => player.isBot);
+    sim.killPlayer(alice.id, 'test');
+    sim.killPlayer(bot.id, 'test');
+    expect(sim.respawnPlayer(alice.id)).toBe(false);
+    sim.updateSettings({ botCount: 5 });
+    for (let i = 0; i < 100; i++) sim.step(); // Longer than the bot respawn delay
+    expect(bot.worm.isAlive).toBe(false);
+    expect(Object.values(sim.players).filter(player => player.isBot)).toHaveLength(2);
+
+    sim.setRespawnsLocked(false);
+    expect(sim.respawnPlayer(alice.id)).toBe(true);
+    expect(sim.respawnPlayer(bob.id)).toBe(true);
+    sim.step();
+    expect(bot.worm.isAlive).toBe(true);
+});
@@ -0,0 +1,404 @@
+// --- Binary Codec ---
+// Optional binary encoding of snapshot protocol messages (keyframes and deltas, see snapshotProtocol.js).
+// Used for clients that ask for it in 'clientHello'; everyone else keeps receiving JSON.
+//
+// - Coordinates are quantized to 1/coordScale world units and stored as int16 (z is not encoded, the world is flat).
+// - Angles are quantized to uint16 over a full turn.
+// - Strings (ids, names, colors) go into a per-message string table and are referenced by uint16 index,
+//   so colors and names shared by many entries are sent once.
+// - Food types and values are uint8, worm booleans are packed into a flags byte.
+// - Power-up timers are (power-up id, remaining time in POWER_UP_TIMER_STEP_MS steps) pairs.
+// - Map entity positions (blades and hazards, see mapEntities.js) are quantized like worms.
+// - Fields the codec doesn't know about (per worm, per food item and at the top level, e.g. leaderboard)
+//   are carried as JSON in the string table, so new fields don't break the format.
+//
+// Layout (all little-endian):
+//   u8 codecVersion, u8 messageType, u32 tick, u32 baseTick, u8 coordScale
+//   u16 stringCount, stringCount x (u16 byteLength, utf8 bytes)
+//   u16 wormCount, Worm...            (keyframe: all worms, delta: joined worms)
+//   [delta] u16 leftCount, u16 id...; u16 updateCount, WormUpdate...
+//   u16 foodCount, Food...            (keyframe: all food, delta: spawned food)
+//   [delta] u16 removedCount, u16 id...
+//   u8 hasMinimap, [u16 headCount, (u16 id, i16 x, i16 y)..., u16 dotCount, (i16 x, i16 y)...]
+//   u8 hasEntities, [u16 entityCount, (u16 id, i16 x, i16 y, u16 angle)...]
+//   u16 extraJson (top-level fields not covered above)
+// Worm:       u16 id, u16 name, u16 color, u8 flags, u16 angle, u32 score, u32 spawnId, u32 headSeq,
+//             u16 radius (quantized), PowerUps, u16 extraJson, u16 segmentCount, (i16 x, i16 y)...
+// WormUpdate: u16 id, u8 flags, u16 angle, u32 score, u16 length, u8 changed (bit0 name, bit1 color, bit2 radius),
+//             [u16 name], [u16 color], [u16 radius], PowerUps, u16 extraJson, u16 headCount, (i16 x, i16 y)...
+// PowerUps:   u8 count, (u16 id, u16 remaining steps)...
+// Food:       u16 id, u16 color, u8 type, u8 value (0: none), i16 x, i16 y, u16 radius (quantized), u16 extraJson
+
+const { PROTOCOL_VERSION, MESSAGE_KEYFRAME, MESSAGE_DELTA } = require('./snapshotProtocol');
+const { POWER_UP_TIMER_STEP_MS } = require('./powerUps');
+
+const CODEC_VERSION = 6; // 2: worm radius, 3: external bot flag, 4: power-up timers instead of speed boost/magnet flags, 5: food value, 6: map entities
+const DEFAULT_COORD_SCALE = 4; // Quantization steps per world unit (int16 range gives +/-8191 world units)
+
+const TYPE_CODES = { [MESSAGE_KEYFRAME]: 0, [MESSAGE_DELTA]: 1 };
+const TYPE_NAMES = [MESSAGE_KEYFRAME, MESSAGE_DELTA];
+
+const NO_VALUE_U16 = 0xFFFF;
+const NO_VALUE_U32 = 0xFFFFFFFF;
+const ANGLE_STEPS = 65536;
+const TWO_PI = Math.PI * 2;
+
+const FLAG_IS_BOT = 1;
+const FLAG_IS_GAME_OVER = 2;
+// 4 and 8 were the speed boost and magnet flags before version 4
+const FLAG_IS_SPRINTING = 16;
+const FLAG_IS_EXTERNAL_BOT = 32; // Full worms only, it never changes during a life
+
+const CHANGED_NAME = 1;
+const CHANGED_COLOR = 2;
+const CHANGED_RADIUS = 4;
+
+// Fields encoded natively; anything else on these objects goes into their extraJson
+const WORM_FIELDS = new Set(['id', 'name', 'isBot', 'segments', 'color', 'angle', 'score', 'isGameOver',
+                             'powerUps', 'isSprinting', 'spawnId', 'headSeq', 'radius', 'isExternalBot']);
+const WORM_UPDATE_FIELDS = new Set(['id', 'heads', 'length', 'angle', 'score', 'isGameOver', 'powerUps',
+                                    'isSprinting', 'name', 'color', 'radius']);
+const FOOD_FIELDS = new Set(['id', 'x', 'y', 'z', 'color', 'radius', 'type', 'value']);
+const MESSAGE_FIELDS = new Set(['v', 'type', 'tick', 'baseTick', 'worms', 'food', 'minimap', 'entities']);
+
+// Created on first use, so loading the codec works where there's no TextEncoder (jsdom test environments)
+let textEncoder = null;
+let textDecoder = null;
+
+// Collects fields not in `known` into a JSON string, or null if there are none
+function extraFieldsJson(object, known) {
+    let extra = null;
+    for (const key in object) {
+        if (!known.has(key) && object[key] !== undefined) {
+            if (!extra) extra = {};
+            extra[key] = object[key];
+        }
+    }
+    return extra ? JSON.stringify(extra) : null;
+}
+
+function wormFlags(worm) {
+    return (worm.isBot ? FLAG_IS_BOT : 0) |
+           (worm.isGameOver ? FLAG_IS_GAME_OVER : 0) |
+           (worm.isSprinting ? FLAG_IS_SPRINTING : 0) |
+           (worm.isExternalBot ? FLAG_IS_EXTERNAL_BOT : 0);
+}
+
+// --- Writer ---
+
+class ByteWriter {
+    constructor(initialSize = 4096) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+        const grown = new ArrayBuffer(size);
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    i16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    bytes(array) { this.ensure(array.length); new Uint8Array(this.buffer, this.offset, array.length).set(array); this.offset += array.length; }
+
+    toUint8Array() { return new Uint8Array(this.buffer, 0, this.offset); }
+}
+
+// --- Reader ---
+
+class ByteReader {
+    constructor(data) {
+        this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.data.buffer, this.data.byteOffset, this.data.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+    u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+    u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    bytes(length) { const v = this.data.subarray(this.offset, this.offset + length); this.offset += length; return v; }
+}
+
+// --- Encoding ---
+
+/**
+ * Encodes a keyframe or delta message to bytes.
+ * @param {object} message - A message produced by encodeSnapshot() in snapshotProtocol.js.
+ * @param {object} [options]
+ * @param {number} [options.coordScale=DEFAULT_COORD_SCALE] - Quantization steps per world unit (1-255).
+ * @returns {Uint8Array} The encoded message.
+ */
+function encodeMessage(message, { coordScale = DEFAULT_COORD_SCALE } = {}) {
+    const strings = [];
+    const stringIndex = new Map();
+    const str = (value) => {
+        if (value === null || value === undefined) return NO_VALUE_U16;
+        const text = String(value);
+        let index = stringIndex.get(text);
+        if (index === undefined) {
+            index = strings.length;
+            if (index >= NO_VALUE_U16) throw new Error('binaryCodec: too many distinct strings in one message');
+            strings.push(text);
+            stringIndex.set(text, index);
+        }
+        return index;
+    };
+    const coord = (value) => Math.max(-32768, Math.min(32767, Math.round(value * coordScale)));
+    const radius = (value) => Math.min(NO_VALUE_U16 - 1, Math.round(value * coordScale));
+    const angle = (value) => {
+        const normalized = ((value % TWO_PI) + TWO_PI) % TWO_PI;
+        return Math.round(normalized / TWO_PI * ANGLE_STEPS) % ANGLE_STEPS;
+    };
+
+    // The string table comes first in the output, so the body is written to a separate buffer
+    const body = new ByteWriter();
+
+    const writePoints = (points) => {
+        body.u16(points.length);
+        for (const p of points) { body.i16(coord(p.x)); body.i16(coord(p.y)); }
+    };
+    const writePowerUps = (powerUps = {}) => {
+        const ids = Object.keys(powerUps);
+        body.u8(ids.length);
+        for (const id of ids) {
+            body.u16(str(id));
+            body.u16(Math.min(NO_VALUE_U16, Math.ceil(powerUps[id] / POWER_UP_TIMER_STEP_MS)));
+        }
+    };
+    const writeWorm = (worm) => {
+        body.u16(str(worm.id));
+        body.u16(str(worm.name));
+        body.u16(str(worm.color));
+        body.u8(wormFlags(worm));
+        body.u16(angle(worm.angle || 0));
+        body.u32(worm.score || 0);
+        body.u32(worm.spawnId ?? NO_VALUE_U32);
+        body.u32(worm.headSeq || 0);
+        body.u16(worm.radius !== undefined ? radius(worm.radius) : NO_VALUE_U16);
+        writePowerUps(worm.powerUps);
+        body.u16(str(extraFieldsJson(worm, WORM_FIELDS)));
+        writePoints(worm.segments || []);
+    };
+    const writeWormUpdate = (update) => {
+        body.u16(str(update.id));
+        body.u8(wormFlags(update));
+        body.u16(angle(update.angle || 0));
+        body.u32(update.score || 0);
+        body.u16(update.length);
+        const changed = (update.name !== undefined ? CHANGED_NAME : 0) | (update.color !== undefined ? CHANGED_COLOR : 0) |
+                        (update.radius !== undefined ? CHANGED_RADIUS : 0);
+        body.u8(changed);
+        if (changed & CHANGED_NAME) body.u16(str(update.name));
+        if (changed & CHANGED_COLOR) body.u16(str(update.color));
+        if (changed & CHANGED_RADIUS) body.u16(radius(update.radius));
+        writePowerUps(update.powerUps);
+        body.u16(str(extraFieldsJson(update, WORM_UPDATE_FIELDS)));
+        writePoints(update.heads);
+    };
+    const writeFood = (f) => {
+        body.u16(str(f.id));
+        body.u16(str(f.color));
+        body.u8(f.type || 0);
+        body.u8(Math.min(255, f.value || 0));
+        body.i16(coord(f.x));
+        body.i16(coord(f.y));
+        body.u16(Math.min(NO_VALUE_U16, Math.round((f.radius || 0) * coordScale)));
+        body.u16(str(extraFieldsJson(f, FOOD_FIELDS)));
+    };
+    const writeList = (items, writeItem) => {
+        body.u16(items.length);
+        items.forEach(writeItem);
+    };
+
+    const isDelta = message.type === MESSAGE_DELTA;
+    if (isDelta) {
+        writeList(message.worms.joined, writeWorm);
+        writeList(message.worms.left, id => body.u16(str(id)));
+        writeList(message.worms.updated, writeWormUpdate);
+        writeList(message.food.spawned, writeFood);
+        writeList(message.food.removed, id => body.u16(str(id)));
+    } else {
+        writeList(Object.values(message.worms), writeWorm);
+        writeList(message.food, writeFood);
+    }
+
+    if (message.minimap) {
+        body.u8(1);
+        writeList(message.minimap.worms, head => { body.u16(str(head.id)); body.i16(coord(head.x)); body.i16(coord(head.y)); });
+        const dots = message.minimap.food;
+        body.u16(dots.length / 2);
+        for (let i = 0; i + 1 < dots.length; i += 2) { body.i16(coord(dots[i])); body.i16(coord(dots[i + 1])); }
+    } else {
+        body.u8(0);
+    }
+    if (message.entities) {
+        body.u8(1);
+        writeList(message.entities, entity => {
+            body.u16(entity.id);
+            body.i16(coord(entity.x));
+            body.i16(coord(entity.y));
+            body.u16(angle(entity.angle || 0));
+        });
+    } else {
+        body.u8(0);
+    }
+    body.u16(str(extraFieldsJson(message, MESSAGE_FIELDS)));
+
+    // Header + string table, then the body
+    const out = new ByteWriter(body.offset + 64 + strings.length * 16);
+    out.u8(CODEC_VERSION);
+    out.u8(TYPE_CODES[message.type]);
+    out.u32(message.tick);
+    out.u32(message.baseTick ?? NO_VALUE_U32);
+    out.u8(coordScale);
+    out.u16(strings.length);
+    if (!textEncoder) textEncoder = new TextEncoder();
+    for (const text of strings) {
+        const encoded = textEncoder.encode(text);
+        out.u16(encoded.length);
+        out.bytes(encoded);
+    }
+    out.bytes(body.toUint8Array());
+    return out.toUint8Array();
+}
+
+// --- Decoding ---
+
+/**
+ * Decodes bytes produced by encodeMessage() back into a keyframe or delta message.
+ * @param {ArrayBuffer|Uint8Array} data - The received bytes (socket.io delivers ArrayBuffer in browsers, Buffer in Node).
+ * @returns {object} The message, in the same shape snapshotProtocol.js produces.
+ */
+function decodeMessage(data) {
+    const reader = new ByteReader(data);
+    const codecVersion = reader.u8();
+    if (codecVersion !== CODEC_VERSION) throw new Error(`binaryCodec: unsupported codec version ${codecVersion}`);
+    const type = TYPE_NAMES[reader.u8()];
+    const tick = reader.u32();
+    const baseTick = reader.u32();
+    const coordScale = reader.u8();
+
+    const strings = new Array(reader.u16());
+    if (!textDecoder) textDecoder = new TextDecoder();
+    for (let i = 0; i < strings.length; i++) strings[i] = textDecoder.decode(reader.bytes(reader.u16()));
+    const str = () => {
+        const index = reader.u16();
+        return index === NO_VALUE_U16 ? undefined : strings[index];
+    };
+    const extra = (target) => {
+        const json = str();
+        if (json !== undefined) Object.assign(target, JSON.parse(json));
+        return target;
+    };
+    const coord = () => reader.i16() / coordScale;
+    const angle = () => reader.u16() / ANGLE_STEPS * TWO_PI;
+
+    const readPoints = () => {
+        const points = new Array(reader.u16());
+        for (let i = 0; i < points.length; i++) points[i] = { x: coord(), y: coord(), z: 0 };
+        return points;
+    };
+    const readPowerUps = () => {
+        const powerUps = {};
+        const count = reader.u8();
+        for (let i = 0; i < count; i++) {
+            const id = str();
+            powerUps[id] = reader.u16() * POWER_UP_TIMER_STEP_MS;
+        }
+        return powerUps;
+    };
+    const readWorm = () => {
+        const worm = { id: str(), name: str(), color: str() };
+        const flags = reader.u8();
+        worm.isBot = !!(flags & FLAG_IS_BOT);
+        worm.isGameOver = !!(flags & FLAG_IS_GAME_OVER);
+        worm.isSprinting = !!(flags & FLAG_IS_SPRINTING);
+        if (flags & FLAG_IS_EXTERNAL_BOT) worm.isExternalBot = true;
+        worm.angle = angle();
+        worm.score = reader.u32();
+        const spawnId = reader.u32();
+        if (spawnId !== NO_VALUE_U32) worm.spawnId = spawnId;
+        worm.headSeq = reader.u32();
+        const radius = reader.u16();
+        if (radius !== NO_VALUE_U16) worm.radius = radius / coordScale;
+        worm.powerUps = readPowerUps();
+        extra(worm);
+        worm.segments = readPoints();
+        return worm;
+    };
+    const readWormUpdate = () => {
+        const update = { id: str() };
+        const flags = reader.u8();
+        update.isGameOver = !!(flags & FLAG_IS_GAME_OVER);
+        update.isSprinting = !!(flags & FLAG_IS_SPRINTING);
+        update.angle = angle();
+        update.score = reader.u32();
+        update.length = reader.u16();
+        const changed = reader.u8();
+        if (changed & CHANGED_NAME) update.name = str();
+        if (changed & CHANGED_COLOR) update.color = str();
+        if (changed & CHANGED_RADIUS) update.radius = reader.u16() / coordScale;
+        update.powerUps = readPowerUps();
+        extra(update);
+        update.heads = readPoints();
+        return update;
+    };
+    const readFood = () => {
+        const f = { id: str(), color: str(), type: reader.u8() };
+        const value = reader.u8();
+        if (value) f.value = value;
+        f.x = coord();
+        f.y = coord();
+        f.z = 0;
+        f.radius = reader.u16() / coordScale;
+        return extra(f);
+    };
+    const readList = (readItem) => {
+        const items = new Array(reader.u16());
+        for (let i = 0; i < items.length; i++) items[i] = readItem();
+        return items;
+    };
+
+    const message = { v: PROTOCOL_VERSION, type, tick };
+    if (type === MESSAGE_DELTA) {
+        message.baseTick = baseTick === NO_VALUE_U32 ? null : baseTick;
+        const joined = readList(readWorm);
+        const left = readList(str);
+        const updated = readList(readWormUpdate);
+        message.worms = { joined, left, updated };
+        const spawned = readList(readFood);
+        const removed = readList(str);
+        message.food = { spawned, removed };
+    } else {
+        message.worms = {};
+        readList(readWorm).forEach(worm => { message.worms[worm.id] = worm; });
+        message.food = readList(readFood);
+    }
+
+    if (reader.u8()) {
+        const worms = readList(() => ({ id: str(), x: coord(), y: coord() }));
+        const food = new Array(reader.u16() * 2);
+        for (let i = 0; i < food.length; i++) food[i] = coord();
+        message.minimap = { worms, food };
+    }
+    if (reader.u8()) {
+        message.entities = readList(() => ({ id: reader.u16(), x: coord(), y: coord(), angle: angle() }));
+    }
+    return extra(message);
+}
+
+module.exports = {
+    CODEC_VERSION,
+    DEFAULT_COORD_SCALE,
+    encodeMessage,
+    decodeMessage,
+};
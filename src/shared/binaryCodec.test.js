@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+import { encodeMessage, decodeMessage } from './binaryCodec';
+import { createClientView, encodeSnapshot, createNetState, applySnapshotMessage, toGameState } from './snapshotProtocol';
+
+const worm = {
+    id: 'abc123', name: 'Wormy', isBot: false, color: 'hsl(120.5, 80%, 60%)', angle: 1.25, score: 35,
+    isGameOver: false, powerUps: { speed: 8300, magnet: 100 }, isSprinting: true, spawnId: 7, headSeq: 42, radius: 9.5,
+    segments: [{ x: 1500.3, y: 20.75, z: 0 }, { x: 1494.1, y: 21, z: 0 }, { x: -3.2, y: 2999.9, z: 0 }],
+};
+const food = [
+    { id: 'food-1', x: 10.1, y: 20.2, z: 0, color: 'hsl(10, 80%, 60%)', radius: 12, type: 15, value: 2 },
+    { id: 'food-2', x: 2999, y: 0, z: 0, color: 'hsl(10, 80%, 60%)', radius: 12, type: 36 },
+];
+
+// Quantization is 1/4 unit for coordinates and 1/65536 of a turn for angles
+function expectPointsClose(actual, expected) {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((p, i) => {
+        expect(Math.abs(p.x - expected[i].x)).toBeLessThanOrEqual(0.125);
+        expect(Math.abs(p.y - expected[i].y)).toBeLessThanOrEqual(0.125);
+    });
+}
+
+test('keyframe round-trips', () => {
+    const message = {
+        v: 2, type: 'keyframe', tick: 1234,
+        worms: { [worm.id]: worm },
+        food,
+        leaderboard: [{ id: worm.id, name: worm.name, score: 35, color: worm.color }],
+        eatenFood: [{ id: 'food-9', eaterId: worm.id, type: 7 }],
+        minimap: { worms: [{ id: worm.id, x: 1500, y: 21 }], food: [10, 20, 2999, 0] },
+        entities: [{ id: 0, x: 1500, y: 800, angle: 2.5 }, { id: 3, x: 120, y: 3900, angle: 0 }],
+    };
+    const decoded = decodeMessage(encodeMessage(message));
+
+    expect(decoded.type).toBe('keyframe');
+    expect(decoded.tick).toBe(1234);
+    const decodedWorm = decoded.worms[worm.id];
+    expect(decodedWorm).toMatchObject({
+        id: worm.id, name: worm.name, isBot: false, color: worm.color, score: 35, isGameOver: false,
+        powerUps: { speed: 8300, magnet: 100 }, isSprinting: true, spawnId: 7, headSeq: 42, radius: 9.5,
+    });
+    expect(decodedWorm.angle).toBeCloseTo(worm.angle, 3);
+    expectPointsClose(decodedWorm.segments, worm.segments);
+
+    expect(decoded.food.map(f => [f.id, f.type, f.color, f.radius, f.value])).toEqual(food.map(f => [f.id, f.type, f.color, f.radius, f.value]));
+    expectPointsClose(decoded.food, food);
+    expect(decoded.leaderboard).toEqual(message.leaderboard);
+    expect(decoded.eatenFood).toEqual(message.eatenFood);
+    expect(decoded.minimap).toEqual(message.minimap);
+    expect(decoded.entities.map(e => [e.id, e.x, e.y])).toEqual([[0, 1500, 800], [3, 120, 3900]]);
+    expect(decoded.entities[0].angle).toBeCloseTo(2.5, 3);
+});
+
+test('delta round-trips', () => {
+    const message = {
+        v: 2, type: 'delta', tick: 11, baseTick: 10,
+        worms: {
+            joined: [worm, { ...worm, id: 'ext_1', isExternalBot: true }],
+            left: ['gone'],
+            updated: [{ id: 'bot_1', heads: [{ x: 5, y: 6, z: 0 }], length: 100, angle: 6.2, score: 5,
+                        isGameOver: false, powerUps: { magnet: 2500 }, color: 'hsl(1, 80%, 60%)', radius: 10.25 }],
+        },
+        food: { spawned: [food[0]], removed: ['food-3', 'food-4'] },
+        eatenFood: [],
+    };
+    const decoded = decodeMessage(encodeMessage(message));
+
+    expect(decoded).toMatchObject({ type: 'delta', tick: 11, baseTick: 10, eatenFood: [] });
+    expect(decoded.worms.left).toEqual(['gone']);
+    expect(decoded.worms.joined[0].id).toBe(worm.id);
+    expect(decoded.worms.joined[0].isExternalBot).toBeUndefined();
+    expect(decoded.worms.joined[1]).toMatchObject({ id: 'ext_1', isExternalBot: true });
+    const update = decoded.worms.updated[0];
+    expect(update).toMatchObject({ id: 'bot_1', length: 100, score: 5, powerUps: { magnet: 2500 }, color: 'hsl(1, 80%, 60%)', radius: 10.25 });
+    expect(update.name).toBeUndefined();
+    expectPointsClose(update.heads, message.worms.updated[0].heads);
+    expect(decoded.food.removed).toEqual(['food-3', 'food-4']);
+    expect(decoded.leaderboard).toBeUndefined();
+    expect(decoded.entities).toBeUndefined();
+});
+
+test('fields unknown to the codec are preserved', () => {
+    const message = {
+        v: 2, type: 'keyframe', tick: 1,
+        worms: { [worm.id]: { ...worm, kills: 3 } },
+        food: [{ ...food[0], droppedBy: 'w1' }],
+        eatenFood: [],
+        somethingNew: { a: 1 },
+    };
+    const decoded = decodeMessage(encodeMessage(message));
+    expect(decoded.worms[worm.id].kills).toBe(3);
+    expect(decoded.food[0].droppedBy).toBe('w1');
+    expect(decoded.somethingNew).toEqual({ a: 1 });
+});
+
+test('decoded messages drive the delta protocol like JSON ones', () => {
+    const view = createClientView(100);
+    const netState = createNetState();
+    const serverWorm = { ...worm, segments: worm.segments.map(s => ({ ...s })) };
+
+    for (let tick = 1; tick <= 10; tick++) {
+        const head = serverWorm.segments[0];
+        serverWorm.segments.unshift({ x: head.x + 2, y: head.y, z: 0 });
+        if (tick % 2 === 0) serverWorm.segments.pop(); // Grows on odd ticks
+        serverWorm.headSeq++;
+        serverWorm.radius = 9.5 + serverWorm.segments.length * 0.04;
+        const snapshot = {
+            worms: { [serverWorm.id]: { ...serverWorm, segments: serverWorm.segments.map(s => ({ ...s })) } },
+            food, leaderboard: [], eatenFood: [],
+        };
+        const message = decodeMessage(encodeMessage(encodeSnapshot(view, tick, snapshot)));
+        expect(applySnapshotMessage(netState, message)).toBe(true);
+        const clientWorm = toGameState(netState, message).worms[serverWorm.id];
+        expectPointsClose(clientWorm.segments, serverWorm.segments);
+        expect(Math.abs(clientWorm.radius - serverWorm.radius)).toBeLessThanOrEqual(0.125); // Quantized like coordinates
+    }
+});
+
+test('encoded messages are much smaller than JSON', () => {
+    const segments = [];
+    for (let i = 0; i < 200; i++) segments.push({ x: 1000 + i * 6.4, y: 1000.123 + i, z: 0 });
+    const message = { v: 2, type: 'keyframe', tick: 1, worms: { [worm.id]: { ...worm, segments } }, food, eatenFood: [] };
+    expect(encodeMessage(message).byteLength).toBeLessThan(JSON.stringify(message).length / 4);
+});
+
+test('the codec loads where there is no TextEncoder (jsdom)', () => {
+    const { TextEncoder, TextDecoder } = global;
+    delete global.TextEncoder;
+    delete global.TextDecoder;
+    try {
+        jest.isolateModules(() => {
+            expect(() => require('./binaryCodec')).not.toThrow();
+        });
+    } finally {
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+    }
+});
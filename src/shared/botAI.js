@@ -0,0 +1,294 @@
+// --- Bot AI ---
+// The "standard" bot brain (see botBrain.js for how brains plug in): behaviour states. Every bot is in one
+// state and re-decides it every `reactionTicks` (set by its difficulty) from what it senses around it:
+//   flee     - a bigger worm's head is close: turn away from it, sprinting if it dares
+//   hunt     - a smaller worm is close: aim in front of its head to cut it off
+//   encircle - a much smaller worm is close: circle around its head to trap it in the body
+//   loot     - a worm died nearby recently: go for the food it dropped
+//   forage   - otherwise: go for the nearest food
+// Between decisions it steers for its state every tick. Avoiding walls and bodies within its look-ahead
+// overrides every state. All randomness comes from the simulation's seeded rng, so bots stay deterministic.
+
+const { pickFromMix, parseMix } = require("./weightedMix");
+
+const STANDARD_BOT_BRAIN = 'standard';
+
+// --- Bot States ---
+const BOT_STATE_FORAGE = 'forage';
+const BOT_STATE_FLEE = 'flee';
+const BOT_STATE_HUNT = 'hunt';
+const BOT_STATE_ENCIRCLE = 'encircle';
+const BOT_STATE_LOOT = 'loot';
+
+// --- Difficulty Tiers ---
+const BOT_DIFFICULTY_EASY = 'easy';
+const BOT_DIFFICULTY_NORMAL = 'normal';
+const BOT_DIFFICULTY_HARD = 'hard';
+
+// reactionTicks: ticks between decisions          lookAhead: how far ahead walls and bodies are avoided
+// senseRadius:   how far worms and deaths are seen aggression: chance to go after a smaller worm at a decision
+// sprintChance:  chance to sprint when fleeing or closing in on prey
+// aimError:      max steering error in radians, re-rolled at every decision
+const BOT_DIFFICULTIES = {
+    [BOT_DIFFICULTY_EASY]: { reactionTicks: 30, lookAhead: 90, senseRadius: 250, aggression: 0.1, sprintChance: 0, aimError: 0.35 },
+    [BOT_DIFFICULTY_NORMAL]: { reactionTicks: 15, lookAhead: 120, senseRadius: 400, aggression: 0.4, sprintChance: 0.3, aimError: 0.15 },
+    [BOT_DIFFICULTY_HARD]: { reactionTicks: 6, lookAhead: 180, senseRadius: 600, aggression: 0.8, sprintChance: 0.7, aimError: 0.03 },
+};
+// Relative share of each tier among an arena's bots
+const DEFAULT_BOT_MIX = { [BOT_DIFFICULTY_EASY]: 3, [BOT_DIFFICULTY_NORMAL]: 5, [BOT_DIFFICULTY_HARD]: 2 };
+
+// --- Behaviour Constants ---
+const BOT_THREAT_LENGTH_RATIO = 1.2; // Worms at least this much longer are dangerous
+const BOT_PREY_LENGTH_RATIO = 0.8; // Worms at most this long (relative) are prey
+const BOT_ENCIRCLE_LENGTH_RATIO = 2; // Only worms at least twice the prey's length try to encircle it
+const BOT_FLEE_RADIUS_FACTOR = 0.5; // Threats matter within this fraction of the sense radius
+const BOT_HUNT_LEAD_DISTANCE = 60; // Aim this far in front of the prey's head (plus a quarter of the distance to it)
+const BOT_HUNT_SPRINT_DISTANCE = 150; // Hunters sprint only for the final approach
+const BOT_ENCIRCLE_RADIUS = 70; // Distance to keep from the prey's head while circling it
+const BOT_LOOT_ARRIVE_DISTANCE = 50; // Close enough to a death site to just forage
+const BOT_BOUNDARY_AVOID_MARGIN = 100; // How far from the boundary bots start turning back
+const BOT_ZONE_AVOID_MARGIN = 150; // How far inside the battle royale zone's edge bots start turning back
+const BOT_AVOID_RADIUS_FACTOR = 4; // Bodies within 4x the bot's radius of a look-ahead probe are avoided
+const BOT_AVOID_PROBES = [0.25, 0.5, 1]; // Probe points along the look-ahead distance
+const BOT_TARGET_UPDATE_INTERVAL_TICKS = 30; // Foraging bots look for closer food this often
+const BOT_RANDOM_TURN_CHANCE = 0.02; // Chance per tick for a small random turn when there is nothing to do
+
+/**
+ * Fresh per-life state for a bot worm.
+ * @returns {object} { state, targetId, targetFoodId, ticksUntilTargetUpdate, nextDecisionTick, aimOffset, sprint }
+ */
+function createBotState() {
+    return {
+        state: BOT_STATE_FORAGE,
+        targetId: null, // Worm being fled from / hunted / encircled
+        targetFoodId: null,
+        ticksUntilTargetUpdate: 0,
+        nextDecisionTick: 0,
+        aimOffset: 0,
+        sprint: false, // Whether it decided to sprint in the current state
+    };
+}
+
+/**
+ * Picks the difficulty for a new bot: the tier furthest below its share of the mix.
+ * @param {object} mix - { easy, normal, hard } relative weights.
+ * @param {object} counts - { easy, normal, hard } bots that already exist.
+ * @returns {string} One of the BOT_DIFFICULTY_* values.
+ */
+function pickBotDifficulty(mix, counts) {
+    const tierMix = {};
+    Object.keys(BOT_DIFFICULTIES).forEach(tier => { tierMix[tier] = mix[tier] || 0; });
+    return pickFromMix(tierMix, counts, BOT_DIFFICULTY_NORMAL);
+}
+
+/**
+ * Parses a bot mix like "easy:3,normal:5,hard:2" (e.g. from the BOT_MIX environment variable).
+ * @param {string} text - Comma-separated tier:weight pairs, tiers left out get weight 0.
+ * @returns {object} The mix.
+ * @throws {Error} On unknown tiers, bad weights or an all-zero mix.
+ */
+function parseBotMix(text) {
+    return parseMix(text, Object.keys(BOT_DIFFICULTIES), 'bot difficulty');
+}
+
+// Shortest signed difference between two angles, in (-PI, PI]
+function angleDifference(a, b) {
+    return Math.atan2(Math.sin(a - b), Math.cos(a - b));
+}
+
+// --- Standard Brain ---
+// The brain every bot uses unless another one is picked (see botBrain.js for the interface). It works on the
+// bot's view only, its memory is createBotState().
+
+function nearestDeathSite(view, radius) {
+    return view.deathSites.find(site => site.distance < radius) || null; // Sorted closest first
+}
+
+/**
+ * Picks the bot's state for the next `reactionTicks`.
+ */
+function decide(view, memory, tier) {
+    const { self, rng } = view;
+    const others = view.worms.filter(w => w.distance < tier.senseRadius);
+    const fleeRadius = tier.senseRadius * BOT_FLEE_RADIUS_FACTOR;
+
+    const threat = others.find(w => w.distance < fleeRadius && w.length >= self.length * BOT_THREAT_LENGTH_RATIO);
+    const prey = others.find(w => w.length <= self.length * BOT_PREY_LENGTH_RATIO);
+    const deathSite = nearestDeathSite(view, tier.senseRadius);
+
+    memory.targetId = null;
+    memory.sprint = false;
+    if (threat) {
+        memory.state = BOT_STATE_FLEE;
+        memory.targetId = threat.id;
+        memory.sprint = rng() < tier.sprintChance;
+    } else if (prey && rng() < tier.aggression) {
+        const canEncircle = self.length >= prey.length * BOT_ENCIRCLE_LENGTH_RATIO;
+        memory.state = canEncircle && rng() < tier.aggression ? BOT_STATE_ENCIRCLE : BOT_STATE_HUNT;
+        memory.targetId = prey.id;
+        memory.sprint = rng() < tier.sprintChance;
+    } else if (deathSite) {
+        memory.state = BOT_STATE_LOOT;
+    } else {
+        memory.state = BOT_STATE_FORAGE;
+    }
+    memory.aimOffset = (rng() * 2 - 1) * tier.aimError;
+    memory.nextDecisionTick = view.tick + tier.reactionTicks;
+}
+
+// Heading towards the nearest food (kept as a target for a while), or null if there is none
+function forage(view, memory) {
+    const { self } = view;
+    memory.ticksUntilTargetUpdate--;
+    let target = memory.targetFoodId !== null ? view.food.find(f => f.id === memory.targetFoodId) || null : null;
+    if (!target || memory.ticksUntilTargetUpdate <= 0) {
+        target = view.nearestFood();
+        memory.targetFoodId = target ? target.id : null;
+        memory.ticksUntilTargetUpdate = BOT_TARGET_UPDATE_INTERVAL_TICKS;
+    }
+    return target ? Math.atan2(target.y - self.y, target.x - self.x) : null;
+}
+
+/**
+ * Heading and sprint for the bot's current state. A null angle keeps going (after a possible random turn).
+ */
+function steer(view, memory) {
+    const { self } = view;
+
+    if (memory.state === BOT_STATE_LOOT) {
+        const site = nearestDeathSite(view, Infinity);
+        if (site && site.distance > BOT_LOOT_ARRIVE_DISTANCE) {
+            return { angle: Math.atan2(site.y - self.y, site.x - self.x), boost: false };
+        }
+        memory.state = BOT_STATE_FORAGE; // Arrived (or the site expired): eat what's there
+        memory.targetFoodId = null;
+        return { angle: forage(view, memory), boost: false };
+    }
+
+    const target = memory.targetId !== null ? view.worms.find(w => w.id === memory.targetId) : null;
+    if (!target) {
+        memory.state = BOT_STATE_FORAGE; // Target died or got out of sight, fall back until the next decision
+        memory.targetId = null;
+        return { angle: forage(view, memory), boost: false };
+    }
+    const dx = target.x - self.x;
+    const dy = target.y - self.y;
+
+    switch (memory.state) {
+        case BOT_STATE_FLEE:
+            return { angle: Math.atan2(-dy, -dx), boost: memory.sprint };
+        case BOT_STATE_HUNT: {
+            const lead = BOT_HUNT_LEAD_DISTANCE + target.distance / 4;
+            return {
+                angle: Math.atan2(target.y + Math.sin(target.angle) * lead - self.y,
+                                  target.x + Math.cos(target.angle) * lead - self.x),
+                boost: memory.sprint && target.distance < BOT_HUNT_SPRINT_DISTANCE,
+            };
+        }
+        case BOT_STATE_ENCIRCLE: {
+            // Go round the prey, steering in while too far out and out while too close
+            const fromTarget = Math.atan2(-dy, -dx);
+            const correction = Math.max(-1, Math.min(1, (target.distance - BOT_ENCIRCLE_RADIUS) / BOT_ENCIRCLE_RADIUS));
+            return { angle: fromTarget + Math.PI / 2 + correction * Math.PI / 4, boost: false };
+        }
+        default:
+            return { angle: forage(view, memory), boost: false };
+    }
+}
+
+/**
+ * Heading that avoids a wall or body in front of the bot, or null if the way is clear.
+ */
+function avoidObstacles(view, tier) {
+    const { self, walls } = view;
+    const lookAheadX = self.x + Math.cos(self.angle) * tier.lookAhead;
+    const lookAheadY = self.y + Math.sin(self.angle) * tier.lookAhead;
+
+    // 1. Boundary: turn towards the center of the world
+    if (lookAheadX < BOT_BOUNDARY_AVOID_MARGIN || lookAheadX > walls.width - BOT_BOUNDARY_AVOID_MARGIN ||
+        lookAheadY < BOT_BOUNDARY_AVOID_MARGIN || lookAheadY > walls.height - BOT_BOUNDARY_AVOID_MARGIN) {
+        return Math.atan2(walls.height / 2 - self.y, walls.width / 2 - self.x);
+    }
+    // ...and the same near the edge of the battle royale zone, towards its center
+    const zone = view.safeZone;
+    if (zone && Math.hypot(lookAheadX - zone.x, lookAheadY - zone.y) > zone.radius - Math.min(BOT_ZONE_AVOID_MARGIN, zone.radius / 2)) {
+        return Math.atan2(zone.y - self.y, zone.x - self.x);
+    }
+
+    // 2. Map walls, hazards and worms (its own body too where it curls back): probe along the look-ahead ray,
+    //    nearest probe first, and turn perpendicular to the closest wall, hazard or body part found, away from the
+    //    side it's on
+    for (const fraction of BOT_AVOID_PROBES) {
+        const probeX = self.x + Math.cos(self.angle) * tier.lookAhead * fraction;
+        const probeY = self.y + Math.sin(self.angle) * tier.lookAhead * fraction;
+        const avoidRadius = self.radius * BOT_AVOID_RADIUS_FACTOR;
+        let closest = view.wallNear(probeX, probeY, avoidRadius);
+        let closestDistSq = closest ? closest.distance ** 2 : Infinity;
+        const hazard = view.hazardNear(probeX, probeY, avoidRadius);
+        if (hazard && hazard.distance ** 2 < closestDistSq) {
+            closest = hazard;
+            closestDistSq = hazard.distance ** 2;
+        }
+        [...view.bodiesNear(probeX, probeY, avoidRadius), ...view.ownBodyNear(probeX, probeY, avoidRadius)].forEach(body => {
+            const distSq = (body.x - probeX) ** 2 + (body.y - probeY) ** 2;
+            if (distSq < closestDistSq) {
+                closest = body;
+                closestDistSq = distSq;
+            }
+        });
+        if (closest) {
+            const angleToThreat = Math.atan2(closest.y - self.y, closest.x - self.x);
+            const side = angleDifference(angleToThreat, self.angle) > 0 ? 1 : -1; // 1: threat on the right (y points down)
+            return angleToThreat - side * Math.PI / 2;
+        }
+    }
+    return null;
+}
+
+const standardBrain = {
+    name: STANDARD_BOT_BRAIN,
+    createMemory: createBotState,
+    /**
+     * One tick of the standard brain.
+     * @param {object} view - BotView (see botBrain.js).
+     * @param {object} memory - createBotState() for this life.
+     * @returns {{angle: number, boost: boolean}}
+     */
+    think(view, memory) {
+        const tier = BOT_DIFFICULTIES[view.self.difficulty] || BOT_DIFFICULTIES[BOT_DIFFICULTY_NORMAL];
+
+        if (view.tick >= memory.nextDecisionTick) decide(view, memory, tier);
+
+        let { angle, boost } = steer(view, memory);
+        if (angle === null) {
+            angle = view.self.angle;
+            if (view.rng() < BOT_RANDOM_TURN_CHANCE) angle += (view.rng() - 0.5) * Math.PI / 8; // Wander
+        } else {
+            angle += memory.aimOffset;
+        }
+        const avoidAngle = avoidObstacles(view, tier);
+        if (avoidAngle !== null) {
+            angle = avoidAngle;
+            memory.targetFoodId = null; // Pick food again once the way is clear
+        }
+        return { angle, boost };
+    },
+};
+
+module.exports = {
+    STANDARD_BOT_BRAIN,
+    BOT_STATE_FORAGE,
+    BOT_STATE_FLEE,
+    BOT_STATE_HUNT,
+    BOT_STATE_ENCIRCLE,
+    BOT_STATE_LOOT,
+    BOT_DIFFICULTY_EASY,
+    BOT_DIFFICULTY_NORMAL,
+    BOT_DIFFICULTY_HARD,
+    BOT_DIFFICULTIES,
+    DEFAULT_BOT_MIX,
+    createBotState,
+    pickBotDifficulty,
+    parseBotMix,
+    standardBrain,
+};
@@ -0,0 +1,85 @@
+import {
+    BOT_STATE_FLEE, BOT_STATE_LOOT, BOT_DIFFICULTY_EASY, BOT_DIFFICULTY_NORMAL, BOT_DIFFICULTY_HARD,
+    pickBotDifficulty, parseBotMix,
+} from './botAI';
+import { WORM_SEGMENT_DISTANCE } from './simulation';
+import { makeSim, placeWorm } from './testWorld';
+
+function getBot(sim) {
+    return Object.values(sim.players).find(p => p.isBot);
+}
+
+// One step so the bot senses the placed worms (the segment grid is rebuilt at the end of a step), then a decision
+function stepAndDecide(sim, bot) {
+    sim.step();
+    bot.worm.botState.nextDecisionTick = 0;
+    sim.step();
+}
+
+test('new bots follow the difficulty mix', () => {
+    expect(pickBotDifficulty({ easy: 1, normal: 0, hard: 1 }, {})).toBe(BOT_DIFFICULTY_EASY);
+    expect(pickBotDifficulty({ easy: 1, normal: 0, hard: 1 }, { easy: 1 })).toBe(BOT_DIFFICULTY_HARD);
+    expect(pickBotDifficulty({ easy: 0, normal: 0, hard: 0 }, {})).toBe(BOT_DIFFICULTY_NORMAL);
+
+    const sim = makeSim({ settings: { botCount: 10 }, botMix: { easy: 1, hard: 4 } });
+    const difficulties = Object.values(sim.players).map(p => p.botDifficulty);
+    expect(difficulties.filter(d => d === BOT_DIFFICULTY_EASY)).toHaveLength(2);
+    expect(difficulties.filter(d => d === BOT_DIFFICULTY_HARD)).toHaveLength(8);
+});
+
+test('bot mixes are parsed from text', () => {
+    expect(parseBotMix('easy:3, hard:1')).toEqual({ easy: 3, normal: 0, hard: 1 });
+    expect(() => parseBotMix('insane:1')).toThrow(/insane/);
+    expect(() => parseBotMix('easy:-1')).toThrow();
+    expect(() => parseBotMix('easy:0')).toThrow();
+});
+
+test('bots flee from bigger worms closing in', () => {
+    const sim = makeSim({ settings: { botCount: 1 }, botMix: { hard: 1 } });
+    const bot = getBot(sim);
+    const big = sim.addHuman('big', 'Big');
+    placeWorm(bot, 1500, 1500, 0);
+    placeWorm(big, 1500, 1750, -Math.PI / 2, 200); // Below the bot, heading up at it
+
+    stepAndDecide(sim, bot);
+
+    expect(bot.worm.botState.state).toBe(BOT_STATE_FLEE);
+    expect(bot.worm.botState.targetId).toBe('big');
+    expect(Math.sin(bot.worm.targetAngle)).toBeLessThan(-0.9); // Straight up, away from it
+});
+
+test('bots go looting where a worm died', () => {
+    const sim = makeSim({ settings: { botCount: 1 }, botMix: { normal: 1 } });
+    const bot = getBot(sim);
+    const victim = sim.addHuman('v', 'Victim');
+    placeWorm(bot, 1500, 1500, 0);
+    placeWorm(victim, 1500, 1200, 0);
+    sim.killPlayer('v', 'test');
+
+    stepAndDecide(sim, bot);
+
+    expect(bot.worm.botState.state).toBe(BOT_STATE_LOOT);
+    expect(Math.sin(bot.worm.targetAngle)).toBeLessThan(-0.9); // Towards the death site above
+    expect(bot.botDifficulty).toBe(BOT_DIFFICULTY_NORMAL);
+});
+
+test('bots steer clear of their own body where it curls back in front of them', () => {
+    const sim = makeSim({ settings: { botCount: 1 }, botMix: { hard: 1 } });
+    const bot = getBot(sim);
+    // Heading right, the body goes back left, down, right below the head and back up with its tail ahead of the head
+    const segments = [{ x: 1500, y: 1500, z: 0 }];
+    [[-1, 0, 20], [0, 1, 15], [1, 0, 30], [0, -1, 12]].forEach(([dx, dy, count]) => {
+        for (let i = 0; i < count; i++) {
+            const last = segments[segments.length - 1];
+            segments.push({ x: last.x + dx * WORM_SEGMENT_DISTANCE, y: last.y + dy * WORM_SEGMENT_DISTANCE, z: 0 });
+        }
+    });
+    bot.worm.segments = segments;
+    bot.worm.angle = 0;
+    bot.worm.targetAngle = 0;
+    bot.worm.score = segments.length * 5;
+
+    stepAndDecide(sim, bot);
+
+    expect(Math.abs(Math.cos(bot.worm.targetAngle))).toBeLessThan(0.3); // A quarter turn away instead of through it
+});
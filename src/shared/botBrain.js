@@ -0,0 +1,280 @@
+// --- Bot Brains ---
+// Bots are driven by brains: plain objects that look at a read-only view of the world around their worm and
+// say where to go. Brains are registered by name, and every bot gets one when it's added (see the simulation's
+// brainMix option), so different strategies can play against each other in the same arena. The built-in brain
+// is "standard" (botAI.js). The server loads more from the modules listed in BOT_BRAIN_MODULES.
+//
+// Brain: {
+//   name:          unique name, used in brain mixes ("standard:3,greedy:1")
+//   namePrefix?:   prefix for its bots' names instead of the default "AI_Bot"
+//   createMemory?: () => object - fresh memory for each life of a bot, passed back to every think() call
+//   think:         (view, memory) => { angle, boost } | null - called every tick. angle is the heading (radians,
+//                  y points down) the worm turns towards, boost whether to sprint. null keeps going straight.
+// }
+// think() must not change the view; an exception only stops the bot for that tick (and gets logged once).
+//
+// BotView (built fresh for every think() call, everything in world units):
+//   tick                          current simulation tick
+//   rng()                         the simulation's seeded random numbers in [0, 1), use it to stay deterministic
+//   self                          { id, x, y, angle, length, radius, isSprinting, difficulty } - the bot's own worm
+//   worms                         other living worms with their heads within BOT_VIEW_RADIUS, closest first:
+//                                 { id, name, isBot, x, y, angle, length, radius, distance }
+//   food                          food within BOT_VIEW_RADIUS, closest first: { id, x, y, radius, type, value, distance }
+//   deathSites                    recent deaths within BOT_VIEW_RADIUS: { x, y, length, age (ticks), distance }
+//   walls                         { width, height } - the world is the rectangle from (0, 0) to (width, height)
+//   wallNear(x, y, radius)        the closest point of a map wall within radius of a point (see worldMap.js):
+//                                 { x, y, distance } (distance 0 inside a wall), or null. Always null without a map
+//   hazardNear(x, y, radius)      the closest blade or hazard within radius of a point (see mapEntities.js): { x, y,
+//                                 distance, effect } - its middle closest to the point, the distance to its edge
+//                                 (0 inside it) and "kill" or "shrink", or null
+//   safeZone                      { x, y, radius } - the battle royale zone's circle this tick (heads outside it are
+//                                 worn down, see battleRoyale.js), or null while there's no zone
+//   bodiesNear(x, y, radius)      other worms' segments within radius of a point: [{ id, x, y, index, radius }]
+//   ownBodyNear(x, y, radius)     the bot's own segments within radius of a point that it could run into, same shape:
+//                                 only those further from the head along the body than the point's distance plus
+//                                 radius, so the body trailing straight behind never counts, one curling back does.
+//                                 Kept apart from bodiesNear so brains pick how much to fear their own body
+//   nearestFood()                 the closest food anywhere in the world (same shape as in `food`), or null
+
+const { pickFromMix, parseMix } = require("./weightedMix");
+const { STANDARD_BOT_BRAIN, standardBrain } = require("./botAI");
+const { closestWallPoint } = require("./worldMap");
+
+const BOT_VIEW_RADIUS = 600; // How far brains see other worms, food and death sites
+const DEFAULT_BRAIN_MIX = { [STANDARD_BOT_BRAIN]: 1 };
+
+// name -> Brain, shared by all simulations in the process
+const brains = new Map();
+
+/**
+ * Registers a brain, replacing any brain with the same name.
+ * @param {object} brain - See Brain above.
+ * @returns {object} The brain.
+ * @throws {Error} If the brain has no name or no think() function.
+ */
+function registerBotBrain(brain) {
+    if (!brain || typeof brain.name !== 'string' || !brain.name) throw new Error('Bot brains need a name.');
+    if (typeof brain.think !== 'function') throw new Error(`Bot brain "${brain.name}" has no think() function.`);
+    if (brain.createMemory !== undefined && typeof brain.createMemory !== 'function') {
+        throw new Error(`Bot brain "${brain.name}": createMemory must be a function.`);
+    }
+    brains.set(brain.name, brain);
+    return brain;
+}
+
+/**
+ * @param {string} name - Brain name.
+ * @returns {object|null} The registered brain, or null.
+ */
+function getBotBrain(name) {
+    return brains.get(name) || null;
+}
+
+/**
+ * @returns {Array<string>} Names of all registered brains.
+ */
+function listBotBrains() {
+    return [...brains.keys()];
+}
+
+registerBotBrain(standardBrain);
+
+/**
+ * Picks the brain for a new bot, keeping the bots as close to the mix as possible. Brains that aren't
+ * registered are left out.
+ * @param {object} mix - { brainName: weight }.
+ * @param {object} counts - { brainName: bots that already use it }.
+ * @returns {string} Brain name.
+ */
+function pickBotBrain(mix, counts) {
+    const registeredMix = {};
+    Object.keys(mix).forEach(name => { if (brains.has(name)) registeredMix[name] = mix[name]; });
+    return pickFromMix(registeredMix, counts, STANDARD_BOT_BRAIN);
+}
+
+/**
+ * Parses a brain mix like "standard:3,greedy:1" (e.g. from the BOT_BRAINS environment variable).
+ * Only registered brains are accepted, so load brain modules first.
+ * @param {string} text - Comma-separated name:weight pairs.
+ * @returns {object} The mix.
+ * @throws {Error} On unknown brains, bad weights or an all-zero mix.
+ */
+function parseBrainMix(text) {
+    return parseMix(text, listBotBrains(), 'bot brain');
+}
+
+/**
+ * Fresh memory for a new life of a bot.
+ * @param {string} brainName - The bot's brain.
+ * @returns {object} The memory.
+ */
+function createBrainMemory(brainName) {
+    const brain = brains.get(brainName) || standardBrain;
+    return brain.createMemory ? brain.createMemory() : {};
+}
+
+/**
+ * Creates the brain runner for one simulation.
+ * @param {object} world - Read access to the simulation: { rng, tick, settings, players, foodGrid, segmentGrid,
+ *                         deathSites, map (worldMap.js, or null), mapEntities (mapEntities.js), zoneCircle() - the
+ *                         battle royale zone this tick or null (battleRoyale.js) }. tick and the grids are read on
+ *                         every call, so getters work.
+ * @param {object} logger - Receives warn() when a brain throws.
+ * @returns {object} { update(botPlayer), createView(botPlayer) }
+ */
+function createBotBrainRunner(world, logger) {
+    const failedBrains = new Set(); // Brains that threw, so each one is only reported once
+
+    function describeFood(f, head) {
+        return { id: f.id, x: f.x, y: f.y, radius: f.radius, type: f.type, value: f.value, distance: Math.hypot(f.x - head.x, f.y - head.y) };
+    }
+
+    /**
+     * Builds the view a bot's brain gets. The lists are only collected when a brain reads them.
+     * @param {object} bot - A living bot player.
+     * @returns {object} BotView.
+     */
+    function createView(bot) {
+        const worm = bot.worm;
+        const head = worm.segments[0];
+        const { segmentGrid, foodGrid, settings } = world;
+        let worms = null;
+        let food = null;
+        let deathSites = null;
+        let pathLengths = null; // Distance from the head along the body to each segment, measured on first use
+
+        return Object.freeze({
+            tick: world.tick,
+            rng: world.rng,
+            self: Object.freeze({
+                id: bot.id, x: head.x, y: head.y, angle: worm.angle, length: worm.segments.length,
+                radius: worm.radius, isSprinting: worm.isSprinting, difficulty: bot.botDifficulty,
+            }),
+            walls: Object.freeze({ width: settings.worldWidth, height: settings.worldHeight }),
+            get worms() {
+                if (!worms) {
+                    worms = [];
+                    segmentGrid.query(head.x, head.y, BOT_VIEW_RADIUS, (entry, distSq) => {
+                        if (entry.index !== 0 || entry.item === bot || !entry.item.worm?.isAlive) return false;
+                        const other = entry.item;
+                        worms.push(Object.freeze({
+                            id: other.id, name: other.name, isBot: other.isBot, x: entry.x, y: entry.y,
+                            angle: other.worm.angle, length: other.worm.segments.length, radius: other.worm.radius,
+                            distance: Math.sqrt(distSq),
+                        }));
+                        return false;
+                    });
+                    Object.freeze(worms.sort((a, b) => a.distance - b.distance));
+                }
+                return worms;
+            },
+            get food() {
+                if (!food) {
+                    food = [];
+                    foodGrid.query(head.x, head.y, BOT_VIEW_RADIUS, entry => {
+                        food.push(Object.freeze(describeFood(entry.item, head)));
+                        return false;
+                    });
+                    Object.freeze(food.sort((a, b) => a.distance - b.distance));
+                }
+                return food;
+            },
+            get deathSites() {
+                if (!deathSites) {
+                    deathSites = world.deathSites
+                        .map(site => Object.freeze({
+                            x: site.x, y: site.y, length: site.length, age: world.tick - site.tick,
+                            distance: Math.hypot(site.x - head.x, site.y - head.y),
+                        }))
+                        .filter(site => site.distance <= BOT_VIEW_RADIUS)
+                        .sort((a, b) => a.distance - b.distance);
+                    Object.freeze(deathSites);
+                }
+                return deathSites;
+            },
+            bodiesNear(x, y, radius) {
+                const bodies = [];
+                segmentGrid.query(x, y, radius, entry => {
+                    if (entry.item === bot || !entry.item.worm?.isAlive) return false;
+                    bodies.push({ id: entry.item.id, x: entry.x, y: entry.y, index: entry.index, radius: entry.item.worm.radius });
+                    return false;
+                });
+                return bodies;
+            },
+            ownBodyNear(x, y, radius) {
+                if (!pathLengths) {
+                    pathLengths = [0];
+                    for (let i = 1; i < worm.segments.length; i++) {
+                        const a = worm.segments[i - 1];
+                        const b = worm.segments[i];
+                        pathLengths.push(pathLengths[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+                    }
+                }
+                const reach = Math.hypot(x - head.x, y - head.y) + radius;
+                const bodies = [];
+                segmentGrid.query(x, y, radius, entry => {
+                    if (entry.item !== bot || !(pathLengths[entry.index] > reach)) return false;
+                    bodies.push({ id: bot.id, x: entry.x, y: entry.y, index: entry.index, radius: worm.radius });
+                    return false;
+                });
+                return bodies;
+            },
+            wallNear(x, y, radius) {
+                const point = closestWallPoint(world.map, x, y, radius);
+                return point ? Object.freeze({ x: point.x, y: point.y, distance: point.distance }) : null;
+            },
+            get safeZone() {
+                const circle = world.zoneCircle?.();
+                return circle ? Object.freeze({ x: circle.x, y: circle.y, radius: circle.radius }) : null;
+            },
+            hazardNear(x, y, radius) {
+                const hazard = world.mapEntities?.hazardAt(x, y, radius);
+                return hazard
+                    ? Object.freeze({ x: hazard.x, y: hazard.y, distance: Math.max(0, hazard.distance), effect: hazard.entity.effect })
+                    : null;
+            },
+            nearestFood() {
+                const nearest = foodGrid.findNearest(head.x, head.y)?.item;
+                return nearest ? Object.freeze(describeFood(nearest, head)) : null;
+            },
+        });
+    }
+
+    /**
+     * Runs one tick of a bot's brain and applies its decision to the worm.
+     * @param {object} botPlayer - A living bot (player object with botBrain and botDifficulty).
+     */
+    function update(botPlayer) {
+        const worm = botPlayer.worm;
+        if (!worm?.isAlive || !worm.segments[0]) return;
+        const brain = brains.get(botPlayer.botBrain) || standardBrain;
+
+        let decision = null;
+        try {
+            decision = brain.think(createView(botPlayer), worm.botState);
+        } catch (err) {
+            if (!failedBrains.has(brain.name)) {
+                failedBrains.add(brain.name);
+                logger.warn(`Bot brain "${brain.name}" failed (${botPlayer.name}): ${err.message}`);
+            }
+        }
+
+        const angle = decision && typeof decision.angle === 'number' && isFinite(decision.angle) ? decision.angle : worm.angle;
+        worm.targetAngle = ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        worm.wantsToSprint = Boolean(decision?.boost);
+    }
+
+    return { update, createView };
+}
+
+module.exports = {
+    BOT_VIEW_RADIUS,
+    DEFAULT_BRAIN_MIX,
+    registerBotBrain,
+    getBotBrain,
+    listBotBrains,
+    pickBotBrain,
+    parseBrainMix,
+    createBrainMemory,
+    createBotBrainRunner,
+};
@@ -0,0 +1,70 @@
+import { registerBotBrain, getBotBrain, listBotBrains, pickBotBrain, parseBrainMix } from './botBrain';
+import { STANDARD_BOT_BRAIN } from './botAI';
+import { makeSim, placeWorm } from './testWorld';
+
+test('brains are registered by name and validated', () => {
+    expect(listBotBrains()).toContain(STANDARD_BOT_BRAIN);
+    const brain = registerBotBrain({ name: 'test-still', think: () => null });
+    expect(getBotBrain('test-still')).toBe(brain);
+    expect(() => registerBotBrain({ name: 'no-think' })).toThrow(/think/);
+    expect(() => registerBotBrain({ think() {} })).toThrow(/name/);
+
+    expect(parseBrainMix('standard:2, test-still:1')).toMatchObject({ standard: 2, 'test-still': 1 });
+    expect(() => parseBrainMix('nobody:1')).toThrow(/nobody/);
+    // Unregistered brains in a mix are skipped
+    expect(pickBotBrain({ nobody: 5, standard: 1 }, {})).toBe(STANDARD_BOT_BRAIN);
+});
+
+test('bots get brains from the mix and steer by what they return', () => {
+    const seenViews = {};
+    registerBotBrain({
+        name: 'test-north',
+        namePrefix: 'North',
+        createMemory: () => ({ calls: 0 }),
+        think(view, memory) {
+            seenViews[view.self.id] = view;
+            memory.calls++;
+            return { angle: -Math.PI / 2, boost: true };
+        },
+    });
+    const sim = makeSim({ seed: 7, settings: { botCount: 4 }, brainMix: { standard: 1, 'test-north': 1 } });
+    const bots = Object.values(sim.players).filter(p => p.isBot);
+    const northBots = bots.filter(p => p.botBrain === 'test-north');
+    expect(northBots).toHaveLength(2);
+    expect(northBots.every(p => p.name.startsWith('North '))).toBe(true);
+
+    const bot = northBots[0];
+    const other = sim.addHuman('h', 'Human');
+    placeWorm(bot, 1500, 1500, 0, 20);
+    placeWorm(other, 1700, 1500, Math.PI, 10);
+    sim.step();
+    sim.step(); // The segment grid from the first step now has the placed worms
+
+    expect(bot.worm.botState.calls).toBe(2);
+    expect(bot.worm.targetAngle).toBeCloseTo(Math.PI * 1.5);
+    expect(bot.worm.wantsToSprint).toBe(true);
+    const seenView = seenViews[bot.id];
+    expect(seenView.self).toMatchObject({ id: bot.id, difficulty: bot.botDifficulty });
+    const seenOther = seenView.worms.find(w => w.id === 'h');
+    expect(seenOther).toMatchObject({ name: 'Human', isBot: false, length: other.worm.segments.length });
+    expect(seenOther.distance).toBeGreaterThan(0);
+    expect(seenView.walls).toEqual({ width: sim.settings.worldWidth, height: sim.settings.worldHeight });
+    expect(() => { seenView.self.x = 0; }).toThrow(); // Read-only
+    expect(seenView.bodiesNear(1700, 1500, 5).every(b => b.id === 'h')).toBe(true);
+    expect(seenView.bodiesNear(1500, 1500, 200).some(b => b.id === bot.id)).toBe(false);
+    expect(seenView.ownBodyNear(1500, 1500, 200)).toEqual([]); // A body trailing straight behind never counts
+});
+
+test('a failing brain only stops its own bot', () => {
+    const warn = jest.fn();
+    registerBotBrain({ name: 'test-broken', think() { throw new Error('oops'); } });
+    const sim = makeSim({ seed: 3, logger: { log() {}, warn }, settings: { botCount: 2 }, brainMix: { standard: 1, 'test-broken': 1 } });
+    const broken = Object.values(sim.players).find(p => p.botBrain === 'test-broken');
+    broken.worm.wantsToSprint = true;
+    sim.step();
+    sim.step();
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/test-broken.*oops/);
+    expect(broken.worm.wantsToSprint).toBe(false);
+    expect(broken.worm.targetAngle).toBeCloseTo(broken.worm.angle);
+});
@@ -0,0 +1,90 @@
+// --- Collision Rules ---
+// What happens when worms touch. The simulation finds the contacts (spatial grid queries) and these pure
+// functions decide the outcome, so the rules can be configured per world and tested on their own.
+//
+// Rules object: { headOn, passUnderRatio }
+//   headOn:         HEAD_ON_BOTH_DIE | HEAD_ON_LARGER_WINS | HEAD_ON_BOUNCE - when a head touches another worm's head
+//   passUnderRatio: a worm at most this fraction of another worm's length slips under that worm's body instead of
+//                   dying on it (0 turns the rule off). Only bodies, never heads.
+
+const HEAD_ON_BOTH_DIE = 'bothDie';
+const HEAD_ON_LARGER_WINS = 'largerWins'; // Equal lengths: both die
+const HEAD_ON_BOUNCE = 'bounce'; // Nobody dies, both heads swerve away (and can't hurt each other for a moment)
+const HEAD_ON_RULES = [HEAD_ON_BOTH_DIE, HEAD_ON_LARGER_WINS, HEAD_ON_BOUNCE];
+
+const DEFAULT_COLLISION_RULES = {
+    headOn: HEAD_ON_LARGER_WINS,
+    passUnderRatio: 0,
+};
+const MAX_PASS_UNDER_RATIO = 0.5; // Anything larger would let similar-sized worms pass through each other
+const BOUNCE_MAX_TURN = Math.PI / 4; // Sharpest instant turn a bounce makes
+
+/**
+ * Fills in defaults and drops invalid values.
+ * @param {object} [rules] - Partial rules.
+ * @returns {object} Complete rules.
+ */
+function normalizeCollisionRules(rules = {}) {
+    const normalized = { ...DEFAULT_COLLISION_RULES };
+    if (HEAD_ON_RULES.includes(rules.headOn)) normalized.headOn = rules.headOn;
+    if (typeof rules.passUnderRatio === 'number' && isFinite(rules.passUnderRatio)) {
+        normalized.passUnderRatio = Math.min(MAX_PASS_UNDER_RATIO, Math.max(0, rules.passUnderRatio));
+    }
+    return normalized;
+}
+
+/**
+ * Decides a head-on collision between worms a and b.
+ * @param {number} aLength - Length (segments) of worm a.
+ * @param {number} bLength - Length (segments) of worm b.
+ * @param {object} rules - Collision rules.
+ * @returns {{aDies: boolean, bDies: boolean, bounce: boolean}}
+ */
+function resolveHeadOn(aLength, bLength, rules) {
+    switch (rules.headOn) {
+        case HEAD_ON_BOUNCE:
+            return { aDies: false, bDies: false, bounce: true };
+        case HEAD_ON_LARGER_WINS:
+            return { aDies: aLength <= bLength, bDies: bLength <= aLength, bounce: false };
+        case HEAD_ON_BOTH_DIE:
+        default:
+            return { aDies: true, bDies: true, bounce: false };
+    }
+}
+
+/**
+ * @param {number} moverLength - Length of the worm whose head touched the other's body.
+ * @param {number} otherLength - Length of the worm whose body was touched.
+ * @param {object} rules - Collision rules.
+ * @returns {boolean} True if the mover slips under the other worm's body and survives.
+ */
+function passesUnder(moverLength, otherLength, rules) {
+    return rules.passUnderRatio > 0 && moverLength <= otherLength * rules.passUnderRatio;
+}
+
+/**
+ * Heading after a bounce: towards the direction away from the other head, turning at most BOUNCE_MAX_TURN. Worm
+ * segments are only a speed apart, so anything sharper would run the head into its own body.
+ * @param {number} heading - Current heading (radians).
+ * @param {number} awayAngle - Direction from the other head to this one (radians).
+ * @returns {number} New heading in [0, 2PI).
+ */
+function bounceHeading(heading, awayAngle) {
+    const sin = Math.sin(awayAngle - heading);
+    const diff = Math.atan2(sin, Math.cos(awayAngle - heading));
+    // Dead-on collisions (sin ~ 0) turn left relative to each worm's own heading, so the two part
+    const side = Math.abs(sin) < 1e-9 ? 1 : Math.sign(diff);
+    const turn = side * Math.min(Math.abs(diff), BOUNCE_MAX_TURN);
+    return (heading + turn + Math.PI * 4) % (Math.PI * 2);
+}
+
+module.exports = {
+    HEAD_ON_BOTH_DIE,
+    HEAD_ON_LARGER_WINS,
+    HEAD_ON_BOUNCE,
+    DEFAULT_COLLISION_RULES,
+    normalizeCollisionRules,
+    resolveHeadOn,
+    passesUnder,
+    bounceHeading,
+};
@@ -0,0 +1,34 @@
+import {
+    HEAD_ON_BOTH_DIE, HEAD_ON_LARGER_WINS, HEAD_ON_BOUNCE, DEFAULT_COLLISION_RULES,
+    normalizeCollisionRules, resolveHeadOn, passesUnder, bounceHeading,
+} from './collisionRules';
+
+test('head-on collisions follow the configured rule', () => {
+    expect(resolveHeadOn(100, 200, { headOn: HEAD_ON_BOTH_DIE })).toEqual({ aDies: true, bDies: true, bounce: false });
+    expect(resolveHeadOn(100, 200, { headOn: HEAD_ON_LARGER_WINS })).toEqual({ aDies: true, bDies: false, bounce: false });
+    expect(resolveHeadOn(300, 200, { headOn: HEAD_ON_LARGER_WINS })).toEqual({ aDies: false, bDies: true, bounce: false });
+    expect(resolveHeadOn(200, 200, { headOn: HEAD_ON_LARGER_WINS })).toEqual({ aDies: true, bDies: true, bounce: false });
+    expect(resolveHeadOn(100, 200, { headOn: HEAD_ON_BOUNCE })).toEqual({ aDies: false, bDies: false, bounce: true });
+});
+
+test('only worms small enough pass under another body', () => {
+    const rules = { ...DEFAULT_COLLISION_RULES, passUnderRatio: 0.25 };
+    expect(passesUnder(100, 400, rules)).toBe(true);
+    expect(passesUnder(101, 400, rules)).toBe(false);
+    expect(passesUnder(100, 400, DEFAULT_COLLISION_RULES)).toBe(false); // Off by default
+});
+
+test('bounces swerve away from the other head, at most an eighth of a turn', () => {
+    expect(bounceHeading(0, 0.5)).toBeCloseTo(0.5); // Glancing: straight away
+    expect(bounceHeading(0, Math.PI / 2)).toBeCloseTo(Math.PI / 4); // Other head below: turn up, but not all the way
+    expect(bounceHeading(0, -Math.PI / 2)).toBeCloseTo(2 * Math.PI - Math.PI / 4);
+    // Dead-on: both worms turn the same way relative to their heading, so they end up going opposite ways
+    expect(Math.cos(bounceHeading(0, Math.PI) - bounceHeading(Math.PI, 0))).toBeCloseTo(-1);
+    expect(bounceHeading(0, Math.PI)).toBeCloseTo(Math.PI / 4);
+});
+
+test('rules are completed and clamped', () => {
+    expect(normalizeCollisionRules()).toEqual(DEFAULT_COLLISION_RULES);
+    expect(normalizeCollisionRules({ headOn: 'explode', passUnderRatio: 'lots' })).toEqual(DEFAULT_COLLISION_RULES);
+    expect(normalizeCollisionRules({ headOn: HEAD_ON_BOUNCE, passUnderRatio: 5 })).toEqual({ headOn: HEAD_ON_BOUNCE, passUnderRatio: 0.5 });
+});
@@ -0,0 +1,237 @@
+// --- Food Ecosystem ---
+// Decides how much ambient food a world has and where it appears. The target grows with the world's area and
+// with the number of living worms (settings.maxFood, foodPerWorm and foodDensity), and the ecosystem tops the
+// world up towards it a few pellets at a time instead of replacing each eaten pellet on the spot:
+// - food spawns in clusters of a few pellets, not one by one,
+// - part of the clusters spawn in hotspots: rich areas that slowly drift around the map, so there's
+//   always somewhere worth going and the bots don't all crowd the same few pellets (a map with hotspots of
+//   its own replaces them with those, and they stay put),
+// - pellets nobody eats despawn after a while (with some jitter so a death drop fades away gradually),
+//   which keeps food from piling up where nobody goes.
+// Food left by worms (death drops, sprint shedding) and world events doesn't count towards the target but
+// despawns too.
+// Like the rest of the simulation it only uses the world's seeded rng and counts ticks.
+const { WORLD_WIDTH, WORLD_HEIGHT } = require("./gameRules");
+
+const FOOD_ORIGIN_AMBIENT = "ambient"; // Spawned by the ecosystem
+const FOOD_ORIGIN_DROP = "drop"; // Left by a dead worm
+const FOOD_ORIGIN_SHED = "shed"; // Shed by a sprinting worm
+const FOOD_ORIGIN_EVENT = "event"; // Spawned by a world event (see worldEvents.js)
+
+const FOOD_PER_WORM = 6; // Default for settings.foodPerWorm: extra ambient food per living worm
+const SPAWN_INTERVAL_MS = 100; // One cluster at most this often while the world is below its target
+const CLUSTER_MIN_SIZE = 3;
+const CLUSTER_MAX_SIZE = 6;
+const CLUSTER_RADIUS = 70; // Pellets of a cluster spawn this close to its center
+const CLUSTER_PLACEMENT_ATTEMPTS = 10;
+const HOTSPOT_AREA = WORLD_WIDTH * WORLD_HEIGHT / 3; // One hotspot per this much world area (three in a default world)
+const HOTSPOT_RADIUS = 250;
+const HOTSPOT_SHARE = 0.5; // Share of the clusters that spawn in a hotspot
+const HOTSPOT_SPEED = 15; // World units per second
+const HOTSPOT_WANDER = 0.5; // Radians per second a hotspot's heading can drift
+const AMBIENT_FOOD_LIFETIME_MS = 90000;
+const DROPPED_FOOD_LIFETIME_MS = 45000; // Death drops, shed food and event food
+const LIFETIME_JITTER = 0.25; // Lifetimes vary by up to this share either way
+const DESPAWN_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Creates the food ecosystem for one simulation.
+ * @param {object} world - What the ecosystem needs from the simulation: { rng, tickRateMs, tick, settings, food,
+ *                         map (worldMap.js, or null), livingWormCount(), isClear(x, y) - away from food, worms
+ *                         and walls, isClearOfWorms(x, y) - away from worms and walls, spawnPellet(x, y) - adds
+ *                         one ambient pellet, removeFood(foodItem) }. tick, settings and food are read on every
+ *                         call, so getters work.
+ * @returns {object} { reset, fill, update, foodAdded, targetCount, getStats }
+ */
+function createFoodEcosystem(world) {
+    const { rng } = world;
+    const ticks = (ms) => Math.max(1, Math.round(ms / world.tickRateMs));
+    const spawnIntervalTicks = ticks(SPAWN_INTERVAL_MS);
+    const despawnCheckIntervalTicks = ticks(DESPAWN_CHECK_INTERVAL_MS);
+    const hotspotStep = HOTSPOT_SPEED * world.tickRateMs / 1000; // Per tick
+    const hotspotWander = HOTSPOT_WANDER * world.tickRateMs / 1000;
+
+    // hotspots: Array of { x, y, radius, heading, fixed } - fixed ones come from the map and don't drift
+    let hotspots = [];
+    let spawnedCount = 0;
+    let despawnedCount = 0;
+
+    /**
+     * Places the hotspots for the world's current size and clears the counters. Call when the world is rebuilt.
+     */
+    function reset() {
+        const { worldWidth, worldHeight } = world.settings;
+        spawnedCount = 0;
+        despawnedCount = 0;
+        if (world.map?.hotspots.length > 0) {
+            hotspots = world.map.hotspots.map(({ x, y, radius }) => ({ x, y, radius, heading: 0, fixed: true }));
+            return;
+        }
+        const count = Math.max(1, Math.round(worldWidth * worldHeight / HOTSPOT_AREA));
+        hotspots = [];
+        for (let i = 0; i < count; i++) {
+            hotspots.push({
+                x: HOTSPOT_RADIUS + rng() * (worldWidth - 2 * HOTSPOT_RADIUS),
+                y: HOTSPOT_RADIUS + rng() * (worldHeight - 2 * HOTSPOT_RADIUS),
+                radius: HOTSPOT_RADIUS,
+                heading: rng() * Math.PI * 2,
+                fixed: false,
+            });
+        }
+    }
+
+    /**
+     * Ambient food the world should have right now.
+     * @returns {number} The target pellet count.
+     */
+    function targetCount() {
+        const { maxFood, foodPerWorm, foodDensity, worldWidth, worldHeight } = world.settings;
+        const areaRatio = (worldWidth * worldHeight) / (WORLD_WIDTH * WORLD_HEIGHT);
+        return Math.max(0, Math.round((maxFood * areaRatio + foodPerWorm * world.livingWormCount()) * foodDensity));
+    }
+
+    function ambientCount() {
+        let count = 0;
+        for (const foodItem of world.food) {
+            if (foodItem.origin === FOOD_ORIGIN_AMBIENT) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Sets when a new pellet despawns. The simulation calls it for every food item it adds.
+     * @param {object} foodItem - The new pellet, its origin is one of the FOOD_ORIGIN_* values.
+     */
+    function foodAdded(foodItem) {
+        const lifetimeMs = foodItem.origin === FOOD_ORIGIN_AMBIENT ? AMBIENT_FOOD_LIFETIME_MS : DROPPED_FOOD_LIFETIME_MS;
+        const jitter = 1 + (rng() * 2 - 1) * LIFETIME_JITTER;
+        foodItem.expireTick = world.tick + ticks(lifetimeMs * jitter);
+    }
+
+    // Moves the hotspots a little, wandering and turning back at the world's edges
+    function driftHotspots() {
+        const { worldWidth, worldHeight } = world.settings;
+        hotspots.forEach(hotspot => {
+            if (hotspot.fixed) return;
+            hotspot.heading += (rng() * 2 - 1) * hotspotWander;
+            let x = hotspot.x + Math.cos(hotspot.heading) * hotspotStep;
+            let y = hotspot.y + Math.sin(hotspot.heading) * hotspotStep;
+            if (x < HOTSPOT_RADIUS || x > worldWidth - HOTSPOT_RADIUS) {
+                hotspot.heading = Math.PI - hotspot.heading;
+                x = hotspot.x;
+            }
+            if (y < HOTSPOT_RADIUS || y > worldHeight - HOTSPOT_RADIUS) {
+                hotspot.heading = -hotspot.heading;
+                y = hotspot.y;
+            }
+            hotspot.x = x;
+            hotspot.y = y;
+        });
+    }
+
+    // A clear spot for a cluster's center, in a hotspot or anywhere, or null if none was found this time
+    function findClusterCenter() {
+        const { worldWidth, worldHeight } = world.settings;
+        const hotspot = hotspots.length > 0 && rng() < HOTSPOT_SHARE ? hotspots[Math.floor(rng() * hotspots.length)] : null;
+        for (let attempt = 0; attempt < CLUSTER_PLACEMENT_ATTEMPTS; attempt++) {
+            let x, y;
+            if (hotspot) {
+                const angle = rng() * Math.PI * 2;
+                const distance = Math.sqrt(rng()) * hotspot.radius; // Evenly over the hotspot's area
+                x = hotspot.x + Math.cos(angle) * distance;
+                y = hotspot.y + Math.sin(angle) * distance;
+            } else {
+                x = CLUSTER_RADIUS + rng() * (worldWidth - 2 * CLUSTER_RADIUS);
+                y = CLUSTER_RADIUS + rng() * (worldHeight - 2 * CLUSTER_RADIUS);
+            }
+            if (world.isClear(x, y)) return { x, y };
+        }
+        return null;
+    }
+
+    /**
+     * Spawns one cluster of up to maxCount pellets.
+     * @param {number} maxCount - Pellets still missing.
+     * @returns {number} Pellets spawned (0 if no clear spot was found).
+     */
+    function spawnCluster(maxCount) {
+        const center = findClusterCenter();
+        if (!center) return 0;
+        const { worldWidth, worldHeight } = world.settings;
+        const size = Math.min(maxCount, CLUSTER_MIN_SIZE + Math.floor(rng() * (CLUSTER_MAX_SIZE - CLUSTER_MIN_SIZE + 1)));
+        let spawned = 0;
+        for (let i = 0; i < size; i++) {
+            // The first pellet at the center, the rest spread around it
+            const angle = (i / size) * Math.PI * 2 + rng();
+            const distance = i === 0 ? 0 : CLUSTER_RADIUS * (0.4 + 0.6 * rng());
+            const x = center.x + Math.cos(angle) * distance;
+            const y = center.y + Math.sin(angle) * distance;
+            if (x < 0 || x > worldWidth || y < 0 || y > worldHeight || !world.isClearOfWorms(x, y)) continue;
+            world.spawnPellet(x, y);
+            spawned++;
+        }
+        spawnedCount += spawned;
+        return spawned;
+    }
+
+    /**
+     * Spawns clusters until the world has its target amount of ambient food (for a new world).
+     */
+    function fill() {
+        let missing = targetCount() - ambientCount();
+        const maxAttempts = missing * 2; // Clusters can come up short or find no spot, but don't try forever
+        for (let attempts = 0; missing > 0 && attempts < maxAttempts; attempts++) {
+            missing -= spawnCluster(missing);
+        }
+    }
+
+    // Removes pellets whose time is up
+    function despawnExpired() {
+        const tick = world.tick;
+        world.food.filter(foodItem => foodItem.expireTick <= tick).forEach(foodItem => {
+            world.removeFood(foodItem);
+            despawnedCount++;
+        });
+    }
+
+    /**
+     * Runs one tick: hotspots drift, old food despawns and one cluster spawns if the world is below its target.
+     */
+    function update() {
+        driftHotspots();
+        if (world.tick % despawnCheckIntervalTicks === 0) despawnExpired();
+        if (world.tick % spawnIntervalTicks === 0) {
+            const missing = targetCount() - ambientCount();
+            if (missing > 0) spawnCluster(missing);
+        }
+    }
+
+    /**
+     * @returns {object} { target, ambient, dropped, total, spawned, despawned, hotspots: [{ x, y, radius }] } -
+     *                   current counts, pellets spawned and despawned since the last reset(), and the hotspots.
+     */
+    function getStats() {
+        const ambient = ambientCount();
+        return {
+            target: targetCount(),
+            ambient,
+            dropped: world.food.length - ambient,
+            total: world.food.length,
+            spawned: spawnedCount,
+            despawned: despawnedCount,
+            hotspots: hotspots.map(({ x, y, radius }) => ({ x: Math.round(x), y: Math.round(y), radius })),
+        };
+    }
+
+    return { reset, fill, update, foodAdded, targetCount, getStats };
+}
+
+module.exports = {
+    FOOD_ORIGIN_AMBIENT,
+    FOOD_ORIGIN_DROP,
+    FOOD_ORIGIN_SHED,
+    FOOD_ORIGIN_EVENT,
+    FOOD_PER_WORM,
+    HOTSPOT_RADIUS,
+    createFoodEcosystem,
+};
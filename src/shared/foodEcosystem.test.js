@@ -0,0 +1,57 @@
+import { FOOD_ORIGIN_AMBIENT, FOOD_ORIGIN_DROP } from './foodEcosystem';
+import { WORLD_WIDTH, WORLD_HEIGHT } from './gameRules';
+import { makeSim } from './testWorld';
+
+function makeFoodSim(settings) {
+    return makeSim({ seed: 7, settings: { botCount: 0, ...settings } });
+}
+
+test('the food target scales with world area and living worms', () => {
+    const sim = makeFoodSim({ maxFood: 40, foodPerWorm: 5 });
+    expect(sim.getFoodStats()).toMatchObject({ target: 40, ambient: 40, dropped: 0 });
+
+    sim.addHuman('a', 'Alice');
+    sim.addHuman('b', 'Bob');
+    expect(sim.getFoodStats().target).toBe(50);
+    for (let i = 0; i < 100; i++) sim.step();
+    expect(sim.getFoodStats().ambient).toBe(50);
+
+    sim.reset({ botCount: 0, maxFood: 40, foodPerWorm: 5, worldWidth: WORLD_WIDTH * 2, worldHeight: WORLD_HEIGHT });
+    expect(sim.getFoodStats().target).toBe(80 + 10);
+    expect(sim.getFoodStats().hotspots).toHaveLength(6);
+});
+
+test('food spawns in clusters and hotspots drift', () => {
+    const sim = makeFoodSim({ maxFood: 60 });
+    const closeNeighbours = sim.food.filter(f => sim.food.some(other =>
+        other !== f && Math.hypot(other.x - f.x, other.y - f.y) < 150)).length;
+    expect(closeNeighbours / sim.food.length).toBeGreaterThan(0.8);
+
+    const before = sim.getFoodStats().hotspots;
+    for (let i = 0; i < 200; i++) sim.step();
+    const after = sim.getFoodStats().hotspots;
+    expect(after).not.toEqual(before);
+    after.forEach(h => {
+        expect(h.x).toBeGreaterThanOrEqual(h.radius);
+        expect(h.x).toBeLessThanOrEqual(WORLD_WIDTH - h.radius);
+    });
+});
+
+test('uneaten food despawns and ambient food is replaced', () => {
+    // One tick per second: ambient food lasts 68 to 113 ticks, dropped food 34 to 57
+    const sim = makeSim({ seed: 7, tickRateMs: 1000, settings: { botCount: 0, maxFood: 20 } });
+    const player = sim.addHuman('a', 'Alice');
+    sim.killPlayer('a', 'test');
+    const firstAmbient = sim.food.filter(f => f.origin === FOOD_ORIGIN_AMBIENT);
+    expect(sim.food.some(f => f.origin === FOOD_ORIGIN_DROP)).toBe(true);
+
+    for (let i = 0; i < 60; i++) sim.step();
+    expect(sim.food.some(f => f.origin === FOOD_ORIGIN_DROP)).toBe(false);
+    for (let i = 0; i < 60; i++) sim.step();
+    expect(sim.food.some(f => firstAmbient.includes(f))).toBe(false);
+
+    const stats = sim.getFoodStats();
+    expect(stats.despawned).toBeGreaterThan(firstAmbient.length);
+    expect(stats.ambient).toBe(stats.target);
+    expect(player.worm.isAlive).toBe(false);
+});
@@ -0,0 +1,177 @@
+// --- Game Rules ---
+// The rules the server and the React app share: tick rate, world size, worm and food radii, food types and
+// tiers, power-ups and death causes. The simulation plays by them and App.js draws with them, so there is one copy of each value.
+// Some of them are only defaults: the server's config (and a private match's host) can change the world size,
+// power-up duration, speed boost and magnet reach. The server sends the values it actually runs with in
+// 'welcome' and 'rules' (see clientRules()), and clients use those over the defaults here.
+const { DEFAULT_COLLISION_RULES, normalizeCollisionRules } = require("./collisionRules");
+
+// --- Timing ---
+// Increased tick rate for smoother server-side simulation, adjust if it causes high server CPU
+const TICK_RATE_MS = 1000 / 75; // Target 60 updates per second
+
+// --- World (defaults, the server sends the actual size in 'welcome') ---
+const WORLD_WIDTH = 3000;
+const WORLD_HEIGHT = 3000;
+
+// --- Worms ---
+const WORM_INITIAL_LENGTH = 100; // Starting number of segments
+// Worms get thicker as they grow: radius = base + length * growth, up to the max (see wormRadiusForLength())
+const WORM_BASE_SEGMENT_RADIUS = 5.5;
+const WORM_RADIUS_GROWTH_FACTOR = 0.04;
+const WORM_MAX_SEGMENT_RADIUS = 16;
+
+// --- Food ---
+const FOOD_RADIUS = 12;
+const FOOD_IMAGE_TYPES = 36; // Food images 1.png through 36.png in public/food
+
+// --- Food Tiers ---
+// Every pellet has a value: eating it grows the worm one segment per point and scores FOOD_SCORE (see
+// simulation.js) per point. The tier sets its size and how much it glows. Ambient food spawns in the tiers by
+// spawnWeight, sprinting sheds small pellets, and dead worms drop theirs as large and medium ones.
+const FOOD_TIER_SMALL = "small";
+const FOOD_TIER_MEDIUM = "medium";
+const FOOD_TIER_LARGE = "large";
+const FOOD_TIER_GOLDEN = "golden";
+// Ordered by value
+const FOOD_TIERS = [
+    { name: FOOD_TIER_SMALL, value: 1, radius: 7, spawnWeight: 60, glow: 0.6 },
+    { name: FOOD_TIER_MEDIUM, value: 2, radius: FOOD_RADIUS, spawnWeight: 30, glow: 1 },
+    { name: FOOD_TIER_LARGE, value: 5, radius: 17, spawnWeight: 9, glow: 1.6 },
+    { name: FOOD_TIER_GOLDEN, value: 12, radius: 21, spawnWeight: 1, glow: 2.5, color: "hsl(48, 100%, 55%)" },
+];
+const MAX_FOOD_RADIUS = Math.max(...FOOD_TIERS.map(tier => tier.radius));
+
+// --- Special Food Types (matching the image file names) ---
+const FOOD_TYPE_POWER = 15; // 15.png, speed boost
+const FOOD_TYPE_ZOOM = 12; // 12.png, zoom out (only changes the eater's view)
+const FOOD_TYPE_MAGNET = 7; // 7.png, magnet
+const FOOD_TYPE_SHIELD = 4; // 4.png, shield
+const FOOD_TYPE_GHOST = 21; // 21.png, ghost mode
+const FOOD_TYPE_REVERSE = 27; // 27.png, reverse
+const FOOD_TYPE_FREEZE = 33; // 33.png, freeze pulse
+
+// --- Power-Ups (what each one does is in the registry in powerUps.js) ---
+// Defaults for the world settings of the same name (see DEFAULT_SETTINGS in simulation.js)
+const POWER_UP_DURATION_MS = 10000; // 10 seconds, converted to ticks by the simulation
+const SPEED_BOOST_FACTOR = 1.6; // Speed multiplier while boosted
+const MAGNET_RADIUS_MULTIPLIER = 6; // A magnet reaches food this many food radii from the head's edge
+
+// --- Death Causes (the `cause` of a death event, see describeDeath() in simulation.js) ---
+const DEATH_CAUSE_WALL = "wall"; // Left the world
+const DEATH_CAUSE_OBSTACLE = "obstacle"; // Ran into one of the map's walls (see worldMap.js)
+const DEATH_CAUSE_HAZARD = "hazard"; // Hit by a blade or hazard, or worn down by one (see mapEntities.js)
+const DEATH_CAUSE_ZONE = "zone"; // Worn down outside the battle royale safe zone (see battleRoyale.js)
+const DEATH_CAUSE_SELF = "self"; // Ran into its own body
+const DEATH_CAUSE_PLAYER = "player"; // Ran into another worm, the death's killerId / killerName say whose
+
+/**
+ * Radius of a worm of the given length. Collisions use it and it's sent with every worm, so what App.js
+ * draws is what the server collides with.
+ * @param {number} length - Number of segments.
+ * @returns {number} The radius in world units.
+ */
+function wormRadiusForLength(length) {
+    return Math.min(WORM_BASE_SEGMENT_RADIUS + length * WORM_RADIUS_GROWTH_FACTOR, WORM_MAX_SEGMENT_RADIUS);
+}
+
+/**
+ * @param {string} name - A tier name, e.g. FOOD_TIER_LARGE.
+ * @returns {object|null} The tier from FOOD_TIERS, or null.
+ */
+function getFoodTier(name) {
+    return FOOD_TIERS.find(tier => tier.name === name) || null;
+}
+
+/**
+ * The tier a pellet of the given value belongs to: the most valuable tier it's worth.
+ * @param {number} [value] - The pellet's value (food from older servers has none, it counts as 1).
+ * @returns {object} The tier from FOOD_TIERS.
+ */
+function foodTierForValue(value = 1) {
+    let match = FOOD_TIERS[0];
+    FOOD_TIERS.forEach(tier => { if (value >= tier.value) match = tier; });
+    return match;
+}
+
+/**
+ * How far from a worm's head center it eats food.
+ * @param {number} wormRadius - The worm's radius.
+ * @param {number} [magnetRadiusMultiplier] - The world's magnetRadiusMultiplier while a magnet is active.
+ * @param {number} [foodRadius] - The pellet's radius, bigger pellets are reached sooner.
+ * @returns {number} The reach in world units.
+ */
+function foodReach(wormRadius, magnetRadiusMultiplier = 1, foodRadius = FOOD_RADIUS) {
+    return wormRadius + foodRadius * magnetRadiusMultiplier;
+}
+
+// --- Rules Handshake ---
+// Rules a client needs to match what the server does, with the defaults a client assumes until it hears otherwise
+const DEFAULT_CLIENT_RULES = {
+    tickRateMs: TICK_RATE_MS,
+    powerUpDurationMs: POWER_UP_DURATION_MS,
+    speedBoostFactor: SPEED_BOOST_FACTOR,
+    magnetRadiusMultiplier: MAGNET_RADIUS_MULTIPLIER,
+    collisionRules: DEFAULT_COLLISION_RULES,
+};
+
+/**
+ * The rules a server sends its clients ('welcome' and 'rules').
+ * @param {object} settings - The world's settings (see DEFAULT_SETTINGS in simulation.js).
+ * @param {number} tickRateMs - The server's tick length.
+ * @returns {object} { tickRateMs, powerUpDurationMs, speedBoostFactor, magnetRadiusMultiplier, collisionRules }
+ */
+function clientRules(settings, tickRateMs) {
+    const { powerUpDurationMs, speedBoostFactor, magnetRadiusMultiplier, collisionRules } = settings;
+    return { tickRateMs, powerUpDurationMs, speedBoostFactor, magnetRadiusMultiplier, collisionRules };
+}
+
+/**
+ * Completes rules received from a server with the defaults (older servers send fewer of them, or none).
+ * @param {object} [rules] - As sent by clientRules().
+ * @returns {object} Full rules.
+ */
+function normalizeClientRules(rules = {}) {
+    return { ...DEFAULT_CLIENT_RULES, ...rules, collisionRules: normalizeCollisionRules(rules?.collisionRules) };
+}
+
+module.exports = {
+    TICK_RATE_MS,
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    WORM_INITIAL_LENGTH,
+    WORM_BASE_SEGMENT_RADIUS,
+    WORM_RADIUS_GROWTH_FACTOR,
+    WORM_MAX_SEGMENT_RADIUS,
+    FOOD_RADIUS,
+    FOOD_IMAGE_TYPES,
+    FOOD_TIER_SMALL,
+    FOOD_TIER_MEDIUM,
+    FOOD_TIER_LARGE,
+    FOOD_TIER_GOLDEN,
+    FOOD_TIERS,
+    MAX_FOOD_RADIUS,
+    FOOD_TYPE_POWER,
+    FOOD_TYPE_ZOOM,
+    FOOD_TYPE_MAGNET,
+    FOOD_TYPE_SHIELD,
+    FOOD_TYPE_GHOST,
+    FOOD_TYPE_REVERSE,
+    FOOD_TYPE_FREEZE,
+    POWER_UP_DURATION_MS,
+    SPEED_BOOST_FACTOR,
+    MAGNET_RADIUS_MULTIPLIER,
+    DEATH_CAUSE_WALL,
+    DEATH_CAUSE_OBSTACLE,
+    DEATH_CAUSE_HAZARD,
+    DEATH_CAUSE_ZONE,
+    DEATH_CAUSE_SELF,
+    DEATH_CAUSE_PLAYER,
+    DEFAULT_CLIENT_RULES,
+    wormRadiusForLength,
+    getFoodTier,
+    foodTierForValue,
+    foodReach,
+    clientRules,
+    normalizeClientRules,
+};
@@ -0,0 +1,35 @@
+import {
+    DEFAULT_CLIENT_RULES, FOOD_TIERS, FOOD_TIER_SMALL, FOOD_TIER_LARGE, clientRules, normalizeClientRules, foodReach,
+    foodTierForValue,
+} from './gameRules';
+import { createSimulation } from './simulation';
+
+test('clients get the rules the simulation actually runs with', () => {
+    const sim = createSimulation({ seed: 1, settings: { botCount: 0, powerUpDurationMs: 4000, magnetRadiusMultiplier: 3 } });
+    const rules = clientRules(sim.settings, 20);
+    expect(rules).toEqual({
+        tickRateMs: 20, powerUpDurationMs: 4000, speedBoostFactor: sim.settings.speedBoostFactor,
+        magnetRadiusMultiplier: 3, collisionRules: sim.settings.collisionRules,
+    });
+    expect(normalizeClientRules(rules)).toEqual(rules);
+});
+
+test('missing rules fall back to the defaults', () => {
+    expect(normalizeClientRules()).toEqual(DEFAULT_CLIENT_RULES);
+    expect(normalizeClientRules(null)).toEqual(DEFAULT_CLIENT_RULES);
+    expect(normalizeClientRules({ powerUpDurationMs: 5000 })).toEqual({ ...DEFAULT_CLIENT_RULES, powerUpDurationMs: 5000 });
+});
+
+test('a magnet reaches food further away', () => {
+    expect(foodReach(10, 6)).toBeGreaterThan(foodReach(10));
+});
+
+test('food values map to the tier they are worth', () => {
+    expect(foodTierForValue().name).toBe(FOOD_TIER_SMALL); // Food from older servers
+    expect(foodTierForValue(5).name).toBe(FOOD_TIER_LARGE);
+    expect(foodTierForValue(7).name).toBe(FOOD_TIER_LARGE);
+    FOOD_TIERS.slice(1).forEach((tier, i) => {
+        expect(tier.value).toBeGreaterThan(FOOD_TIERS[i].value);
+        expect(tier.radius).toBeGreaterThan(FOOD_TIERS[i].radius);
+    });
+});
@@ -0,0 +1,316 @@
+// --- Map Entities ---
+// The parts of a map that move or act on worms, next to its walls (see worldMap.js). A map lists them under
+// "entities":
+//
+//   { "type": "portal", "a": [600, 600], "b": [2400, 2400], "radius": 50 }
+//       Paired portals: a head entering one end comes out of the other, heading the same way. Only the head
+//       jumps, the body keeps following the path it took, so it slides into one end and out of the other.
+//   { "type": "blade", "x": 1500, "y": 1500, "length": 400, "width": 16, "speed": 0.8, "angle": 0, "effect": "kill" }
+//       A bar of `length` spinning around its middle at `speed` radians per second (negative turns the other
+//       way), starting at `angle` (optional, default 0).
+//   { "type": "hazard", "path": [[500, 500], [2500, 500]], "radius": 120, "speed": 60, "effect": "shrink" }
+//       A zone drifting along `path` at `speed` world units per second, back to the first point after the last
+//       (a path of one point stays put).
+//   { "type": "slowZone", "x": 1500, "y": 800, "radius": 200, "factor": 0.5 }
+//       Worms whose head is inside move at `factor` times their speed.
+//
+// Blades and hazards have an effect (default "kill"): "kill" kills a worm whose head touches them, "shrink"
+// wears it down by a few segments every tick it stays (the simulation kills it once it's too short).
+// Where a blade or hazard is only depends on the tick (positionAt()), so there's no state to keep: the
+// simulation moves them with update() every tick and the server sends the moving entities' positions in every
+// snapshot (getMovingStates()). Entities are numbered in map order, those numbers are their ids.
+
+const MAP_ENTITY_PORTAL = "portal";
+const MAP_ENTITY_BLADE = "blade";
+const MAP_ENTITY_HAZARD = "hazard";
+const MAP_ENTITY_SLOW_ZONE = "slowZone";
+
+const ENTITY_EFFECT_KILL = "kill";
+const ENTITY_EFFECT_SHRINK = "shrink";
+
+const MAX_MAP_ENTITIES = 50;
+const MAX_PATH_POINTS = 32;
+const TWO_PI = Math.PI * 2;
+const PORTAL_EXIT_GAP = 2; // A head comes out this far beyond the exit's edge, so it doesn't fall straight back in
+
+// --- Parsing ---
+
+/**
+ * Checks a map's entities and turns them into the shape the simulation uses. Called by parseMap().
+ * @param {Array<object>|undefined} list - The map's "entities", as read from JSON.
+ * @param {number} width - The map's width, entities must be inside it.
+ * @param {number} height - The map's height.
+ * @param {Array<string>} errors - Problems found are added here.
+ * @returns {Array<object>} Entities with an `id` (their index), the portal ends as { x, y } and hazard paths with
+ *          their leg lengths. Empty if there are problems.
+ */
+function parseMapEntities(list, width, height, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+        errors.push('entities must be a list');
+        return [];
+    }
+    if (list.length > MAX_MAP_ENTITIES) {
+        errors.push(`at most ${MAX_MAP_ENTITIES} entities`);
+        return [];
+    }
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    const isPositive = value => isNumber(value) && value > 0;
+    const isPoint = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+    const inside = ([x, y]) => x >= 0 && x <= width && y >= 0 && y <= height;
+    const errorCount = errors.length;
+
+    const entities = list.map((data, id) => {
+        const problem = (message) => {
+            errors.push(`entities[${id}]: ${message}`);
+            return null;
+        };
+        const effect = data?.effect ?? ENTITY_EFFECT_KILL;
+        if ((data?.type === MAP_ENTITY_BLADE || data?.type === MAP_ENTITY_HAZARD) && effect !== ENTITY_EFFECT_KILL && effect !== ENTITY_EFFECT_SHRINK) {
+            return problem(`effect must be "${ENTITY_EFFECT_KILL}" or "${ENTITY_EFFECT_SHRINK}"`);
+        }
+        switch (data?.type) {
+            case MAP_ENTITY_PORTAL: {
+                if (!isPoint(data.a) || !isPoint(data.b) || !isPositive(data.radius)) return problem('a portal needs a, b ([x, y]) and a positive radius');
+                if (!inside(data.a) || !inside(data.b)) return problem('a portal end is outside the map');
+                if (Math.hypot(data.a[0] - data.b[0], data.a[1] - data.b[1]) < data.radius * 4) return problem('the portal ends are too close together');
+                return { id, type: MAP_ENTITY_PORTAL, a: { x: data.a[0], y: data.a[1] }, b: { x: data.b[0], y: data.b[1] }, radius: data.radius };
+            }
+            case MAP_ENTITY_BLADE: {
+                const { x, y, length, width: bladeWidth, speed, angle = 0 } = data;
+                if (!isNumber(x) || !isNumber(y) || !isPositive(length) || !isPositive(bladeWidth) || !isNumber(speed) || !isNumber(angle)) {
+                    return problem('a blade needs x, y, a positive length and width, speed and (optionally) angle');
+                }
+                if (!inside([x, y])) return problem('the blade is outside the map');
+                return { id, type: MAP_ENTITY_BLADE, x, y, length, width: bladeWidth, speed, angle, effect };
+            }
+            case MAP_ENTITY_HAZARD: {
+                const { path, radius, speed } = data;
+                if (!Array.isArray(path) || path.length < 1 || path.length > MAX_PATH_POINTS || !path.every(isPoint) ||
+                    !isPositive(radius) || !isNumber(speed) || speed < 0) {
+                    return problem(`a hazard needs a path of 1 to ${MAX_PATH_POINTS} [x, y] points, a positive radius and a speed of 0 or more`);
+                }
+                if (!path.every(inside)) return problem('the hazard\'s path leaves the map');
+                const points = path.map(([px, py]) => ({ x: px, y: py }));
+                const legs = points.map((point, i) => {
+                    const next = points[(i + 1) % points.length];
+                    return Math.hypot(next.x - point.x, next.y - point.y);
+                });
+                return { id, type: MAP_ENTITY_HAZARD, path: points, legs, pathLength: legs.reduce((sum, leg) => sum + leg, 0), radius, speed, effect };
+            }
+            case MAP_ENTITY_SLOW_ZONE: {
+                const { x, y, radius, factor } = data;
+                if (!isNumber(x) || !isNumber(y) || !isPositive(radius) || !isPositive(factor) || factor >= 1) {
+                    return problem('a slow zone needs x, y, a positive radius and a factor between 0 and 1');
+                }
+                if (!inside([x, y])) return problem('the slow zone is outside the map');
+                return { id, type: MAP_ENTITY_SLOW_ZONE, x, y, radius, factor };
+            }
+            default:
+                return problem(`type must be one of ${[MAP_ENTITY_PORTAL, MAP_ENTITY_BLADE, MAP_ENTITY_HAZARD, MAP_ENTITY_SLOW_ZONE].join(', ')}`);
+        }
+    });
+    return errors.length > errorCount ? [] : entities;
+}
+
+/**
+ * The entities as clients get them (in clientMap()): what they need to draw them and animate the moving ones
+ * between snapshots. Portal ends and hazard paths go back to [x, y] pairs, the derived fields are left out.
+ * @param {Array<object>} entities - Parsed entities.
+ * @returns {Array<object>} Client entities.
+ */
+function clientMapEntities(entities) {
+    return entities.map(entity => {
+        switch (entity.type) {
+            case MAP_ENTITY_PORTAL:
+                return { id: entity.id, type: entity.type, a: [entity.a.x, entity.a.y], b: [entity.b.x, entity.b.y], radius: entity.radius };
+            case MAP_ENTITY_HAZARD: {
+                const { id, type, path, radius, speed, effect } = entity;
+                return { id, type, path: path.map(p => [p.x, p.y]), radius, speed, effect };
+            }
+            default:
+                return { ...entity };
+        }
+    });
+}
+
+// --- Movement ---
+
+const isMoving = entity => (entity.type === MAP_ENTITY_BLADE && entity.speed !== 0) ||
+    (entity.type === MAP_ENTITY_HAZARD && entity.speed > 0 && entity.pathLength > 0);
+
+/**
+ * Where an entity is at a point in time.
+ * @param {object} entity - A parsed entity.
+ * @param {number} seconds - Time since the world's first tick.
+ * @returns {object} { x, y, angle } - a blade's middle and the angle it points at, a hazard's center (angle 0),
+ *          the first end of a portal and a slow zone's center.
+ */
+function positionAt(entity, seconds) {
+    switch (entity.type) {
+        case MAP_ENTITY_BLADE:
+            return { x: entity.x, y: entity.y, angle: ((entity.angle + entity.speed * seconds) % TWO_PI + TWO_PI) % TWO_PI };
+        case MAP_ENTITY_HAZARD: {
+            if (!isMoving(entity)) return { x: entity.path[0].x, y: entity.path[0].y, angle: 0 };
+            let distance = (entity.speed * seconds) % entity.pathLength;
+            for (let i = 0; i < entity.path.length; i++) {
+                const leg = entity.legs[i];
+                if (distance <= leg && leg > 0) {
+                    const from = entity.path[i];
+                    const to = entity.path[(i + 1) % entity.path.length];
+                    return { x: from.x + (to.x - from.x) * distance / leg, y: from.y + (to.y - from.y) * distance / leg, angle: 0 };
+                }
+                distance -= leg;
+            }
+            return { x: entity.path[0].x, y: entity.path[0].y, angle: 0 };
+        }
+        case MAP_ENTITY_PORTAL:
+            return { x: entity.a.x, y: entity.a.y, angle: 0 };
+        default:
+            return { x: entity.x, y: entity.y, angle: 0 };
+    }
+}
+
+// Closest point to (x, y) on the segment from a to b, and its distance
+function closestOnSegment(ax, ay, bx, by, x, y) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+    const closestX = ax + dx * t;
+    const closestY = ay + dy * t;
+    return { x: closestX, y: closestY, distance: Math.hypot(closestX - x, closestY - y) };
+}
+
+/**
+ * Creates the map entities of one simulation.
+ * @param {object} world - What the entities need from the simulation: { map (worldMap.js, or null), tickRateMs,
+ *                         tick }. tick is read on every call, so a getter works.
+ * @returns {object} { update, speedFactor, portalExit, hazardAt, blocksSpawn, getMovingStates }
+ */
+function createMapEntities(world) {
+    const entities = world.map?.entities || [];
+    const portals = entities.filter(entity => entity.type === MAP_ENTITY_PORTAL);
+    const slowZones = entities.filter(entity => entity.type === MAP_ENTITY_SLOW_ZONE);
+    const hazards = entities.filter(entity => entity.type === MAP_ENTITY_BLADE || entity.type === MAP_ENTITY_HAZARD);
+    const moving = entities.filter(isMoving);
+
+    // Blade and hazard positions for the current tick, see update()
+    let positions = new Map();
+
+    /**
+     * Moves the blades and hazards to where they are this tick. Call at the start of every tick.
+     */
+    function update() {
+        const seconds = world.tick * world.tickRateMs / 1000;
+        positions = new Map(hazards.map(entity => [entity, positionAt(entity, seconds)]));
+    }
+
+    /**
+     * @param {number} x - A worm's head X.
+     * @param {number} y - A worm's head Y.
+     * @returns {number} What the worm's speed is multiplied by: the slow zones it's in (1 outside them).
+     */
+    function speedFactor(x, y) {
+        return slowZones.reduce((factor, zone) => ((x - zone.x) ** 2 + (y - zone.y) ** 2 < zone.radius ** 2 ? factor * zone.factor : factor), 1);
+    }
+
+    /**
+     * Where a head that just moved to (x, y) comes out if it entered a portal.
+     * @param {number} x - The head's X.
+     * @param {number} y - The head's Y.
+     * @param {number} angle - The worm's heading, kept through the portal.
+     * @returns {object|null} { x, y } just beyond the other end, or null if the head isn't in a portal.
+     */
+    function portalExit(x, y, angle) {
+        for (const portal of portals) {
+            const [entry, exit] = (x - portal.a.x) ** 2 + (y - portal.a.y) ** 2 < portal.radius ** 2 ? [portal.a, portal.b]
+                : (x - portal.b.x) ** 2 + (y - portal.b.y) ** 2 < portal.radius ** 2 ? [portal.b, portal.a] : [null, null];
+            if (!entry) continue;
+            const distance = portal.radius + PORTAL_EXIT_GAP;
+            return { x: exit.x + Math.cos(angle) * distance, y: exit.y + Math.sin(angle) * distance };
+        }
+        return null;
+    }
+
+    // The middle of a blade or hazard closest to (x, y) where it is this tick (a hazard's center, the closest
+    // point on a blade's bar), and the distance from (x, y) to its edge (0 or less inside it)
+    function hazardContact(entity, x, y) {
+        const position = positions.get(entity) || positionAt(entity, world.tick * world.tickRateMs / 1000);
+        if (entity.type === MAP_ENTITY_HAZARD) {
+            return { x: position.x, y: position.y, distance: Math.hypot(x - position.x, y - position.y) - entity.radius };
+        }
+        const halfX = Math.cos(position.angle) * entity.length / 2;
+        const halfY = Math.sin(position.angle) * entity.length / 2;
+        const closest = closestOnSegment(position.x - halfX, position.y - halfY, position.x + halfX, position.y + halfY, x, y);
+        return { x: closest.x, y: closest.y, distance: closest.distance - entity.width / 2 };
+    }
+
+    /**
+     * The blade or hazard within range of a point this tick, the one it's deepest into (or closest to) if several.
+     * @param {number} x - Center X.
+     * @param {number} y - Center Y.
+     * @param {number} radius - How far to look: a worm's radius for contact, more to see it coming.
+     * @returns {object|null} { entity, x, y, distance } - the entity, its middle closest to the point (see
+     *          hazardContact()) and the distance to its edge (negative inside it), or null.
+     */
+    function hazardAt(x, y, radius) {
+        let closest = null;
+        hazards.forEach(entity => {
+            const contact = hazardContact(entity, x, y);
+            if (contact.distance < radius && (!closest || contact.distance < closest.distance)) closest = { entity, ...contact };
+        });
+        return closest;
+    }
+
+    /**
+     * Whether a new worm shouldn't spawn at a point: anywhere a blade sweeps or a hazard drifts, and in portals.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @param {number} clearance - Extra room to keep.
+     * @returns {boolean} True if the spot isn't safe.
+     */
+    function blocksSpawn(x, y, clearance) {
+        return entities.some(entity => {
+            switch (entity.type) {
+                case MAP_ENTITY_PORTAL:
+                    return [entity.a, entity.b].some(end => Math.hypot(x - end.x, y - end.y) < entity.radius + clearance);
+                case MAP_ENTITY_BLADE:
+                    return Math.hypot(x - entity.x, y - entity.y) < entity.length / 2 + entity.width / 2 + clearance;
+                case MAP_ENTITY_HAZARD:
+                    return entity.path.some((point, i) => {
+                        const next = entity.path[(i + 1) % entity.path.length];
+                        return closestOnSegment(point.x, point.y, next.x, next.y, x, y).distance < entity.radius + clearance;
+                    });
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * @returns {Array<object>} [{ id, x, y, angle }] - where the moving entities are this tick, for snapshots
+     *                          (rounded, the angle to 1/1000 rad). Empty without any.
+     */
+    function getMovingStates() {
+        return moving.map(entity => {
+            const { x, y, angle } = positions.get(entity) || positionAt(entity, world.tick * world.tickRateMs / 1000);
+            return { id: entity.id, x: Math.round(x), y: Math.round(y), angle: Math.round(angle * 1000) / 1000 };
+        });
+    }
+
+    return { update, speedFactor, portalExit, hazardAt, blocksSpawn, getMovingStates };
+}
+
+module.exports = {
+    MAP_ENTITY_PORTAL,
+    MAP_ENTITY_BLADE,
+    MAP_ENTITY_HAZARD,
+    MAP_ENTITY_SLOW_ZONE,
+    ENTITY_EFFECT_KILL,
+    ENTITY_EFFECT_SHRINK,
+    parseMapEntities,
+    clientMapEntities,
+    positionAt,
+    createMapEntities,
+};
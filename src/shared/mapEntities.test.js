@@ -0,0 +1,141 @@
+import { parseMap, clientMap } from './worldMap';
+import { positionAt, createMapEntities, MAP_ENTITY_BLADE, ENTITY_EFFECT_SHRINK } from './mapEntities';
+import { WORM_INITIAL_LENGTH, SHRINK_MIN_LENGTH, DEATH_CAUSE_HAZARD } from './simulation';
+import { createClientView, encodeSnapshot, createNetState, applySnapshotMessage, toGameState } from './snapshotProtocol';
+import { POWER_UP_SHIELD } from './powerUps';
+import { FOOD_TYPE_REVERSE } from './gameRules';
+import { makeSim, placeWorm } from './testWorld';
+
+function makeMap(entities) {
+    return parseMap({ name: 'Entities', width: 3000, height: 3000, entities });
+}
+
+// One tick per 100ms keeps the numbers round
+function makeEntitySim(entities, onPlayerDied) {
+    return makeSim({ seed: 9, tickRateMs: 100, map: makeMap(entities), onPlayerDied, settings: { botCount: 0 } });
+}
+
+test('entities are validated with the map and sent to clients without derived fields', () => {
+    const map = makeMap([
+        { type: 'portal', a: [500, 500], b: [2500, 2500], radius: 50 },
+        { type: 'hazard', path: [[100, 100], [400, 100], [400, 500]], radius: 80, speed: 50, effect: 'shrink' },
+    ]);
+    expect(map.entities.map(entity => entity.id)).toEqual([0, 1]);
+    expect(map.entities[1]).toMatchObject({ pathLength: 1200, effect: ENTITY_EFFECT_SHRINK });
+    expect(clientMap(map).entities).toEqual([
+        { id: 0, type: 'portal', a: [500, 500], b: [2500, 2500], radius: 50 },
+        { id: 1, type: 'hazard', path: [[100, 100], [400, 100], [400, 500]], radius: 80, speed: 50, effect: 'shrink' },
+    ]);
+
+    expect(() => makeMap([{ type: 'portal', a: [500, 500], b: [520, 500], radius: 50 }])).toThrow('too close');
+    expect(() => makeMap([{ type: 'blade', x: 10, y: 10, length: 100, width: 10, speed: 1, effect: 'burn' }])).toThrow('effect');
+    expect(() => makeMap([{ type: 'slowZone', x: 10, y: 10, radius: 100, factor: 2 }])).toThrow('factor');
+    expect(() => makeMap([{ type: 'hazard', path: [[0, 0], [5000, 0]], radius: 10, speed: 1 }])).toThrow('leaves the map');
+    expect(() => makeMap([{ type: 'trampoline' }])).toThrow('entities[0]: type');
+});
+
+test('blades and hazards move with the tick alone', () => {
+    const [blade, hazard] = makeMap([
+        { type: 'blade', x: 1000, y: 1000, length: 200, width: 10, speed: Math.PI / 2 },
+        { type: 'hazard', path: [[100, 100], [400, 100], [400, 500]], radius: 80, speed: 50 },
+    ]).entities;
+    expect(positionAt(blade, 1).angle).toBeCloseTo(Math.PI / 2);
+    expect(positionAt(blade, 5).angle).toBeCloseTo(Math.PI / 2); // Normalized to one turn
+    expect(positionAt(hazard, 3)).toMatchObject({ x: 250, y: 100 });
+    expect(positionAt(hazard, 8)).toMatchObject({ x: 400, y: 200 });
+    expect(positionAt(hazard, 16)).toMatchObject({ x: 340, y: 420 }); // On the way back to the start
+    expect(positionAt(hazard, 27)).toMatchObject({ x: 250, y: 100 }); // Once around the loop
+
+    let tick = 10;
+    const entities = createMapEntities({ map: { entities: [blade, hazard] }, tickRateMs: 100, get tick() { return tick; } });
+    entities.update();
+    expect(entities.getMovingStates()).toEqual([
+        { id: 0, x: 1000, y: 1000, angle: Math.round(Math.PI / 2 * 1000) / 1000 },
+        { id: 1, x: 150, y: 100, angle: 0 },
+    ]);
+    expect(entities.hazardAt(1000, 1090, 8)?.entity.type).toBe(MAP_ENTITY_BLADE);
+    expect(entities.hazardAt(1090, 1000, 8)).toBeNull();
+    tick = 20;
+    entities.update();
+    expect(entities.hazardAt(1090, 1000, 8)?.entity.type).toBe(MAP_ENTITY_BLADE);
+});
+
+test('a head entering a portal comes out of the other end and the body follows it through', () => {
+    const sim = makeEntitySim([{ type: 'portal', a: [1000, 1500], b: [2200, 1500], radius: 50 }]);
+    const player = sim.addHuman('a', 'Alice');
+    placeWorm(player, 930, 1500, 0);
+    const view = createClientView(1000);
+    const netState = createNetState();
+    const sendSnapshot = () => {
+        const worm = player.worm;
+        const snapshot = {
+            worms: { a: { id: 'a', segments: worm.segments.map(s => ({ ...s })), spawnId: worm.spawnId, headSeq: worm.headSeq, angle: worm.angle } },
+            food: [], leaderboard: [], eatenFood: [],
+        };
+        expect(applySnapshotMessage(netState, encodeSnapshot(view, sim.tick, snapshot))).toBe(true);
+    };
+    sendSnapshot();
+
+    for (let i = 0; i < 20; i++) {
+        sim.step();
+        sendSnapshot();
+    }
+    const segments = player.worm.segments;
+    expect(player.worm.isAlive).toBe(true);
+    expect(segments[0].x).toBeGreaterThan(2250);
+    expect(segments[0].y).toBeCloseTo(1500);
+    expect(segments[segments.length - 1].x).toBeLessThan(1000); // The tail hasn't gone through yet
+    expect(segments).toHaveLength(WORM_INITIAL_LENGTH);
+    // Clients rebuild the jump from deltas like any other movement
+    const clientSegments = toGameState(netState, { eatenFood: [] }).worms.a.segments;
+    expect(clientSegments.map(s => Math.round(s.x))).toEqual(segments.map(s => Math.round(s.x)));
+});
+
+test('blades kill through shields, shrinking hazards wear worms down, slow zones slow them', () => {
+    const deaths = [];
+    const sim = makeEntitySim([
+        { type: 'blade', x: 1500, y: 500, length: 300, width: 20, speed: 0 },
+        { type: 'hazard', path: [[1500, 1500]], radius: 200, speed: 0, effect: 'shrink' },
+        { type: 'slowZone', x: 1500, y: 2500, radius: 300, factor: 0.5 },
+    ], (player, death) => deaths.push({ id: player.id, ...death }));
+    const cut = sim.addHuman('cut', 'Cut');
+    const worn = sim.addHuman('worn', 'Worn');
+    const slow = sim.addHuman('slow', 'Slow');
+    const fast = sim.addHuman('fast', 'Fast');
+    placeWorm(cut, 1500, 400, Math.PI / 2);
+    cut.worm.powerUps[POWER_UP_SHIELD] = 1000;
+    placeWorm(worn, 1400, 1500, 0);
+    placeWorm(slow, 1500, 2500, 0);
+    placeWorm(fast, 200, 200, 0);
+
+    const start = { slow: slow.worm.segments[0].x, fast: fast.worm.segments[0].x };
+    sim.step();
+    const lengthAfterOneTick = worn.worm.segments.length;
+    expect(lengthAfterOneTick).toBeLessThan(WORM_INITIAL_LENGTH);
+    expect(slow.worm.segments[0].x - start.slow).toBeCloseTo((fast.worm.segments[0].x - start.fast) / 2);
+
+    for (let i = 0; i < 100 && deaths.length < 2; i++) sim.step();
+    expect(deaths.map(death => [death.id, death.cause])).toEqual([['worn', DEATH_CAUSE_HAZARD], ['cut', DEATH_CAUSE_HAZARD]]);
+    expect(worn.worm.segments.length).toBeLessThanOrEqual(SHRINK_MIN_LENGTH);
+});
+
+test('a worm turned around by a reverse power-up is checked where its new head is', () => {
+    const sim = makeEntitySim([{ type: 'hazard', path: [[1500, 1500]], radius: 100, speed: 0, effect: 'shrink' }]);
+    const player = sim.addHuman('p', 'Reversed');
+    const target = sim.food.find(f => Math.hypot(f.x - 1500, f.y - 1500) > 500);
+    target.type = FOOD_TYPE_REVERSE;
+    // Head right by the food, tail in the middle of the hazard
+    const head = { x: target.x - 3, y: target.y };
+    const count = player.worm.segments.length;
+    player.worm.segments = Array.from({ length: count }, (_, i) => ({
+        x: head.x + (1500 - head.x) * i / (count - 1),
+        y: head.y + (1500 - head.y) * i / (count - 1),
+        z: 0,
+    }));
+    player.worm.angle = Math.atan2(head.y - 1500, head.x - 1500);
+    player.worm.targetAngle = player.worm.angle;
+
+    sim.step();
+    expect(Math.hypot(player.worm.segments[0].x - 1500, player.worm.segments[0].y - 1500)).toBeLessThan(100);
+    expect(player.worm.segments.length).toBeLessThan(WORM_INITIAL_LENGTH); // Worn down despite the growth
+});
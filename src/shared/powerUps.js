@@ -0,0 +1,294 @@
+// --- Power-Ups ---
+// Registry of the power-ups, keyed by the food type that gives them. The simulation does all the bookkeeping
+// in its tick: eating the food activates the power-up (or restarts/extends it when it's already active), the
+// timers count ticks, and expired power-ups are removed. Snapshots carry each worm's remaining time per active
+// power-up (see powerUpTimers()), so clients only read those and never run their own clocks.
+//
+// A power-up is one registry entry plus, when it changes what the simulation does, an effect hook:
+//   {
+//     id:          unique name, the key in snapshots ("speed")
+//     foodType:    the food type (image number) that gives it, or null for effects only other power-ups give
+//     label:       for HUDs and logs
+//     durationMs?: how long it lasts, default: the world's powerUpDurationMs setting
+//     stacking?:   STACK_REFRESH (default) - eating another one restarts the timer,
+//                  STACK_EXTEND - adds another duration, up to MAX_STACKED_DURATIONS of them
+//     modifiers?:  { [name]: (settings) => number } - effect hooks: while the power-up is active the simulation
+//                  multiplies the worm's value by the result. Names the simulation reads (see powerUpModifier()):
+//                  speed (movement per tick), foodReach (food radii the head reaches), foodPerTick (food eaten per tick)
+//     flags?:      { [name]: true } - rules that hold while it's active (see hasPowerUpFlag()): FLAG_INTANGIBLE
+//                  (no collisions with worm bodies either way), FLAG_ABSORBS_COLLISION (survives one deadly
+//                  collision with a worm, which uses the power-up up)
+//     onActivate?: (worm, world) => void - runs every time it's picked up. world: { tick, settings,
+//                  wormsNear(x, y, radius, exceptWorm) -> living worms with their head in range,
+//                  applyPowerUp(worm, id) - activates another power-up, bodyChanged(worm) - call after
+//                  rebuilding a worm's segments (not just moving them) so clients get them again }
+//   }
+// Power-ups without hooks (zoom) only change what the eater's client shows; short ones with only an
+// onActivate (reverse, freeze) keep a timer so clients can show that they went off.
+const {
+    FOOD_TYPE_POWER, FOOD_TYPE_ZOOM, FOOD_TYPE_MAGNET, FOOD_TYPE_SHIELD, FOOD_TYPE_GHOST, FOOD_TYPE_REVERSE, FOOD_TYPE_FREEZE,
+    FOOD_IMAGE_TYPES,
+} = require("./gameRules");
+
+const POWER_UP_SPEED = "speed";
+const POWER_UP_ZOOM = "zoom";
+const POWER_UP_MAGNET = "magnet";
+const POWER_UP_SHIELD = "shield";
+const POWER_UP_SHIELD_GRACE = "shieldGrace"; // Right after a shield saved the worm, so it can get clear
+const POWER_UP_GHOST = "ghost";
+const POWER_UP_REVERSE = "reverse";
+const POWER_UP_FREEZE = "freeze";
+const POWER_UP_FROZEN = "frozen"; // What a freeze pulse does to the worms around the eater
+
+const FLAG_INTANGIBLE = "intangible";
+const FLAG_ABSORBS_COLLISION = "absorbsCollision";
+
+const STACK_REFRESH = "refresh";
+const STACK_EXTEND = "extend";
+const MAX_STACKED_DURATIONS = 3; // An extending power-up never has more than this many durations left
+const POWER_UP_TIMER_STEP_MS = 100; // Remaining times in snapshots are rounded up to this
+
+const SHIELD_DURATION_MS = 20000; // An unused shield wears off after this long
+const SHIELD_GRACE_MS = 1000;
+const GHOST_DURATION_MS = 4000;
+const REVERSE_FLASH_MS = 600; // Reverse and freeze act at once, their timers only let clients show it
+const FREEZE_PULSE_MS = 600;
+const FREEZE_RADIUS = 350; // Worms with their head this close to the eater's are frozen
+const FROZEN_DURATION_MS = 2500;
+const FROZEN_SPEED_FACTOR = 0.5;
+
+// id -> definition and foodType -> definition, shared by all simulations in the process
+const powerUps = new Map();
+const powerUpsByFoodType = new Map();
+
+/**
+ * Registers a power-up, replacing any power-up with the same food type (or, without one, the same id).
+ * @param {object} definition - See above.
+ * @returns {object} The definition.
+ * @throws {Error} If the id, food type or a hook is missing or invalid, or the id is taken by another food type.
+ */
+function registerPowerUp(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) throw new Error('Power-ups need an id.');
+    const { id, foodType = null, stacking = STACK_REFRESH, modifiers = {}, flags = {}, onActivate } = definition;
+    if (foodType !== null && (!Number.isInteger(foodType) || foodType < 1 || foodType > FOOD_IMAGE_TYPES)) {
+        throw new Error(`Power-up "${id}" needs a food type from 1 to ${FOOD_IMAGE_TYPES}, or null.`);
+    }
+    if (stacking !== STACK_REFRESH && stacking !== STACK_EXTEND) throw new Error(`Power-up "${id}": unknown stacking "${stacking}".`);
+    if (Object.values(modifiers).some(hook => typeof hook !== 'function')) throw new Error(`Power-up "${id}": modifiers must be functions.`);
+    if (onActivate !== undefined && typeof onActivate !== 'function') throw new Error(`Power-up "${id}": onActivate must be a function.`);
+    const taken = powerUps.get(id);
+    if (taken && taken.foodType !== foodType) throw new Error(`Power-up id "${id}" is already used by food type ${taken.foodType}.`);
+
+    const replaced = foodType !== null && powerUpsByFoodType.get(foodType);
+    if (replaced) powerUps.delete(replaced.id);
+    const registered = { label: id, ...definition, foodType, stacking, modifiers, flags };
+    powerUps.set(id, registered);
+    if (foodType !== null) powerUpsByFoodType.set(foodType, registered);
+    return registered;
+}
+
+/**
+ * @param {string} id - Power-up id.
+ * @returns {object|null} The registered power-up, or null.
+ */
+function getPowerUp(id) {
+    return powerUps.get(id) || null;
+}
+
+/**
+ * The power-up a food type gives.
+ * @param {number} foodType - A food type (image number).
+ * @returns {object|null} The power-up, or null for regular food.
+ */
+function powerUpForFoodType(foodType) {
+    return powerUpsByFoodType.get(foodType) || null;
+}
+
+/**
+ * @returns {Array<object>} All registered power-ups.
+ */
+function listPowerUps() {
+    return [...powerUps.values()];
+}
+
+registerPowerUp({
+    id: POWER_UP_SPEED, foodType: FOOD_TYPE_POWER, label: "Speed boost", stacking: STACK_EXTEND,
+    modifiers: { speed: settings => settings.speedBoostFactor },
+});
+registerPowerUp({ id: POWER_UP_ZOOM, foodType: FOOD_TYPE_ZOOM, label: "Zoom out" });
+registerPowerUp({
+    id: POWER_UP_MAGNET, foodType: FOOD_TYPE_MAGNET, label: "Magnet",
+    modifiers: { foodReach: settings => settings.magnetRadiusMultiplier, foodPerTick: () => Infinity },
+});
+registerPowerUp({
+    id: POWER_UP_SHIELD, foodType: FOOD_TYPE_SHIELD, label: "Shield", durationMs: SHIELD_DURATION_MS,
+    flags: { [FLAG_ABSORBS_COLLISION]: true },
+});
+registerPowerUp({
+    id: POWER_UP_SHIELD_GRACE, foodType: null, label: "Shield broken", durationMs: SHIELD_GRACE_MS,
+    flags: { [FLAG_INTANGIBLE]: true },
+});
+registerPowerUp({
+    id: POWER_UP_GHOST, foodType: FOOD_TYPE_GHOST, label: "Ghost", durationMs: GHOST_DURATION_MS,
+    flags: { [FLAG_INTANGIBLE]: true },
+});
+registerPowerUp({
+    id: POWER_UP_REVERSE, foodType: FOOD_TYPE_REVERSE, label: "Reverse", durationMs: REVERSE_FLASH_MS,
+    onActivate: reverseWorm,
+});
+registerPowerUp({
+    id: POWER_UP_FREEZE, foodType: FOOD_TYPE_FREEZE, label: "Freeze", durationMs: FREEZE_PULSE_MS,
+    onActivate(worm, world) {
+        const head = worm.segments[0];
+        world.wormsNear(head.x, head.y, FREEZE_RADIUS, worm).forEach(other => world.applyPowerUp(other, POWER_UP_FROZEN));
+    },
+});
+registerPowerUp({
+    id: POWER_UP_FROZEN, foodType: null, label: "Frozen", durationMs: FROZEN_DURATION_MS,
+    modifiers: { speed: () => FROZEN_SPEED_FACTOR },
+});
+
+// Swaps head and tail: the worm carries on from where its tail was, heading away from its body
+function reverseWorm(worm, world) {
+    if (worm.segments.length < 2) return;
+    worm.segments.reverse();
+    const [head, neck] = worm.segments;
+    worm.angle = (Math.atan2(head.y - neck.y, head.x - neck.x) + Math.PI * 2) % (Math.PI * 2);
+    worm.targetAngle = worm.angle;
+    world.bodyChanged(worm);
+}
+
+// --- Worm Timers ---
+// A worm's active power-ups are worm.powerUps: { [id]: endTick }, active while tick < endTick.
+
+/**
+ * Activates a power-up on a worm, or restarts/extends it if it's already active.
+ * @param {object} worm - The simulation's worm.
+ * @param {object} definition - The power-up.
+ * @param {number} tick - The current tick.
+ * @param {number} durationTicks - How long one of it lasts.
+ */
+function activatePowerUp(worm, definition, tick, durationTicks) {
+    const endTick = worm.powerUps[definition.id];
+    if (definition.stacking === STACK_EXTEND && endTick > tick) {
+        worm.powerUps[definition.id] = Math.min(endTick + durationTicks, tick + durationTicks * MAX_STACKED_DURATIONS);
+    } else {
+        worm.powerUps[definition.id] = tick + durationTicks;
+    }
+}
+
+/**
+ * Removes the power-ups whose time is up.
+ * @param {object} worm - The simulation's worm.
+ * @param {number} tick - The current tick.
+ * @returns {Array<string>} Ids of the removed power-ups.
+ */
+function expirePowerUps(worm, tick) {
+    const expired = [];
+    for (const id in worm.powerUps) {
+        if (tick >= worm.powerUps[id]) {
+            delete worm.powerUps[id];
+            expired.push(id);
+        }
+    }
+    return expired;
+}
+
+/**
+ * @param {object} worm - The simulation's worm.
+ * @param {string} id - Power-up id.
+ * @returns {boolean} True while the power-up is active.
+ */
+function hasPowerUp(worm, id) {
+    return worm.powerUps?.[id] !== undefined;
+}
+
+/**
+ * @param {object} worm - The simulation's worm.
+ * @param {string} flag - E.g. FLAG_INTANGIBLE.
+ * @returns {boolean} True if one of the worm's active power-ups has the flag.
+ */
+function hasPowerUpFlag(worm, flag) {
+    for (const id in worm.powerUps) {
+        if (getPowerUp(id)?.flags[flag]) return true;
+    }
+    return false;
+}
+
+/**
+ * Uses up one of the worm's active power-ups with the flag (e.g. a shield that just saved it).
+ * @param {object} worm - The simulation's worm.
+ * @param {string} flag - E.g. FLAG_ABSORBS_COLLISION.
+ * @returns {string|null} Id of the removed power-up, or null if the worm had none with the flag.
+ */
+function consumePowerUpWithFlag(worm, flag) {
+    for (const id in worm.powerUps) {
+        if (getPowerUp(id)?.flags[flag]) {
+            delete worm.powerUps[id];
+            return id;
+        }
+    }
+    return null;
+}
+
+/**
+ * Combined effect of a worm's active power-ups on one value: the product of their `name` modifiers.
+ * @param {object} worm - The simulation's worm.
+ * @param {string} name - The modifier, e.g. 'speed'.
+ * @param {object} settings - The world's settings, passed to the hooks.
+ * @returns {number} The multiplier, 1 without any.
+ */
+function powerUpModifier(worm, name, settings) {
+    let multiplier = 1;
+    for (const id in worm.powerUps) {
+        const hook = getPowerUp(id)?.modifiers[name];
+        if (hook) multiplier *= hook(settings);
+    }
+    return multiplier;
+}
+
+/**
+ * The remaining time of a worm's active power-ups, for snapshots.
+ * @param {object} worm - The simulation's worm.
+ * @param {number} tick - The current tick.
+ * @param {number} tickRateMs - Length of one tick.
+ * @returns {object} { [id]: remainingMs }, rounded up to POWER_UP_TIMER_STEP_MS. Empty without any.
+ */
+function powerUpTimers(worm, tick, tickRateMs) {
+    const timers = {};
+    for (const id in worm.powerUps) {
+        const remainingMs = (worm.powerUps[id] - tick) * tickRateMs;
+        timers[id] = Math.ceil(remainingMs / POWER_UP_TIMER_STEP_MS) * POWER_UP_TIMER_STEP_MS;
+    }
+    return timers;
+}
+
+module.exports = {
+    POWER_UP_SPEED,
+    POWER_UP_ZOOM,
+    POWER_UP_MAGNET,
+    POWER_UP_SHIELD,
+    POWER_UP_SHIELD_GRACE,
+    POWER_UP_GHOST,
+    POWER_UP_REVERSE,
+    POWER_UP_FREEZE,
+    POWER_UP_FROZEN,
+    FLAG_INTANGIBLE,
+    FLAG_ABSORBS_COLLISION,
+    FREEZE_RADIUS,
+    STACK_REFRESH,
+    STACK_EXTEND,
+    MAX_STACKED_DURATIONS,
+    POWER_UP_TIMER_STEP_MS,
+    registerPowerUp,
+    getPowerUp,
+    powerUpForFoodType,
+    listPowerUps,
+    activatePowerUp,
+    expirePowerUps,
+    hasPowerUp,
+    hasPowerUpFlag,
+    consumePowerUpWithFlag,
+    powerUpModifier,
+    powerUpTimers,
+};
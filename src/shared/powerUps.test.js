@@ -0,0 +1,41 @@
+import {
+    POWER_UP_SPEED, POWER_UP_MAGNET, STACK_EXTEND, MAX_STACKED_DURATIONS, registerPowerUp, powerUpForFoodType, getPowerUp,
+    activatePowerUp, expirePowerUps, powerUpModifier, powerUpTimers,
+} from './powerUps';
+import { FOOD_TYPE_POWER, FOOD_TYPE_MAGNET, DEFAULT_CLIENT_RULES } from './gameRules';
+
+const settings = { speedBoostFactor: 1.5, magnetRadiusMultiplier: 4 };
+
+test('special food types map to power-ups', () => {
+    expect(powerUpForFoodType(FOOD_TYPE_POWER).id).toBe(POWER_UP_SPEED);
+    expect(powerUpForFoodType(FOOD_TYPE_MAGNET).id).toBe(POWER_UP_MAGNET);
+    expect(powerUpForFoodType(1)).toBeNull();
+    expect(() => registerPowerUp({ id: POWER_UP_SPEED, foodType: 2 })).toThrow(/already used/);
+    expect(() => registerPowerUp({ id: 'nope', foodType: 99 })).toThrow(/food type/);
+});
+
+test('refreshing power-ups restart, extending ones add up to a cap', () => {
+    const worm = { powerUps: {} };
+    activatePowerUp(worm, getPowerUp(POWER_UP_MAGNET), 0, 100);
+    activatePowerUp(worm, getPowerUp(POWER_UP_MAGNET), 40, 100);
+    expect(worm.powerUps[POWER_UP_MAGNET]).toBe(140);
+
+    const speed = getPowerUp(POWER_UP_SPEED);
+    expect(speed.stacking).toBe(STACK_EXTEND);
+    for (let i = 0; i < 5; i++) activatePowerUp(worm, speed, 0, 100);
+    expect(worm.powerUps[POWER_UP_SPEED]).toBe(100 * MAX_STACKED_DURATIONS);
+});
+
+test('active power-ups modify the worm until they expire', () => {
+    const worm = { powerUps: {} };
+    expect(powerUpModifier(worm, 'speed', settings)).toBe(1);
+    activatePowerUp(worm, getPowerUp(POWER_UP_SPEED), 0, 10);
+    activatePowerUp(worm, getPowerUp(POWER_UP_MAGNET), 0, 20);
+    expect(powerUpModifier(worm, 'speed', settings)).toBe(1.5);
+    expect(powerUpModifier(worm, 'foodReach', settings)).toBe(4);
+    expect(powerUpTimers(worm, 5, DEFAULT_CLIENT_RULES.tickRateMs)).toEqual({ [POWER_UP_SPEED]: 100, [POWER_UP_MAGNET]: 200 });
+
+    expect(expirePowerUps(worm, 10)).toEqual([POWER_UP_SPEED]);
+    expect(powerUpModifier(worm, 'speed', settings)).toBe(1);
+    expect(Object.keys(worm.powerUps)).toEqual([POWER_UP_MAGNET]);
+});
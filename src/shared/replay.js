@@ -0,0 +1,121 @@
+// --- Replay Format ---
+// Replay files are gzip-compressed NDJSON (one JSON object per line), written by server/replayRecorder.js:
+//
+//   Header (first line): { type: 'replay', version, arenaId, code, seed, settings, map, tickRateMs, startedAt } -
+//                        map is the map's walls and entities for drawing (clientMap() in worldMap.js), null or missing
+//                        without one
+//   Frames:              snapshot protocol messages (keyframe / delta, see snapshotProtocol.js) covering the
+//                        whole world instead of one client's area of interest
+//   Events:              { type: 'event', tick, kind: 'death', playerId, name, reason, cause, killerId, killerName, length }
+//
+// Lines are in tick order. The recorder starts with a keyframe and writes one regularly, so the player below can
+// seek anywhere by rebuilding the state from the last keyframe before the target tick.
+
+const { MESSAGE_KEYFRAME, createNetState, applySnapshotMessage, toGameState } = require('./snapshotProtocol');
+
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_LINE_HEADER = 'replay';
+const REPLAY_LINE_EVENT = 'event';
+const REPLAY_EVENT_DEATH = 'death';
+const REPLAY_FILE_EXTENSION = '.ndjson.gz';
+
+/**
+ * Parses the (already decompressed) text of a replay file.
+ * @param {string} text - The NDJSON replay.
+ * @returns {object} { header, frames, keyframes, events, startTick, endTick }. keyframes holds the indexes of
+ *                   keyframe messages in frames.
+ * @throws {Error} If the header is missing or the format version is unknown.
+ */
+function parseReplay(text) {
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+    const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+    if (!header || header.type !== REPLAY_LINE_HEADER) throw new Error('Not a replay file.');
+    if (header.version !== REPLAY_FORMAT_VERSION) throw new Error(`Unsupported replay version ${header.version}.`);
+
+    const frames = [];
+    const keyframes = [];
+    const events = [];
+    for (let i = 1; i < lines.length; i++) {
+        const entry = JSON.parse(lines[i]);
+        if (entry.type === REPLAY_LINE_EVENT) {
+            events.push(entry);
+        } else {
+            if (entry.type === MESSAGE_KEYFRAME) keyframes.push(frames.length);
+            frames.push(entry);
+        }
+    }
+    if (keyframes[0] !== 0) throw new Error('Replay does not start with a keyframe.');
+
+    return {
+        header,
+        frames,
+        keyframes,
+        events,
+        startTick: frames[0].tick,
+        endTick: frames[frames.length - 1].tick,
+    };
+}
+
+/**
+ * Creates a player that rebuilds the recorded world at any tick.
+ * @param {object} replay - Result of parseReplay().
+ * @returns {object} { seek(tick) }, returning the game state (same shape as toGameState()) of the last frame at
+ *                   or before `tick`, or null before the first frame.
+ */
+function createReplayPlayer(replay) {
+    const { frames, keyframes } = replay;
+    let netState = createNetState();
+    let frameIndex = -1; // Last frame applied to netState
+    let gameState = null;
+
+    // Index of the last element of `indexes` (or of frames when omitted) whose frame tick is <= tick, or -1
+    function findLast(tick, indexes) {
+        let low = 0;
+        let high = (indexes ? indexes.length : frames.length) - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const frame = frames[indexes ? indexes[mid] : mid];
+            if (frame.tick <= tick) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return indexes && found >= 0 ? indexes[found] : found;
+    }
+
+    function seek(tick) {
+        const target = findLast(tick, null);
+        if (target < 0) return null;
+        if (target === frameIndex) return gameState;
+
+        // Going backwards, or past another keyframe: start over from the closest keyframe
+        const keyframe = findLast(frames[target].tick, keyframes);
+        if (target < frameIndex || keyframe > frameIndex) {
+            netState = createNetState();
+            frameIndex = keyframe - 1;
+        }
+        for (let i = frameIndex + 1; i <= target; i++) {
+            if (!applySnapshotMessage(netState, frames[i])) {
+                throw new Error(`Replay frame at tick ${frames[i].tick} does not follow tick ${netState.tick}.`);
+            }
+        }
+        frameIndex = target;
+        gameState = toGameState(netState, frames[target]);
+        return gameState;
+    }
+
+    return { seek };
+}
+
+module.exports = {
+    REPLAY_FORMAT_VERSION,
+    REPLAY_LINE_HEADER,
+    REPLAY_LINE_EVENT,
+    REPLAY_EVENT_DEATH,
+    REPLAY_FILE_EXTENSION,
+    parseReplay,
+    createReplayPlayer,
+};
@@ -0,0 +1,54 @@
+import { REPLAY_FORMAT_VERSION, parseReplay, createReplayPlayer } from './replay';
+import { createClientView, encodeSnapshot } from './snapshotProtocol';
+
+// A worm moving right one unit per tick, recorded every 2nd tick with a keyframe every 3 frames
+function makeReplayText() {
+    const view = createClientView(3);
+    const lines = [{ type: 'replay', version: REPLAY_FORMAT_VERSION, arenaId: '0', seed: 1, tickRateMs: 10 }];
+    const worm = { id: 'w', name: 'W', color: 'hsl(1, 80%, 60%)', angle: 0, score: 0, isGameOver: false,
+                   spawnId: 1, headSeq: 0, segments: [{ x: 0, y: 0, z: 0 }] };
+    for (let tick = 2; tick <= 40; tick += 2) {
+        worm.segments = [{ x: tick, y: 0, z: 0 }, { x: tick - 1, y: 0, z: 0 }];
+        worm.headSeq = tick;
+        worm.score = tick;
+        const snapshot = { worms: { w: { ...worm } }, food: [{ id: `f${tick}`, x: tick, y: 5 }], leaderboard: [], eatenFood: [] };
+        lines.push(encodeSnapshot(view, tick, snapshot));
+        if (tick === 20) lines.push({ type: 'event', tick, kind: 'death', playerId: 'w', name: 'W', reason: 'test' });
+    }
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+test('parses header, frames, keyframes and events', () => {
+    const replay = parseReplay(makeReplayText());
+    expect(replay.header.seed).toBe(1);
+    expect(replay.frames).toHaveLength(20);
+    expect(replay.keyframes[0]).toBe(0);
+    expect(replay.keyframes.length).toBeGreaterThan(1);
+    replay.keyframes.forEach(i => expect(replay.frames[i].type).toBe('keyframe'));
+    expect(replay.events).toEqual([{ type: 'event', tick: 20, kind: 'death', playerId: 'w', name: 'W', reason: 'test' }]);
+    expect(replay.startTick).toBe(2);
+    expect(replay.endTick).toBe(40);
+});
+
+test('rejects files that are not replays', () => {
+    expect(() => parseReplay('')).toThrow();
+    expect(() => parseReplay('{"type":"keyframe"}\n')).toThrow();
+    expect(() => parseReplay(JSON.stringify({ type: 'replay', version: 999 }))).toThrow(/version/);
+});
+
+test('seeks forwards, backwards and between recorded ticks', () => {
+    const player = createReplayPlayer(parseReplay(makeReplayText()));
+    const headAt = tick => player.seek(tick).worms.w.segments[0].x;
+
+    expect(player.seek(1)).toBeNull(); // Before the first frame
+    expect(headAt(2)).toBe(2);
+    expect(headAt(9)).toBe(8); // Last frame at or before the tick
+    expect(headAt(40)).toBe(40);
+    expect(headAt(13)).toBe(12);
+    expect(headAt(100)).toBe(40);
+
+    const state = player.seek(30);
+    expect(state.worms.w.segments).toHaveLength(2);
+    expect(state.worms.w.score).toBe(30);
+    expect(state.food.map(f => f.id)).toEqual(['f30']);
+});
@@ -0,0 +1,21 @@
+// --- Seeded RNG ---
+// Small deterministic replacement for Math.random() (mulberry32). The same seed always produces
+// the same sequence, which is what makes simulation runs reproducible.
+
+/**
+ * Creates a seeded random number generator.
+ * @param {number} seed - Any number; only its lower 32 bits are used.
+ * @returns {function(): number} Returns a float in [0, 1) on every call, like Math.random().
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function rng() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = { createRng };
@@ -0,0 +1,1227 @@
+// --- Simulation ---
+// Headless, deterministic game rules: worm movement, food spawning, bot AI, collisions and power-ups.
+// All randomness comes from a seeded RNG and all timers count ticks, so the same seed plus the same
+// inputs (applied before the same ticks) always yields the same world. No networking, no wall clock:
+// the server's arenas drive it at TICK_RATE_MS and the React app can import it for offline play.
+const { SpatialGrid } = require("./spatialGrid");
+const { FOOD_ORIGIN_AMBIENT, FOOD_ORIGIN_DROP, FOOD_ORIGIN_SHED, FOOD_ORIGIN_EVENT, FOOD_PER_WORM, createFoodEcosystem } = require("./foodEcosystem");
+const { WORLD_EVENT_START, createWorldEvents } = require("./worldEvents");
+const { touchesWall } = require("./worldMap");
+const { ENTITY_EFFECT_KILL, createMapEntities } = require("./mapEntities");
+const { ZONE_SHRINK_PER_SECOND, createSafeZone } = require("./battleRoyale");
+const { createRng } = require("./rng");
+const { DEFAULT_BOT_MIX, pickBotDifficulty } = require("./botAI");
+const { DEFAULT_BRAIN_MIX, getBotBrain, pickBotBrain, createBrainMemory, createBotBrainRunner } = require("./botBrain");
+const { DEFAULT_COLLISION_RULES, normalizeCollisionRules, resolveHeadOn, passesUnder, bounceHeading } = require("./collisionRules");
+const {
+    TICK_RATE_MS, WORLD_WIDTH, WORLD_HEIGHT, WORM_INITIAL_LENGTH, WORM_MAX_SEGMENT_RADIUS, FOOD_RADIUS, FOOD_IMAGE_TYPES,
+    FOOD_TIERS, FOOD_TIER_SMALL, FOOD_TIER_MEDIUM, FOOD_TIER_LARGE, MAX_FOOD_RADIUS,
+    FOOD_TYPE_POWER, FOOD_TYPE_MAGNET, POWER_UP_DURATION_MS, SPEED_BOOST_FACTOR, MAGNET_RADIUS_MULTIPLIER,
+    DEATH_CAUSE_WALL, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_HAZARD, DEATH_CAUSE_ZONE, DEATH_CAUSE_SELF, DEATH_CAUSE_PLAYER,
+    wormRadiusForLength, getFoodTier, foodReach,
+} = require("./gameRules");
+const {
+    POWER_UP_SPEED, POWER_UP_SHIELD_GRACE, FLAG_INTANGIBLE, FLAG_ABSORBS_COLLISION,
+    getPowerUp, powerUpForFoodType, listPowerUps, activatePowerUp, expirePowerUps: expireWormPowerUps, hasPowerUp, hasPowerUpFlag,
+    consumePowerUpWithFlag, powerUpModifier, powerUpTimers,
+} = require("./powerUps");
+
+// --- Game Constants ---
+// Rules shared with the client (tick rate, world size, radii, food types, power-ups) are in gameRules.js
+
+// World Properties
+const WORLD_GROUND_Z = 0; // Define a constant Z level for the ground plane
+
+// Worm Properties
+const WORM_SEGMENT_RADIUS = 8; // Nominal radius for distances that don't depend on one worm (spawning, bot look-ahead)
+const WORM_SPEED = 2; // Base speed (world units per tick)
+const WORM_TURN_SPEED = 0.05; // Radians per tick
+// Spacing of the straight body a worm spawns with. Once it moves, a segment is laid every tick, so segments are
+// one step apart whatever the worm's radius: deltas only send the new heads (see snapshotProtocol.js)
+const WORM_SEGMENT_DISTANCE = WORM_SEGMENT_RADIUS * 0.8;
+const WORM_HEAD_SPAWN_CLEARANCE = WORM_SEGMENT_RADIUS * 10; // Keep spawns this far from worm heads
+const WALL_SPAWN_CLEARANCE = WORM_SEGMENT_RADIUS * 4; // Keep spawned worms and food this far from map walls
+const WALL_SPAWN_HEAD_ROOM = WORM_SEGMENT_RADIUS * 20; // A new worm has this much room in front of its head
+
+// Food Properties
+const MAX_FOOD = 80; // Ambient food of a default-sized world before the per-worm share (see foodEcosystem.js)
+const FOOD_SCORE = 5; // Per point of food value (see FOOD_TIERS in gameRules.js)
+// Dead worms leave this share of their length behind as pellets along the body, whatever the food cap.
+// Length is value: a worm grows one segment per point, so the drop is worth this share of the victim.
+const DEATH_DROP_MASS_RATIO = 0.5;
+const DEATH_DROP_TIERS = [FOOD_TIER_LARGE, FOOD_TIER_MEDIUM, FOOD_TIER_SMALL].map(getFoodTier); // Largest pellets first
+const MIN_FOOD_SPAWN_DISTANCE = FOOD_RADIUS * 4; // Min distance between new food and existing food/worms
+const MIN_FOOD_SPAWN_DISTANCE_SQ = Math.pow(MIN_FOOD_SPAWN_DISTANCE, 2);
+
+// --- Sprint Settings (held by the player, paid for with length) ---
+const SPRINT_SHED_INTERVAL_TICKS = 8; // While sprinting, one tail segment turns into food every 8 ticks (~9 per second)
+const SPRINT_MIN_LENGTH = WORM_INITIAL_LENGTH; // Sprinting stops at this length (the tail is never trimmed below it anyway)
+const SPRINT_FOOD_TIER = getFoodTier(FOOD_TIER_SMALL); // Each shed segment becomes a small pellet, worth one segment
+
+// --- Shrinking (map hazards with the "shrink" effect, see mapEntities.js, and the battle royale zone) ---
+// A worm being worn down doesn't regrow to WORM_INITIAL_LENGTH, it does again once it's clear
+const HAZARD_SHRINK_PER_SECOND = 60; // Segments a worm loses per second in a shrinking hazard (outside the zone: see battleRoyale.js)
+const SHRINK_MIN_LENGTH = 20; // Shrinking stops here, a worm this short that's still being worn down dies
+
+// Collision Detection (XY distances, used as grid query radii)
+// Thresholds scale with each worm's radius (a radius 8 worm: 9.6 to itself, 12 to another radius 8 worm)
+const SELF_COLLISION_RADIUS_FACTOR = 1.2; // Head to own body: 1.2x the worm's radius
+const OTHER_COLLISION_RADIUS_FACTOR = 0.75; // Head to another body: 0.75x the sum of both radii
+const HEAD_ON_SEGMENT_COUNT = 3; // A head touching one of another worm's first 3 segments is a head-on collision (see collisionRules.js)
+const BOUNCE_GRACE_MS = 400; // After bouncing, two worms ignore each other this long so their swerve can clear the other's body
+
+// Spatial Grid (used for all proximity queries)
+const GRID_CELL_SIZE = 64; // World units per grid cell, a bit larger than the common query radii
+
+// --- AI Bot Constants ---
+const BOT_COUNT = 15; // Number of bots to try and maintain, adjust based on server performance
+const BOT_NAME_PREFIX = "AI_Bot";
+const BOT_RESPAWN_DELAY_MS = 5000; // Dead bots come back after this long
+const DEATH_SITE_LIFETIME_MS = 10000; // Bots remember where worms died (and dropped food) this long
+// Brains (botBrain.js) steer the bots, the standard one with its difficulty tiers is in botAI.js
+
+/**
+ * First own segment a head can collide with. Segments are one tick of movement apart, so the neck that always
+ * overlaps the head gets longer as the worm gets thicker, and as it slows down (frozen, in a slow zone).
+ * @param {number} radius - The worm's radius.
+ * @param {number} [stepLength=WORM_SPEED] - How far the head moved this tick.
+ * @returns {number} A segment index.
+ */
+function selfCollisionStartIndex(radius, stepLength = WORM_SPEED) {
+    return Math.ceil(radius * SELF_COLLISION_RADIUS_FACTOR / Math.min(stepLength, WORM_SPEED)) + 1;
+}
+
+// Settings a world runs with (the server's config sets them, private matches let the host change some).
+// The food ecosystem aims for maxFood ambient pellets in a default-sized world, scaled with the world's area,
+// plus foodPerWorm per living worm, all times foodDensity. worldEvents turns the scheduled world events on.
+const DEFAULT_SETTINGS = {
+    botCount: BOT_COUNT, worldWidth: WORLD_WIDTH, worldHeight: WORLD_HEIGHT, foodDensity: 1,
+    collisionRules: DEFAULT_COLLISION_RULES,
+    maxFood: MAX_FOOD, foodPerWorm: FOOD_PER_WORM,
+    powerUpDurationMs: POWER_UP_DURATION_MS, speedBoostFactor: SPEED_BOOST_FACTOR,
+    magnetRadiusMultiplier: MAGNET_RADIUS_MULTIPLIER, worldEvents: true,
+};
+// Settings that can't change while a world runs, only with reset()
+const RESET_ONLY_SETTINGS = ['worldWidth', 'worldHeight'];
+
+/**
+ * Completes partial settings with the defaults.
+ * @param {object} [partial] - Some of the DEFAULT_SETTINGS fields, collisionRules may be partial too.
+ * @returns {object} Full settings.
+ */
+function normalizeSettings(partial = {}) {
+    return { ...DEFAULT_SETTINGS, ...partial, collisionRules: normalizeCollisionRules(partial.collisionRules) };
+}
+
+/**
+ * Describes a death event in words, for logs and replays.
+ * @param {DeathEvent} death - The event passed to onPlayerDied.
+ * @returns {string} E.g. "collided with AI_Bot t_3".
+ */
+function describeDeath(death) {
+    switch (death.cause) {
+        case DEATH_CAUSE_WALL: return "hit world boundary";
+        case DEATH_CAUSE_OBSTACLE: return "hit a wall";
+        case DEATH_CAUSE_HAZARD: return "caught by a hazard";
+        case DEATH_CAUSE_ZONE: return "caught outside the zone";
+        case DEATH_CAUSE_SELF: return "collided with self";
+        case DEATH_CAUSE_PLAYER: return `collided with ${death.killerName}`;
+        default: return death.cause;
+    }
+}
+
+/**
+ * Creates a simulation.
+ * @param {object} [options]
+ * @param {number} [options.seed=0] - Seed for every random decision in the world.
+ * @param {object} [options.settings] - { botCount, worldWidth, worldHeight, foodDensity, collisionRules, maxFood,
+ *        foodPerWorm, powerUpDurationMs, speedBoostFactor, magnetRadiusMultiplier, worldEvents }, missing fields default
+ *        to DEFAULT_SETTINGS.
+ * @param {object} [options.map] - A map from parseMap() (worldMap.js): its size replaces the worldWidth and worldHeight
+ *        settings, worms die on its walls, spawn in its spawn zones, food gathers in its hotspots and its entities
+ *        (portals, blades, hazards, slow zones) move with the ticks. Default: an open world.
+ * @param {boolean} [options.scaleBotsWithPlayers=false] - Keep at least two bots per human on top of settings.botCount.
+ * @param {number} [options.tickRateMs=TICK_RATE_MS] - Length of one tick, used to turn durations into tick counts.
+ * @param {function(object, DeathEvent): void} [options.onPlayerDied] - Called with (player, death) when a worm dies.
+ *        DeathEvent: { victimId, victimName, victimIsBot, victimLength, cause, killerId, killerName }, where cause is
+ *        one of the DEATH_CAUSE_* values (or whatever a caller of killPlayer() passed) and the killer fields are null
+ *        unless another worm was hit.
+ * @param {function(string, object): void} [options.onWorldEvent] - Called with (phase, event) when a world event starts
+ *        or ends, phase is WORLD_EVENT_START or WORLD_EVENT_END and event is serialized (see worldEvents.js).
+ * @param {function(object): void} [options.onZoneChange] - Called with the serialized battle royale zone when it
+ *        starts, a hold or shrink starts, or with null when it's stopped (see battleRoyale.js).
+ * @param {object} [options.botMix=DEFAULT_BOT_MIX] - Relative share of each bot difficulty, e.g. { easy: 1, hard: 1 }.
+ * @param {object} [options.brainMix=DEFAULT_BRAIN_MIX] - Relative share of each registered bot brain, e.g. { standard: 3, greedy: 1 }.
+ * @param {object} [options.logger=console] - Receives log()/warn() calls, pass a silent one in tests.
+ * @returns {object} The simulation, see the returned object at the bottom for its API.
+ */
+function createSimulation(options = {}) {
+    const rng = createRng(options.seed ?? 0);
+    const scaleBotsWithPlayers = Boolean(options.scaleBotsWithPlayers);
+    const tickRateMs = options.tickRateMs ?? TICK_RATE_MS;
+    const onPlayerDied = options.onPlayerDied || (() => {});
+    const onWorldEvent = options.onWorldEvent || (() => {});
+    const onZoneChange = options.onZoneChange || (() => {});
+    const map = options.map || null;
+    const logger = options.logger || console;
+    let botMix = options.botMix || DEFAULT_BOT_MIX;
+    let brainMix = options.brainMix || DEFAULT_BRAIN_MIX;
+
+    // Durations in ticks, the simulation's only clock
+    const botRespawnDelayTicks = Math.round(BOT_RESPAWN_DELAY_MS / tickRateMs);
+    const bounceGraceTicks = Math.round(BOUNCE_GRACE_MS / tickRateMs);
+    const deathSiteLifetimeTicks = Math.round(DEATH_SITE_LIFETIME_MS / tickRateMs);
+    // Whole segments to wear a worm down by this tick for perSecond on average, the fractions carry over between ticks
+    const shrinkThisTick = (perSecond) => {
+        const perTick = perSecond * tickRateMs / 1000;
+        return Math.floor(tick * perTick) - Math.floor((tick - 1) * perTick);
+    };
+
+    // A map fixes the world's size whatever the settings say
+    const withMapSize = (worldSettings) => (map ? { ...worldSettings, worldWidth: map.width, worldHeight: map.height } : worldSettings);
+
+    // --- World State ---
+    let settings = withMapSize(normalizeSettings(options.settings));
+    let tick = 0; // Number of steps run so far
+    // players: { id: PlayerObject }
+    // PlayerObject: { id, name, isBot, botBrain?, botDifficulty?, respawnTick?, worm: { segments, radius, angle, targetAngle, color, score, kills, isAlive, spawnId, headSeq, pendingGrowth, powerUps, wantsToSprint, isSprinting, sprintTicks, stepLength, bouncedOffId, bounceGraceEndTick, botState (the bot brain's memory) } }
+    // Callers may keep their own per-player fields on the object (the server stores viewport info there).
+    let players = {};
+    // food: Array of { x, y, z, color, radius, id, type, value, origin, expireTick } (see foodEcosystem.js)
+    let food = [];
+    // eatenFoodThisTick: Array of { id, eaterId, type } - Which food was eaten during the last step
+    let eatenFoodThisTick = [];
+    // segmentGrid: every living worm segment, rebuilt each tick. Entries: { x, y, item: PlayerObject, index: segmentIndex }
+    let segmentGrid = new SpatialGrid(settings.worldWidth, settings.worldHeight, GRID_CELL_SIZE);
+    // foodGrid: every food item, updated incrementally as food spawns and gets eaten. Entries: { x, y, item: FoodObject }
+    let foodGrid = new SpatialGrid(settings.worldWidth, settings.worldHeight, GRID_CELL_SIZE);
+    // deathSites: Array of { x, y, length, tick } - Where worms died recently, bots go looting there
+    let deathSites = [];
+
+    // The map's portals, blades, hazards and slow zones, moved to their place for the tick at the start of step()
+    const mapEntities = createMapEntities({ map, tickRateMs, get tick() { return tick; } });
+
+    // Bot brains read the world through getters, so they always see the current state (reset() replaces the grids)
+    const botBrains = createBotBrainRunner({
+        rng,
+        get tick() { return tick; },
+        get settings() { return settings; },
+        get players() { return players; },
+        get foodGrid() { return foodGrid; },
+        get segmentGrid() { return segmentGrid; },
+        get deathSites() { return deathSites; },
+        map,
+        mapEntities,
+        zoneCircle: () => safeZone.current(),
+    }, logger);
+
+    // How much food there is and where it spawns, reads the world through getters like the bot brains
+    const foodEcosystem = createFoodEcosystem({
+        rng,
+        tickRateMs,
+        get tick() { return tick; },
+        get settings() { return settings; },
+        get food() { return food; },
+        map,
+        livingWormCount: () => Object.values(players).filter(player => player.worm?.isAlive).length,
+        isClear: (x, y) => isSpawnPositionClear(x, y),
+        isClearOfWorms: (x, y) => isClearOfWorms(x, y) && !touchesWall(map, x, y, WALL_SPAWN_CLEARANCE),
+        spawnPellet: (x, y) => spawnAmbientPellet(x, y),
+        removeFood: (foodItem) => removeFood(foodItem),
+    });
+
+    // Timed events (food rain, double score, ...), reads the world through getters too
+    const worldEvents = createWorldEvents({
+        rng,
+        tickRateMs,
+        get tick() { return tick; },
+        get settings() { return settings; },
+        isClear: (x, y) => isSpawnPositionClear(x, y),
+        spawnPellet: (x, y, options) => spawnEventPellet(x, y, options),
+        onEvent: (phase, event) => {
+            logger.log(`World event ${event.label} ${phase === WORLD_EVENT_START ? 'started' : 'ended'}`);
+            onWorldEvent(phase, event);
+        },
+    });
+
+    // The battle royale safe zone, off unless startZone() is called (the server's rounds drive it, see server/rounds.js)
+    const safeZone = createSafeZone({
+        rng,
+        tickRateMs,
+        get tick() { return tick; },
+        get settings() { return settings; },
+        isOpen: (x, y) => !touchesWall(map, x, y, 0),
+        onChange: (zone) => onZoneChange(zone),
+    });
+    // While locked (a battle royale round is running) the dead stay dead: no respawns, no bots added or removed
+    // and players who join get no worm until it's unlocked
+    let respawnsLocked = false;
+
+    let nextFoodId = 0; // Simple food ID counter
+    let nextBotId = 0; // Simple bot ID counter
+    let nextSpawnId = 0; // Increments on every (re)spawn (and rebuilt body) so clients can tell a new worm from an old one with the same ID
+
+    // What power-up onActivate hooks may do to the world (see powerUps.js)
+    const powerUpWorld = {
+        get tick() { return tick; },
+        get settings() { return settings; },
+        wormsNear(x, y, radius, exceptWorm) {
+            return Object.values(players)
+                .map(player => player.worm)
+                .filter(worm => worm?.isAlive && worm !== exceptWorm && worm.segments.length > 0 &&
+                    (worm.segments[0].x - x) ** 2 + (worm.segments[0].y - y) ** 2 <= radius * radius);
+        },
+        applyPowerUp(worm, id) {
+            const powerUp = getPowerUp(id);
+            if (powerUp) activatePowerUp(worm, powerUp, tick, powerUpDurationTicks(powerUp));
+        },
+        // The segments were rebuilt rather than moved, clients need the whole worm again (like after a respawn)
+        bodyChanged(worm) {
+            worm.spawnId = nextSpawnId++;
+        },
+    };
+
+    function getRandomColor() { return `hsl(${rng() * 360}, 80%, 60%)`; }
+
+    // A food tier for ambient food, by the tiers' spawn weights
+    function getRandomFoodTier() {
+        const totalWeight = FOOD_TIERS.reduce((sum, tier) => sum + tier.spawnWeight, 0);
+        let roll = rng() * totalWeight;
+        return FOOD_TIERS.find(tier => (roll -= tier.spawnWeight) < 0) || FOOD_TIERS[0];
+    }
+
+    // A random food image that isn't one of the power-ups, for food left behind by worms
+    function getRandomRegularFoodType() {
+        let foodType;
+        do {
+            foodType = Math.floor(rng() * FOOD_IMAGE_TYPES) + 1;
+        } while (powerUpForFoodType(foodType));
+        return foodType;
+    }
+
+    function getRandomSpawnPositionXY(margin = 100) {
+        const x = rng() * (settings.worldWidth - 2 * margin) + margin;
+        const y = rng() * (settings.worldHeight - 2 * margin) + margin;
+        return { x, y };
+    }
+
+    // A spot in one of the map's spawn zones, or anywhere (kept margin away from the edges) without zones. The
+    // map's author placed the zones, so they only keep the head room from the edges.
+    function getSpawnPositionXY(margin) {
+        if (!map || map.spawnZones.length === 0) return getRandomSpawnPositionXY(margin);
+        const zone = map.spawnZones[Math.floor(rng() * map.spawnZones.length)];
+        const angle = rng() * Math.PI * 2;
+        const distance = Math.sqrt(rng()) * zone.radius;
+        const clamp = (value, size) => Math.min(size - WALL_SPAWN_HEAD_ROOM, Math.max(WALL_SPAWN_HEAD_ROOM, value));
+        return {
+            x: clamp(zone.x + Math.cos(angle) * distance, settings.worldWidth),
+            y: clamp(zone.y + Math.sin(angle) * distance, settings.worldHeight),
+        };
+    }
+
+    /**
+     * Checks if a potential spawn point is too close to existing food or worms.
+     * @param {number} x - Potential X coordinate.
+     * @param {number} y - Potential Y coordinate.
+     * @returns {boolean} True if the position is clear, false otherwise.
+     */
+    function isSpawnPositionClear(x, y) {
+        if (touchesWall(map, x, y, WALL_SPAWN_CLEARANCE)) return false;
+        // Check against existing food
+        if (foodGrid.query(x, y, MIN_FOOD_SPAWN_DISTANCE, () => true)) {
+            return false; // Too close to other food
+        }
+        return isClearOfWorms(x, y);
+    }
+
+    /**
+     * Checks if a potential spawn point is away from living worms, with more room around their heads.
+     * @param {number} x - Potential X coordinate.
+     * @param {number} y - Potential Y coordinate.
+     * @returns {boolean} True if the position is clear, false otherwise.
+     */
+    function isClearOfWorms(x, y) {
+        const tooCloseToWorm = segmentGrid.query(x, y, WORM_HEAD_SPAWN_CLEARANCE, (entry, distSq) => {
+            if (!entry.item.worm?.isAlive) return false;
+            return entry.index === 0 || distSq < MIN_FOOD_SPAWN_DISTANCE_SQ;
+        });
+        return !tooCloseToWorm; // Position is clear
+    }
+
+    /**
+     * Adds a food item to the world and the food grid.
+     * @param {object} foodItem - The food item to add, with its origin (FOOD_ORIGIN_*).
+     */
+    function addFood(foodItem) {
+        foodEcosystem.foodAdded(foodItem); // Sets when it despawns
+        food.push(foodItem);
+        foodGrid.insert(foodItem.x, foodItem.y, foodItem);
+    }
+
+    /**
+     * Removes a food item from the world and the food grid.
+     * @param {object} foodItem - The food item to remove.
+     */
+    function removeFood(foodItem) {
+        const index = food.indexOf(foodItem);
+        if (index !== -1) food.splice(index, 1);
+        foodGrid.remove(foodItem.x, foodItem.y, foodItem);
+    }
+
+    /**
+     * Rebuilds the segment grid from the current positions of all living worms.
+     */
+    function rebuildSegmentGrid() {
+        segmentGrid.clear();
+        for (const pId in players) {
+            const player = players[pId];
+            if (!player.worm?.isAlive) continue;
+            const segments = player.worm.segments;
+            for (let k = 0; k < segments.length; k++) {
+                segmentGrid.insert(segments[k].x, segments[k].y, player, k);
+            }
+        }
+    }
+
+    /**
+     * Adds one ambient pellet (a random type and tier) where the food ecosystem wants it.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     */
+    function spawnAmbientPellet(x, y) {
+        const foodType = Math.floor(rng() * FOOD_IMAGE_TYPES) + 1;
+        const tier = getRandomFoodTier();
+        addFood({
+            id: `food-${nextFoodId++}`,
+            x, y, z: WORLD_GROUND_Z,
+            color: tier.color || getRandomColor(), // Still include color, client can decide to use it or image
+            radius: tier.radius,
+            type: foodType, // <-- Added type identifier
+            value: tier.value,
+            origin: FOOD_ORIGIN_AMBIENT,
+        });
+    }
+
+
+    /**
+     * Adds one pellet for a world event: of the given tier (or a random one), or power-up food.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @param {object} [options] - { tier: a FOOD_TIERS entry, powerUp: true for a random power-up's food }.
+     */
+    function spawnEventPellet(x, y, { tier = null, powerUp = false } = {}) {
+        const powerUpFoodTypes = listPowerUps().filter(definition => definition.foodType !== null).map(definition => definition.foodType);
+        const foodType = powerUp && powerUpFoodTypes.length > 0
+            ? powerUpFoodTypes[Math.floor(rng() * powerUpFoodTypes.length)]
+            : getRandomRegularFoodType();
+        const pelletTier = tier || getRandomFoodTier();
+        addFood({
+            id: `food-${nextFoodId++}`,
+            x, y, z: WORLD_GROUND_Z,
+            color: pelletTier.color || getRandomColor(),
+            radius: pelletTier.radius,
+            type: foodType,
+            value: pelletTier.value,
+            origin: FOOD_ORIGIN_EVENT,
+        });
+    }
+
+    function createInitialWormSegments(startX, startY, length, angle) {
+        const segments = [];
+        for (let i = 0; i < length; i++) {
+            segments.push({
+                x: startX - Math.cos(angle) * i * WORM_SEGMENT_DISTANCE,
+                y: startY - Math.sin(angle) * i * WORM_SEGMENT_DISTANCE,
+                z: WORLD_GROUND_Z // Ensure segments have a Z coordinate
+            });
+        }
+        return segments;
+    }
+
+    // --- Player & Bot Management Functions ---
+
+    /**
+     * Initializes or resets a player's or bot's worm state.
+     * @param {string} pId - The player ID (socket ID on the server) or bot ID.
+     */
+    function resetPlayer(pId) {
+        const player = players[pId];
+        if (!player) return;
+
+        // Find a clear spawn position for the new worm
+        let spawnPos = null;
+        let spawnAngle = null;
+        let attempts = 0;
+        const maxAttempts = 20; // Try multiple times to find a clear spot
+        const spawnMargin = WORM_INITIAL_LENGTH * WORM_SEGMENT_DISTANCE + 100; // Ensure enough space
+
+        while (!spawnPos && attempts < maxAttempts) {
+            attempts++;
+            const potentialPos = getSpawnPositionXY(spawnMargin);
+            // Check if the potential spawn area for the whole worm is clear
+            const startAngle = rng() * Math.PI * 2;
+            // ...and that it doesn't start out heading straight into a wall, the edge or a map entity
+            const aheadX = potentialPos.x + Math.cos(startAngle) * WALL_SPAWN_HEAD_ROOM;
+            const aheadY = potentialPos.y + Math.sin(startAngle) * WALL_SPAWN_HEAD_ROOM;
+            let areaClear = aheadX > 0 && aheadX < settings.worldWidth && aheadY > 0 && aheadY < settings.worldHeight
+                && !touchesWall(map, aheadX, aheadY, WALL_SPAWN_CLEARANCE) && !mapEntities.blocksSpawn(aheadX, aheadY, WALL_SPAWN_CLEARANCE);
+            const tempSegments = createInitialWormSegments(potentialPos.x, potentialPos.y, WORM_INITIAL_LENGTH, startAngle);
+            for(const seg of tempSegments) {
+                if (!isSpawnPositionClear(seg.x, seg.y) || mapEntities.blocksSpawn(seg.x, seg.y, WALL_SPAWN_CLEARANCE)) {
+                    areaClear = false;
+                    break;
+                }
+            }
+            if (areaClear) {
+                 spawnPos = potentialPos;
+                 spawnAngle = startAngle; // The body was checked along this heading
+            }
+        }
+
+        // Fallback if no perfectly clear area found
+        if (!spawnPos) {
+             logger.warn(`Could not find perfectly clear spawn area for ${player.name}, using a random spot.`);
+             spawnPos = getSpawnPositionXY(spawnMargin); // Use a random spot (in a spawn zone on maps) as fallback
+        }
+
+
+        const startAngle = spawnAngle ?? rng() * Math.PI * 2;
+        const newColor = getRandomColor(); // Generate color
+
+        player.worm = {
+            segments: createInitialWormSegments(spawnPos.x, spawnPos.y, WORM_INITIAL_LENGTH, startAngle),
+            radius: wormRadiusForLength(WORM_INITIAL_LENGTH), // Follows the length, updated every tick in checkCollisions()
+            angle: startAngle,
+            targetAngle: startAngle, // Target angle starts same as current
+            color: newColor,
+            score: 0,
+            kills: 0, // Worms that died running into this one
+            isAlive: true,
+            spawnId: nextSpawnId++,
+            headSeq: 0, // Number of head segments added so far, lets the delta protocol send only new heads
+            pendingGrowth: 0, // Segments still to grow from eaten food, one per tick
+            powerUps: {}, // Active power-ups: { [id]: endTick } (see powerUps.js)
+            // Sprint: wantsToSprint is the player's input, isSprinting whether the worm can afford it right now
+            wantsToSprint: false,
+            isSprinting: false,
+            sprintTicks: 0, // Ticks spent sprinting, paces the shedding
+            stepLength: WORM_SPEED, // How far the head moved last tick, sizes the neck the self collision skips
+            // Head-on bounce: who this worm last bounced off and until when the two ignore each other
+            bouncedOffId: null,
+            bounceGraceEndTick: 0,
+            // Bot-specific state reset
+            botState: player.isBot ? createBrainMemory(player.botBrain) : undefined,
+        };
+        logger.log(`${player.isBot ? 'Bot' : 'Player'} ${player.name} (${pId}) spawned at (${spawnPos.x.toFixed(1)}, ${spawnPos.y.toFixed(1)})`);
+    }
+
+    /**
+     * Adds a new AI bot to the game.
+     */
+    function addBot() {
+        const botId = `bot_${nextBotId++}`; // Unique bot ID
+        // Keep the arena's bots as close to the configured brain and difficulty mixes as possible
+        const brainCounts = {};
+        const difficultyCounts = {};
+        Object.values(players).forEach(p => {
+            if (!p.isBot) return;
+            brainCounts[p.botBrain] = (brainCounts[p.botBrain] || 0) + 1;
+            difficultyCounts[p.botDifficulty] = (difficultyCounts[p.botDifficulty] || 0) + 1;
+        });
+        const botBrain = pickBotBrain(brainMix, brainCounts);
+        const botDifficulty = pickBotDifficulty(botMix, difficultyCounts);
+        const namePrefix = getBotBrain(botBrain)?.namePrefix || BOT_NAME_PREFIX;
+        const botName = `${namePrefix} ${botId.substring(botId.length - 3)}`; // Bot name
+        logger.log(`Adding Bot: ${botName} (${botId}, ${botBrain}, ${botDifficulty})`);
+        players[botId] = {
+            id: botId,
+            name: botName,
+            isBot: true,
+            botBrain,
+            botDifficulty,
+            worm: { // Initial placeholder, resetPlayer will fill it
+                 segments: [], angle: 0, targetAngle: 0, color: getRandomColor(), score: 0, isAlive: false,
+                 powerUps: {},
+                 botState: createBrainMemory(botBrain)
+            }
+        };
+        resetPlayer(botId); // Initialize the bot's state
+    }
+
+    /**
+     * Removes a bot from the game.
+     * @param {string} botId - The ID of the bot to remove.
+     */
+    function removeBot(botId) {
+         if (players[botId] && players[botId].isBot) {
+             logger.log(`Removing Bot: ${players[botId].name} (${botId})`);
+             delete players[botId];
+         }
+    }
+
+    /**
+     * Kills a player or bot, credits the killer (if any) and reports the death to onPlayerDied.
+     * @param {string} pId - The ID of the player/bot.
+     * @param {string} cause - One of the DEATH_CAUSE_* values, or any other short reason (e.g. "disconnected").
+     * @param {string} [killerId] - The worm that was run into, for DEATH_CAUSE_PLAYER.
+     */
+    function killPlayer(pId, cause, killerId = null) {
+        const player = players[pId];
+        // Ensure player exists and is currently alive before killing
+        if (player && player.worm && player.worm.isAlive) {
+            const killer = killerId ? players[killerId] : null;
+            const death = {
+                victimId: pId,
+                victimName: player.name,
+                victimIsBot: player.isBot,
+                victimLength: player.worm.segments.length,
+                cause,
+                killerId: killer ? killer.id : null,
+                killerName: killer ? killer.name : null,
+            };
+            if (killer?.worm) killer.worm.kills++;
+            logger.log(`${player.isBot ? 'Bot' : 'Player'} ${player.name} (${pId}) died: ${describeDeath(death)}. Score: ${player.worm.score}`);
+            player.worm.isAlive = false; // Mark as dead
+
+            if (player.worm.segments) dropWormMass(player.worm);
+
+
+            const head = player.worm.segments[0];
+            if (head) deathSites.push({ x: head.x, y: head.y, length: player.worm.segments.length, tick });
+
+            // Respawn bots automatically after a delay (see respawnBots())
+            if (player.isBot) {
+                player.respawnTick = tick + botRespawnDelayTicks;
+            }
+            onPlayerDied(player, death);
+        }
+    }
+
+    /**
+     * Turns DEATH_DROP_MASS_RATIO of a dead worm's length into pellets (largest tiers first) spread evenly along
+     * its body. The drop doesn't count against the food target, so a big worm always leaves a big meal.
+     * @param {object} worm - The dead worm.
+     */
+    function dropWormMass(worm) {
+        const segments = worm.segments;
+        if (segments.length === 0) return;
+        let mass = Math.floor(segments.length * DEATH_DROP_MASS_RATIO);
+        const pellets = [];
+        DEATH_DROP_TIERS.forEach(tier => {
+            for (; mass >= tier.value; mass -= tier.value) pellets.push(tier);
+        });
+        pellets.forEach((tier, k) => {
+            const seg = segments[Math.min(segments.length - 1, Math.floor((k + rng()) * segments.length / pellets.length))];
+            const offsetAngle = rng() * Math.PI * 2;
+            const offset = rng() * (worm.radius || WORM_SEGMENT_RADIUS);
+            const x = seg.x + Math.cos(offsetAngle) * offset;
+            const y = seg.y + Math.sin(offsetAngle) * offset;
+            if (touchesWall(map, x, y, tier.radius)) return; // Nobody could eat it (the head that hit a wall is in one)
+            addFood({
+                id: `food-${nextFoodId++}`,
+                x, y,
+                z: seg.z ?? WORLD_GROUND_Z,
+                color: worm.color, radius: tier.radius,
+                type: getRandomRegularFoodType(), // Never a power-up
+                value: tier.value,
+                origin: FOOD_ORIGIN_DROP,
+            });
+        });
+    }
+
+    /**
+     * Respawns dead bots whose respawn delay is over.
+     */
+    function respawnBots() {
+        if (respawnsLocked) return;
+        Object.values(players).forEach(player => {
+            if (player.isBot && !player.worm.isAlive && player.respawnTick !== undefined && tick >= player.respawnTick) {
+                player.respawnTick = undefined;
+                resetPlayer(player.id);
+                logger.log(`Respawning bot ${player.name}`);
+            }
+        });
+    }
+
+    /**
+     * Turns off power-ups whose duration is over.
+     */
+    function expirePowerUps() {
+        Object.values(players).forEach(player => {
+            if (player.worm?.powerUps) expireWormPowerUps(player.worm, tick);
+        });
+    }
+
+    /**
+     * Length of a power-up in ticks: its own duration, or the world's powerUpDurationMs.
+     * @param {object} definition - The power-up (see powerUps.js).
+     * @returns {number} Ticks.
+     */
+    function powerUpDurationTicks(definition) {
+        return Math.round((definition.durationMs ?? settings.powerUpDurationMs) / tickRateMs);
+    }
+
+    /**
+     * Remaining time of a worm's active power-ups, for snapshots.
+     * @param {object} worm - A player's worm.
+     * @returns {object} { [powerUpId]: remainingMs }, empty without any.
+     */
+    function getPowerUpTimers(worm) {
+        return worm?.powerUps ? powerUpTimers(worm, tick, tickRateMs) : {};
+    }
+
+    /**
+     * Sprinting costs length: every SPRINT_SHED_INTERVAL_TICKS a sprinting worm loses its last segment,
+     * which is left behind as small food, and the score that segment was worth.
+     * Sprinting stops by itself once the worm is down to SPRINT_MIN_LENGTH.
+     * @param {object} worm - The worm object.
+     */
+    function updateSprint(worm) {
+        worm.isSprinting = worm.wantsToSprint && worm.segments.length > SPRINT_MIN_LENGTH;
+        if (!worm.isSprinting) return;
+
+        worm.sprintTicks++;
+        if (worm.sprintTicks % SPRINT_SHED_INTERVAL_TICKS !== 0) return;
+        const tail = worm.segments.pop();
+        worm.score = Math.max(0, worm.score - FOOD_SCORE * SPRINT_FOOD_TIER.value);
+        // Shed food doesn't count against the food target, it's only ever as much as the worm ate before
+        addFood({
+            id: `food-${nextFoodId++}`,
+            x: tail.x, y: tail.y, z: tail.z ?? WORLD_GROUND_Z,
+            color: worm.color, radius: SPRINT_FOOD_TIER.radius,
+            type: getRandomRegularFoodType(),
+            value: SPRINT_FOOD_TIER.value,
+            origin: FOOD_ORIGIN_SHED,
+        });
+    }
+
+    /**
+     * Wears a worm down: removes segments from its tail (never below SHRINK_MIN_LENGTH) and the score they were worth.
+     * @param {object} worm - The worm object.
+     * @param {number} segmentCount - Segments to remove.
+     * @returns {number} The worm's length afterwards.
+     */
+    function shrinkWorm(worm, segmentCount) {
+        const removed = Math.max(0, Math.min(segmentCount, worm.segments.length - SHRINK_MIN_LENGTH));
+        worm.segments.length -= removed;
+        worm.score = Math.max(0, worm.score - FOOD_SCORE * removed);
+        worm.radius = wormRadiusForLength(worm.segments.length);
+        return worm.segments.length;
+    }
+
+    // --- Game Logic Functions ---
+
+    /**
+     * Updates a single worm's position and angle based on its target angle.
+     * @param {object} worm - The worm object.
+     */
+    function updateWorm(worm) {
+        // Ensure worm is alive and has segments before updating
+        if (!worm.isAlive || !worm.segments || worm.segments.length === 0) return;
+
+        const head = worm.segments[0];
+        const targetAngle = worm.targetAngle;
+        let currentAngle = worm.angle;
+
+        // Calculate the shortest angle difference
+        let angleDiff = targetAngle - currentAngle;
+        while (angleDiff <= -Math.PI) angleDiff += Math.PI * 2;
+        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+
+        // Update current angle, turning towards target angle
+        if (Math.abs(angleDiff) > WORM_TURN_SPEED) {
+            currentAngle += Math.sign(angleDiff) * WORM_TURN_SPEED;
+        } else {
+            currentAngle = targetAngle; // Snap to target if close enough
+        }
+        // Normalize angle to be within 0 to 2*PI
+        worm.angle = (currentAngle + Math.PI * 2) % (Math.PI * 2);
+
+        // Determine current speed: power-ups (speed boost, frozen) times sprinting at the speed boost factor,
+        // which doesn't stack with the speed boost power-up, times the slow zones the head is in
+        const sprintFactor = worm.isSprinting && !hasPowerUp(worm, POWER_UP_SPEED) ? settings.speedBoostFactor : 1;
+        const currentSpeed = WORM_SPEED * powerUpModifier(worm, 'speed', settings) * sprintFactor * mapEntities.speedFactor(head.x, head.y);
+
+        // Calculate new head position, on the far side of a portal if it moved into one (the body follows
+        // through as the old segments trail off)
+        let newHeadX = head.x + Math.cos(worm.angle) * currentSpeed; // Use currentSpeed
+        let newHeadY = head.y + Math.sin(worm.angle) * currentSpeed; // Use currentSpeed
+        const newHeadZ = head.z ?? WORLD_GROUND_Z; // Ensure Z coordinate
+        worm.stepLength = currentSpeed;
+        const portalExit = mapEntities.portalExit(newHeadX, newHeadY, worm.angle);
+        if (portalExit) {
+            newHeadX = portalExit.x;
+            newHeadY = portalExit.y;
+        }
+
+        // Add new head segment at the front
+        worm.segments.unshift({ x: newHeadX, y: newHeadY, z: newHeadZ });
+        worm.headSeq++;
+
+        // Tail removal is handled after collision checks to allow for growth on eating
+    }
+
+    /**
+     * Checks for collisions between worms and food, and self/other worm collisions.
+     */
+    function checkCollisions() {
+        const playerIds = Object.keys(players);
+        eatenFoodThisTick = []; // Clear eaten food list at the start of the tick
+
+        // Create a list of only living worms for efficient collision checks
+        const livingWorms = playerIds
+            .map(id => players[id])
+            .filter(player => player.worm?.isAlive);
+
+        // --- Food Collision ---
+        // Iterate through living worms and check for food collision with their head
+        for (const player of livingWorms) {
+            const worm = player.worm;
+            let head = worm.segments[0];
+            if (!head) continue; // Should not happen for living worms
+
+            // Calculate the reach (larger with a magnet, and for bigger pellets) and how much food the worm can eat this tick
+            const reachMultiplier = powerUpModifier(worm, 'foodReach', settings);
+            const maxReach = foodReach(worm.radius, reachMultiplier, MAX_FOOD_RADIUS);
+            const foodPerTick = powerUpModifier(worm, 'foodPerTick', settings);
+            let eatenThisTick = 0;
+
+            // Collect food within reach first (the grid can't be modified while it's being queried), closest first
+            const reachableFood = [];
+            foodGrid.query(head.x, head.y, maxReach, (entry, distSq) => {
+                const reach = foodReach(worm.radius, reachMultiplier, entry.item.radius);
+                if (distSq <= reach * reach) reachableFood.push({ foodItem: entry.item, distSq });
+            });
+            reachableFood.sort((a, b) => a.distSq - b.distSq);
+
+            for (const { foodItem: eatenFoodItem } of reachableFood) {
+                // Food eaten!
+                removeFood(eatenFoodItem); // Remove the eaten food from the world and the grid
+                eatenFoodThisTick.push({ id: eatenFoodItem.id, eaterId: player.id, type: eatenFoodItem.type }); // Record eaten food with type
+
+                // Score (times any world event's multiplier) and growth by the pellet's value, the worm grows one
+                // segment per tick until it's all added
+                worm.score += FOOD_SCORE * eatenFoodItem.value * worldEvents.scoreMultiplier();
+                worm.pendingGrowth += eatenFoodItem.value; // The food ecosystem spawns new food over the next ticks
+
+                // Power-up food activates its power-up, turned off again by expirePowerUps()
+                const powerUp = powerUpForFoodType(eatenFoodItem.type);
+                if (powerUp) {
+                    activatePowerUp(worm, powerUp, tick, powerUpDurationTicks(powerUp));
+                    powerUp.onActivate?.(worm, powerUpWorld);
+                }
+
+                // One food per tick, unless a power-up (magnet) lets the worm eat everything in reach
+                if (++eatenThisTick >= foodPerTick) break;
+            }
+
+            // Shrinking hazards wear the worm down while its head is in one, and so does being outside the zone (the
+            // collision checks kill it once it's down to SHRINK_MIN_LENGTH). A reverse power-up just eaten has
+            // turned the worm around, its head is the old tail now
+            head = worm.segments[0];
+            const hazard = mapEntities.hazardAt(head.x, head.y, worm.radius);
+            const inShrinkingHazard = Boolean(hazard) && hazard.entity.effect !== ENTITY_EFFECT_KILL;
+            const outsideZone = !safeZone.contains(head.x, head.y);
+
+            // Worm Movement/Growth Logic - The tail stays (the worm grows a segment) while it has growth pending,
+            // otherwise it's removed to make up for the new head
+            if (worm.pendingGrowth > 0) {
+                worm.pendingGrowth--;
+            } else if (worm.segments.length > WORM_INITIAL_LENGTH || inShrinkingHazard || outsideZone) {
+                worm.segments.pop(); // Remove the last segment (tail)
+            }
+            worm.radius = wormRadiusForLength(worm.segments.length);
+            if (inShrinkingHazard) shrinkWorm(worm, shrinkThisTick(HAZARD_SHRINK_PER_SECOND));
+            if (outsideZone) shrinkWorm(worm, shrinkThisTick(ZONE_SHRINK_PER_SECOND));
+        }
+
+
+        // --- Worm-to-Worm Collision (Self and Other) ---
+        // Heads are only tested against segments in nearby grid cells instead of every segment of every worm.
+        // The grid is rebuilt here, after growth/tail removal, so it matches the final positions of this tick.
+        rebuildSegmentGrid();
+        resolveWormCollisions(livingWorms);
+    }
+
+    /**
+     * Finds every worm contact of this tick and applies the collision rules. All contacts are found against the
+     * positions after movement, before anyone is removed, and the deaths are applied together at the end: two worms
+     * that hit each other in the same tick both die (or win) no matter which one is checked first.
+     * Intangible worms (ghost) neither hit nor get hit by worm bodies, and a worm with a shield survives one
+     * deadly worm collision (not a wall, hazard or the zone), then gets a moment of intangibility to get clear.
+     * @param {Array<object>} livingWorms - Players whose worms were alive after movement.
+     */
+    function resolveWormCollisions(livingWorms) {
+        const rules = settings.collisionRules;
+        const deaths = new Map(); // player -> { cause, killerId }, first cause found wins
+        const bounces = new Map(); // player -> { otherId, awayAngle: direction from the other head to its own }
+        const resolvedHeadOns = new Set(); // "idA|idB" pairs already decided this tick
+
+        const addDeath = (player, cause, killerId = null) => {
+            if (!deaths.has(player)) deaths.set(player, { cause, killerId });
+        };
+
+        livingWorms.forEach(player => {
+            const worm = player.worm;
+            const head = worm.segments[0];
+            if (!head) return; // Should not happen
+
+            // 1. World Boundary Collision
+            if (head.x < 0 || head.x > settings.worldWidth || head.y < 0 || head.y > settings.worldHeight) {
+                addDeath(player, DEATH_CAUSE_WALL);
+                return;
+            }
+            if (touchesWall(map, head.x, head.y, worm.radius)) {
+                addDeath(player, DEATH_CAUSE_OBSTACLE);
+                return;
+            }
+            const hazard = mapEntities.hazardAt(head.x, head.y, worm.radius);
+            if (hazard && (hazard.entity.effect === ENTITY_EFFECT_KILL || worm.segments.length <= SHRINK_MIN_LENGTH)) {
+                addDeath(player, DEATH_CAUSE_HAZARD);
+                return;
+            }
+            if (worm.segments.length <= SHRINK_MIN_LENGTH && !safeZone.contains(head.x, head.y)) {
+                addDeath(player, DEATH_CAUSE_ZONE);
+                return;
+            }
+
+            // Ghosts only collide with walls
+            if (hasPowerUpFlag(worm, FLAG_INTANGIBLE)) return;
+
+            // 2. Self Collision
+            // Check head collision with its own segments, skipping the neck
+            const selfStartIndex = selfCollisionStartIndex(worm.radius, worm.stepLength);
+            const hitSelf = segmentGrid.query(head.x, head.y, worm.radius * SELF_COLLISION_RADIUS_FACTOR, (entry) =>
+                entry.item === player && entry.index >= selfStartIndex
+            );
+            if (hitSelf) {
+                addDeath(player, DEATH_CAUSE_SELF);
+                return;
+            }
+
+            // 3. Other Player/Bot Collision: the closest head-on contact, else the closest body contact
+            let headOn = null;
+            let bodyHit = null;
+            // The query covers the thickest possible worm, each entry is then checked against its own worm's radius
+            const maxReach = (worm.radius + WORM_MAX_SEGMENT_RADIUS) * OTHER_COLLISION_RADIUS_FACTOR;
+            segmentGrid.query(head.x, head.y, maxReach, (entry, distSq) => {
+                if (entry.item === player) return false;
+                if (hasPowerUpFlag(entry.item.worm, FLAG_INTANGIBLE)) return false;
+                if (entry.item.id === worm.bouncedOffId && tick < worm.bounceGraceEndTick) return false;
+                const reach = (worm.radius + entry.item.worm.radius) * OTHER_COLLISION_RADIUS_FACTOR;
+                if (distSq > reach * reach) return false;
+                if (entry.index < HEAD_ON_SEGMENT_COUNT) {
+                    if (!headOn || distSq < headOn.distSq) headOn = { other: entry.item, distSq };
+                } else if (!bodyHit || distSq < bodyHit.distSq) {
+                    bodyHit = { other: entry.item, distSq };
+                }
+                return false; // Keep looking, every contact counts
+            });
+
+            if (headOn) {
+                const other = headOn.other;
+                const pairKey = player.id < other.id ? `${player.id}|${other.id}` : `${other.id}|${player.id}`;
+                if (resolvedHeadOns.has(pairKey)) return; // Already decided from the other worm's side
+                resolvedHeadOns.add(pairKey);
+
+                const outcome = resolveHeadOn(worm.segments.length, other.worm.segments.length, rules);
+                if (outcome.aDies) addDeath(player, DEATH_CAUSE_PLAYER, other.id);
+                if (outcome.bDies) addDeath(other, DEATH_CAUSE_PLAYER, player.id);
+                if (outcome.bounce) {
+                    const otherHead = other.worm.segments[0];
+                    bounces.set(player, { otherId: other.id, awayAngle: Math.atan2(head.y - otherHead.y, head.x - otherHead.x) });
+                    bounces.set(other, { otherId: player.id, awayAngle: Math.atan2(otherHead.y - head.y, otherHead.x - head.x) });
+                }
+                return; // A head-on collision overrides body contacts in the same tick
+            }
+
+            if (bodyHit && !passesUnder(worm.segments.length, bodyHit.other.worm.segments.length, rules)) {
+                addDeath(player, DEATH_CAUSE_PLAYER, bodyHit.other.id);
+            }
+        });
+
+        bounces.forEach(({ otherId, awayAngle }, player) => {
+            if (deaths.has(player)) return;
+            const worm = player.worm;
+            worm.angle = bounceHeading(worm.angle, awayAngle);
+            worm.targetAngle = worm.angle;
+            worm.bouncedOffId = otherId;
+            worm.bounceGraceEndTick = tick + bounceGraceTicks;
+        });
+        // In livingWorms order, so logs, kill counts and food drops stay deterministic
+        deaths.forEach(({ cause, killerId }, player) => {
+            const isWorldHazard = [DEATH_CAUSE_WALL, DEATH_CAUSE_OBSTACLE, DEATH_CAUSE_HAZARD, DEATH_CAUSE_ZONE].includes(cause);
+            if (!isWorldHazard && consumePowerUpWithFlag(player.worm, FLAG_ABSORBS_COLLISION)) {
+                powerUpWorld.applyPowerUp(player.worm, POWER_UP_SHIELD_GRACE);
+                return;
+            }
+            killPlayer(player.id, cause, killerId);
+        });
+    }
+
+    /**
+     * Adds or removes bots to match the target count for the current number of humans.
+     */
+    function manageBots() {
+        if (respawnsLocked) return;
+        const humanPlayerCount = getHumanCount();
+        const currentBotCount = Object.values(players).filter(p => p.isBot).length;
+
+        // Maintain the configured number of bots, or (for public worlds) double the human players if that's more
+        const targetBots = scaleBotsWithPlayers ? Math.max(settings.botCount, humanPlayerCount * 2) : settings.botCount;
+
+        if (currentBotCount < targetBots) {
+            addBot();
+        } else if (currentBotCount > targetBots && currentBotCount > 0) {
+            // Remove excess bots (remove a random bot)
+            const botIds = Object.keys(players).filter(id => players[id].isBot);
+            if (botIds.length > targetBots) {
+                 const botToRemoveId = botIds[Math.floor(rng() * botIds.length)];
+                 removeBot(botToRemoveId);
+            }
+        }
+    }
+
+    // --- Main Step ---
+    /**
+     * Advances the world by one tick: map entities, the zone, bots, movement, collisions, power-up timers, food and
+     * world events.
+     */
+    function step() {
+        tick++;
+        mapEntities.update();
+        safeZone.update();
+
+        // 0. Bot Management (Add/Remove based on player count, respawn dead bots) and power-up expiry
+        manageBots();
+        respawnBots();
+        expirePowerUps();
+
+        // 1. Run the bot brains -> Sets bot's targetAngle and wantsToSprint
+        deathSites = deathSites.filter(site => tick - site.tick < deathSiteLifetimeTicks);
+        Object.values(players).forEach(player => {
+            if (player.isBot && player.worm?.isAlive) {
+                botBrains.update(player);
+            }
+        });
+
+        // 2. Update sprinting (and pay for it), then positions (XY) and angles of all living worms based on targetAngle
+        Object.values(players).forEach(player => {
+            if (player.worm?.isAlive) {
+                updateSprint(player.worm);
+                updateWorm(player.worm);
+            }
+        });
+
+        // 3. Check for collisions (XY), handle eating, death, etc.
+        checkCollisions(); // This populates eatenFoodThisTick and rebuilds segmentGrid
+
+        // 4. Food: top up towards the target, despawn old pellets
+        foodEcosystem.update();
+
+        // 5. World events: end and start them, spawn their food
+        worldEvents.update();
+    }
+
+    // --- World Control ---
+    /**
+     * Fills the world with bots and food for the current settings.
+     */
+    function populateWorld() {
+        // Initialize bots first, the food target counts them
+        for (let i = 0; i < settings.botCount; i++) { addBot(); }
+        rebuildSegmentGrid(); // So food doesn't spawn on top of them
+        foodEcosystem.reset();
+        foodEcosystem.fill();
+        worldEvents.reset();
+    }
+
+    /**
+     * Rebuilds the world with new settings: fresh food and bots, no zone, and every human respawned with a new worm
+     * (even while respawns are locked).
+     * @param {object} newSettings - Settings, see options.settings.
+     */
+    function reset(newSettings) {
+        settings = withMapSize(normalizeSettings(newSettings));
+        safeZone.stop();
+        segmentGrid = new SpatialGrid(settings.worldWidth, settings.worldHeight, GRID_CELL_SIZE);
+        foodGrid = new SpatialGrid(settings.worldWidth, settings.worldHeight, GRID_CELL_SIZE);
+        food = [];
+        eatenFoodThisTick = [];
+        deathSites = [];
+        Object.keys(players).forEach(pId => {
+            if (players[pId].isBot) delete players[pId];
+        });
+
+        populateWorld(); // Spawns the new bots
+        Object.keys(players).forEach(pId => {
+            if (!players[pId].isBot) resetPlayer(pId);
+        });
+    }
+
+    /**
+     * Changes settings of the running world. Bots are added or removed over the next ticks, a raised food target
+     * is filled up over the next ticks and a lowered one lets the food run down as it's eaten. Power-ups picked
+     * up from now on last the new duration. The world size can only change with reset().
+     * @param {object} partial - Some settings, see options.settings.
+     * @returns {object} The settings now in effect.
+     */
+    function updateSettings(partial) {
+        const next = { ...settings, ...partial };
+        RESET_ONLY_SETTINGS.forEach(key => { next[key] = settings[key]; });
+        settings = normalizeSettings(next);
+        return settings;
+    }
+
+    /**
+     * Changes the difficulty and brain mixes for bots added from now on.
+     * @param {object} [newBotMix] - See options.botMix, unchanged if omitted.
+     * @param {object} [newBrainMix] - See options.brainMix, unchanged if omitted.
+     */
+    function setBotMixes(newBotMix, newBrainMix) {
+        if (newBotMix) botMix = newBotMix;
+        if (newBrainMix) brainMix = newBrainMix;
+    }
+
+    // --- Human Players ---
+    /**
+     * Adds a human player and spawns its worm (unless respawns are locked, see setRespawnsLocked()).
+     * @param {string} pId - Unique player ID.
+     * @param {string} name - Display name.
+     * @returns {object} The player object.
+     */
+    function addHuman(pId, name) {
+        players[pId] = {
+            id: pId, name, isBot: false,
+            worm: { segments: [], angle: 0, targetAngle: 0, color: getRandomColor(), score: 0, isAlive: false } // Initial placeholder
+        };
+        if (!respawnsLocked) resetPlayer(pId); // Initialize player's worm state
+        return players[pId];
+    }
+
+    /**
+     * Removes a player (or bot) from the world without dropping food.
+     */
+    function removePlayer(pId) {
+        delete players[pId];
+    }
+
+    /**
+     * Steers a living player's worm towards an angle.
+     * @returns {boolean} True if the input was applied.
+     */
+    function setTargetAngle(pId, angle) {
+        const player = players[pId];
+        if (!player?.worm?.isAlive || typeof angle !== 'number' || !isFinite(angle)) return false;
+        player.worm.targetAngle = angle;
+        return true;
+    }
+
+    /**
+     * Sets whether a player is holding the sprint input. The simulation decides if the worm can actually sprint.
+     * @returns {boolean} True if the input was applied.
+     */
+    function setSprinting(pId, wantsToSprint) {
+        const player = players[pId];
+        if (!player?.worm?.isAlive) return false;
+        player.worm.wantsToSprint = Boolean(wantsToSprint);
+        return true;
+    }
+
+    /**
+     * Spawns a new worm for a dead player.
+     * @returns {boolean} True if the player was respawned.
+     */
+    function respawnPlayer(pId) {
+        const player = players[pId];
+        // Only respawn if the player exists, is currently dead and no round is keeping the dead out
+        if (!player || player.worm.isAlive || respawnsLocked) return false;
+        resetPlayer(pId);
+        return true;
+    }
+
+    /**
+     * Locks or unlocks respawns (humans' requests, bot respawns, new worms for players who join, bots being added
+     * or removed), for battle royale rounds. Bots that died while locked come back once unlocked.
+     * @param {boolean} locked - True to keep the dead out.
+     */
+    function setRespawnsLocked(locked) {
+        respawnsLocked = Boolean(locked);
+    }
+
+    /**
+     * @returns {number} Number of human players (bots excluded).
+     */
+    function getHumanCount() {
+        return Object.values(players).filter(p => !p.isBot).length;
+    }
+
+    populateWorld();
+
+    return {
+        rng,
+        get tick() { return tick; },
+        get settings() { return settings; },
+        get players() { return players; },
+        get food() { return food; },
+        map, // The parsed map (worldMap.js), or null
+        get eatenFood() { return eatenFoodThisTick; },
+        get segmentGrid() { return segmentGrid; },
+        get foodGrid() { return foodGrid; },
+        step,
+        reset,
+        updateSettings,
+        setBotMixes,
+        addHuman,
+        removePlayer,
+        setTargetAngle,
+        setSprinting,
+        respawnPlayer,
+        setRespawnsLocked,
+        getHumanCount,
+        getPowerUpTimers,
+        getFoodStats: () => foodEcosystem.getStats(),
+        getWorldEvents: () => worldEvents.getActive(),
+        getEntityStates: () => mapEntities.getMovingStates(), // Where the map's blades and hazards are, for snapshots
+        startWorldEvent: (type) => worldEvents.start(type), // For tests and admin tools, the scheduler starts them otherwise
+        // The battle royale zone: start it (covering the world, then shrinking on its schedule), stop it, read it
+        startZone: () => safeZone.start(),
+        stopZone: () => safeZone.stop(),
+        getZone: () => safeZone.getState(), // Serialized for clients, null while there's none
+        getZoneCircle: () => safeZone.current(), // { x, y, radius } this tick, null while there's none
+        killPlayer, // Exposed for tests and server-side rules (e.g. disconnect penalties)
+    };
+}
+
+module.exports = {
+    TICK_RATE_MS,
+    WORLD_WIDTH,
+    WORLD_HEIGHT,
+    WORLD_GROUND_Z,
+    WORM_INITIAL_LENGTH,
+    WORM_SEGMENT_RADIUS,
+    WORM_SEGMENT_DISTANCE,
+    FOOD_RADIUS,
+    FOOD_SCORE,
+    SPRINT_SHED_INTERVAL_TICKS,
+    SPRINT_MIN_LENGTH,
+    SHRINK_MIN_LENGTH,
+    FOOD_TYPE_POWER,
+    FOOD_TYPE_MAGNET,
+    BOT_COUNT,
+    MAX_FOOD,
+    POWER_UP_DURATION_MS,
+    SPEED_BOOST_FACTOR,
+    MAGNET_RADIUS_MULTIPLIER,
+    DEFAULT_SETTINGS,
+    RESET_ONLY_SETTINGS,
+    DEATH_CAUSE_WALL,
+    DEATH_CAUSE_OBSTACLE,
+    DEATH_CAUSE_HAZARD,
+    DEATH_CAUSE_ZONE,
+    DEATH_CAUSE_SELF,
+    DEATH_CAUSE_PLAYER,
+    describeDeath,
+    wormRadiusForLength,
+    createSimulation,
+};
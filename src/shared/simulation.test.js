@@ -0,0 +1,367 @@
+import {
+    createSimulation, FOOD_SCORE, FOOD_RADIUS, FOOD_TYPE_POWER, WORM_INITIAL_LENGTH,
+    SPRINT_SHED_INTERVAL_TICKS, SPRINT_MIN_LENGTH, DEATH_CAUSE_PLAYER, DEATH_CAUSE_WALL, describeDeath, wormRadiusForLength,
+} from './simulation';
+import { createRng } from './rng';
+import { HEAD_ON_BOUNCE, HEAD_ON_LARGER_WINS } from './collisionRules';
+import { POWER_UP_SPEED, POWER_UP_SHIELD, POWER_UP_SHIELD_GRACE, POWER_UP_GHOST, POWER_UP_FROZEN } from './powerUps';
+import { FOOD_TYPE_REVERSE, FOOD_TYPE_FREEZE } from './gameRules';
+import { makeSim, placeWorm } from './testWorld';
+
+function worldSnapshot(sim) {
+    return JSON.stringify({ players: sim.players, food: sim.food });
+}
+
+test('the rng is reproducible per seed', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const c = createRng(8);
+    const seqA = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(seqA);
+    expect([c(), c(), c()]).not.toEqual(seqA);
+    seqA.forEach(v => expect(v >= 0 && v < 1).toBe(true));
+});
+
+test('same seed and same inputs produce the same world', () => {
+    const run = (seed) => {
+        const sim = makeSim({ seed, settings: { botCount: 5 } });
+        sim.addHuman('p1', 'One');
+        for (let i = 0; i < 300; i++) {
+            if (i % 40 === 0) sim.setTargetAngle('p1', i / 100);
+            sim.step();
+        }
+        return worldSnapshot(sim);
+    };
+    expect(run(1)).toEqual(run(1));
+    expect(run(1)).not.toEqual(run(2));
+});
+
+test('a head hitting another worm kills it', () => {
+    const deaths = [];
+    const sim = makeSim({ settings: { botCount: 0 }, onPlayerDied: (player, death) => deaths.push(death) });
+    const a = sim.addHuman('a', 'Alice');
+    const b = sim.addHuman('b', 'Bob');
+    placeWorm(b, 1000, 500, 0); // Horizontal body from x=1000 back to ~x=370
+    placeWorm(a, 700, 490, Math.PI / 2); // Heading down into Bob's body
+
+    sim.step();
+
+    expect(a.worm.isAlive).toBe(false);
+    expect(b.worm.isAlive).toBe(true);
+    expect(deaths).toEqual([{
+        victimId: 'a', victimName: 'Alice', victimIsBot: false, victimLength: WORM_INITIAL_LENGTH,
+        cause: DEATH_CAUSE_PLAYER, killerId: 'b', killerName: 'Bob',
+    }]);
+    expect(describeDeath(deaths[0])).toBe('collided with Bob');
+    expect(b.worm.kills).toBe(1);
+    expect(a.worm.kills).toBe(0);
+});
+
+// Two worms heading straight at each other, heads 10 apart around x=1500
+function placeHeadOn(sim) {
+    const a = sim.addHuman('a', 'Alice');
+    const b = sim.addHuman('b', 'Bob');
+    placeWorm(a, 1495, 1500, 0);
+    placeWorm(b, 1505, 1500, Math.PI);
+    return { a, b };
+}
+
+test('head-on: the larger worm wins', () => {
+    const deaths = [];
+    const sim = makeSim({ settings: { botCount: 0, collisionRules: { headOn: HEAD_ON_LARGER_WINS } }, onPlayerDied: (p, death) => deaths.push(death) });
+    const { a, b } = placeHeadOn(sim);
+    b.worm.segments.push(...b.worm.segments.slice(-5).map(s => ({ ...s })));
+    b.worm.score = 25; // Keeps the extra length from being trimmed
+
+    sim.step();
+
+    expect(a.worm.isAlive).toBe(false);
+    expect(b.worm.isAlive).toBe(true);
+    expect(deaths).toEqual([expect.objectContaining({ victimId: 'a', cause: DEATH_CAUSE_PLAYER, killerId: 'b' })]);
+    expect(b.worm.kills).toBe(1);
+});
+
+test('head-on: bouncing worms both survive and turn away', () => {
+    const sim = makeSim({ settings: { botCount: 0, collisionRules: { headOn: HEAD_ON_BOUNCE } } });
+    const { a, b } = placeHeadOn(sim);
+
+    sim.step();
+    expect(Math.sin(a.worm.angle)).toBeGreaterThan(0.5); // Both swerved off the collision line, in opposite directions
+    expect(Math.sin(b.worm.angle)).toBeLessThan(-0.5);
+
+    for (let i = 0; i < 100; i++) sim.step();
+    expect(a.worm.isAlive).toBe(true);
+    expect(b.worm.isAlive).toBe(true);
+    expect(a.worm.kills + b.worm.kills).toBe(0);
+});
+
+test('small worms pass under large ones when enabled', () => {
+    const sim = makeSim({ settings: { botCount: 0, collisionRules: { passUnderRatio: 0.5 } } });
+    const small = sim.addHuman('s', 'Small');
+    const large = sim.addHuman('l', 'Large');
+    placeWorm(large, 1000, 500, 0);
+    large.worm.segments.push(...large.worm.segments.map(s => ({ ...s, x: s.x - 700 })));
+    large.worm.score = 1000;
+    placeWorm(small, 700, 490, Math.PI / 2);
+
+    sim.step();
+    expect(small.worm.isAlive).toBe(true);
+});
+
+test('deaths in one tick do not depend on the order worms are checked in', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    // Bob is checked first: he runs into Carol's body while Alice runs into his
+    const b = sim.addHuman('b', 'Bob');
+    const a = sim.addHuman('a', 'Alice');
+    const c = sim.addHuman('c', 'Carol');
+    placeWorm(c, 2500, 1000, 0);
+    placeWorm(b, 2200, 990, Math.PI / 2); // Head into Carol's body, body going up from there
+    placeWorm(a, 2210, 800, Math.PI); // Head into Bob's body from the side
+
+    sim.step();
+
+    expect(b.worm.isAlive).toBe(false);
+    expect(a.worm.isAlive).toBe(false);
+    expect(c.worm.kills).toBe(1);
+    expect(b.worm.kills).toBe(1);
+});
+
+test('worms get thicker with length and collide at their own thickness', () => {
+    expect(wormRadiusForLength(WORM_INITIAL_LENGTH)).toBeCloseTo(9.5);
+    expect(wormRadiusForLength(1000)).toBe(16);
+
+    const run = (extraLength) => {
+        const sim = makeSim({ settings: { botCount: 0 } });
+        const mover = sim.addHuman('m', 'Mover');
+        const body = sim.addHuman('b', 'Body');
+        placeWorm(body, 1000, 500, 0);
+        body.worm.segments.push(...Array.from({ length: extraLength }, () => ({ ...body.worm.segments[body.worm.segments.length - 1] })));
+        body.worm.score = 1000;
+        placeWorm(mover, 700, 483, Math.PI / 2); // Heading down, 15 units above the body after one step
+        sim.step();
+        return { mover, body };
+    };
+
+    const thin = run(0);
+    expect(thin.body.worm.radius).toBeCloseTo(wormRadiusForLength(WORM_INITIAL_LENGTH));
+    expect(thin.mover.worm.isAlive).toBe(true);
+    const thick = run(200);
+    expect(thick.body.worm.radius).toBe(16);
+    expect(thick.mover.worm.isAlive).toBe(false);
+});
+
+// The delta protocol only sends new heads, so body points must stay where the head left them
+test('a moving worm lays a segment per step whatever its thickness', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const thin = sim.addHuman('t', 'Thin');
+    const thick = sim.addHuman('k', 'Thick');
+    placeWorm(thin, 500, 500, 0);
+    placeWorm(thick, 500, 1500, 0);
+    thick.worm.segments.push(...Array.from({ length: 300 }, () => ({ ...thick.worm.segments[thick.worm.segments.length - 1] })));
+    for (let i = 0; i < 10; i++) sim.step();
+
+    expect(thick.worm.radius).toBeGreaterThan(thin.worm.radius);
+    [thin, thick].forEach(({ worm }) => {
+        for (let i = 0; i < 10; i++) {
+            const a = worm.segments[i];
+            const b = worm.segments[i + 1];
+            expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeCloseTo(worm.stepLength);
+        }
+    });
+});
+
+test('eating food grows the worm and adds score by its value', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const player = sim.addHuman('p1', 'One');
+    const target = sim.food[0];
+    target.value = 3;
+    placeWorm(player, target.x - 3, target.y, 0);
+    const length = player.worm.segments.length;
+
+    sim.step();
+
+    expect(sim.food).not.toContain(target);
+    expect(sim.eatenFood).toEqual([{ id: target.id, eaterId: 'p1', type: target.type }]);
+    expect(player.worm.score).toBe(3 * FOOD_SCORE);
+    expect(player.worm.segments).toHaveLength(length + 1); // One segment per tick until the value is added
+
+    sim.step();
+    sim.step();
+    expect(player.worm.segments).toHaveLength(length + 3);
+    sim.step(); // All grown, so the worm keeps its length
+    expect(player.worm.segments).toHaveLength(length + 3);
+});
+
+test('dead worms drop half their length as pellets along the body, past the food cap', () => {
+    const sim = makeSim({ settings: { botCount: 0, maxFood: 10 } });
+    const player = sim.addHuman('p1', 'One');
+    placeWorm(player, 1500, 1500, 0);
+    player.worm.segments = player.worm.segments.concat(player.worm.segments.map(s => ({ ...s, y: s.y + 50 }))); // 200 long
+    const foodBefore = new Set(sim.food);
+
+    sim.killPlayer('p1', DEATH_CAUSE_WALL);
+
+    const dropped = sim.food.filter(f => !foodBefore.has(f));
+    expect(dropped.reduce((sum, f) => sum + f.value, 0)).toBe(100);
+    expect(dropped.every(f => f.value === 5)).toBe(true); // All large pellets
+    expect(sim.food.length).toBeGreaterThan(10);
+    expect(Math.min(...dropped.map(f => f.x))).toBeLessThan(1000); // Spread along the body, not piled on the head
+});
+
+test('power-ups expire after their duration in ticks', () => {
+    // One tick per second makes the 10 second power-up last 10 ticks
+    const sim = makeSim({ settings: { botCount: 0 }, tickRateMs: 1000 });
+    const player = sim.addHuman('p1', 'One');
+    const target = sim.food[0];
+    target.type = FOOD_TYPE_POWER;
+    placeWorm(player, target.x - 3, target.y, 0);
+
+    sim.step();
+    expect(sim.getPowerUpTimers(player.worm)).toEqual({ [POWER_UP_SPEED]: 10000 });
+    for (let i = 0; i < 9; i++) sim.step();
+    expect(sim.getPowerUpTimers(player.worm)).toEqual({ [POWER_UP_SPEED]: 1000 });
+    sim.step();
+    expect(sim.getPowerUpTimers(player.worm)).toEqual({});
+});
+
+test('a shield takes one deadly hit, then the worm is briefly intangible', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const a = sim.addHuman('a', 'Alice');
+    const b = sim.addHuman('b', 'Bob');
+    placeWorm(b, 1000, 500, 0);
+    placeWorm(a, 700, 490, Math.PI / 2); // Heading down into Bob's body, as above
+    a.worm.powerUps[POWER_UP_SHIELD] = 1000;
+
+    sim.step();
+    expect(a.worm.isAlive).toBe(true);
+    expect(Object.keys(a.worm.powerUps)).toEqual([POWER_UP_SHIELD_GRACE]);
+    expect(b.worm.kills).toBe(0);
+
+    sim.step(); // Still inside Bob's body, but passing through
+    expect(a.worm.isAlive).toBe(true);
+});
+
+test('ghosts pass through worm bodies but not the wall', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const a = sim.addHuman('a', 'Alice');
+    const b = sim.addHuman('b', 'Bob');
+    placeWorm(b, 1000, 500, 0);
+    placeWorm(a, 700, 490, Math.PI / 2);
+    a.worm.powerUps[POWER_UP_GHOST] = 1000;
+
+    sim.step();
+    expect(a.worm.isAlive).toBe(true);
+    expect(b.worm.isAlive).toBe(true);
+
+    placeWorm(a, 1, 1500, Math.PI);
+    sim.step();
+    expect(a.worm.isAlive).toBe(false);
+});
+
+test('reverse swaps head and tail and makes clients resend the worm', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const player = sim.addHuman('p1', 'One');
+    const target = sim.food[0];
+    target.type = FOOD_TYPE_REVERSE;
+    placeWorm(player, target.x - 3, target.y, 0);
+    const tail = { ...player.worm.segments[player.worm.segments.length - 1] };
+    const spawnId = player.worm.spawnId;
+
+    sim.step();
+    expect(player.worm.segments[0]).toEqual(tail);
+    expect(player.worm.spawnId).not.toBe(spawnId);
+    expect(Math.cos(player.worm.angle)).toBeCloseTo(-1); // Heading away from the body, back the way it came
+});
+
+test('a freeze pulse slows the worms around the eater', () => {
+    const sim = makeSim({ settings: { botCount: 0 } });
+    const eater = sim.addHuman('a', 'Alice');
+    const near = sim.addHuman('b', 'Bob');
+    const far = sim.addHuman('c', 'Carol');
+    const target = sim.food[0];
+    target.type = FOOD_TYPE_FREEZE;
+    placeWorm(eater, target.x - 3, target.y, 0);
+    placeWorm(near, target.x, target.y + (target.y > 1500 ? -150 : 150), 0);
+    placeWorm(far, target.x > 1500 ? 200 : 2800, target.y > 1500 ? 200 : 2800, 0); // Across the world
+
+    const before = near.worm.segments[0].x;
+    sim.step();
+    const fullSpeed = near.worm.segments[0].x - before;
+    expect(Object.keys(near.worm.powerUps)).toEqual([POWER_UP_FROZEN]);
+    expect(far.worm.powerUps).toEqual({});
+    expect(eater.worm.powerUps[POWER_UP_FROZEN]).toBeUndefined();
+
+    const frozenAt = near.worm.segments[0].x;
+    sim.step();
+    expect(near.worm.segments[0].x - frozenAt).toBeCloseTo(fullSpeed / 2);
+});
+
+test('a reset spawns every bot and human once', () => {
+    const spawned = [];
+    const logger = { log: message => { if (/ spawned at /.test(message)) spawned.push(message); }, warn() {} };
+    const sim = createSimulation({ seed: 3, logger, settings: { botCount: 3 } });
+    sim.addHuman('h1', 'One');
+    sim.addHuman('h2', 'Two');
+    spawned.length = 0;
+
+    sim.reset({ botCount: 4 });
+    const ids = spawned.map(message => message.match(/\((\S+)\) spawned/)[1]);
+    expect(ids.sort()).toEqual(Object.keys(sim.players).sort());
+    expect(ids).toHaveLength(6);
+});
+
+test('dead bots respawn after a delay', () => {
+    const sim = makeSim({ settings: { botCount: 1 }, tickRateMs: 1000 }); // 5 second delay = 5 ticks
+    const bot = Object.values(sim.players).find(p => p.isBot);
+    const spawnId = bot.worm.spawnId;
+
+    sim.killPlayer(bot.id, 'test');
+    for (let i = 0; i < 4; i++) sim.step();
+    expect(bot.worm.isAlive).toBe(false);
+    sim.step();
+    expect(bot.worm.isAlive).toBe(true);
+    expect(bot.worm.spawnId).not.toBe(spawnId);
+});
+
+test('sprinting is faster and sheds tail segments as food until the minimum length', () => {
+    const sim = makeSim({ settings: { botCount: 0, maxFood: 0, foodPerWorm: 0 } }); // Nothing to eat on the way
+    const player = sim.addHuman('p1', 'One');
+    const worm = player.worm;
+    placeWorm(player, 1500, 1500, 0);
+    worm.segments = worm.segments.concat(worm.segments.slice(-2).map(s => ({ ...s }))); // Two segments to spare
+    worm.score = 2 * FOOD_SCORE;
+    expect(sim.food).toEqual([]);
+
+    expect(sim.setSprinting('p1', true)).toBe(true);
+    const startX = worm.segments[0].x;
+    sim.step();
+    expect(worm.isSprinting).toBe(true);
+    expect(worm.segments[0].x - startX).toBeGreaterThan(2); // Faster than the base speed
+
+    for (let i = 1; i < SPRINT_SHED_INTERVAL_TICKS; i++) sim.step();
+    expect(worm.segments).toHaveLength(WORM_INITIAL_LENGTH + 1);
+    expect(worm.score).toBe(FOOD_SCORE);
+    expect(sim.food).toHaveLength(1);
+    expect(sim.food[0].radius).toBeLessThan(FOOD_RADIUS); // Small food where the tail was
+
+    for (let i = 0; i < SPRINT_SHED_INTERVAL_TICKS; i++) sim.step();
+    expect(worm.segments).toHaveLength(SPRINT_MIN_LENGTH);
+    expect(worm.score).toBe(0);
+    sim.step();
+    expect(worm.isSprinting).toBe(false); // Too short, stops by itself
+    expect(worm.wantsToSprint).toBe(true);
+});
+
+test('leaving the world is a wall death without a killer', () => {
+    const deaths = [];
+    const sim = makeSim({ settings: { botCount: 0 }, onPlayerDied: (player, death) => deaths.push(death) });
+    const player = sim.addHuman('p1', 'One');
+    placeWorm(player, 1, 1500, Math.PI); // Heading left, one unit from the edge
+
+    sim.step();
+
+    expect(player.worm.isAlive).toBe(false);
+    expect(deaths).toHaveLength(1);
+    expect(deaths[0]).toMatchObject({ victimId: 'p1', cause: DEATH_CAUSE_WALL, killerId: null, killerName: null });
+    expect(describeDeath(deaths[0])).toBe('hit world boundary');
+});
@@ -0,0 +1,281 @@
+// --- Snapshot Protocol ---
+// Versioned gameState protocol: the server sends a full keyframe when a client joins, periodically
+// and on request, and per-tick deltas in between. Every message carries the tick it describes; a delta
+// also carries the tick it builds on (baseTick), so the client can detect a gap and ask for a resync.
+//
+// Server side: createClientView() + encodeSnapshot() turn the full (area-of-interest filtered) snapshot
+// into a keyframe or delta for one client.
+// Client side: createNetState() + applySnapshotMessage() rebuild the state, toGameState() returns it
+// in the same shape as a full snapshot so the renderer doesn't care which one arrived.
+//
+// Keyframe: { v, type: 'keyframe', tick, worms: { [id]: Worm }, food: [Food], leaderboard, eatenFood, minimap?, entities? }
+// Delta:    { v, type: 'delta', tick, baseTick,
+//             worms: { joined: [Worm], left: [id], updated: [WormUpdate] },
+//             food: { spawned: [Food], removed: [id] },
+//             leaderboard?, eatenFood, minimap?, entities? }
+// WormUpdate: { id, heads: [{x, y, z}], length, angle, score, isGameOver, powerUps, isSprinting, name?, color?, radius? }
+//   powerUps is { [powerUpId]: remainingMs } for the worm's active power-ups (see src/shared/powerUps.js).
+//   heads are the segments added at the front since the last message (newest first);
+//   the client prepends them and then trims the tail to `length`.
+// entities: [{ id, x, y, angle }] - where the map's moving blades and hazards are this tick (see mapEntities.js),
+//   in every message on maps that have them. They're few and move every tick, so they're always sent whole.
+
+const PROTOCOL_VERSION = 2;
+
+const MESSAGE_KEYFRAME = 'keyframe';
+const MESSAGE_DELTA = 'delta';
+
+// Per-tick worm fields that are small enough to send with every update
+const WORM_SCALAR_FIELDS = ['angle', 'score', 'isGameOver', 'powerUps', 'isSprinting'];
+// Worm fields that rarely change, only sent in an update when they did
+const WORM_RARE_FIELDS = ['name', 'color', 'radius'];
+
+// --- Server Side ---
+
+/**
+ * Creates the per-client record of what that client currently knows.
+ * @param {number} keyframeIntervalTicks - Send a full keyframe at least this often.
+ * @returns {object} The client view.
+ */
+function createClientView(keyframeIntervalTicks) {
+    return {
+        tick: null, // Tick of the last message sent, null until the first keyframe
+        keyframeIntervalTicks,
+        ticksSinceKeyframe: 0,
+        forceKeyframe: true,
+        worms: new Map(), // id -> { spawnId, headSeq, length, name, color, radius }
+        food: new Set(), // food ids
+        leaderboardJson: null,
+    };
+}
+
+function rememberWorm(view, worm) {
+    view.worms.set(worm.id, {
+        spawnId: worm.spawnId,
+        headSeq: worm.headSeq,
+        length: worm.segments.length,
+        name: worm.name,
+        color: worm.color,
+        radius: worm.radius,
+    });
+}
+
+function buildKeyframe(view, tick, snapshot) {
+    view.worms.clear();
+    view.food.clear();
+    Object.values(snapshot.worms).forEach(worm => rememberWorm(view, worm));
+    snapshot.food.forEach(f => view.food.add(f.id));
+    view.leaderboardJson = JSON.stringify(snapshot.leaderboard);
+    view.forceKeyframe = false;
+    view.ticksSinceKeyframe = 0;
+
+    const message = {
+        v: PROTOCOL_VERSION,
+        type: MESSAGE_KEYFRAME,
+        tick,
+        worms: snapshot.worms,
+        food: snapshot.food,
+        leaderboard: snapshot.leaderboard,
+        eatenFood: snapshot.eatenFood,
+    };
+    if (snapshot.minimap) message.minimap = snapshot.minimap;
+    if (snapshot.entities) message.entities = snapshot.entities;
+    return message;
+}
+
+/**
+ * Builds the update for a worm the client already has, or null if it needs to be re-sent in full
+ * (it respawned or its body was rebuilt, or its segments changed in a way that isn't "new heads + trimmed tail").
+ */
+function buildWormUpdate(known, worm) {
+    const newHeadCount = worm.headSeq - known.headSeq;
+    if (worm.spawnId !== known.spawnId || newHeadCount < 0 || newHeadCount > worm.segments.length ||
+        worm.segments.length > known.length + newHeadCount) {
+        return null;
+    }
+    const update = {
+        id: worm.id,
+        heads: worm.segments.slice(0, newHeadCount),
+        length: worm.segments.length,
+    };
+    WORM_SCALAR_FIELDS.forEach(field => { update[field] = worm[field]; });
+    WORM_RARE_FIELDS.forEach(field => {
+        if (worm[field] !== known[field]) update[field] = worm[field];
+    });
+    return update;
+}
+
+function buildDelta(view, tick, snapshot) {
+    const joined = [];
+    const updated = [];
+    const left = [];
+
+    for (const id in snapshot.worms) {
+        const worm = snapshot.worms[id];
+        const known = view.worms.get(id);
+        const update = known ? buildWormUpdate(known, worm) : null;
+        if (update) {
+            updated.push(update);
+        } else {
+            joined.push(worm);
+        }
+        rememberWorm(view, worm);
+    }
+    view.worms.forEach((known, id) => {
+        if (!snapshot.worms[id]) left.push(id);
+    });
+    left.forEach(id => view.worms.delete(id));
+
+    const spawned = [];
+    const currentFoodIds = new Set();
+    snapshot.food.forEach(f => {
+        currentFoodIds.add(f.id);
+        if (!view.food.has(f.id)) spawned.push(f);
+    });
+    const removed = [];
+    view.food.forEach(id => {
+        if (!currentFoodIds.has(id)) removed.push(id);
+    });
+    view.food = currentFoodIds;
+
+    const message = {
+        v: PROTOCOL_VERSION,
+        type: MESSAGE_DELTA,
+        tick,
+        baseTick: view.tick,
+        worms: { joined, left, updated },
+        food: { spawned, removed },
+        eatenFood: snapshot.eatenFood,
+    };
+    const leaderboardJson = JSON.stringify(snapshot.leaderboard);
+    if (leaderboardJson !== view.leaderboardJson) {
+        message.leaderboard = snapshot.leaderboard;
+        view.leaderboardJson = leaderboardJson;
+    }
+    if (snapshot.minimap) message.minimap = snapshot.minimap;
+    if (snapshot.entities) message.entities = snapshot.entities;
+    return message;
+}
+
+/**
+ * Turns a full snapshot into the next message for one client (keyframe or delta) and records what was sent.
+ * Snapshot worms must carry `spawnId` (changes on respawn and when the body is rebuilt, e.g. reversed) and `headSeq` (number of heads added so far).
+ * @param {object} view - The client view from createClientView().
+ * @param {number} tick - The server tick this snapshot describes.
+ * @param {object} snapshot - Full snapshot { worms, food, leaderboard, eatenFood, minimap?, entities? }.
+ * @returns {object} The message to emit.
+ */
+function encodeSnapshot(view, tick, snapshot) {
+    const needsKeyframe = view.forceKeyframe || view.tick === null ||
+                          view.ticksSinceKeyframe >= view.keyframeIntervalTicks;
+    const message = needsKeyframe ? buildKeyframe(view, tick, snapshot) : buildDelta(view, tick, snapshot);
+    if (!needsKeyframe) view.ticksSinceKeyframe++;
+    view.tick = tick;
+    return message;
+}
+
+/**
+ * Marks a client view so its next message is a full keyframe (e.g. after the client reported a gap).
+ */
+function requestKeyframe(view) {
+    view.forceKeyframe = true;
+}
+
+// --- Client Side ---
+
+/**
+ * Creates the client-side reconstructed state.
+ */
+function createNetState() {
+    return {
+        tick: null,
+        worms: new Map(), // id -> full worm object
+        food: new Map(), // id -> food object
+        leaderboard: [],
+        minimap: null,
+        entities: null,
+    };
+}
+
+/**
+ * Applies a keyframe or delta to the reconstructed state.
+ * @param {object} netState - State from createNetState().
+ * @param {object} message - The received message.
+ * @returns {boolean} False if the message can't be applied (unknown version, or a delta whose base
+ *                    isn't the state we have); the caller should request a resync and wait for a keyframe.
+ */
+function applySnapshotMessage(netState, message) {
+    if (!message || message.v !== PROTOCOL_VERSION) return false;
+
+    if (message.type === MESSAGE_KEYFRAME) {
+        netState.worms.clear();
+        for (const id in message.worms) {
+            const worm = message.worms[id];
+            netState.worms.set(id, { ...worm, segments: worm.segments.slice() });
+        }
+        netState.food.clear();
+        message.food.forEach(f => netState.food.set(f.id, f));
+        netState.leaderboard = message.leaderboard || [];
+    } else if (message.type === MESSAGE_DELTA) {
+        if (netState.tick === null || message.baseTick !== netState.tick) return false;
+
+        message.worms.left.forEach(id => netState.worms.delete(id));
+        message.worms.joined.forEach(worm => {
+            netState.worms.set(worm.id, { ...worm, segments: worm.segments.slice() });
+        });
+        for (const update of message.worms.updated) {
+            const worm = netState.worms.get(update.id);
+            if (!worm) return false; // Server thinks we know a worm we don't, resync
+            const segments = update.heads.length > 0 ? update.heads.concat(worm.segments) : worm.segments;
+            segments.length = Math.min(segments.length, update.length);
+            worm.segments = segments;
+            worm.headSeq = (worm.headSeq ?? 0) + update.heads.length;
+            WORM_SCALAR_FIELDS.concat(WORM_RARE_FIELDS).forEach(field => {
+                if (update[field] !== undefined) worm[field] = update[field];
+            });
+        }
+
+        message.food.removed.forEach(id => netState.food.delete(id));
+        message.food.spawned.forEach(f => netState.food.set(f.id, f));
+        if (message.leaderboard) netState.leaderboard = message.leaderboard;
+    } else {
+        return false;
+    }
+
+    if (message.minimap) netState.minimap = message.minimap;
+    if (message.entities) netState.entities = message.entities;
+    netState.tick = message.tick;
+    return true;
+}
+
+/**
+ * Returns the reconstructed state in the same shape as a full gameState snapshot.
+ * @param {object} netState - State from createNetState().
+ * @param {object} message - The message that was just applied (for per-tick fields like eatenFood).
+ */
+function toGameState(netState, message) {
+    const worms = {};
+    netState.worms.forEach((worm, id) => { worms[id] = worm; });
+    const gameState = {
+        tick: netState.tick,
+        worms,
+        food: Array.from(netState.food.values()),
+        leaderboard: netState.leaderboard,
+        eatenFood: message.eatenFood || [],
+    };
+    if (message.minimap) gameState.minimap = message.minimap;
+    if (netState.entities) gameState.entities = netState.entities;
+    return gameState;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MESSAGE_KEYFRAME,
+    MESSAGE_DELTA,
+    createClientView,
+    encodeSnapshot,
+    requestKeyframe,
+    createNetState,
+    applySnapshotMessage,
+    toGameState,
+};
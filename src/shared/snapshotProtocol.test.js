@@ -0,0 +1,104 @@
+import {
+    MESSAGE_KEYFRAME,
+    MESSAGE_DELTA,
+    createClientView,
+    encodeSnapshot,
+    requestKeyframe,
+    createNetState,
+    applySnapshotMessage,
+    toGameState,
+} from './snapshotProtocol';
+
+// Minimal server-side worm that moves one step per tick and optionally grows
+function makeWorm(id, spawnId, length) {
+    const segments = [];
+    for (let i = 0; i < length; i++) segments.push({ x: 100 - i, y: 100, z: 0 });
+    return { id, name: id, isBot: false, color: 'hsl(10, 80%, 60%)', angle: 0, score: 0, isGameOver: false,
+             powerUps: {}, spawnId, headSeq: 0, segments };
+}
+
+function step(worm, grow = false) {
+    const head = worm.segments[0];
+    worm.segments.unshift({ x: head.x + 1, y: head.y, z: 0 });
+    worm.headSeq++;
+    if (!grow) worm.segments.pop();
+}
+
+// Snapshots are serialized copies, like prepareGameState() produces
+function snapshotOf(worms, food, leaderboard = []) {
+    const wormsById = {};
+    worms.forEach(w => { wormsById[w.id] = { ...w, segments: w.segments.map(s => ({ ...s })) }; });
+    return { worms: wormsById, food: food.map(f => ({ ...f })), leaderboard, eatenFood: [] };
+}
+
+function roundTrip(message) {
+    return JSON.parse(JSON.stringify(message));
+}
+
+test('first message is a keyframe, following ones are deltas', () => {
+    const view = createClientView(100);
+    const worm = makeWorm('a', 1, 5);
+    expect(encodeSnapshot(view, 1, snapshotOf([worm], [])).type).toBe(MESSAGE_KEYFRAME);
+    step(worm);
+    const delta = encodeSnapshot(view, 2, snapshotOf([worm], []));
+    expect(delta.type).toBe(MESSAGE_DELTA);
+    expect(delta.baseTick).toBe(1);
+    expect(delta.worms.updated[0].heads).toHaveLength(1);
+});
+
+test('client reconstructs worms and food from keyframe + deltas', () => {
+    const view = createClientView(100);
+    const netState = createNetState();
+    const a = makeWorm('a', 1, 5);
+    let b = makeWorm('b', 2, 3);
+    let food = [{ id: 'food-1', x: 5, y: 5, type: 1 }];
+
+    for (let tick = 1; tick <= 20; tick++) {
+        step(a, tick % 3 === 0);
+        step(b);
+        if (tick === 5) food = food.concat({ id: 'food-2', x: 9, y: 9, type: 2 });
+        if (tick === 8) food = food.filter(f => f.id !== 'food-1');
+        if (tick === 12) b = makeWorm('b', 3, 4); // Respawned with the same ID
+        const worms = tick >= 15 && tick < 18 ? [a] : [a, b]; // b out of view for a few ticks
+        const snapshot = snapshotOf(worms, food, [{ id: 'a', score: tick }]);
+
+        const message = roundTrip(encodeSnapshot(view, tick, snapshot));
+        expect(applySnapshotMessage(netState, message)).toBe(true);
+
+        const state = toGameState(netState, message);
+        expect(state.tick).toBe(tick);
+        expect(state.worms).toEqual(snapshot.worms);
+        expect(state.food.map(f => f.id).sort()).toEqual(food.map(f => f.id).sort());
+        expect(state.leaderboard).toEqual(snapshot.leaderboard);
+    }
+});
+
+test('a gap in ticks is detected and a keyframe recovers', () => {
+    const view = createClientView(100);
+    const netState = createNetState();
+    const worm = makeWorm('a', 1, 5);
+
+    expect(applySnapshotMessage(netState, encodeSnapshot(view, 1, snapshotOf([worm], [])))).toBe(true);
+    step(worm);
+    encodeSnapshot(view, 2, snapshotOf([worm], [])); // Lost in transit
+    step(worm);
+    expect(applySnapshotMessage(netState, encodeSnapshot(view, 3, snapshotOf([worm], [])))).toBe(false);
+
+    requestKeyframe(view);
+    step(worm);
+    const keyframe = encodeSnapshot(view, 4, snapshotOf([worm], []));
+    expect(keyframe.type).toBe(MESSAGE_KEYFRAME);
+    expect(applySnapshotMessage(netState, keyframe)).toBe(true);
+    expect(netState.worms.get('a').segments).toEqual(worm.segments);
+});
+
+test('keyframes are sent periodically', () => {
+    const view = createClientView(3);
+    const worm = makeWorm('a', 1, 5);
+    const types = [];
+    for (let tick = 1; tick <= 9; tick++) {
+        step(worm);
+        types.push(encodeSnapshot(view, tick, snapshotOf([worm], [])).type);
+    }
+    expect(types.filter(t => t === MESSAGE_KEYFRAME)).toHaveLength(3);
+});
@@ -0,0 +1,145 @@
+// --- Spatial Grid ---
+// Uniform-grid spatial index used for proximity queries (head vs. segments, head vs. food,
+// spawn clearance, bot look-ahead). Written as plain CommonJS with no dependencies so that
+// server.js can require() it and the React app can import it.
+
+class SpatialGrid {
+    /**
+     * @param {number} width - Width of the indexed area (world units).
+     * @param {number} height - Height of the indexed area (world units).
+     * @param {number} cellSize - Edge length of a single square cell (world units).
+     */
+    constructor(width, height, cellSize) {
+        this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        // Flat array of cells, each cell is an array of entries { x, y, item, index }
+        this.cells = new Array(this.cols * this.rows);
+        for (let i = 0; i < this.cells.length; i++) this.cells[i] = [];
+        // Indices of cells that currently hold entries, so clear() doesn't touch every cell
+        this.usedCells = [];
+        this.size = 0;
+    }
+
+    // Clamps a world coordinate to a column/row so points outside the world still land in an edge cell
+    cellCol(x) { return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize))); }
+    cellRow(y) { return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize))); }
+
+    /**
+     * Removes all entries. Used when the grid is rebuilt every tick.
+     */
+    clear() {
+        for (const cellIndex of this.usedCells) this.cells[cellIndex].length = 0;
+        this.usedCells.length = 0;
+        this.size = 0;
+    }
+
+    /**
+     * Adds an entry at a position.
+     * @param {number} x - X coordinate.
+     * @param {number} y - Y coordinate.
+     * @param {*} item - The object the entry belongs to (e.g. a player or a food item).
+     * @param {number} [index=0] - Optional sub-index (e.g. segment index within a worm).
+     */
+    insert(x, y, item, index = 0) {
+        const cellIndex = this.cellRow(y) * this.cols + this.cellCol(x);
+        const cell = this.cells[cellIndex];
+        if (cell.length === 0) this.usedCells.push(cellIndex);
+        cell.push({ x, y, item, index });
+        this.size++;
+    }
+
+    /**
+     * Removes an entry for an item that was inserted at (x, y). Used for incremental updates
+     * of things that don't move (e.g. food).
+     * @returns {boolean} True if an entry was removed.
+     */
+    remove(x, y, item) {
+        const cell = this.cells[this.cellRow(y) * this.cols + this.cellCol(x)];
+        for (let i = 0; i < cell.length; i++) {
+            if (cell[i].item === item) {
+                // Order inside a cell doesn't matter, so swap-remove
+                cell[i] = cell[cell.length - 1];
+                cell.pop();
+                this.size--;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Visits every entry within `radius` of (x, y).
+     * @param {number} x - Query center X.
+     * @param {number} y - Query center Y.
+     * @param {number} radius - Query radius.
+     * @param {function(object, number): (boolean|void)} visit - Called with (entry, distSq). Return true to stop the query.
+     * @returns {boolean} True if the query was stopped early by the visitor.
+     */
+    query(x, y, radius, visit) {
+        const radiusSq = radius * radius;
+        const minCol = this.cellCol(x - radius);
+        const maxCol = this.cellCol(x + radius);
+        const minRow = this.cellRow(y - radius);
+        const maxRow = this.cellRow(y + radius);
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells[row * this.cols + col];
+                for (let i = 0; i < cell.length; i++) {
+                    const entry = cell[i];
+                    const dx = entry.x - x;
+                    const dy = entry.y - y;
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq < radiusSq && visit(entry, distSq)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Finds the entry closest to (x, y) by searching rings of cells outward.
+     * @param {number} x - Query center X.
+     * @param {number} y - Query center Y.
+     * @param {number} [maxRadius=Infinity] - Ignore entries farther than this.
+     * @param {function(object): boolean} [accept] - Optional filter for candidate entries.
+     * @returns {object|null} The closest entry { x, y, item, index } or null.
+     */
+    findNearest(x, y, maxRadius = Infinity, accept = null) {
+        const centerCol = this.cellCol(x);
+        const centerRow = this.cellRow(y);
+        const maxRing = Math.max(this.cols, this.rows);
+        let best = null;
+        let bestDistSq = maxRadius === Infinity ? Infinity : maxRadius * maxRadius;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Anything in this ring is at least (ring - 1) cells away; stop once that exceeds the best match
+            const ringMinDist = Math.max(0, ring - 1) * this.cellSize;
+            if (ringMinDist * ringMinDist > bestDistSq) break;
+
+            for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+                if (row < 0 || row >= this.rows) continue;
+                const onEdgeRow = row === centerRow - ring || row === centerRow + ring;
+                // Only the perimeter of the ring is new; interior cells were searched by earlier rings
+                const colStep = onEdgeRow ? 1 : ring * 2;
+                for (let col = centerCol - ring; col <= centerCol + ring; col += Math.max(1, colStep)) {
+                    if (col < 0 || col >= this.cols) continue;
+                    const cell = this.cells[row * this.cols + col];
+                    for (let i = 0; i < cell.length; i++) {
+                        const entry = cell[i];
+                        const dx = entry.x - x;
+                        const dy = entry.y - y;
+                        const distSq = dx * dx + dy * dy;
+                        if (distSq < bestDistSq && (!accept || accept(entry))) {
+                            best = entry;
+                            bestDistSq = distSq;
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = { SpatialGrid };
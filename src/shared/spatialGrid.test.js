@@ -0,0 +1,63 @@
+import { SpatialGrid } from './spatialGrid';
+import { createRng } from './rng';
+
+function queryItems(grid, x, y, radius) {
+    const items = [];
+    grid.query(x, y, radius, entry => { items.push(entry.item); });
+    return items.sort((a, b) => a - b);
+}
+
+test('a query finds entries in the neighbouring cells across a cell border', () => {
+    const grid = new SpatialGrid(1000, 1000, 100);
+    grid.insert(99, 50, 1); // Left of the border at x = 100
+    grid.insert(101, 50, 2);
+    grid.insert(50, 199, 3); // Above the border at y = 200
+    grid.insert(130, 50, 4); // Same cell as 2, out of range of the first query
+
+    expect(queryItems(grid, 100, 50, 5)).toEqual([1, 2]);
+    expect(queryItems(grid, 50, 205, 10)).toEqual([3]);
+    expect(queryItems(grid, 95, 105, 110)).toEqual([1, 2, 3, 4]);
+    expect(grid.findNearest(100, 150).item).toBe(3);
+});
+
+test('points outside the world land in the edge cells and can still be found', () => {
+    const grid = new SpatialGrid(1000, 1000, 100);
+    grid.insert(-40, 500, 'left');
+    grid.insert(1030, 1030, 'corner');
+    grid.insert(500, -5000, 'far');
+
+    expect(queryItems(grid, 0, 500, 50)).toEqual(['left']);
+    expect(queryItems(grid, 1200, 1200, 300)).toEqual(['corner']);
+    expect(queryItems(grid, 500, -4990, 20)).toEqual(['far']);
+    expect(grid.findNearest(-500, -500).item).toBe('left');
+    expect(grid.remove(1030, 1030, 'corner')).toBe(true);
+    expect(queryItems(grid, 1000, 1000, 100)).toEqual([]);
+});
+
+test('after a rebuild a query returns the same entries as a linear scan', () => {
+    const rng = createRng(7);
+    const grid = new SpatialGrid(1000, 800, 64);
+    for (let round = 0; round < 3; round++) {
+        // Rebuilt from scratch like the simulation does every tick, with a few points off the edges
+        grid.clear();
+        const points = Array.from({ length: 300 }, (_, i) => ({ x: rng() * 1100 - 50, y: rng() * 900 - 50, item: i }));
+        points.forEach(p => grid.insert(p.x, p.y, p.item));
+        expect(grid.size).toBe(points.length);
+
+        for (let q = 0; q < 50; q++) {
+            const x = rng() * 1100 - 50;
+            const y = rng() * 900 - 50;
+            const radius = rng() * 200;
+            const expected = points
+                .filter(p => (p.x - x) ** 2 + (p.y - y) ** 2 < radius * radius)
+                .map(p => p.item)
+                .sort((a, b) => a - b);
+            expect(queryItems(grid, x, y, radius)).toEqual(expected);
+
+            const nearest = points.reduce((best, p) => (
+                Math.hypot(p.x - x, p.y - y) < Math.hypot(best.x - x, best.y - y) ? p : best
+            ));
+            expect(grid.findNearest(x, y).item).toBe(nearest.item);
+        }
+    }
+});
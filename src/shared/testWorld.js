@@ -0,0 +1,39 @@
+// --- Test World ---
+// Fixtures the simulation tests share: a quiet simulation and a way to put a worm exactly where a test needs
+// it. Only the *.test.js files use this module, the server and the React app never load it.
+const { createSimulation, WORM_SEGMENT_DISTANCE, FOOD_SCORE } = require("./simulation");
+
+// Logger that drops the spawn and despawn chatter
+const silentLogger = { log() {}, warn() {} };
+
+/**
+ * A simulation with a fixed seed and no logging.
+ * @param {object} [options] - createSimulation() options, these win over the defaults.
+ * @returns {object} The simulation.
+ */
+function makeSim(options = {}) {
+    return createSimulation({ seed: 42, logger: silentLogger, ...options });
+}
+
+/**
+ * Lays a worm out in a straight line with its head at (x, y), facing `angle`.
+ * @param {object} player - A player from sim.players.
+ * @param {number} x - Head X.
+ * @param {number} y - Head Y.
+ * @param {number} angle - Heading in radians.
+ * @param {number} [length] - Rebuilds the body with this many segments and sets the score to match, so the
+ *        next step doesn't trim it back. The worm keeps its length and score without it.
+ */
+function placeWorm(player, x, y, angle, length) {
+    const worm = player.worm;
+    worm.segments = Array.from({ length: length ?? worm.segments.length }, (_, i) => ({
+        x: x - Math.cos(angle) * i * WORM_SEGMENT_DISTANCE,
+        y: y - Math.sin(angle) * i * WORM_SEGMENT_DISTANCE,
+        z: 0,
+    }));
+    worm.angle = angle;
+    worm.targetAngle = angle;
+    if (length !== undefined) worm.score = length * FOOD_SCORE;
+}
+
+module.exports = { silentLogger, makeSim, placeWorm };
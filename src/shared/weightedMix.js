@@ -0,0 +1,52 @@
+// --- Weighted Mixes ---
+// A mix gives each option a relative share, e.g. { easy: 3, normal: 5, hard: 2 }. Used to spread bots over
+// difficulty tiers and brains without randomness: each new bot gets the option furthest below its share.
+
+/**
+ * Picks the option furthest below its share of the mix, so the options in use match the mix as closely as
+ * possible whatever their number. Ties go to the option listed first.
+ * @param {object} mix - { option: weight }.
+ * @param {object} counts - { option: number already in use }.
+ * @param {string} fallback - Returned when no option has a positive weight.
+ * @returns {string} The option.
+ */
+function pickFromMix(mix, counts, fallback) {
+    const options = Object.keys(mix).filter(option => mix[option] > 0);
+    if (options.length === 0) return fallback;
+    const totalWeight = options.reduce((sum, option) => sum + mix[option], 0);
+    const usedCount = options.reduce((sum, option) => sum + (counts[option] || 0), 0) + 1;
+    let best = options[0];
+    let bestDeficit = -Infinity;
+    options.forEach(option => {
+        const deficit = mix[option] / totalWeight * usedCount - (counts[option] || 0);
+        if (deficit > bestDeficit) {
+            best = option;
+            bestDeficit = deficit;
+        }
+    });
+    return best;
+}
+
+/**
+ * Parses a mix like "easy:3,normal:5,hard:2" (e.g. from an environment variable).
+ * @param {string} text - Comma-separated option:weight pairs, options left out get weight 0.
+ * @param {Array<string>} options - The valid options.
+ * @param {string} what - What the options are, for error messages (e.g. "bot difficulty").
+ * @returns {object} The mix, with every option present.
+ * @throws {Error} On unknown options, bad weights or an all-zero mix.
+ */
+function parseMix(text, options, what) {
+    const mix = {};
+    options.forEach(option => { mix[option] = 0; });
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [option, weightText] = part.split(':').map(s => s.trim());
+        const weight = Number(weightText);
+        if (!options.includes(option)) throw new Error(`Unknown ${what} "${option}".`);
+        if (!isFinite(weight) || weight < 0) throw new Error(`Bad weight for ${what} "${option}".`);
+        mix[option] = weight;
+    });
+    if (Object.values(mix).every(weight => weight === 0)) throw new Error(`The ${what} mix needs at least one entry.`);
+    return mix;
+}
+
+module.exports = { pickFromMix, parseMix };
@@ -0,0 +1,262 @@
+// --- World Events ---
+// Timed events that shake up a running world: a food rain over one region, a double-score window, a golden
+// feast, a frenzy of power-up food. The scheduler starts one every EVENT_INTERVAL_MIN_MS to EVENT_INTERVAL_MAX_MS
+// (never two at once), picking the type by weight, and ends it when its time is up. Like the rest of the
+// simulation it only uses the world's seeded rng and counts ticks; the server announces starts and ends to the
+// arena ('worldEvent') and sends the active events in 'welcome', each with the time it has left.
+//
+// An event type is one registry entry:
+//   {
+//     type:          unique name, sent to clients ("foodRain")
+//     label:         for banners and logs
+//     durationMs:    how long it lasts
+//     weight?:       relative chance the scheduler picks it (default 1, 0 = only started by hand)
+//     regionRadius?: the event happens in a circle of this radius somewhere in the world, omitted = everywhere
+//     modifiers?:    { [name]: number } - world-wide multipliers while it runs, the simulation reads
+//                    score (points per food, see scoreMultiplier())
+//     spawn?:        food it spawns in its region (or anywhere): { atStart?: pellets when it starts,
+//                    intervalMs?, count?: pellets every intervalMs, tier?: a FOOD_TIER_* name (default: random
+//                    by the tiers' spawn weights), powerUps?: true to spawn power-up food instead }
+//   }
+// Event food doesn't count towards the food ecosystem's target and despawns like dropped food.
+const { FOOD_TIER_GOLDEN, getFoodTier } = require("./gameRules");
+
+const WORLD_EVENT_FOOD_RAIN = "foodRain";
+const WORLD_EVENT_DOUBLE_SCORE = "doubleScore";
+const WORLD_EVENT_GOLDEN_FEAST = "goldenFeast";
+const WORLD_EVENT_POWER_UP_FRENZY = "powerUpFrenzy";
+
+const WORLD_EVENT_START = "start";
+const WORLD_EVENT_END = "end";
+
+const FIRST_EVENT_DELAY_MS = 30000; // After a world is (re)built
+const EVENT_INTERVAL_MIN_MS = 45000; // Between the end of one event and the start of the next
+const EVENT_INTERVAL_MAX_MS = 90000;
+const PLACEMENT_ATTEMPTS = 5; // Per pellet, a pellet with no clear spot is skipped
+const EVENT_TIMER_STEP_MS = 100; // Remaining times sent to clients are rounded up to this
+
+// type -> definition, shared by all simulations in the process
+const worldEvents = new Map();
+
+/**
+ * Registers a world event type, replacing any with the same type.
+ * @param {object} definition - See above.
+ * @returns {object} The definition.
+ * @throws {Error} If the type, duration, region, spawn or a modifier is missing or invalid.
+ */
+function registerWorldEvent(definition) {
+    if (!definition || typeof definition.type !== 'string' || !definition.type) throw new Error('World events need a type.');
+    const { type, durationMs, weight = 1, regionRadius = null, modifiers = {}, spawn = null } = definition;
+    const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+    if (!isPositive(durationMs)) throw new Error(`World event "${type}" needs a durationMs.`);
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) throw new Error(`World event "${type}": weight must be 0 or more.`);
+    if (regionRadius !== null && !isPositive(regionRadius)) throw new Error(`World event "${type}": regionRadius must be positive.`);
+    if (Object.values(modifiers).some(value => typeof value !== 'number' || !isFinite(value))) {
+        throw new Error(`World event "${type}": modifiers must be numbers.`);
+    }
+    if (spawn?.tier !== undefined && !getFoodTier(spawn.tier)) throw new Error(`World event "${type}": unknown food tier "${spawn.tier}".`);
+    if (spawn?.count && !isPositive(spawn.intervalMs)) throw new Error(`World event "${type}": spawn.count needs a spawn.intervalMs.`);
+
+    const registered = { label: type, ...definition, weight, regionRadius, modifiers, spawn };
+    worldEvents.set(type, registered);
+    return registered;
+}
+
+/**
+ * @param {string} type - World event type.
+ * @returns {object|null} The registered event type, or null.
+ */
+function getWorldEvent(type) {
+    return worldEvents.get(type) || null;
+}
+
+/**
+ * @returns {Array<object>} All registered world event types.
+ */
+function listWorldEvents() {
+    return [...worldEvents.values()];
+}
+
+registerWorldEvent({
+    type: WORLD_EVENT_FOOD_RAIN, label: "Food rain", durationMs: 15000, weight: 3, regionRadius: 400,
+    spawn: { atStart: 10, intervalMs: 250, count: 2 },
+});
+registerWorldEvent({
+    type: WORLD_EVENT_DOUBLE_SCORE, label: "Double score", durationMs: 20000, weight: 2,
+    modifiers: { score: 2 },
+});
+registerWorldEvent({
+    type: WORLD_EVENT_GOLDEN_FEAST, label: "Golden feast", durationMs: 12000, weight: 1, regionRadius: 300,
+    spawn: { atStart: 8, intervalMs: 1000, count: 1, tier: FOOD_TIER_GOLDEN },
+});
+registerWorldEvent({
+    type: WORLD_EVENT_POWER_UP_FRENZY, label: "Power-up frenzy", durationMs: 15000, weight: 2,
+    spawn: { atStart: 6, intervalMs: 500, count: 1, powerUps: true },
+});
+
+/**
+ * Creates the world event scheduler for one simulation.
+ * @param {object} world - What the scheduler needs from the simulation: { rng, tickRateMs, tick, settings
+ *                         (worldWidth, worldHeight and worldEvents - false stops scheduling new events),
+ *                         isClear(x, y) - away from food and worms, spawnPellet(x, y, { tier, powerUp }) - adds
+ *                         one event pellet, onEvent(phase, event) - called with WORLD_EVENT_START or
+ *                         WORLD_EVENT_END and the serialized event }. tick and settings are read on every call,
+ *                         so getters work.
+ * @returns {object} { reset, update, start, scoreMultiplier, getActive }
+ */
+function createWorldEvents(world) {
+    const { rng } = world;
+    const ticks = (ms) => Math.max(1, Math.round(ms / world.tickRateMs));
+
+    // active: Array of { id, definition, region: { x, y, radius } | null, startTick, endTick }
+    let active = [];
+    let nextEventTick = 0;
+    let nextEventId = 0;
+
+    function scheduleNext(delayMs) {
+        nextEventTick = world.tick + ticks(delayMs);
+    }
+
+    /**
+     * What clients get for an event.
+     * @param {object} event - An active event.
+     * @returns {object} { id, type, label, region: { x, y, radius } | null, modifiers, durationMs, remainingMs }
+     */
+    function serialize(event) {
+        const { type, label, durationMs, modifiers } = event.definition;
+        const remainingMs = Math.max(0, (event.endTick - world.tick) * world.tickRateMs);
+        return {
+            id: event.id, type, label,
+            region: event.region && { x: Math.round(event.region.x), y: Math.round(event.region.y), radius: event.region.radius },
+            modifiers, durationMs,
+            remainingMs: Math.ceil(remainingMs / EVENT_TIMER_STEP_MS) * EVENT_TIMER_STEP_MS,
+        };
+    }
+
+    function end(event) {
+        active = active.filter(other => other !== event);
+        world.onEvent(WORLD_EVENT_END, serialize(event));
+        if (active.length === 0) scheduleNext(EVENT_INTERVAL_MIN_MS + rng() * (EVENT_INTERVAL_MAX_MS - EVENT_INTERVAL_MIN_MS));
+    }
+
+    /**
+     * Ends every running event and schedules the first one of a new world. Call when the world is rebuilt.
+     */
+    function reset() {
+        [...active].forEach(end);
+        scheduleNext(FIRST_EVENT_DELAY_MS);
+    }
+
+    // A point in the event's region (or anywhere in the world), null if the spot isn't clear
+    function randomSpot(event) {
+        const { worldWidth, worldHeight } = world.settings;
+        let x, y;
+        if (event.region) {
+            const angle = rng() * Math.PI * 2;
+            const distance = Math.sqrt(rng()) * event.region.radius; // Evenly over the region's area
+            x = event.region.x + Math.cos(angle) * distance;
+            y = event.region.y + Math.sin(angle) * distance;
+        } else {
+            x = rng() * worldWidth;
+            y = rng() * worldHeight;
+        }
+        return x >= 0 && x <= worldWidth && y >= 0 && y <= worldHeight && world.isClear(x, y) ? { x, y } : null;
+    }
+
+    function spawnFood(event, count) {
+        const { tier, powerUps = false } = event.definition.spawn;
+        for (let i = 0; i < count; i++) {
+            for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+                const spot = randomSpot(event);
+                if (!spot) continue;
+                world.spawnPellet(spot.x, spot.y, { tier: tier ? getFoodTier(tier) : null, powerUp: powerUps });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Starts an event now, whether or not one is already running (the scheduler itself never overlaps them).
+     * @param {string} type - A registered world event type.
+     * @returns {object} The serialized event.
+     * @throws {Error} If the type isn't registered.
+     */
+    function start(type) {
+        const definition = getWorldEvent(type);
+        if (!definition) throw new Error(`Unknown world event "${type}".`);
+        let region = null;
+        if (definition.regionRadius) {
+            const { worldWidth, worldHeight } = world.settings;
+            const radius = Math.min(definition.regionRadius, worldWidth / 2, worldHeight / 2);
+            region = {
+                x: radius + rng() * (worldWidth - 2 * radius),
+                y: radius + rng() * (worldHeight - 2 * radius),
+                radius,
+            };
+        }
+        const event = { id: nextEventId++, definition, region, startTick: world.tick, endTick: world.tick + ticks(definition.durationMs) };
+        active.push(event);
+        if (definition.spawn?.atStart) spawnFood(event, definition.spawn.atStart);
+        const serialized = serialize(event);
+        world.onEvent(WORLD_EVENT_START, serialized);
+        return serialized;
+    }
+
+    // A type by the registered weights, or null if none can be picked
+    function pickType() {
+        const candidates = listWorldEvents().filter(definition => definition.weight > 0);
+        const totalWeight = candidates.reduce((sum, definition) => sum + definition.weight, 0);
+        if (totalWeight <= 0) return null;
+        let roll = rng() * totalWeight;
+        return (candidates.find(definition => (roll -= definition.weight) < 0) || candidates[candidates.length - 1]).type;
+    }
+
+    /**
+     * Runs one tick: ends events whose time is up, spawns the running events' food and starts the next event
+     * when it's due.
+     */
+    function update() {
+        active.filter(event => world.tick >= event.endTick).forEach(end);
+        active.forEach(event => {
+            const spawn = event.definition.spawn;
+            if (spawn?.count && (world.tick - event.startTick) % ticks(spawn.intervalMs) === 0) spawnFood(event, spawn.count);
+        });
+        if (active.length === 0 && world.tick >= nextEventTick) {
+            const type = world.settings.worldEvents ? pickType() : null;
+            if (type) start(type);
+            else scheduleNext(EVENT_INTERVAL_MIN_MS); // Look again later (events are off or none is registered)
+        }
+    }
+
+    /**
+     * @returns {number} What food scores right now: the product of the running events' score modifiers.
+     */
+    function scoreMultiplier() {
+        return active.reduce((multiplier, event) => multiplier * (event.definition.modifiers.score ?? 1), 1);
+    }
+
+    /**
+     * @returns {Array<object>} The running events, serialized (see serialize()).
+     */
+    function getActive() {
+        return active.map(serialize);
+    }
+
+    return { reset, update, start, scoreMultiplier, getActive };
+}
+
+module.exports = {
+    WORLD_EVENT_FOOD_RAIN,
+    WORLD_EVENT_DOUBLE_SCORE,
+    WORLD_EVENT_GOLDEN_FEAST,
+    WORLD_EVENT_POWER_UP_FRENZY,
+    WORLD_EVENT_START,
+    WORLD_EVENT_END,
+    FIRST_EVENT_DELAY_MS,
+    EVENT_INTERVAL_MIN_MS,
+    EVENT_INTERVAL_MAX_MS,
+    registerWorldEvent,
+    getWorldEvent,
+    listWorldEvents,
+    createWorldEvents,
+};
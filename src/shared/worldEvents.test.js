@@ -0,0 +1,95 @@
+import { FOOD_SCORE } from './simulation';
+import { FOOD_ORIGIN_EVENT } from './foodEcosystem';
+import { powerUpForFoodType } from './powerUps';
+import { FOOD_TIER_GOLDEN, getFoodTier } from './gameRules';
+import {
+    WORLD_EVENT_FOOD_RAIN, WORLD_EVENT_DOUBLE_SCORE, WORLD_EVENT_GOLDEN_FEAST, WORLD_EVENT_POWER_UP_FRENZY,
+    WORLD_EVENT_START, WORLD_EVENT_END, FIRST_EVENT_DELAY_MS, EVENT_INTERVAL_MAX_MS, registerWorldEvent,
+} from './worldEvents';
+import { makeSim } from './testWorld';
+
+// One tick per 100ms keeps the runs short
+function makeEventSim(settings, onWorldEvent) {
+    return makeSim({ seed: 3, tickRateMs: 100, onWorldEvent, settings: { botCount: 0, ...settings } });
+}
+
+test('events start on a schedule, one at a time, and end when their time is up', () => {
+    const announced = [];
+    const sim = makeEventSim({}, (phase, event) => announced.push({ phase, event, tick: sim.tick }));
+    const ticksUntilFirst = FIRST_EVENT_DELAY_MS / 100;
+    for (let i = 0; i < ticksUntilFirst - 1; i++) sim.step();
+    expect(announced).toHaveLength(0);
+    sim.step();
+    expect(announced).toHaveLength(1);
+    const [first] = announced;
+    expect(first.phase).toBe(WORLD_EVENT_START);
+    expect(sim.getWorldEvents()).toEqual([first.event]);
+    expect(first.event.remainingMs).toBe(first.event.durationMs);
+
+    for (let i = 0; i < (first.event.durationMs + EVENT_INTERVAL_MAX_MS) / 100 * 3; i++) {
+        sim.step();
+        expect(sim.getWorldEvents().length).toBeLessThanOrEqual(1);
+    }
+    expect(announced[1]).toMatchObject({ phase: WORLD_EVENT_END, event: { id: first.event.id } });
+    expect(announced[1].tick - first.tick).toBe(first.event.durationMs / 100);
+    expect(announced.filter(a => a.phase === WORLD_EVENT_START).length).toBeGreaterThan(1);
+});
+
+test('no events are scheduled when they are turned off, and a reset ends running ones', () => {
+    const announced = [];
+    const sim = makeEventSim({ worldEvents: false }, (phase, event) => announced.push({ phase, event }));
+    for (let i = 0; i < FIRST_EVENT_DELAY_MS / 100 * 3; i++) sim.step();
+    expect(announced).toHaveLength(0);
+
+    sim.startWorldEvent(WORLD_EVENT_DOUBLE_SCORE);
+    sim.reset({ botCount: 0 });
+    expect(announced.map(a => a.phase)).toEqual([WORLD_EVENT_START, WORLD_EVENT_END]);
+    expect(sim.getWorldEvents()).toEqual([]);
+});
+
+test('double score doubles what food is worth while it runs', () => {
+    const sim = makeEventSim({ maxFood: 0, foodPerWorm: 0, worldEvents: false });
+    const player = sim.addHuman('a', 'Alice');
+    const placePellet = () => {
+        const head = player.worm.segments[0];
+        sim.food.push({ id: `f${sim.tick}`, x: head.x, y: head.y, z: 0, radius: 7, type: 1, value: 1, expireTick: Infinity });
+        sim.foodGrid.insert(head.x, head.y, sim.food[sim.food.length - 1]);
+    };
+
+    placePellet();
+    sim.step();
+    expect(player.worm.score).toBe(FOOD_SCORE);
+
+    sim.startWorldEvent(WORLD_EVENT_DOUBLE_SCORE);
+    placePellet();
+    sim.step();
+    expect(player.worm.score).toBe(FOOD_SCORE * 3);
+});
+
+test('food rain and golden feasts drop food in their region, a frenzy drops power-ups', () => {
+    const sim = makeEventSim({ maxFood: 0, foodPerWorm: 0, worldEvents: false });
+    const rain = sim.startWorldEvent(WORLD_EVENT_FOOD_RAIN);
+    for (let i = 0; i < 20; i++) sim.step();
+    const rainFood = sim.food.filter(f => f.origin === FOOD_ORIGIN_EVENT);
+    expect(rainFood.length).toBeGreaterThan(10);
+    rainFood.forEach(f => expect(Math.hypot(f.x - rain.region.x, f.y - rain.region.y)).toBeLessThanOrEqual(rain.region.radius + 1));
+    expect(sim.getFoodStats()).toMatchObject({ ambient: 0, target: 0 }); // Event food doesn't count as ambient
+
+    const feast = sim.startWorldEvent(WORLD_EVENT_GOLDEN_FEAST);
+    const golden = sim.food.filter(f => f.value === getFoodTier(FOOD_TIER_GOLDEN).value);
+    expect(golden.length).toBeGreaterThan(0);
+    golden.forEach(f => expect(Math.hypot(f.x - feast.region.x, f.y - feast.region.y)).toBeLessThanOrEqual(feast.region.radius + 1));
+
+    const frenzySim = makeEventSim({ maxFood: 0, foodPerWorm: 0, worldEvents: false });
+    const frenzy = frenzySim.startWorldEvent(WORLD_EVENT_POWER_UP_FRENZY);
+    expect(frenzy.region).toBeNull();
+    for (let i = 0; i < 10; i++) frenzySim.step();
+    expect(frenzySim.food.length).toBeGreaterThan(6);
+    frenzySim.food.forEach(f => expect(powerUpForFoodType(f.type)).not.toBeNull());
+});
+
+test('event types are validated when registered', () => {
+    expect(() => registerWorldEvent({ type: 'broken' })).toThrow('durationMs');
+    expect(() => registerWorldEvent({ type: 'broken', durationMs: 1000, spawn: { tier: 'diamond' } })).toThrow('diamond');
+    expect(() => registerWorldEvent({ type: 'broken', durationMs: 1000, modifiers: { score: 'lots' } })).toThrow('numbers');
+});
@@ -0,0 +1,235 @@
+// --- World Maps ---
+// A map gives a world its size and terrain: walls worms die on, zones new worms spawn in, food hotspots
+// that stay put and entities (portals, blades, drifting hazards and slow zones, see mapEntities.js). Without
+// a map the world is an open rectangle. Maps are JSON (the server loads one at startup, see
+// server/mapLoader.js and the bundled maps in server/maps/):
+//
+//   {
+//     "name": "Pillars",
+//     "width": 3000, "height": 3000,
+//     "walls": [
+//       { "type": "circle", "x": 750, "y": 750, "radius": 120 },
+//       { "type": "polygon", "points": [[1400, 1400], [1600, 1400], [1600, 1600], [1400, 1600]] }
+//     ],
+//     "spawnZones": [{ "x": 400, "y": 400, "radius": 300 }],   optional, default: anywhere clear
+//     "hotspots": [{ "x": 1500, "y": 1500, "radius": 250 }],   optional, default: drifting ones (foodEcosystem.js)
+//     "entities": [{ "type": "portal", "a": [300, 300], "b": [2700, 2700], "radius": 50 }]   optional
+//   }
+//
+// Polygons are simple (not self-intersecting), convex or not, in either winding order. parseMap() checks
+// everything and turns the map into the shape the simulation uses, with each wall's bounding box so the
+// geometry queries below can skip far walls cheaply. Clients get clientMap(): the same without the bounds.
+const { WORLD_WIDTH, WORLD_HEIGHT } = require("./gameRules");
+const { parseMapEntities, clientMapEntities } = require("./mapEntities");
+
+const MAP_WALL_CIRCLE = "circle";
+const MAP_WALL_POLYGON = "polygon";
+
+const MIN_MAP_SIZE = 2000; // Smaller worlds leave no room for a full-length worm to spawn
+const MAX_MAP_SIZE = 6000; // Keeps coordinates well inside the binary codec's quantized range
+const MAX_MAP_WALLS = 200;
+const MAX_POLYGON_POINTS = 64;
+const DEFAULT_HOTSPOT_RADIUS = 250;
+
+// --- Parsing ---
+
+/**
+ * Checks a map and turns it into the shape the simulation uses.
+ * @param {object} data - The map as read from JSON.
+ * @returns {object} { name, width, height, walls: [Wall], spawnZones: [{ x, y, radius }], hotspots: [{ x, y, radius }],
+ *          entities: [Entity] } where Wall is { type: MAP_WALL_CIRCLE, x, y, radius, bounds } or { type: MAP_WALL_POLYGON,
+ *          points: [{ x, y }], bounds }, bounds is { minX, minY, maxX, maxY } and Entity is described in mapEntities.js.
+ * @throws {Error} Listing every problem found.
+ */
+function parseMap(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('A map must be a JSON object.');
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    const isPoint = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Unnamed map';
+    const width = data.width ?? WORLD_WIDTH;
+    const height = data.height ?? WORLD_HEIGHT;
+    [['width', width], ['height', height]].forEach(([key, value]) => {
+        if (!isNumber(value) || value < MIN_MAP_SIZE || value > MAX_MAP_SIZE) {
+            errors.push(`${key} must be a number between ${MIN_MAP_SIZE} and ${MAX_MAP_SIZE}`);
+        }
+    });
+
+    // Circles for spawn zones and hotspots
+    const circles = (list, key, defaultRadius) => {
+        if (list === undefined) return [];
+        if (!Array.isArray(list)) {
+            errors.push(`${key} must be a list`);
+            return [];
+        }
+        return list.map((circle, i) => {
+            const radius = circle?.radius ?? defaultRadius;
+            if (!isNumber(circle?.x) || !isNumber(circle?.y) || !isNumber(radius) || radius <= 0) {
+                errors.push(`${key}[${i}] needs x, y and a positive radius`);
+                return null;
+            }
+            return { x: circle.x, y: circle.y, radius };
+        }).filter(Boolean);
+    };
+
+    let walls = [];
+    if (data.walls !== undefined && !Array.isArray(data.walls)) {
+        errors.push('walls must be a list');
+    } else if ((data.walls || []).length > MAX_MAP_WALLS) {
+        errors.push(`at most ${MAX_MAP_WALLS} walls`);
+    } else {
+        walls = (data.walls || []).map((wall, i) => {
+            if (wall?.type === MAP_WALL_CIRCLE) {
+                if (!isNumber(wall.x) || !isNumber(wall.y) || !isNumber(wall.radius) || wall.radius <= 0) {
+                    errors.push(`walls[${i}]: a circle needs x, y and a positive radius`);
+                    return null;
+                }
+                return withBounds({ type: MAP_WALL_CIRCLE, x: wall.x, y: wall.y, radius: wall.radius });
+            }
+            if (wall?.type === MAP_WALL_POLYGON) {
+                const points = wall.points;
+                if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS || !points.every(isPoint)) {
+                    errors.push(`walls[${i}]: a polygon needs 3 to ${MAX_POLYGON_POINTS} [x, y] points`);
+                    return null;
+                }
+                return withBounds({ type: MAP_WALL_POLYGON, points: points.map(([x, y]) => ({ x, y })) });
+            }
+            errors.push(`walls[${i}]: type must be "${MAP_WALL_CIRCLE}" or "${MAP_WALL_POLYGON}"`);
+            return null;
+        }).filter(Boolean);
+    }
+
+    const spawnZones = circles(data.spawnZones, 'spawnZones');
+    const hotspots = circles(data.hotspots, 'hotspots', DEFAULT_HOTSPOT_RADIUS);
+    if (errors.length === 0) {
+        [...spawnZones.map((zone, i) => [`spawnZones[${i}]`, zone]), ...hotspots.map((hotspot, i) => [`hotspots[${i}]`, hotspot])]
+            .forEach(([key, { x, y }]) => {
+                if (x < 0 || x > width || y < 0 || y > height) errors.push(`${key} is outside the map`);
+            });
+    }
+
+    const entities = errors.length === 0 ? parseMapEntities(data.entities, width, height, errors) : [];
+
+    if (errors.length > 0) throw new Error(`Invalid map "${name}": ${errors.join('; ')}.`);
+    return { name, width, height, walls, spawnZones, hotspots, entities };
+}
+
+function withBounds(wall) {
+    if (wall.type === MAP_WALL_CIRCLE) {
+        wall.bounds = { minX: wall.x - wall.radius, minY: wall.y - wall.radius, maxX: wall.x + wall.radius, maxY: wall.y + wall.radius };
+    } else {
+        const xs = wall.points.map(p => p.x);
+        const ys = wall.points.map(p => p.y);
+        wall.bounds = { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+    return wall;
+}
+
+/**
+ * The map as clients get it (in 'welcome' and replay headers): what they need to draw it.
+ * @param {object|null} map - A parsed map, or null.
+ * @returns {object|null} { name, width, height, walls: [{ type, x, y, radius } | { type, points: [[x, y]] }], entities }
+ *          (see clientMapEntities()), or null.
+ */
+function clientMap(map) {
+    if (!map) return null;
+    return {
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        walls: map.walls.map(wall => (wall.type === MAP_WALL_CIRCLE
+            ? { type: wall.type, x: wall.x, y: wall.y, radius: wall.radius }
+            : { type: wall.type, points: wall.points.map(p => [p.x, p.y]) })),
+        entities: clientMapEntities(map.entities),
+    };
+}
+
+// --- Geometry ---
+
+function pointInPolygon(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+// Closest point to (x, y) on the segment from a to b
+function closestOnSegment(a, b, x, y) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+    return { x: a.x + dx * t, y: a.y + dy * t };
+}
+
+// Closest point on one wall's outline, and whether (x, y) is inside the wall
+function closestOnWall(wall, x, y) {
+    if (wall.type === MAP_WALL_CIRCLE) {
+        const distance = Math.hypot(x - wall.x, y - wall.y);
+        const angle = distance > 0 ? Math.atan2(y - wall.y, x - wall.x) : 0;
+        return { x: wall.x + Math.cos(angle) * wall.radius, y: wall.y + Math.sin(angle) * wall.radius, inside: distance < wall.radius };
+    }
+    let best = null;
+    let bestDistSq = Infinity;
+    for (let i = 0, j = wall.points.length - 1; i < wall.points.length; j = i++) {
+        const point = closestOnSegment(wall.points[j], wall.points[i], x, y);
+        const distSq = (point.x - x) ** 2 + (point.y - y) ** 2;
+        if (distSq < bestDistSq) {
+            best = point;
+            bestDistSq = distSq;
+        }
+    }
+    return { ...best, inside: pointInPolygon(wall.points, x, y) };
+}
+
+const nearBounds = (bounds, x, y, margin) =>
+    x >= bounds.minX - margin && x <= bounds.maxX + margin && y >= bounds.minY - margin && y <= bounds.maxY + margin;
+
+/**
+ * The closest point on any wall within range of a point.
+ * @param {object|null} map - A parsed map, or null (no walls).
+ * @param {number} x - X coordinate.
+ * @param {number} y - Y coordinate.
+ * @param {number} range - How far to look.
+ * @returns {object|null} { x, y, distance, inside } - the point on the wall's outline, its distance (0 when
+ *          (x, y) is inside the wall) and whether (x, y) is inside, or null if no wall is in range.
+ */
+function closestWallPoint(map, x, y, range) {
+    if (!map) return null;
+    let closest = null;
+    for (const wall of map.walls) {
+        if (!nearBounds(wall.bounds, x, y, range)) continue;
+        const point = closestOnWall(wall, x, y);
+        const distance = point.inside ? 0 : Math.hypot(point.x - x, point.y - y);
+        if (distance <= range && (!closest || distance < closest.distance)) closest = { x: point.x, y: point.y, distance, inside: point.inside };
+    }
+    return closest;
+}
+
+/**
+ * Whether a circle touches a wall.
+ * @param {object|null} map - A parsed map, or null (no walls).
+ * @param {number} x - Center X.
+ * @param {number} y - Center Y.
+ * @param {number} radius - Circle radius (0 for a point).
+ * @returns {boolean} True if it overlaps a wall.
+ */
+function touchesWall(map, x, y, radius) {
+    const closest = closestWallPoint(map, x, y, radius);
+    return Boolean(closest && (closest.inside || closest.distance < radius));
+}
+
+module.exports = {
+    MAP_WALL_CIRCLE,
+    MAP_WALL_POLYGON,
+    MIN_MAP_SIZE,
+    MAX_MAP_SIZE,
+    parseMap,
+    clientMap,
+    closestWallPoint,
+    touchesWall,
+};
@@ -0,0 +1,111 @@
+import { parseMap, clientMap, closestWallPoint, touchesWall, MAP_WALL_CIRCLE, MAP_WALL_POLYGON } from './worldMap';
+import { DEATH_CAUSE_OBSTACLE, describeDeath } from './simulation';
+import { registerBotBrain } from './botBrain';
+import { POWER_UP_SHIELD } from './powerUps';
+import { makeSim, placeWorm } from './testWorld';
+
+// An L-shaped (concave) wall, a pillar and two spawn zones in a 3000x3000 world
+const TEST_MAP = {
+    name: 'Test',
+    width: 3000,
+    height: 3000,
+    walls: [
+        { type: 'circle', x: 1500, y: 1500, radius: 100 },
+        { type: 'polygon', points: [[500, 500], [900, 500], [900, 600], [600, 600], [600, 900], [500, 900]] },
+    ],
+    spawnZones: [{ x: 2500, y: 500, radius: 200 }, { x: 500, y: 2500, radius: 200 }],
+    hotspots: [{ x: 2000, y: 2000 }],
+};
+
+test('maps are validated and every problem is listed', () => {
+    const map = parseMap(TEST_MAP);
+    expect(map).toMatchObject({ name: 'Test', width: 3000, height: 3000 });
+    expect(map.walls[0]).toMatchObject({ type: MAP_WALL_CIRCLE, bounds: { minX: 1400, maxX: 1600 } });
+    expect(map.walls[1]).toMatchObject({ type: MAP_WALL_POLYGON, bounds: { minX: 500, minY: 500, maxX: 900, maxY: 900 } });
+    expect(map.hotspots).toEqual([{ x: 2000, y: 2000, radius: 250 }]);
+    expect(clientMap(map).walls[1].points[0]).toEqual([500, 500]);
+    expect(clientMap(null)).toBeNull();
+
+    expect(() => parseMap([])).toThrow('JSON object');
+    let error;
+    try {
+        parseMap({ width: 100, walls: [{ type: 'square' }, { type: 'polygon', points: [[0, 0], [1, 1]] }], spawnZones: [{ x: 1 }] });
+    } catch (err) {
+        error = err;
+    }
+    expect(error.message).toMatch(/width must be/);
+    expect(error.message).toMatch(/walls\[0\]: type must be/);
+    expect(error.message).toMatch(/walls\[1\]: a polygon needs/);
+    expect(error.message).toMatch(/spawnZones\[0\] needs/);
+    expect(() => parseMap({ ...TEST_MAP, hotspots: [{ x: 4000, y: 10 }] })).toThrow('outside the map');
+});
+
+test('wall queries handle circles and concave polygons', () => {
+    const map = parseMap(TEST_MAP);
+    expect(touchesWall(map, 1500, 1500, 0)).toBe(true);
+    expect(touchesWall(map, 1500, 1390, 5)).toBe(false);
+    expect(touchesWall(map, 1500, 1390, 15)).toBe(true);
+    // The notch of the L is open, its arms are not
+    expect(touchesWall(map, 750, 750, 10)).toBe(false);
+    expect(touchesWall(map, 550, 750, 0)).toBe(true);
+    expect(touchesWall(map, 750, 550, 0)).toBe(true);
+
+    const point = closestWallPoint(map, 750, 750, 200);
+    expect(point).toMatchObject({ inside: false });
+    expect(point.distance).toBeCloseTo(150);
+    expect(closestWallPoint(map, 550, 750, 10)).toMatchObject({ distance: 0, inside: true });
+    expect(closestWallPoint(map, 2500, 2500, 300)).toBeNull();
+    expect(closestWallPoint(null, 0, 0, 1000)).toBeNull();
+});
+
+test('a map sets the world size, spawns worms in its zones and keeps its hotspots in place', () => {
+    const map = parseMap(TEST_MAP);
+    const sim = makeSim({ seed: 5, map, settings: { botCount: 6, worldWidth: 5000 } });
+    expect(sim.settings).toMatchObject({ worldWidth: 3000, worldHeight: 3000 });
+    sim.reset({ botCount: 6, worldHeight: 2500 });
+    expect(sim.settings).toMatchObject({ worldWidth: 3000, worldHeight: 3000 });
+
+    Object.values(sim.players).forEach(player => {
+        const head = player.worm.segments[0];
+        const inZone = map.spawnZones.some(zone => Math.hypot(head.x - zone.x, head.y - zone.y) <= zone.radius);
+        expect(inZone).toBe(true);
+        player.worm.segments.forEach(segment => expect(touchesWall(map, segment.x, segment.y, player.worm.radius)).toBe(false));
+    });
+    sim.food.forEach(foodItem => expect(touchesWall(map, foodItem.x, foodItem.y, foodItem.radius)).toBe(false));
+
+    const before = sim.getFoodStats().hotspots;
+    expect(before).toEqual([{ x: 2000, y: 2000, radius: 250 }]);
+    for (let i = 0; i < 100; i++) sim.step();
+    expect(sim.getFoodStats().hotspots).toEqual(before);
+});
+
+test('running into a wall kills, even with a shield', () => {
+    const deaths = [];
+    const sim = makeSim({
+        seed: 5, map: parseMap(TEST_MAP), settings: { botCount: 0 },
+        onPlayerDied: (player, death) => deaths.push(death),
+    });
+    const player = sim.addHuman('a', 'Alice');
+    placeWorm(player, 1500, 1300, Math.PI / 2); // Heading straight for the pillar
+    player.worm.powerUps[POWER_UP_SHIELD] = 1000;
+    for (let i = 0; i < 200 && deaths.length === 0; i++) sim.step();
+    expect(deaths).toHaveLength(1);
+    expect(deaths[0].cause).toBe(DEATH_CAUSE_OBSTACLE);
+    expect(describeDeath(deaths[0])).toBe('hit a wall');
+});
+
+test('bot brains see nearby walls', () => {
+    const seen = [];
+    registerBotBrain({
+        name: 'test-wall-watcher',
+        think(view) {
+            seen.push({ pillar: view.wallNear(1500, 1350, 100), open: view.wallNear(2500, 2500, 100) });
+            return null;
+        },
+    });
+    const sim = makeSim({ seed: 5, map: parseMap(TEST_MAP), settings: { botCount: 1 }, brainMix: { 'test-wall-watcher': 1 } });
+    sim.step();
+    expect(seen[0].pillar.distance).toBeCloseTo(50);
+    expect(seen[0].pillar).toMatchObject({ x: expect.any(Number), y: expect.any(Number) });
+    expect(seen[0].open).toBeNull();
+});